@@ -0,0 +1,16 @@
+// 새 캡처 데스크톱 알림용 service worker
+// 알림을 누르면 열려 있는 앱 탭으로 이동하고, 없으면 새로 연다. (캐시는 하지 않음)
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const open = windows.find((client) => client.url.startsWith(self.registration.scope));
+      return open ? open.focus() : self.clients.openWindow(self.registration.scope);
+    })
+  );
+});
@@ -0,0 +1,216 @@
+// 새 캡처 웹훅 알림: 이벤트 허브의 created 알림을 카메라별로 잠시 모아 보낸다.
+// 브라우저 탭이 없어도 서버가 보내므로 버킷 이벤트 알림(또는 메모리 저장소)이 연결돼 있어야 한다.
+// 조용한 시간 / 시간당 최대 횟수에 걸린 캡처는 버리고, 다음 알림에 생략된 개수만 덧붙인다.
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { HttpError, readJson } from './http.js';
+// 조용한 시간 판단은 브라우저 데스크톱 알림과 같은 코드를 쓴다 (서버 로컬 시간, TZ 로 지정)
+import { isQuietTime } from '../src/lib/quietHours.js';
+
+const WEBHOOK_FORMATS = ['slack', 'json'];
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+// 알림에 넣는 최근 캡처 링크의 유효 기간
+const ALERT_URL_EXPIRES_SEC = 24 * 60 * 60;
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_WEBHOOKS = 10;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const DEFAULT_SETTINGS = { webhooks: [], quietHours: null, maxPerHour: 20 };
+
+const requireWebhook = (webhook) => {
+  let url;
+  try {
+    url = new URL(webhook?.url);
+  } catch {
+    throw new HttpError(400, '웹훅 url 이 올바르지 않습니다.');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new HttpError(400, '웹훅 url 은 http(s) 주소여야 합니다.');
+  }
+  if (!WEBHOOK_FORMATS.includes(webhook.format)) {
+    throw new HttpError(400, `웹훅 format 은 ${WEBHOOK_FORMATS.join(' | ')} 중 하나여야 합니다.`);
+  }
+  return {
+    name: String(webhook.name || url.hostname).slice(0, 60),
+    url: url.toString(),
+    format: webhook.format,
+    enabled: webhook.enabled !== false,
+  };
+};
+
+const requireSettings = (body) => {
+  if (!Array.isArray(body.webhooks) || body.webhooks.length > MAX_WEBHOOKS) {
+    throw new HttpError(400, `webhooks 는 최대 ${MAX_WEBHOOKS}개의 배열이어야 합니다.`);
+  }
+  const { quietHours } = body;
+  if (quietHours && !(TIME_RE.test(quietHours.start) && TIME_RE.test(quietHours.end))) {
+    throw new HttpError(400, 'quietHours 는 { start: "HH:MM", end: "HH:MM" } 형식이어야 합니다.');
+  }
+  const maxPerHour = Number(body.maxPerHour);
+  if (!Number.isInteger(maxPerHour) || maxPerHour < 0 || maxPerHour > 1000) {
+    throw new HttpError(400, 'maxPerHour 는 0~1000 사이의 정수여야 합니다. (0 = 제한 없음)');
+  }
+  return {
+    webhooks: body.webhooks.map(requireWebhook),
+    quietHours: quietHours ? { start: quietHours.start, end: quietHours.end } : null,
+    maxPerHour,
+  };
+};
+
+// 웹훅 본문: slack 은 Slack 호환 incoming webhook (text + 이미지 첨부), json 은 그대로 처리하기 쉬운 형태
+const buildPayload = (format, alert) => {
+  if (format === 'json') return { type: alert.test ? 'test' : 'captures', ...alert };
+
+  const { camera, count, latest, suppressed, test } = alert;
+  const lines = [
+    test ? `🔔 *${camera.name}* 웹훅 테스트` : `📷 *${camera.name}* 새 캡처 ${count}장`,
+    new Date(latest.lastModified).toLocaleString('ko-KR'),
+  ];
+  if (latest.url) lines.push(`<${latest.url}|최근 캡처 보기>`);
+  if (suppressed) lines.push(`_(알림 제한/조용한 시간으로 생략된 캡처 ${suppressed}장)_`);
+  return {
+    text: lines.join('\n'),
+    attachments: latest.url ? [{ fallback: latest.key, image_url: latest.url }] : undefined,
+  };
+};
+
+const postWebhook = async (webhook, alert) => {
+  const response = await fetch(webhook.url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(buildPayload(webhook.format, alert)),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+  });
+  if (!response.ok) throw new Error(`웹훅 응답 오류 (${response.status})`);
+};
+
+export function createAlerts({ storage, config }) {
+  const { settingsFile, batchMs } = config.alerts;
+  let settings = { ...DEFAULT_SETTINGS };
+  // cameraId -> 모으는 중인 created 이벤트
+  const pending = new Map();
+  // 최근 1시간 동안 보낸 시각 / 보내지 못하고 버린 캡처 수
+  let sentAt = [];
+  let suppressed = 0;
+
+  const loadSettings = async () => {
+    try {
+      settings = { ...settings, ...JSON.parse(await readFile(settingsFile, 'utf8')) };
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    return settings;
+  };
+
+  const saveSettings = async (next) => {
+    settings = { ...settings, ...next };
+    await mkdir(path.dirname(settingsFile), { recursive: true });
+    await writeFile(settingsFile, JSON.stringify(settings, null, 2) + '\n', 'utf8');
+    return settings;
+  };
+
+  const cameraOf = (key) => {
+    const id = key.slice(0, key.indexOf('/'));
+    return storage.cameras.find((camera) => camera.id === id) || { id, name: id };
+  };
+
+  const describe = async (events) => {
+    const latest = events[events.length - 1];
+    const camera = cameraOf(latest.key);
+    const url = await storage.presign(latest.key, ALERT_URL_EXPIRES_SEC).catch(() => undefined);
+    return {
+      camera: { id: camera.id, name: camera.name },
+      count: events.length,
+      keys: events.map((event) => event.key),
+      latest: { key: latest.key, url, size: latest.size, lastModified: latest.lastModified },
+    };
+  };
+
+  // 보낼 수 있으면 true, 조용한 시간이거나 한도를 넘으면 false
+  const allow = (now) => {
+    if (isQuietTime(now, settings.quietHours)) return false;
+    sentAt = sentAt.filter((t) => now.getTime() - t < HOUR_MS);
+    if (settings.maxPerHour && sentAt.length >= settings.maxPerHour) return false;
+    sentAt.push(now.getTime());
+    return true;
+  };
+
+  const flush = async (cameraId) => {
+    const events = pending.get(cameraId);
+    pending.delete(cameraId);
+    const webhooks = settings.webhooks.filter((webhook) => webhook.enabled);
+    if (!webhooks.length) return;
+    if (!allow(new Date())) {
+      suppressed += events.length;
+      return;
+    }
+
+    const alert = { ...(await describe(events)), suppressed };
+    suppressed = 0;
+    const results = await Promise.allSettled(webhooks.map((webhook) => postWebhook(webhook, alert)));
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        console.error(`[alerts] 웹훅 "${webhooks[i].name}" 전송 실패:`, result.reason.message);
+      }
+    });
+  };
+
+  // 이벤트 허브 구독자: 연속 촬영은 batchMs 동안 모아 카메라별 한 번만 보낸다.
+  // 휴지통에서 복원한 캡처(restored)는 새 캡처가 아니므로 보내지 않는다.
+  const handleEvent = (event) => {
+    if (event.type !== 'created' || !settings.webhooks.some((webhook) => webhook.enabled)) return;
+    const cameraId = event.key.slice(0, event.key.indexOf('/'));
+    if (!pending.has(cameraId)) {
+      const timer = setTimeout(() => {
+        flush(cameraId).catch((err) => console.error('[alerts] 알림 실패:', err));
+      }, batchMs);
+      timer.unref();
+      pending.set(cameraId, []);
+    }
+    pending.get(cameraId).push(event);
+  };
+
+  // 설정 화면의 "테스트": 조용한 시간/한도와 관계없이 바로 보냄
+  const test = async (webhook) => {
+    const camera = storage.cameras[0];
+    const alert = {
+      camera: { id: camera.id, name: camera.name },
+      count: 0,
+      keys: [],
+      latest: { key: `${camera.id}/test.jpg`, lastModified: new Date().toISOString() },
+      suppressed: 0,
+      test: true,
+    };
+    try {
+      await postWebhook(webhook, alert);
+    } catch (err) {
+      throw new HttpError(502, `웹훅 전송 실패: ${err.message}`);
+    }
+  };
+
+  return {
+    loadSettings,
+    saveSettings,
+    getSettings: () => settings,
+    handleEvent,
+    test,
+  };
+}
+
+export function registerAlertRoutes(router, { alerts, auth }) {
+  router.get('/api/alerts', auth.guard('admin', async () => alerts.getSettings()));
+
+  router.put(
+    '/api/alerts',
+    auth.guard('admin', async ({ req }) => alerts.saveSettings(requireSettings(await readJson(req))))
+  );
+
+  router.post(
+    '/api/alerts/test',
+    auth.guard('admin', async ({ req }) => {
+      await alerts.test(requireWebhook(await readJson(req)));
+      return { ok: true };
+    })
+  );
+}
@@ -0,0 +1,56 @@
+// 라우트 조립: 저장소·설정·서비스(감사 로그, 휴지통, 이벤트 허브, 알림, 썸네일, 메타데이터, 보관 정책, 공유 링크)를 받아
+// HTTP 요청 처리기를 만든다.
+
+import { createRouter, HttpError } from './http.js';
+import { createAuth, registerAuthRoutes } from './auth.js';
+import { registerAuditRoutes } from './audit.js';
+import { registerTrashRoutes } from './trash.js';
+import { registerEventRoutes } from './events.js';
+import { registerAlertRoutes } from './alerts.js';
+import { registerThumbnailRoutes } from './thumbnails.js';
+import { registerCaptureMetaRoutes } from './captureMeta.js';
+import { registerRetentionRoutes } from './retention.js';
+import { registerShareRoutes } from './shares.js';
+import { registerImageRoutes } from './routes/images.js';
+import { registerCameraRoutes } from './routes/cameras.js';
+
+export function createApp({ storage, config, audit, trash, events, alerts, thumbnails, captureMeta, retention, shares }) {
+  const router = createRouter();
+
+  router.get('/api/health', async () => ({ ok: true, storage: storage.name }));
+
+  const auth = createAuth(config.auth);
+  registerAuthRoutes(router, { auth });
+  registerAuditRoutes(router, { audit, auth });
+  registerImageRoutes(router, { storage, config, auth, audit, trash, thumbnails, captureMeta });
+  registerThumbnailRoutes(router, { thumbnails, storage, auth, config });
+  registerCameraRoutes(router, { storage, auth, audit, config });
+  registerTrashRoutes(router, { trash, storage, thumbnails, captureMeta, audit, auth, config });
+  registerEventRoutes(router, { hub: events, storage, auth, config });
+  registerAlertRoutes(router, { alerts, auth });
+  registerCaptureMetaRoutes(router, { captureMeta, storage, auth, audit });
+  registerRetentionRoutes(router, { retention, auth });
+  registerShareRoutes(router, { shares, storage, auth, audit });
+
+  // 메모리/로컬 폴더 저장소의 presigned URL 이 가리키는 객체 다운로드
+  for (const { route, readSigned } of storage.signedObjectRoutes) {
+    router.get(`${route}/*`, async ({ res, url, params }) => {
+      const obj = await readSigned({
+        key: params.rest,
+        versionId: url.searchParams.get('versionId') || undefined,
+        expires: url.searchParams.get('expires'),
+        signature: url.searchParams.get('signature'),
+      });
+      if (!obj) throw new HttpError(403, '서명이 올바르지 않거나 만료되었습니다.');
+      res.writeHead(200, {
+        'Content-Type': obj.contentType,
+        'Content-Length': obj.body.length,
+        'Last-Modified': obj.lastModified.toUTCString(),
+        ETag: obj.etag,
+      });
+      res.end(obj.body);
+    });
+  }
+
+  return router.handle;
+}
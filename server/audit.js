@@ -0,0 +1,106 @@
+// 감사 로그: 삭제 작업마다 JSON 한 줄씩 파일에 추가 (append-only)
+
+import { randomUUID } from 'node:crypto';
+import { appendFile, mkdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { HttpError } from './http.js';
+
+const DEFAULT_LIMIT = 200;
+const MAX_LIMIT = 1000;
+
+export function createAuditLog({ file }) {
+  // 동시에 들어온 기록이 한 줄 안에서 섞이지 않도록 순서대로 쓴다.
+  let writeQueue = mkdir(path.dirname(file), { recursive: true });
+
+  /**
+   * @param {object} entry
+   * @param {{ username: string, role: string }} entry.user
+   * @param {string} entry.action  예: "delete", "bulk-delete"
+   * @param {string[]} entry.keys  대상 키 전체
+   * @param {string[]} [entry.failedKeys]
+   * @param {string} [entry.error]
+   */
+  const record = ({ user, action, keys, failedKeys = [], error }) => {
+    const line = {
+      id: randomUUID(),
+      at: new Date().toISOString(),
+      username: user.username,
+      role: user.role,
+      action,
+      keys,
+      count: keys.length,
+      failedKeys,
+      success: !error && failedKeys.length === 0,
+      ...(error ? { error } : {}),
+    };
+    writeQueue = writeQueue
+      .then(() => appendFile(file, JSON.stringify(line) + '\n', 'utf8'))
+      .catch((err) => console.error('[audit] 기록 실패:', err, line));
+    return writeQueue.then(() => line);
+  };
+
+  const readAll = async () => {
+    await writeQueue;
+    try {
+      const raw = await readFile(file, 'utf8');
+      return raw
+        .split('\n')
+        .filter(Boolean)
+        .map((line) => {
+          try {
+            return JSON.parse(line);
+          } catch {
+            return null;
+          }
+        })
+        .filter(Boolean);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  };
+
+  // 최신순, 필터: action, username, success, from/to(ISO), key(부분 일치)
+  const query = async ({ action, username, success, from, to, key, limit, offset } = {}) => {
+    const fromMs = from ? Date.parse(from) : null;
+    const toMs = to ? Date.parse(to) : null;
+    if (Number.isNaN(fromMs) || Number.isNaN(toMs)) {
+      throw new HttpError(400, 'from/to 날짜 형식이 올바르지 않습니다.');
+    }
+
+    const entries = (await readAll())
+      .filter((e) => !action || e.action === action)
+      .filter((e) => !username || e.username === username)
+      .filter((e) => success === undefined || e.success === success)
+      .filter((e) => fromMs === null || Date.parse(e.at) >= fromMs)
+      .filter((e) => toMs === null || Date.parse(e.at) <= toMs)
+      .filter((e) => !key || e.keys.some((k) => k.includes(key)))
+      .reverse();
+
+    const start = Math.max(offset || 0, 0);
+    const size = Math.min(limit || DEFAULT_LIMIT, MAX_LIMIT);
+    return { total: entries.length, entries: entries.slice(start, start + size) };
+  };
+
+  return { record, query };
+}
+
+export function registerAuditRoutes(router, { audit, auth }) {
+  router.get(
+    '/api/audit',
+    auth.guard('admin', async ({ url }) => {
+      const q = url.searchParams;
+      const success = q.get('success');
+      return audit.query({
+        action: q.get('action') || undefined,
+        username: q.get('username') || undefined,
+        success: success === 'true' ? true : success === 'false' ? false : undefined,
+        from: q.get('from') || undefined,
+        to: q.get('to') || undefined,
+        key: q.get('key') || undefined,
+        limit: Number.parseInt(q.get('limit') || '', 10) || undefined,
+        offset: Number.parseInt(q.get('offset') || '', 10) || undefined,
+      });
+    })
+  );
+}
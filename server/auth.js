@@ -0,0 +1,130 @@
+// 로컬 인증: scrypt 비밀번호 해시 + HS256 JWT
+// 외부 ID 공급자 없이 사용자 파일만으로 동작한다.
+
+import { createHmac, randomBytes, scrypt, timingSafeEqual } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import { promisify } from 'node:util';
+import { HttpError, readJson } from './http.js';
+
+const scryptAsync = promisify(scrypt);
+
+// 권한 수준: 높은 역할은 낮은 역할의 권한을 모두 가진다.
+export const ROLES = {
+  viewer: 1,
+  admin: 2,
+};
+
+const KEY_LENGTH = 64;
+
+export const hashPassword = async (password) => {
+  const salt = randomBytes(16);
+  const hash = await scryptAsync(password, salt, KEY_LENGTH);
+  return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+};
+
+export const verifyPassword = async (password, stored) => {
+  const [scheme, saltHex, hashHex] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scryptAsync(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return timingSafeEqual(expected, actual);
+};
+
+const b64url = (value) => Buffer.from(value).toString('base64url');
+
+export const signJwt = (payload, secret, expiresInSec) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = b64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = b64url(JSON.stringify({ ...payload, iat: now, exp: now + expiresInSec }));
+  const signature = createHmac('sha256', secret).update(`${header}.${body}`).digest('base64url');
+  return `${header}.${body}.${signature}`;
+};
+
+// 유효하면 payload, 아니면 null
+export const verifyJwt = (token, secret) => {
+  const [header, body, signature] = String(token || '').split('.');
+  if (!header || !body || !signature) return null;
+
+  const expected = Buffer.from(
+    createHmac('sha256', secret).update(`${header}.${body}`).digest('base64url')
+  );
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+    if (!payload.exp || payload.exp * 1000 < Date.now()) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+};
+
+// 사용자 파일 형식: { "users": [{ "username", "role", "passwordHash" }] }
+export const readUsersFile = async (file) => {
+  try {
+    const data = JSON.parse(await readFile(file, 'utf8'));
+    return Array.isArray(data.users) ? data.users : [];
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+};
+
+export function createAuth({ usersFile, jwtSecret, tokenTtlSec }) {
+  const secret = jwtSecret || randomBytes(32).toString('hex');
+  if (!jwtSecret) {
+    console.warn('[auth] JWT_SECRET 미설정: 서버를 재시작하면 모든 세션이 만료됩니다.');
+  }
+
+  const findUser = async (username) => {
+    // 매 로그인마다 다시 읽어 user:add 결과를 재시작 없이 반영
+    const users = await readUsersFile(usersFile);
+    return users.find((u) => u.username === username) || null;
+  };
+
+  const login = async (username, password) => {
+    const user = typeof username === 'string' ? await findUser(username) : null;
+    const ok =
+      user && typeof password === 'string' && (await verifyPassword(password, user.passwordHash));
+    if (!ok || !ROLES[user.role]) {
+      throw new HttpError(401, '아이디 또는 비밀번호가 올바르지 않습니다.');
+    }
+    const profile = { username: user.username, role: user.role };
+    return { token: signJwt({ sub: user.username, role: user.role }, secret, tokenTtlSec), user: profile };
+  };
+
+  // 요청의 Bearer 토큰을 확인하고 역할이 부족하면 401/403
+  const authenticate = (req, minRole = 'viewer') => {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+    const payload = token ? verifyJwt(token, secret) : null;
+    if (!payload || !ROLES[payload.role]) {
+      throw new HttpError(401, '로그인이 필요합니다.');
+    }
+    if (ROLES[payload.role] < ROLES[minRole]) {
+      throw new HttpError(403, '이 작업을 수행할 권한이 없습니다.');
+    }
+    return { username: payload.sub, role: payload.role };
+  };
+
+  // 라우트 핸들러를 감싸 ctx.user 를 채워 준다.
+  const guard = (minRole, handler) => async (ctx) => {
+    ctx.user = authenticate(ctx.req, minRole);
+    return handler(ctx);
+  };
+
+  return { login, authenticate, guard };
+}
+
+export function registerAuthRoutes(router, { auth }) {
+  router.post('/api/auth/login', async ({ req }) => {
+    const body = await readJson(req);
+    return auth.login(body.username, body.password);
+  });
+
+  router.get(
+    '/api/auth/me',
+    auth.guard('viewer', async ({ user }) => ({ user }))
+  );
+}
@@ -0,0 +1,234 @@
+// 캡처 메타데이터: 캡처마다 사이드카 JSON 을 앱 키 "<카메라 id>/.meta/<원본 키>.json" 에 둔다.
+// (실제로는 ".meta/<원본 실제 키>.json" 이라 캡처 목록에 나오지 않는다. storage/cameras.js 참고)
+//   flagged  보존 표시 (보관 정책의 keepFlagged 가 켜져 있으면 지우지 않음)
+//   starred  별표 (증거). 보관 정책은 항상 건너뛰고, 삭제 API 는 override: true 없이는 거부한다.
+//   tags     태그 문자열 배열 (예: "우유", "범인확인")
+//   note     자유 메모
+// 사이드카는 서버만 쓰므로 카메라별로 처음 필요할 때 한 번 읽어 메모리에 두고 쓸 때 같이 고친다.
+// 캡처를 지우거나 복원하거나 영구 삭제하면 사이드카도 함께 옮긴다 (remove / restore / purge).
+// 그래야 지운 캡처의 별표/태그가 남거나 같은 키로 새로 올라온 캡처에 붙지 않는다.
+
+import { HttpError, readJson } from './http.js';
+import { requireKey } from './routes/images.js';
+
+const META_DIR = '.meta/';
+const META_SUFFIX = '.json';
+// 사이드카를 읽을 때 동시에 보내는 요청 수
+const READ_CONCURRENCY = 8;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+const MAX_NOTE_LENGTH = 2000;
+
+const splitKey = (key) => {
+  const slash = key.indexOf('/');
+  return [key.slice(0, slash), key.slice(slash + 1)];
+};
+
+const metaKeyFor = (key) => {
+  const [cameraId, rest] = splitKey(key);
+  return `${cameraId}/${META_DIR}${rest}${META_SUFFIX}`;
+};
+
+const captureKeyOf = (metaKey) => {
+  const [cameraId, rest] = splitKey(metaKey);
+  return `${cameraId}/${rest.slice(META_DIR.length, -META_SUFFIX.length)}`;
+};
+
+// 저장할 값만 남긴다 (기본값과 같으면 생략). 직접 고친 사이드카도 읽을 수 있게 형식이 틀린 값은 버린다.
+const normalize = (meta) => {
+  const result = {};
+  if (meta?.flagged === true) result.flagged = true;
+  if (meta?.starred === true) result.starred = true;
+  const tags = Array.isArray(meta?.tags) ? meta.tags.filter((tag) => typeof tag === 'string' && tag) : [];
+  if (tags.length) result.tags = tags;
+  if (typeof meta?.note === 'string' && meta.note) result.note = meta.note;
+  return result;
+};
+
+const isEmpty = (meta) => !Object.keys(meta).length;
+
+export function createCaptureMeta({ storage }) {
+  // 카메라 id → Promise<Map<캡처 키, 메타데이터>> (비어 있는 메타데이터는 넣지 않음)
+  const byCamera = new Map();
+
+  const load = async (cameraId) => {
+    const metaKeys = [];
+    let continuationToken;
+    do {
+      const page = await storage.list({ prefix: `${cameraId}/${META_DIR}`, continuationToken });
+      for (const item of page.items) {
+        if (item.Key.endsWith(META_SUFFIX)) metaKeys.push(item.Key);
+      }
+      continuationToken = page.nextContinuationToken;
+    } while (continuationToken);
+
+    const entries = new Map();
+    for (let i = 0; i < metaKeys.length; i += READ_CONCURRENCY) {
+      await Promise.all(
+        metaKeys.slice(i, i + READ_CONCURRENCY).map(async (metaKey) => {
+          const body = await storage.read(metaKey);
+          if (!body) return;
+          try {
+            const meta = normalize(JSON.parse(body.toString('utf8')));
+            if (!isEmpty(meta)) entries.set(captureKeyOf(metaKey), meta);
+          } catch {
+            console.error(`[meta] ${metaKey} 형식이 올바르지 않아 무시합니다.`);
+          }
+        })
+      );
+    }
+    return entries;
+  };
+
+  const entriesFor = (cameraId) => {
+    if (!byCamera.has(cameraId)) {
+      const loading = load(cameraId);
+      // 읽기에 실패하면 다음 요청 때 다시 시도
+      loading.catch(() => byCamera.delete(cameraId));
+      byCamera.set(cameraId, loading);
+    }
+    return byCamera.get(cameraId);
+  };
+
+  // 메타데이터가 있는 캡처 전체: { [캡처 키]: 메타데이터 }
+  const listAll = async () => {
+    const result = {};
+    for (const { id } of storage.cameras) {
+      for (const [key, meta] of await entriesFor(id)) result[key] = meta;
+    }
+    return result;
+  };
+
+  // 보관 정책이 지우지 않는 캡처 키: 별표는 항상, 보존 표시는 flagged 가 true 일 때만
+  const keptKeys = async (cameraId, { flagged = true } = {}) =>
+    new Set(
+      [...(await entriesFor(cameraId))]
+        .filter(([, meta]) => meta.starred || (flagged && meta.flagged))
+        .map(([key]) => key)
+    );
+
+  // keys 중 별표한 캡처. 알 수 없는 카메라의 키는 건너뛴다 (일괄 삭제가 키마다 오류로 알려 줌)
+  const starredAmong = async (keys) => {
+    const cameraIds = new Set(storage.cameras.map((camera) => camera.id));
+    const starred = [];
+    for (const key of keys) {
+      const cameraId = key.includes('/') ? splitKey(key)[0] : null;
+      if (!cameraIds.has(cameraId)) continue;
+      if ((await entriesFor(cameraId)).get(key)?.starred) starred.push(key);
+    }
+    return starred;
+  };
+
+  // 바꾼 필드만 받아 합친 뒤 저장. 비게 되면 빈 객체를 저장한다
+  // (버전 관리 버킷에서 지우면 휴지통에 사이드카가 보이므로 지우지 않음)
+  const update = async (key, patch) => {
+    const entries = await entriesFor(splitKey(key)[0]);
+    const meta = normalize({ ...entries.get(key), ...patch });
+    await storage.put(metaKeyFor(key), JSON.stringify(meta), { contentType: 'application/json' });
+    if (isEmpty(meta)) entries.delete(key);
+    else entries.set(key, meta);
+    return meta;
+  };
+
+  // 지운 캡처의 사이드카도 휴지통으로 옮긴다(휴지통이 꺼져 있으면 삭제). 메타데이터가 없는 캡처는 건너뛴다.
+  // 사이드카 정리에 실패해도 캡처 삭제 결과는 바꾸지 않고 로그만 남긴다.
+  const remove = async (keys) => {
+    try {
+      const withMeta = [];
+      for (const key of keys) {
+        if ((await entriesFor(splitKey(key)[0])).has(key)) withMeta.push(key);
+      }
+      if (!withMeta.length) return;
+      const { deleted, errors } = await storage.bulkRemove(withMeta.map(metaKeyFor));
+      for (const { key, message } of errors) console.error(`[meta] ${key} 삭제 실패:`, message);
+      for (const metaKey of deleted) {
+        const key = captureKeyOf(metaKey);
+        (await entriesFor(splitKey(key)[0])).delete(key);
+      }
+    } catch (err) {
+      console.error('[meta] 사이드카 삭제 실패:', err.message);
+    }
+  };
+
+  // 복원한 캡처의 사이드카도 되돌린다 (휴지통에 없던 사이드카는 건너뜀).
+  const restore = async (keys) => {
+    if (!keys.length) return;
+    try {
+      const { done } = await storage.restore(keys.map(metaKeyFor));
+      // 되돌린 사이드카는 카메라 목록을 다시 읽어 채운다.
+      for (const cameraId of new Set(done.map((metaKey) => splitKey(metaKey)[0]))) byCamera.delete(cameraId);
+    } catch (err) {
+      console.error('[meta] 사이드카 복원 실패:', err.message);
+    }
+  };
+
+  // 영구 삭제한 캡처의 사이드카도 휴지통에서 지운다.
+  const purge = async (keys) => {
+    if (!keys.length) return;
+    try {
+      await storage.purge(keys.map(metaKeyFor));
+    } catch (err) {
+      console.error('[meta] 사이드카 영구 삭제 실패:', err.message);
+    }
+  };
+
+  return { listAll, keptKeys, starredAmong, update, remove, restore, purge };
+}
+
+const requireBoolean = (value, name) => {
+  if (typeof value !== 'boolean') throw new HttpError(400, `${name} 는 true/false 여야 합니다.`);
+  return value;
+};
+
+// 앞뒤 공백을 지우고 중복을 뺀다.
+const requireTags = (tags) => {
+  if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== 'string')) {
+    throw new HttpError(400, 'tags 는 문자열 배열이어야 합니다.');
+  }
+  const result = [...new Set(tags.map((tag) => tag.trim()).filter(Boolean))];
+  if (result.length > MAX_TAGS) throw new HttpError(400, `태그는 최대 ${MAX_TAGS}개까지 달 수 있습니다.`);
+  if (result.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+    throw new HttpError(400, `태그는 ${MAX_TAG_LENGTH}자 이하여야 합니다.`);
+  }
+  return result;
+};
+
+const requireNote = (note) => {
+  if (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH) {
+    throw new HttpError(400, `note 는 ${MAX_NOTE_LENGTH}자 이하의 문자열이어야 합니다.`);
+  }
+  return note.trim();
+};
+
+// 본문에 있는 필드만 바꾼다.
+const requirePatch = (body) => {
+  const patch = {};
+  if ('flagged' in body) patch.flagged = requireBoolean(body.flagged, 'flagged');
+  if ('starred' in body) patch.starred = requireBoolean(body.starred, 'starred');
+  if ('tags' in body) patch.tags = requireTags(body.tags);
+  if ('note' in body) patch.note = requireNote(body.note);
+  if (!Object.keys(patch).length) throw new HttpError(400, '바꿀 항목(flagged, starred, tags, note)이 없습니다.');
+  return patch;
+};
+
+// 감사 로그 작업 이름: 보존 표시 / 별표 / 태그·메모
+const auditActionsFor = (patch) =>
+  [
+    'flagged' in patch && (patch.flagged ? 'flag' : 'unflag'),
+    'starred' in patch && (patch.starred ? 'star' : 'unstar'),
+    ('tags' in patch || 'note' in patch) && 'annotate',
+  ].filter(Boolean);
+
+export function registerCaptureMetaRoutes(router, { captureMeta, storage, auth, audit }) {
+  router.get('/api/meta', auth.guard('viewer', async () => ({ items: await captureMeta.listAll() })));
+
+  // 보존 표시와 별표는 삭제 대상을 바꾸고 태그/메모는 증거 기록이므로 admin 만, 감사 로그에 남긴다.
+  router.put('/api/meta', auth.guard('admin', async ({ req, url, user }) => {
+    const key = requireKey(url.searchParams.get('key'));
+    const patch = requirePatch(await readJson(req));
+    if (!(await storage.read(key))) throw new HttpError(404, '존재하지 않는 캡처입니다.');
+    const meta = await captureMeta.update(key, patch);
+    for (const action of auditActionsFor(patch)) await audit.record({ user, action, keys: [key] });
+    return { key, meta };
+  }));
+}
@@ -0,0 +1,133 @@
+// 서버 설정: 환경 변수(.env) 기반
+// AWS(및 S3 호환 저장소) 비밀 키는 이 프로세스에만 존재하고 브라우저 번들에는 포함되지 않는다.
+
+import { existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+export const ROOT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const envFile = path.join(ROOT_DIR, '.env');
+if (existsSync(envFile)) {
+  process.loadEnvFile(envFile);
+}
+
+const env = process.env;
+
+const toBool = (value, fallback = false) =>
+  value === undefined || value === '' ? fallback : ['1', 'true', 'yes'].includes(value.toLowerCase());
+
+const toInt = (value, fallback) => {
+  const n = Number.parseInt(value, 10);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+const argv = process.argv.slice(2);
+
+export const config = {
+  port: toInt(env.PORT, 8787),
+  host: env.HOST || '127.0.0.1',
+  // 프록시 서버가 외부에서 보이는 주소 (메모리 저장소의 presigned URL 생성에 사용)
+  publicUrl: (env.PUBLIC_URL || '').replace(/\/$/, ''),
+
+  // "s3" | "local" | "memory"  (--memory 플래그로도 지정 가능)
+  // 카메라 목록 파일에서 카메라마다 "s3" / "local" 을 따로 정할 수도 있다 (메모리 모드는 전체에만 적용).
+  storageDriver: argv.includes('--memory') ? 'memory' : env.STORAGE_DRIVER || 's3',
+
+  s3: {
+    region: env.AWS_REGION,
+    accessKeyId: env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+    bucket: env.AWS_BUCKET_NAME,
+    // MinIO 등 S3 호환 엔드포인트
+    endpoint: env.S3_ENDPOINT || undefined,
+    forcePathStyle: toBool(env.S3_FORCE_PATH_STYLE, Boolean(env.S3_ENDPOINT)),
+  },
+
+  cameras: {
+    // 카메라 목록 JSON (없으면 AWS_BUCKET_NAME 버킷 전체를 카메라 하나로 사용)
+    file: path.resolve(ROOT_DIR, env.CAMERAS_FILE || 'data/cameras.json'),
+    // 카메라 목록 파일이 없을 때 기본 카메라의 실시간 보기 주소 (ESP32-CAM 기본 펌웨어 기준)
+    streamUrl: env.CAMERA_STREAM_URL || undefined,
+    captureUrl: env.CAMERA_CAPTURE_URL || undefined,
+    // 실시간 보기 스냅샷 업로드 최대 크기
+    maxSnapshotBytes: toInt(env.MAX_SNAPSHOT_KB, 2048) * 1024,
+  },
+
+  local: {
+    // 로컬 폴더 저장소의 최상위 폴더 (NAS 공유 폴더 등). 카메라 prefix 는 하위 폴더가 된다.
+    dir: path.resolve(ROOT_DIR, env.LOCAL_STORAGE_DIR || 'data/captures'),
+    // presigned URL 서명용 비밀값 (미지정 시 프로세스마다 랜덤)
+    signingSecret: env.LOCAL_SIGNING_SECRET || undefined,
+    // 폴더를 감시해 새 캡처/삭제를 실시간으로 알림 (네트워크 드라이브에서 감시가 안 되면 false)
+    watch: toBool(env.LOCAL_STORAGE_WATCH, true),
+  },
+
+  memory: {
+    // 시작할 때 이 폴더의 jpg 파일을 메모리 저장소에 채워 넣음
+    seedDir: env.MEMORY_SEED_DIR || undefined,
+    // 메모리 저장소 presigned URL 서명용 비밀값 (미지정 시 프로세스마다 랜덤)
+    signingSecret: env.MEMORY_SIGNING_SECRET || undefined,
+    // seedDir 을 계속 감시해 새로 생긴 jpg 를 추가 (새 캡처 push 를 오프라인으로 시험)
+    watch: toBool(env.MEMORY_WATCH),
+  },
+
+  thumbnails: {
+    // 그리드 카드용 썸네일 가로 크기(px) / JPEG 품질 / 동시에 만드는 개수
+    width: toInt(env.THUMB_WIDTH, 320),
+    quality: toInt(env.THUMB_QUALITY, 70),
+    concurrency: toInt(env.THUMB_CONCURRENCY, 4),
+  },
+
+  alerts: {
+    // 웹훅 목록 / 조용한 시간 / 시간당 최대 횟수 (앱의 "알림" 탭에서 admin 이 변경)
+    settingsFile: path.resolve(ROOT_DIR, env.ALERT_SETTINGS_FILE || 'data/alert-settings.json'),
+    // 연속 촬영을 한 알림으로 묶는 시간
+    batchMs: toInt(env.ALERT_BATCH_SEC, 10) * 1000,
+  },
+
+  events: {
+    // S3/MinIO 이벤트 알림 웹훅(POST /api/events/s3) 토큰, 비우면 웹훅 끔
+    webhookToken: env.S3_EVENTS_TOKEN || undefined,
+    // SSE 연결 유지용 주석 줄 간격
+    heartbeatMs: toInt(env.EVENTS_HEARTBEAT_SEC, 25) * 1000,
+  },
+
+  auth: {
+    // 사용자 목록 (npm run user:add 로 생성, 비밀번호는 scrypt 해시로만 저장)
+    usersFile: path.resolve(ROOT_DIR, env.USERS_FILE || 'data/users.json'),
+    // JWT 서명 키 (미지정 시 프로세스마다 랜덤 → 재시작하면 모두 재로그인)
+    jwtSecret: env.JWT_SECRET || undefined,
+    tokenTtlSec: toInt(env.AUTH_TOKEN_TTL_SEC, 12 * 60 * 60),
+  },
+
+  audit: {
+    // 삭제 감사 로그 (JSON lines)
+    file: path.resolve(ROOT_DIR, env.AUDIT_LOG_FILE || 'data/audit-log.jsonl'),
+  },
+
+  trash: {
+    // false 면 휴지통 없이 바로 영구 삭제 (버전 관리가 없는 버킷용)
+    enabled: toBool(env.TRASH_ENABLED, true),
+    // 휴지통 보관 기간(일), 0 = 자동 비우기 끔. 앱에서 바꾸면 settingsFile 에 저장됨
+    autoPurgeDays: toInt(env.TRASH_AUTO_PURGE_DAYS, 30),
+    purgeIntervalMs: toInt(env.TRASH_PURGE_INTERVAL_MIN, 60) * 60 * 1000,
+    settingsFile: path.resolve(ROOT_DIR, env.TRASH_SETTINGS_FILE || 'data/trash-settings.json'),
+  },
+
+  retention: {
+    // 보관 규칙 (앱의 "보관 정책" 탭에서 admin 이 변경) / 실행 보고서 (JSON lines)
+    settingsFile: path.resolve(ROOT_DIR, env.RETENTION_SETTINGS_FILE || 'data/retention.json'),
+    reportsFile: path.resolve(ROOT_DIR, env.RETENTION_REPORTS_FILE || 'data/retention-reports.jsonl'),
+    // 정책이 켜져 있을 때 정리 주기
+    intervalMs: toInt(env.RETENTION_INTERVAL_MIN, 60) * 60 * 1000,
+  },
+
+  shares: {
+    // 공유 링크 목록 (앱의 "공유 링크" 탭에서 admin 이 만들고 취소)
+    file: path.resolve(ROOT_DIR, env.SHARES_FILE || 'data/shares.json'),
+  },
+
+  maxPresignExpiresSec: 7 * 24 * 60 * 60,
+  maxKeysPerRequest: 1000,
+};
@@ -0,0 +1,118 @@
+// 새 캡처 push 채널: 저장소 변경 알림을 모아 브라우저에 SSE(Server-Sent Events)로 보낸다.
+// 알림 출처
+//   - S3/MinIO 이벤트 알림 → POST /api/events/s3 (웹훅, SNS HTTP 구독도 지원)
+//   - 메모리 저장소의 변경 (MEMORY_WATCH 로 폴더에 새로 생긴 jpg 포함), 로컬 폴더 감시
+//   - 휴지통 복원 (S3 는 버킷이 알려 주지 않으므로 저장소의 restore 가 직접 알림)
+
+import { timingSafeEqual } from 'node:crypto';
+import { HttpError, readJson } from './http.js';
+import { parseS3EventRecords } from './storage/s3.js';
+
+// SNS 구독 확인 URL 은 이 호스트만 따라간다.
+const SNS_HOST_RE = /^sns\.[a-z0-9-]+\.amazonaws\.com(\.cn)?$/;
+
+/**
+ * @param {{ heartbeatMs: number }} options
+ * 이벤트: { type: 'created' | 'restored', key, etag, size, lastModified } | { type: 'removed', key } (key 는 앱 키)
+ * restored 는 휴지통에서 되돌린 캡처로, 목록에는 다시 넣되 새 캡처 알림(웹훅/데스크톱)은 보내지 않는다.
+ */
+export function createEventHub({ heartbeatMs }) {
+  const listeners = new Set();
+
+  const publish = (event) => {
+    for (const listener of listeners) listener(event);
+  };
+
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  // 응답을 SSE 스트림으로 열어 두고 연결이 끊길 때까지 이벤트를 흘려보낸다.
+  const stream = (req, res) =>
+    new Promise((resolve) => {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-store',
+        Connection: 'keep-alive',
+        // nginx 등 리버스 프록시가 버퍼링하지 않도록
+        'X-Accel-Buffering': 'no',
+      });
+      res.write(': connected\n\n');
+
+      const unsubscribe = subscribe((event) => res.write(`data: ${JSON.stringify(event)}\n\n`));
+      // 프록시/브라우저가 유휴 연결을 끊지 않도록 주석 줄을 주기적으로 보냄
+      const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        resolve();
+      });
+    });
+
+  return { publish, subscribe, stream };
+}
+
+const sameToken = (actual, expected) => {
+  const a = Buffer.from(actual || '');
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+};
+
+// MinIO 웹훅은 Authorization 헤더(auth_token), SNS 는 헤더를 못 붙이므로 ?token= 으로 받는다.
+const assertWebhookToken = (req, url, expected) => {
+  const header = req.headers.authorization || '';
+  const token = url.searchParams.get('token') || (header.startsWith('Bearer ') ? header.slice(7) : header);
+  if (!sameToken(token, expected)) throw new HttpError(401, '이벤트 알림 토큰이 올바르지 않습니다.');
+};
+
+const confirmSnsSubscription = async (subscribeUrl) => {
+  let target;
+  try {
+    target = new URL(subscribeUrl);
+  } catch {
+    throw new HttpError(400, 'SNS 구독 확인 주소가 올바르지 않습니다.');
+  }
+  if (target.protocol !== 'https:' || !SNS_HOST_RE.test(target.hostname)) {
+    throw new HttpError(400, 'SNS 구독 확인 주소가 올바르지 않습니다.');
+  }
+  const response = await fetch(target);
+  if (!response.ok) throw new Error(`SNS 구독 확인 실패 (${response.status})`);
+};
+
+export function registerEventRoutes(router, { hub, storage, auth, config }) {
+  router.get('/api/events', auth.guard('viewer', async ({ req, res }) => hub.stream(req, res)));
+
+  // S3(SNS 경유) / MinIO 버킷 이벤트 알림 수신. 토큰을 설정하지 않으면 꺼져 있음
+  router.post('/api/events/s3', async ({ req, url }) => {
+    const { webhookToken } = config.events;
+    if (!webhookToken) throw new HttpError(404, '존재하지 않는 경로입니다.');
+    assertWebhookToken(req, url, webhookToken);
+
+    const body = await readJson(req);
+    if (body.Type === 'SubscriptionConfirmation') {
+      await confirmSnsSubscription(body.SubscribeURL);
+      return { ok: true };
+    }
+
+    let records = body.Records;
+    if (body.Type === 'Notification') {
+      try {
+        records = JSON.parse(body.Message).Records;
+      } catch {
+        throw new HttpError(400, 'SNS 메시지 형식이 올바르지 않습니다.');
+      }
+    }
+
+    // 어느 카메라에도 속하지 않는 키(다른 prefix 의 파일 등)는 버림
+    let published = 0;
+    for (const { bucket, ...change } of parseS3EventRecords(records)) {
+      const key = storage.appKeyFor({ bucket, key: change.key });
+      if (!key) continue;
+      hub.publish({ ...change, key });
+      published += 1;
+    }
+    return { ok: true, published };
+  });
+}
@@ -0,0 +1,124 @@
+// 최소한의 HTTP 유틸 (프레임워크 없이 node:http 위에서 동작)
+
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+export const sendJson = (res, status, body) => {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    'Cache-Control': 'no-store',
+  });
+  res.end(payload);
+};
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+
+export const readBody = async (req, limit = MAX_BODY_BYTES) => {
+  const chunks = [];
+  let total = 0;
+  for await (const chunk of req) {
+    total += chunk.length;
+    if (total > limit) throw new HttpError(413, '요청 본문이 너무 큽니다.');
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+export const readJson = async (req) => {
+  const raw = await readBody(req);
+  if (!raw.length) return {};
+  try {
+    return JSON.parse(raw.toString('utf8'));
+  } catch {
+    throw new HttpError(400, 'JSON 형식이 올바르지 않습니다.');
+  }
+};
+
+// "/api/images/:id" 또는 "/api/raw/*" 형태의 경로 패턴을 정규식으로 변환
+const compilePattern = (pattern) => {
+  const names = [];
+  const source = pattern
+    .split('/')
+    .map((part) => {
+      if (part === '*') {
+        names.push('rest');
+        return '(.*)';
+      }
+      if (part.startsWith(':')) {
+        names.push(part.slice(1));
+        return '([^/]+)';
+      }
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  return { regex: new RegExp(`^${source}$`), names };
+};
+
+// 잘못된 %-인코딩(예: "%E0%A4%A")은 서버 오류가 아니라 잘못된 요청
+const decodePathPart = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    throw new HttpError(400, '경로의 인코딩이 올바르지 않습니다.');
+  }
+};
+
+export function createRouter() {
+  const routes = [];
+
+  const add = (method, pattern, handler) => {
+    routes.push({ method, handler, ...compilePattern(pattern) });
+  };
+
+  const handle = async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    let pathMatched = false;
+
+    try {
+      for (const route of routes) {
+        const match = route.regex.exec(url.pathname);
+        if (!match) continue;
+        pathMatched = true;
+        if (route.method !== req.method) continue;
+
+        const params = Object.fromEntries(
+          route.names.map((name, i) => [name, decodePathPart(match[i + 1])])
+        );
+        const result = await route.handler({ req, res, url, params });
+        // 핸들러가 직접 응답을 쓴 경우(파일 스트리밍 등)는 그대로 둠
+        if (!res.headersSent) sendJson(res, 200, result ?? { ok: true });
+        return;
+      }
+
+      throw pathMatched
+        ? new HttpError(405, '허용되지 않는 메서드입니다.')
+        : new HttpError(404, '존재하지 않는 경로입니다.');
+    } catch (err) {
+      if (res.headersSent) {
+        res.destroy(err);
+        return;
+      }
+      if (err instanceof HttpError) {
+        sendJson(res, err.status, { error: err.message });
+        return;
+      }
+      console.error(`[server] ${req.method} ${url.pathname} 처리 실패:`, err);
+      sendJson(res, 500, { error: '서버 내부 오류가 발생했습니다.' });
+    }
+  };
+
+  return {
+    get: (pattern, handler) => add('GET', pattern, handler),
+    post: (pattern, handler) => add('POST', pattern, handler),
+    put: (pattern, handler) => add('PUT', pattern, handler),
+    delete: (pattern, handler) => add('DELETE', pattern, handler),
+    handle,
+  };
+}
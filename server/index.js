@@ -0,0 +1,137 @@
+// 백엔드 프록시 서버 진입점
+//   npm run server          → .env 의 AWS 설정으로 S3 에 연결
+//   npm run server:memory   → 인메모리 저장소로 오프라인 실행
+//   STORAGE_DRIVER=local     → LOCAL_STORAGE_DIR 폴더(NAS 등)를 저장소로 사용
+
+import { createServer } from 'node:http';
+import { config } from './config.js';
+import { createApp } from './app.js';
+import { createAuditLog } from './audit.js';
+import { createTrash, startTrashAutoPurge } from './trash.js';
+import { createEventHub } from './events.js';
+import { createAlerts } from './alerts.js';
+import { createThumbnailer } from './thumbnails.js';
+import { createCaptureMeta } from './captureMeta.js';
+import { createRetention, startRetentionSchedule } from './retention.js';
+import { createShares } from './shares.js';
+import { createS3Storage } from './storage/s3.js';
+import { createMemoryStorage } from './storage/memory.js';
+import { createLocalStorage } from './storage/local.js';
+import { createCameraStorage, loadCameras } from './storage/cameras.js';
+
+// 카메라마다 실제 저장소를 정하고 하나로 묶는다.
+// 메모리 모드는 저장소 하나를 prefix 로 나눠 쓴다. 그 밖에는 카메라의 driver 에 따라
+// 로컬 폴더 저장소(하나를 prefix 하위 폴더로 나눠 씀) 또는 S3 호환 저장소를 쓰고,
+// S3 는 (엔드포인트, 리전, 버킷, 자격 증명) 이 같으면 클라이언트를 공유한다.
+const createBackendFactory = async () => {
+  if (config.storageDriver === 'memory') {
+    const storage = createMemoryStorage({
+      publicUrl: config.publicUrl,
+      signingSecret: config.memory.signingSecret,
+    });
+    if (config.memory.seedDir) {
+      const count = await storage.seedFromDir(config.memory.seedDir);
+      console.log(`[server] 메모리 저장소에 ${count}개 이미지 로드 (${config.memory.seedDir})`);
+      if (config.memory.watch) {
+        storage.watchDir(config.memory.seedDir);
+        console.log(`[server] ${config.memory.seedDir} 의 새 jpg 를 감시합니다.`);
+      }
+    }
+    return () => storage;
+  }
+
+  let local = null;
+  const clients = new Map();
+  return (camera) => {
+    if (camera.driver === 'local') {
+      local ||= createLocalStorage({
+        rootDir: config.local.dir,
+        publicUrl: config.publicUrl,
+        signingSecret: config.local.signingSecret,
+        watch: config.local.watch,
+      });
+      return local;
+    }
+
+    const { bucket, region, credentialsEnv } = camera;
+    const endpoint = camera.endpoint || config.s3.endpoint;
+    const credentials = credentialsEnv
+      ? {
+          accessKeyId: process.env[`${credentialsEnv}_ACCESS_KEY_ID`],
+          secretAccessKey: process.env[`${credentialsEnv}_SECRET_ACCESS_KEY`],
+        }
+      : { accessKeyId: config.s3.accessKeyId, secretAccessKey: config.s3.secretAccessKey };
+    if (credentialsEnv && (!credentials.accessKeyId || !credentials.secretAccessKey)) {
+      throw new Error(`카메라(${camera.id})의 ${credentialsEnv}_ACCESS_KEY_ID / ${credentialsEnv}_SECRET_ACCESS_KEY 가 없습니다.`);
+    }
+    const id = [endpoint, region, bucket, credentials.accessKeyId].join('|');
+    if (!clients.has(id)) {
+      clients.set(
+        id,
+        createS3Storage({
+          ...config.s3,
+          ...credentials,
+          bucket,
+          region,
+          endpoint,
+          // 엔드포인트를 따로 준 카메라(MinIO 등)는 기본이 path-style
+          forcePathStyle: camera.forcePathStyle ?? (camera.endpoint ? true : config.s3.forcePathStyle),
+        })
+      );
+    }
+    return clients.get(id);
+  };
+};
+
+const cameras = await loadCameras(config.cameras.file, {
+  id: 'main',
+  name: '기본 카메라',
+  driver: config.storageDriver === 'local' ? 'local' : 's3',
+  bucket: config.s3.bucket,
+  region: config.s3.region,
+  streamUrl: config.cameras.streamUrl,
+  captureUrl: config.cameras.captureUrl,
+});
+const storage = createCameraStorage({ cameras, backendFor: await createBackendFactory() });
+console.log(`[server] 카메라 ${cameras.length}대: ${cameras.map((c) => c.id).join(', ')}`);
+
+// 새 캡처 push: 저장소 자체의 변경 알림(메모리/로컬 폴더, S3 휴지통 복원) + S3 이벤트 알림 웹훅이 같은 허브로 모인다.
+// 썸네일/메타데이터 사이드카가 만들어질 때 나는 알림은 캡처가 아니므로 저장소(storage/cameras.js)가 버린다.
+const events = createEventHub(config.events);
+storage.subscribe(events.publish);
+
+const thumbnails = createThumbnailer({ storage, config });
+events.subscribe(thumbnails.handleEvent);
+
+const captureMeta = createCaptureMeta({ storage });
+
+const alerts = createAlerts({ storage, config });
+await alerts.loadSettings();
+events.subscribe(alerts.handleEvent);
+
+const audit = createAuditLog(config.audit);
+const trash = createTrash({ storage, config });
+await trash.loadSettings();
+
+if (config.trash.enabled) {
+  if (await storage.supportsTrash().catch(() => false)) {
+    startTrashAutoPurge({ trash, storage, thumbnails, captureMeta, audit, intervalMs: config.trash.purgeIntervalMs });
+  } else {
+    console.warn('[trash] 버킷 버전 관리가 꺼져 있어 삭제 요청이 거부됩니다. (TRASH_ENABLED=false 로 영구 삭제 허용)');
+  }
+}
+
+const retention = createRetention({ storage, captureMeta, thumbnails, trash, audit, config });
+await retention.loadSettings();
+startRetentionSchedule({ retention, intervalMs: config.retention.intervalMs });
+
+const shares = createShares({ storage, config });
+await shares.load();
+
+const server = createServer(
+  createApp({ storage, config, audit, trash, events, alerts, thumbnails, captureMeta, retention, shares })
+);
+
+server.listen(config.port, config.host, () => {
+  console.log(`[server] http://${config.host}:${config.port} (storage: ${storage.name})`);
+});
@@ -0,0 +1,302 @@
+// 보관 정책: 규칙에 맞지 않는 오래된 캡처를 서버가 주기적으로 휴지통으로 옮긴다 (브라우저 탭이 없어도 동작).
+// 규칙은 카메라별 또는 전체("all")이며 카메라별 규칙이 우선한다.
+//   maxAgeDays  이 기간보다 오래된 캡처 삭제
+//   keepNewest  카메라마다 최신 N장만 남김
+// 둘 다 지정하면 어느 한쪽이라도 넘는 캡처를 지운다. 별표한 캡처는 항상, 보존 표시한 캡처는 keepFlagged 이면 지우지 않는다.
+// 캡처의 썸네일과 메타데이터 사이드카도 함께 휴지통으로 옮기며, 확보 용량(deleteBytes / freedBytes)에 썸네일 용량도 더한다.
+// 실행할 때마다 결과를 보고서 파일(JSON lines)에 남기고, 삭제는 감사 로그에도 기록한다.
+
+import { randomUUID } from 'node:crypto';
+import { appendFile, mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { HttpError, readJson } from './http.js';
+import { isCaptureKey } from './storage/cameras.js';
+import { SYSTEM_USER } from './trash.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RULES = 50;
+const MAX_AGE_DAYS = 3650;
+const MAX_KEEP_NEWEST = 1000000;
+// 미리보기에 카메라마다 보여 주는 삭제 대상 수 (오래된 것부터)
+const PREVIEW_SAMPLE_SIZE = 50;
+// 보고서에 카메라마다 남기는 실패 항목 수
+const REPORT_ERROR_SAMPLE_SIZE = 20;
+const DEFAULT_REPORT_LIMIT = 20;
+
+const DEFAULT_SETTINGS = { enabled: false, keepFlagged: true, rules: [] };
+
+const requireInt = (value, name, max) => {
+  const n = Number(value ?? 0);
+  if (!Number.isInteger(n) || n < 0 || n > max) {
+    throw new HttpError(400, `${name} 는 0~${max} 사이의 정수여야 합니다. (0 = 제한 없음)`);
+  }
+  return n;
+};
+
+const requireSettings = (body, cameraIds) => {
+  if (!Array.isArray(body.rules) || body.rules.length > MAX_RULES) {
+    throw new HttpError(400, `rules 는 최대 ${MAX_RULES}개의 배열이어야 합니다.`);
+  }
+  const seen = new Set();
+  const rules = body.rules.map((rule) => {
+    const camera = rule?.camera;
+    if (camera !== 'all' && !cameraIds.includes(camera)) {
+      throw new HttpError(400, `알 수 없는 카메라입니다: ${JSON.stringify(camera)}`);
+    }
+    if (seen.has(camera)) throw new HttpError(400, `카메라마다 규칙은 하나만 둘 수 있습니다: ${camera}`);
+    seen.add(camera);
+    const maxAgeDays = requireInt(rule.maxAgeDays, 'maxAgeDays', MAX_AGE_DAYS);
+    const keepNewest = requireInt(rule.keepNewest, 'keepNewest', MAX_KEEP_NEWEST);
+    if (!maxAgeDays && !keepNewest) {
+      throw new HttpError(400, `규칙(${camera})에 maxAgeDays 또는 keepNewest 중 하나는 있어야 합니다.`);
+    }
+    return { camera, maxAgeDays, keepNewest };
+  });
+  return { enabled: body.enabled === true, keepFlagged: body.keepFlagged !== false, rules };
+};
+
+const ruleFor = (rules, cameraId) =>
+  rules.find((rule) => rule.camera === cameraId) || rules.find((rule) => rule.camera === 'all') || null;
+
+const sumBytes = (captures) => captures.reduce((sum, c) => sum + c.size, 0);
+
+export function createRetention({ storage, captureMeta, thumbnails, trash, audit, config }) {
+  const { settingsFile, reportsFile } = config.retention;
+  const cameraIds = storage.cameras.map((camera) => camera.id);
+  let settings = { ...DEFAULT_SETTINGS };
+  let running = false;
+  // 보고서 파일 쓰기 순서 보장 (감사 로그와 같은 방식)
+  let writeQueue = mkdir(path.dirname(reportsFile), { recursive: true });
+
+  const loadSettings = async () => {
+    try {
+      settings = { ...settings, ...JSON.parse(await readFile(settingsFile, 'utf8')) };
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    return settings;
+  };
+
+  const saveSettings = async (body) => {
+    settings = requireSettings(body, cameraIds);
+    await mkdir(path.dirname(settingsFile), { recursive: true });
+    await writeFile(settingsFile, JSON.stringify(settings, null, 2) + '\n', 'utf8');
+    return settings;
+  };
+
+  // 카메라의 캡처 전체 (최신순): [{ key, size, lastModified(ms) }]
+  const listCaptures = async (cameraId) => {
+    const captures = [];
+    let continuationToken;
+    do {
+      const page = await storage.list({ prefix: `${cameraId}/`, continuationToken });
+      for (const item of page.items) {
+        if (!isCaptureKey(item.Key)) continue;
+        captures.push({ key: item.Key, size: item.Size, lastModified: new Date(item.LastModified).getTime() });
+      }
+      continuationToken = page.nextContinuationToken;
+    } while (continuationToken);
+    return captures.sort((a, b) => b.lastModified - a.lastModified);
+  };
+
+  // 규칙이 있는 카메라마다 지울 캡처를 계산한다 (지우지는 않음). targets 는 오래된 것부터
+  const plan = async (target = settings) => {
+    const now = Date.now();
+    const cameras = [];
+    for (const camera of storage.cameras) {
+      const rule = ruleFor(target.rules, camera.id);
+      if (!rule) continue;
+      const captures = await listCaptures(camera.id);
+      const kept = await captureMeta.keptKeys(camera.id, { flagged: target.keepFlagged });
+      const cutoff = rule.maxAgeDays ? now - rule.maxAgeDays * DAY_MS : null;
+      const targets = [];
+      let keptFlagged = 0;
+      captures.forEach((capture, index) => {
+        const expired =
+          (rule.keepNewest && index >= rule.keepNewest) || (cutoff !== null && capture.lastModified < cutoff);
+        if (!expired) return;
+        if (kept.has(capture.key)) keptFlagged += 1;
+        else targets.push(capture);
+      });
+      targets.reverse();
+      cameras.push({ id: camera.id, name: camera.name, rule, total: captures.length, keptFlagged, targets });
+    }
+    return cameras;
+  };
+
+  // dry-run: 지울 캡처 수 / 확보될 용량 / 카메라별 일부 목록
+  const preview = async (body) => {
+    const target = body?.rules ? requireSettings(body, cameraIds) : settings;
+    const cameras = await Promise.all(
+      (await plan(target)).map(async ({ targets, ...camera }) => ({
+        ...camera,
+        deleteCount: targets.length,
+        deleteBytes: sumBytes(targets) + (await thumbnails.bytesOf(targets.map((c) => c.key))),
+        samples: targets.slice(0, PREVIEW_SAMPLE_SIZE).map(({ key, size, lastModified }) => ({
+          key,
+          size,
+          lastModified: new Date(lastModified).toISOString(),
+        })),
+      }))
+    );
+    return {
+      generatedAt: new Date().toISOString(),
+      settings: target,
+      cameras,
+      deleteCount: cameras.reduce((sum, c) => sum + c.deleteCount, 0),
+      deleteBytes: cameras.reduce((sum, c) => sum + c.deleteBytes, 0),
+    };
+  };
+
+  const appendReport = (report) => {
+    writeQueue = writeQueue
+      .then(() => appendFile(reportsFile, JSON.stringify(report) + '\n', 'utf8'))
+      .catch((err) => console.error('[retention] 보고서 기록 실패:', err));
+    return writeQueue;
+  };
+
+  /**
+   * 규칙대로 캡처를 휴지통으로 옮기고 보고서를 남긴다. 실패해도 보고서(error)는 남는다.
+   * @param {{ trigger: 'schedule' | 'manual', user: { username: string, role: string } }} options
+   */
+  const run = async ({ trigger, user }) => {
+    if (running) throw new HttpError(409, '보관 정책 정리가 이미 진행 중입니다.');
+    running = true;
+    const startedAt = Date.now();
+    const report = {
+      id: randomUUID(),
+      at: new Date(startedAt).toISOString(),
+      trigger,
+      username: user.username,
+      settings,
+      cameras: [],
+      deleted: 0,
+      failed: 0,
+      freedBytes: 0,
+    };
+
+    try {
+      await trash.assertSoftDelete();
+      for (const { targets, ...camera } of await plan()) {
+        const sizes = new Map(targets.map((c) => [c.key, c.size]));
+        const deleted = [];
+        const errors = [];
+        let thumbnailBytes = 0;
+        for (let i = 0; i < targets.length; i += config.maxKeysPerRequest) {
+          const keys = targets.slice(i, i + config.maxKeysPerRequest).map((c) => c.key);
+          let result;
+          try {
+            result = await storage.bulkRemove(keys);
+          } catch (err) {
+            result = { deleted: [], errors: keys.map((key) => ({ key, message: err.message })) };
+          }
+          deleted.push(...result.deleted);
+          errors.push(...result.errors);
+          thumbnailBytes += await thumbnails.remove(result.deleted);
+          await captureMeta.remove(result.deleted);
+          await audit.record({ user, action: 'retention', keys, failedKeys: result.errors.map((e) => e.key) });
+        }
+        const freedBytes = deleted.reduce((sum, key) => sum + (sizes.get(key) || 0), thumbnailBytes);
+        report.cameras.push({
+          ...camera,
+          deleteCount: targets.length,
+          deleted: deleted.length,
+          failed: errors.length,
+          freedBytes,
+          errors: errors.slice(0, REPORT_ERROR_SAMPLE_SIZE),
+        });
+        report.deleted += deleted.length;
+        report.failed += errors.length;
+        report.freedBytes += freedBytes;
+      }
+    } catch (err) {
+      report.error = err.message;
+    } finally {
+      running = false;
+    }
+
+    report.durationMs = Date.now() - startedAt;
+    await appendReport(report);
+    return report;
+  };
+
+  // 최근 보고서 (최신순)
+  const reports = async (limit = DEFAULT_REPORT_LIMIT) => {
+    await writeQueue;
+    let raw;
+    try {
+      raw = await readFile(reportsFile, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    return raw
+      .split('\n')
+      .filter(Boolean)
+      .slice(-limit)
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .reverse();
+  };
+
+  return {
+    loadSettings,
+    saveSettings,
+    getSettings: () => settings,
+    isRunning: () => running,
+    preview,
+    run,
+    reports,
+  };
+}
+
+// 정책이 켜져 있으면 주기적으로 정리 (진행 중이면 이번 차례는 건너뜀)
+export function startRetentionSchedule({ retention, intervalMs }) {
+  const tick = async () => {
+    if (!retention.getSettings().enabled || retention.isRunning()) return;
+    try {
+      const report = await retention.run({ trigger: 'schedule', user: SYSTEM_USER });
+      if (report.error) console.error('[retention] 정리 실패:', report.error);
+      else console.log(`[retention] 정리: ${report.deleted}개 휴지통으로, ${report.failed}개 실패`);
+    } catch (err) {
+      console.error('[retention] 정리 실패:', err);
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+export function registerRetentionRoutes(router, { retention, auth }) {
+  router.get(
+    '/api/retention',
+    auth.guard('admin', async () => ({
+      settings: retention.getSettings(),
+      running: retention.isRunning(),
+      reports: await retention.reports(),
+    }))
+  );
+
+  router.put(
+    '/api/retention',
+    auth.guard('admin', async ({ req }) => retention.saveSettings(await readJson(req)))
+  );
+
+  // 본문에 rules 가 있으면 저장하지 않은 규칙으로 미리보기
+  router.post(
+    '/api/retention/preview',
+    auth.guard('admin', async ({ req }) => retention.preview(await readJson(req)))
+  );
+
+  router.post(
+    '/api/retention/run',
+    auth.guard('admin', async ({ user }) => retention.run({ trigger: 'manual', user }))
+  );
+}
@@ -0,0 +1,47 @@
+// 카메라 목록 / 실시간 보기 스냅샷 업로드 API
+// 버킷/prefix 등 저장소 설정은 노출하지 않고 id, 이름, LAN 스트림 주소만 돌려준다.
+
+import { HttpError, readBody } from '../http.js';
+
+const JPEG_MAGIC = Buffer.from([0xff, 0xd8, 0xff]);
+
+// 카메라 안에서의 상대 키 (예: "2025/12/23/14-00-01-snapshot.jpg")
+const requireSnapshotName = (name) => {
+  if (
+    typeof name !== 'string' ||
+    !/\.jpe?g$/i.test(name) ||
+    name.startsWith('/') ||
+    name.split('/').some((part) => !part || part === '.' || part === '..')
+  ) {
+    throw new HttpError(400, 'name 은 카메라 안의 상대 경로(.jpg)여야 합니다.');
+  }
+  return name;
+};
+
+export function registerCameraRoutes(router, { storage, auth, audit, config }) {
+  router.get('/api/cameras', auth.guard('viewer', async () => ({ cameras: storage.cameras })));
+
+  // 실시간 보기에서 브라우저가 받은 /capture 프레임을 카메라와 같은 키 레이아웃으로 저장
+  // 기존 캡처를 덮어쓰지 않도록 같은 키가 있으면 409
+  router.post('/api/cameras/:id/snapshot', auth.guard('admin', async ({ req, url, params, user }) => {
+    if (!storage.cameras.some((camera) => camera.id === params.id)) {
+      throw new HttpError(404, '존재하지 않는 카메라입니다.');
+    }
+    const key = `${params.id}/${requireSnapshotName(url.searchParams.get('name'))}`;
+    const body = await readBody(req, config.cameras.maxSnapshotBytes);
+    if (!body.subarray(0, JPEG_MAGIC.length).equals(JPEG_MAGIC)) {
+      throw new HttpError(400, 'JPEG 이미지가 아닙니다.');
+    }
+
+    let created;
+    try {
+      created = await storage.putIfAbsent(key, body, { contentType: 'image/jpeg' });
+    } catch (err) {
+      await audit.record({ user, action: 'snapshot', keys: [key], failedKeys: [key], error: err.message });
+      throw err;
+    }
+    if (!created) throw new HttpError(409, '같은 이름의 캡처가 이미 있습니다. 잠시 후 다시 시도하세요.');
+    await audit.record({ user, action: 'snapshot', keys: [key] });
+    return { key, size: body.length };
+  }));
+}
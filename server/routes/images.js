@@ -0,0 +1,108 @@
+// 캡처 이미지 목록 / presign / 삭제 API
+
+import { HttpError, readJson } from '../http.js';
+import { isCaptureKey } from '../storage/cameras.js';
+
+const DEFAULT_PRESIGN_EXPIRES_SEC = 3600;
+
+// 일괄 삭제 요청이 감사 로그에 남길 수 있는 작업 이름
+const BULK_DELETE_ACTIONS = ['bulk-delete', 'delete-all', 'delete-event'];
+
+export const requireKey = (key) => {
+  if (typeof key !== 'string' || !key) {
+    throw new HttpError(400, 'key 가 필요합니다.');
+  }
+  return key;
+};
+
+// presigned URL 유효 기간: 60초 ~ config.maxPresignExpiresSec
+export const presignExpiresIn = (value, config) =>
+  Math.min(Math.max(Number(value) || DEFAULT_PRESIGN_EXPIRES_SEC, 60), config.maxPresignExpiresSec);
+
+// 별표한 캡처(증거)는 override: true 를 보낸 경우에만 지운다 (앱은 사용자가 확인했을 때만 보냄).
+const assertNotStarred = async (captureMeta, keys, override) => {
+  if (override === true) return;
+  const starred = await captureMeta.starredAmong(keys);
+  if (starred.length) {
+    throw new HttpError(409, `별표한 캡처 ${starred.length}장이 포함되어 있습니다. 지우려면 override: true 를 보내세요.`);
+  }
+};
+
+export const requireKeys = (keys, max) => {
+  if (!Array.isArray(keys) || !keys.length || keys.some((k) => typeof k !== 'string' || !k)) {
+    throw new HttpError(400, 'keys 는 비어 있지 않은 문자열 배열이어야 합니다.');
+  }
+  if (keys.length > max) {
+    throw new HttpError(400, `한 번에 최대 ${max}개까지 처리할 수 있습니다.`);
+  }
+  return [...new Set(keys)];
+};
+
+// 조회는 viewer 이상, 삭제는 admin 만 (삭제는 성공/실패 모두 감사 로그에 기록)
+// 삭제는 휴지통 이동이며(썸네일, 메타데이터 사이드카도 함께), 휴지통을 쓸 수 없는 저장소면 거부한다.
+export function registerImageRoutes(router, { storage, config, auth, audit, trash, thumbnails, captureMeta }) {
+  router.get('/api/images', auth.guard('viewer', async ({ url }) => {
+    const q = url.searchParams;
+    const maxKeys = Number.parseInt(q.get('maxKeys') || '', 10);
+    return storage.list({
+      prefix: q.get('prefix') || undefined,
+      startAfter: q.get('startAfter') || undefined,
+      continuationToken: q.get('continuationToken') || undefined,
+      maxKeys: Number.isFinite(maxKeys) ? maxKeys : undefined,
+    });
+  }));
+
+  // 캡처 원본만 발급: 썸네일은 /api/images/thumbnails 로, 메타데이터 사이드카는 /api/meta 로만 접근한다.
+  router.post('/api/images/presign', auth.guard('viewer', async ({ req }) => {
+    const body = await readJson(req);
+    const keys = requireKeys(body.keys, config.maxKeysPerRequest);
+    const invalid = keys.find((key) => !isCaptureKey(key));
+    if (invalid) throw new HttpError(400, `캡처 이미지 키가 아닙니다: ${invalid}`);
+    const expiresIn = presignExpiresIn(body.expiresIn, config);
+    const entries = await Promise.all(
+      keys.map(async (key) => [key, await storage.presign(key, expiresIn)])
+    );
+    return { expiresIn, urls: Object.fromEntries(entries) };
+  }));
+
+  router.delete('/api/images', auth.guard('admin', async ({ req, url, user }) => {
+    const key = requireKey(url.searchParams.get('key'));
+    const body = await readJson(req);
+    await assertNotStarred(captureMeta, [key], body.override);
+    await trash.assertSoftDelete();
+    try {
+      await storage.remove(key);
+    } catch (err) {
+      await audit.record({ user, action: 'delete', keys: [key], failedKeys: [key], error: err.message });
+      throw err;
+    }
+    await thumbnails.remove([key]);
+    await captureMeta.remove([key]);
+    await audit.record({ user, action: 'delete', keys: [key] });
+    return { deleted: key };
+  }));
+
+  router.post('/api/images/bulk-delete', auth.guard('admin', async ({ req, user }) => {
+    const body = await readJson(req);
+    const keys = requireKeys(body.keys, config.maxKeysPerRequest);
+    const action = BULK_DELETE_ACTIONS.includes(body.action) ? body.action : 'bulk-delete';
+    await assertNotStarred(captureMeta, keys, body.override);
+    await trash.assertSoftDelete();
+    let result;
+    try {
+      result = await storage.bulkRemove(keys);
+    } catch (err) {
+      await audit.record({ user, action, keys, failedKeys: keys, error: err.message });
+      throw err;
+    }
+    await thumbnails.remove(result.deleted);
+    await captureMeta.remove(result.deleted);
+    await audit.record({
+      user,
+      action,
+      keys,
+      failedKeys: result.errors.map((e) => e.key),
+    });
+    return result;
+  }));
+}
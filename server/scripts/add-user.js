@@ -0,0 +1,33 @@
+// 사용자 추가/비밀번호 변경
+//   npm run user:add -- <username> <viewer|admin>
+// 비밀번호는 터미널에서 입력받아 scrypt 해시로만 저장한다.
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { createInterface } from 'node:readline/promises';
+import { config } from '../config.js';
+import { hashPassword, readUsersFile, ROLES } from '../auth.js';
+
+const [username, role = 'viewer'] = process.argv.slice(2);
+
+if (!username || !ROLES[role]) {
+  console.error(`사용법: npm run user:add -- <username> <${Object.keys(ROLES).join('|')}>`);
+  process.exit(1);
+}
+
+const rl = createInterface({ input: process.stdin, output: process.stdout });
+const password = await rl.question(`${username} 비밀번호: `);
+rl.close();
+
+if (password.length < 8) {
+  console.error('비밀번호는 8자 이상이어야 합니다.');
+  process.exit(1);
+}
+
+const file = config.auth.usersFile;
+const users = (await readUsersFile(file)).filter((u) => u.username !== username);
+users.push({ username, role, passwordHash: await hashPassword(password) });
+
+await mkdir(path.dirname(file), { recursive: true });
+await writeFile(file, JSON.stringify({ users }, null, 2) + '\n', { mode: 0o600 });
+console.log(`${username} (${role}) 저장 완료 → ${file}`);
@@ -0,0 +1,65 @@
+// 가짜 ESP32-CAM (실시간 보기 테스트용)
+//   npm run camera:fake -- <jpg 폴더> [port]
+// 기본 펌웨어(CameraWebServer)처럼 MJPEG /stream 과 단일 프레임 /capture 를 제공하고,
+// 폴더의 jpg 를 순서대로 돌려가며 프레임으로 보낸다.
+
+import { createServer } from 'node:http';
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { config } from '../config.js';
+
+const BOUNDARY = '123456789000000000000987654321';
+const FPS = 5;
+
+const dir = process.argv[2] || config.memory.seedDir;
+const port = Number(process.argv[3]) || 8081;
+
+if (!dir) {
+  console.error('사용법: npm run camera:fake -- <jpg 폴더> [port]');
+  process.exit(1);
+}
+
+const names = (await readdir(dir)).filter((name) => /\.jpe?g$/i.test(name)).sort();
+if (!names.length) {
+  console.error(`${dir} 에 jpg 파일이 없습니다.`);
+  process.exit(1);
+}
+const frames = await Promise.all(names.map((name) => readFile(path.join(dir, name))));
+
+// 스트림과 /capture 가 같은 "현재 프레임"을 보도록 시간으로 프레임 선택
+const currentFrame = () => frames[Math.floor((Date.now() * FPS) / 1000) % frames.length];
+
+const server = createServer((req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  // 펌웨어와 마찬가지로 모든 origin 허용 (브라우저가 /capture 를 fetch 할 수 있게)
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  if (pathname === '/capture') {
+    const frame = currentFrame();
+    res.writeHead(200, { 'Content-Type': 'image/jpeg', 'Content-Length': frame.length });
+    res.end(frame);
+    return;
+  }
+
+  if (pathname === '/stream') {
+    res.writeHead(200, { 'Content-Type': `multipart/x-mixed-replace;boundary=${BOUNDARY}` });
+    const send = () => {
+      const frame = currentFrame();
+      res.write(`\r\n--${BOUNDARY}\r\nContent-Type: image/jpeg\r\nContent-Length: ${frame.length}\r\n\r\n`);
+      res.write(frame);
+    };
+    send();
+    const timer = setInterval(send, 1000 / FPS);
+    req.on('close', () => clearInterval(timer));
+    return;
+  }
+
+  res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end('GET /stream 또는 /capture');
+});
+
+server.listen(port, () => {
+  console.log(`[fake-camera] ${frames.length}개 프레임, ${FPS}fps`);
+  console.log(`  stream:  http://127.0.0.1:${port}/stream`);
+  console.log(`  capture: http://127.0.0.1:${port}/capture`);
+});
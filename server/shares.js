@@ -0,0 +1,199 @@
+// 공유 링크: 캡처 몇 장(또는 이벤트 하나)을 로그인 없이 볼 수 있는 읽기 전용 링크로 내보낸다.
+// 링크는 추측할 수 없는 토큰이고, 목록은 JSON 파일 하나에 둔다 (만료된 링크는 저장할 때 지움).
+// 이미지는 presigned URL 대신 이 서버를 거쳐 보내므로 링크를 취소하거나 만료되면 바로 볼 수 없게 된다.
+
+import { randomBytes } from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { HttpError, readJson } from './http.js';
+import { requireKeys } from './routes/images.js';
+
+const HOUR_SEC = 60 * 60;
+// 공유 기간: 1시간 ~ 7일
+const MIN_EXPIRES_SEC = HOUR_SEC;
+const MAX_EXPIRES_SEC = 7 * 24 * HOUR_SEC;
+// 링크 하나에 담을 수 있는 캡처 수 (만들 때 캡처마다 목록 조회를 한 번씩 한다)
+const MAX_SHARE_KEYS = 200;
+const MAX_TITLE_LENGTH = 100;
+// 링크를 만들 때 캡처 확인 요청을 동시에 보내는 수
+const LOOKUP_CONCURRENCY = 8;
+const TOKEN_RE = /^[A-Za-z0-9_-]{32}$/;
+
+const isActive = (share, now = Date.now()) => new Date(share.expiresAt).getTime() > now;
+
+// 관리 화면용 요약 (캡처 키 목록은 개수만)
+const summarize = ({ id, title, createdBy, createdAt, expiresAt, items }) => ({
+  id,
+  title,
+  createdBy,
+  createdAt,
+  expiresAt,
+  count: items.length,
+});
+
+export function createShares({ storage, config }) {
+  const { file } = config.shares;
+  // 토큰 → { id, title, createdBy, createdAt, expiresAt, items: [{ key, lastModified }] }
+  let shares = new Map();
+  // 동시에 들어온 저장이 서로 덮어쓰지 않도록 순서대로 쓴다.
+  let writeQueue = Promise.resolve();
+
+  const load = async () => {
+    try {
+      const data = JSON.parse(await readFile(file, 'utf8'));
+      shares = new Map((Array.isArray(data.shares) ? data.shares : []).map((share) => [share.id, share]));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  };
+
+  const save = () => {
+    const now = Date.now();
+    for (const [id, share] of shares) {
+      if (!isActive(share, now)) shares.delete(id);
+    }
+    const body = JSON.stringify({ shares: [...shares.values()] }, null, 2) + '\n';
+    writeQueue = writeQueue
+      .catch(() => {})
+      .then(async () => {
+        await mkdir(path.dirname(file), { recursive: true });
+        await writeFile(file, body, 'utf8');
+      });
+    return writeQueue;
+  };
+
+  // 캡처마다 촬영 시각(LastModified)을 확인해 둔다. 없는 캡처가 있으면 링크를 만들지 않는다.
+  const lookup = async (keys) => {
+    const items = [];
+    for (let i = 0; i < keys.length; i += LOOKUP_CONCURRENCY) {
+      items.push(
+        ...(await Promise.all(
+          keys.slice(i, i + LOOKUP_CONCURRENCY).map(async (key) => {
+            const [item] = (await storage.list({ prefix: key, maxKeys: 1 })).items;
+            if (item?.Key !== key) throw new HttpError(404, `존재하지 않는 캡처입니다: ${key}`);
+            return { key, lastModified: new Date(item.LastModified).toISOString() };
+          })
+        ))
+      );
+    }
+    return items;
+  };
+
+  const create = async ({ user, title, keys, expiresIn }) => {
+    const items = await lookup(keys);
+    const now = Date.now();
+    const share = {
+      id: randomBytes(24).toString('base64url'),
+      title,
+      createdBy: user.username,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + expiresIn * 1000).toISOString(),
+      items: items.sort((a, b) => a.lastModified.localeCompare(b.lastModified)),
+    };
+    shares.set(share.id, share);
+    await save();
+    return share;
+  };
+
+  // 살아 있는 링크 (최근에 만든 순)
+  const list = () =>
+    [...shares.values()]
+      .filter((share) => isActive(share))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(summarize);
+
+  // 취소한 링크는 목록에서 지운다 (기록은 감사 로그에 남음). 없는 링크면 null
+  const revoke = async (id) => {
+    const share = shares.get(id);
+    if (!share) return null;
+    shares.delete(id);
+    await save();
+    return share;
+  };
+
+  // 토큰으로 살아 있는 링크 찾기 (형식이 틀리거나 만료/취소됐으면 null)
+  const find = (id) => {
+    const share = TOKEN_RE.test(id) ? shares.get(id) : null;
+    return share && isActive(share) ? share : null;
+  };
+
+  return { load, create, list, revoke, find, summarize };
+}
+
+const requireTitle = (title) => {
+  if (title === undefined || title === null) return '';
+  if (typeof title !== 'string' || title.length > MAX_TITLE_LENGTH) {
+    throw new HttpError(400, `title 은 ${MAX_TITLE_LENGTH}자 이하의 문자열이어야 합니다.`);
+  }
+  return title.trim();
+};
+
+const requireExpiresIn = (value) => {
+  const sec = Number(value);
+  if (!Number.isInteger(sec) || sec < MIN_EXPIRES_SEC || sec > MAX_EXPIRES_SEC) {
+    throw new HttpError(400, `expiresIn 은 ${MIN_EXPIRES_SEC}~${MAX_EXPIRES_SEC} 초 사이의 정수여야 합니다.`);
+  }
+  return sec;
+};
+
+// 링크를 만들고 취소하고 목록을 보는 것은 admin 만 (만들기/취소는 감사 로그에 남김).
+// 공유 페이지와 그 이미지는 로그인 없이 토큰만으로 열린다.
+export function registerShareRoutes(router, { shares, storage, auth, audit }) {
+  router.get('/api/shares', auth.guard('admin', async () => ({ items: shares.list() })));
+
+  router.post('/api/shares', auth.guard('admin', async ({ req, user }) => {
+    const body = await readJson(req);
+    const keys = requireKeys(body.keys, MAX_SHARE_KEYS);
+    const title = requireTitle(body.title);
+    const expiresIn = requireExpiresIn(body.expiresIn);
+    const share = await shares.create({ user, title, keys, expiresIn });
+    await audit.record({ user, action: 'share', keys });
+    return shares.summarize(share);
+  }));
+
+  router.delete('/api/shares/:id', auth.guard('admin', async ({ params, user }) => {
+    const share = await shares.revoke(params.id);
+    if (!share) throw new HttpError(404, '존재하지 않거나 이미 만료된 공유 링크입니다.');
+    await audit.record({ user, action: 'unshare', keys: share.items.map((item) => item.key) });
+    return { revoked: share.id };
+  }));
+
+  const findOrThrow = (id) => {
+    const share = shares.find(id);
+    if (!share) throw new HttpError(404, '공유 링크가 만료되었거나 취소되었습니다.');
+    return share;
+  };
+
+  // 공유 페이지: 제목 / 만료 시각 / 캡처 (키 대신 카메라 이름과 파일 이름만)
+  router.get('/api/shares/:id/view', async ({ params }) => {
+    const share = findOrThrow(params.id);
+    const cameraNames = Object.fromEntries(storage.cameras.map((camera) => [camera.id, camera.name]));
+    return {
+      title: share.title,
+      createdAt: share.createdAt,
+      expiresAt: share.expiresAt,
+      items: share.items.map(({ key, lastModified }, index) => ({
+        index,
+        camera: cameraNames[key.slice(0, key.indexOf('/'))],
+        name: key.split('/').pop(),
+        lastModified,
+      })),
+    };
+  });
+
+  router.get('/api/shares/:id/images/:index', async ({ res, params }) => {
+    const share = findOrThrow(params.id);
+    const item = share.items[Number(params.index)];
+    if (!item) throw new HttpError(404, '공유 링크에 없는 캡처입니다.');
+    const body = await storage.read(item.key);
+    if (!body) throw new HttpError(404, '삭제된 캡처입니다.');
+    res.writeHead(200, {
+      'Content-Type': 'image/jpeg',
+      'Content-Length': body.length,
+      'Last-Modified': new Date(item.lastModified).toUTCString(),
+      // 취소하면 바로 볼 수 없도록 캐시하지 않음
+      'Cache-Control': 'no-store',
+    });
+    res.end(body);
+  });
+}
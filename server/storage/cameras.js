@@ -0,0 +1,270 @@
+// 여러 카메라(저장소 + 버킷 + 키 prefix + 리전)를 하나의 저장소처럼 묶는 어댑터
+// 앱에 보이는 키는 "<카메라 id>/<prefix 를 뺀 나머지>" 형태라서, 기존 라우트·휴지통·감사 로그는
+// 카메라를 몰라도 그대로 동작하고 로그의 키만 봐도 어느 카메라인지 알 수 있다.
+
+import { readFile } from 'node:fs/promises';
+import { HttpError } from '../http.js';
+
+const CAMERA_ID_RE = /^[A-Za-z0-9_-]+$/;
+
+const normalizePrefix = (prefix) => {
+  const p = String(prefix || '').replace(/^\/+/, '');
+  return p && !p.endsWith('/') ? `${p}/` : p;
+};
+
+// 서버가 만드는 파생 객체(썸네일, 메타데이터 사이드카)의 폴더. 앱 키는 "<카메라 id>/.thumbs/<나머지>" 이지만
+// 실제 키는 "<폴더><카메라 prefix><나머지>" 로 카메라 prefix 바깥에 둔다. 그래서 StartAfter 로 새 캡처만 받는
+// 증분 목록에 다시 나오지 않고, prefix 가 없는 카메라에서도 "." 로 시작해 캡처 키보다 앞에 정렬된다.
+export const DERIVED_DIRS = ['.thumbs/', '.meta/'];
+
+const derivedDirOf = (key) => DERIVED_DIRS.find((dir) => key.startsWith(dir));
+
+// 앱 키가 캡처 이미지(jpg)인지: 파생 객체(썸네일도 jpg)나 다른 파일이면 false
+export const isCaptureKey = (appKey) =>
+  /\.jpe?g$/i.test(appKey) && !derivedDirOf(appKey.slice(appKey.indexOf('/') + 1));
+
+// 앱 키의 카메라 id 뒤 경로: 빈 조각, ".", "..", 역슬래시는 다른 카메라의 prefix 나 로컬 폴더 바깥을
+// 가리킬 수 있으므로 받지 않는다. 목록 prefix 는 "/" 로 끝날 수 있어 마지막 조각만 비어 있어도 된다.
+const isSafePath = (rest) =>
+  !rest.includes('\\') &&
+  rest.split('/').every((part, i, parts) => (part || i === parts.length - 1) && part !== '.' && part !== '..');
+
+const DRIVERS = ['s3', 'local'];
+const ENV_NAME_RE = /^[A-Z][A-Z0-9_]*$/;
+
+/**
+ * 카메라 목록 파일(JSON 배열)을 읽는다. 파일이 없으면 fallback 카메라 하나만 사용.
+ * 항목: { id, name?, driver?, bucket?, prefix?, region?, endpoint?, forcePathStyle?, credentialsEnv?,
+ *         streamUrl?, captureUrl? }
+ *   driver 는 "s3"(MinIO/R2/GCS 등 S3 호환 포함) 또는 "local"(로컬 폴더), 생략하면 STORAGE_DRIVER 를 따른다.
+ *   bucket/region/endpoint 를 생략하면 기본 S3 설정을 따른다.
+ *   credentialsEnv 가 "R2" 면 R2_ACCESS_KEY_ID / R2_SECRET_ACCESS_KEY 환경 변수의 키를 쓴다 (비밀 키는 파일에 두지 않음).
+ *   local 카메라는 LOCAL_STORAGE_DIR 폴더 아래 prefix 하위 폴더를 쓴다.
+ *   streamUrl/captureUrl 은 LAN 의 ESP32-CAM 주소 (브라우저가 직접 접속하는 실시간 보기용)
+ */
+export const loadCameras = async (file, fallback) => {
+  let raw;
+  try {
+    raw = JSON.parse(await readFile(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw new Error(`카메라 설정(${file})을 읽을 수 없습니다: ${err.message}`);
+    raw = [fallback];
+  }
+  if (!Array.isArray(raw) || !raw.length) {
+    throw new Error(`카메라 설정(${file})은 비어 있지 않은 배열이어야 합니다.`);
+  }
+
+  const ids = new Set();
+  return raw.map((camera) => {
+    if (!CAMERA_ID_RE.test(camera?.id || '')) {
+      throw new Error(`카메라 id 는 영문/숫자/-/_ 만 쓸 수 있습니다: ${JSON.stringify(camera?.id)}`);
+    }
+    if (ids.has(camera.id)) throw new Error(`카메라 id 가 중복되었습니다: ${camera.id}`);
+    ids.add(camera.id);
+    const driver = camera.driver || fallback.driver;
+    if (!DRIVERS.includes(driver)) {
+      throw new Error(`카메라(${camera.id})의 driver 는 ${DRIVERS.join(' / ')} 중 하나여야 합니다: ${JSON.stringify(driver)}`);
+    }
+    if (camera.credentialsEnv !== undefined && !ENV_NAME_RE.test(camera.credentialsEnv)) {
+      throw new Error(`카메라(${camera.id})의 credentialsEnv 는 대문자 환경 변수 이름이어야 합니다.`);
+    }
+    return {
+      id: camera.id,
+      name: camera.name || camera.id,
+      driver,
+      // 로컬 폴더 카메라는 버킷이 없다 (S3 이벤트 알림 대상이 아님)
+      bucket: driver === 's3' ? camera.bucket || fallback.bucket : undefined,
+      region: camera.region || fallback.region,
+      endpoint: camera.endpoint || undefined,
+      forcePathStyle: camera.forcePathStyle,
+      credentialsEnv: camera.credentialsEnv || undefined,
+      prefix: normalizePrefix(camera.prefix),
+      streamUrl: camera.streamUrl || undefined,
+      captureUrl: camera.captureUrl || undefined,
+    };
+  });
+};
+
+/**
+ * @param {object} options
+ * @param {Array<{ id: string, name: string, bucket?: string, region?: string, prefix: string }>} options.cameras
+ * @param {(camera: object) => object} options.backendFor 카메라가 쓰는 실제 저장소 (같은 버킷이면 같은 인스턴스를 돌려줘도 됨)
+ */
+export function createCameraStorage({ cameras, backendFor }) {
+  const byId = new Map(cameras.map((camera) => [camera.id, { camera, backend: backendFor(camera) }]));
+  const backends = [...new Set([...byId.values()].map((entry) => entry.backend))];
+
+  const toAppKey = (camera, key) => {
+    const dir = derivedDirOf(key);
+    return dir
+      ? `${camera.id}/${dir}${key.slice(dir.length + camera.prefix.length)}`
+      : `${camera.id}/${key.slice(camera.prefix.length)}`;
+  };
+
+  // 앱 키 → { camera, backend, key(실제 키) }, 알 수 없는 카메라이거나 쓸 수 없는 경로면 null
+  const resolve = (appKey) => {
+    const slash = appKey.indexOf('/');
+    const entry = slash > 0 ? byId.get(appKey.slice(0, slash)) : null;
+    const rest = appKey.slice(slash + 1);
+    if (!entry || !isSafePath(rest)) return null;
+    const dir = derivedDirOf(rest);
+    return { ...entry, key: dir ? dir + entry.camera.prefix + rest.slice(dir.length) : entry.camera.prefix + rest };
+  };
+
+  // 실제 키 → 앱 키 (저장소 변경 알림용), 어느 카메라에도 속하지 않으면 null
+  // bucket(S3 이벤트 알림) 또는 backend(메모리/로컬 폴더 저장소 구독)로 후보 카메라를 좁히고 가장 긴 prefix 를 고른다.
+  // 파생 객체는 캡처가 아니므로 알리지 않는다.
+  const appKeyFor = ({ bucket, backend, key }) => {
+    if (derivedDirOf(key)) return null;
+    let match = null;
+    for (const entry of byId.values()) {
+      if (bucket !== undefined && entry.camera.bucket !== bucket) continue;
+      if (backend && entry.backend !== backend) continue;
+      if (!key.startsWith(entry.camera.prefix)) continue;
+      if (!match || entry.camera.prefix.length > match.camera.prefix.length) match = entry;
+    }
+    return match && toAppKey(match.camera, key);
+  };
+
+  const resolveOrThrow = (appKey) => {
+    const target = resolve(appKey);
+    if (!target) throw new HttpError(400, `알 수 없는 카메라이거나 사용할 수 없는 키입니다: ${appKey}`);
+    return target;
+  };
+
+  // 목록 조회는 카메라 하나씩: prefix 가 "<카메라 id>/" 로 시작해야 한다.
+  // 캡처 목록에는 파생 객체를 넣지 않는다 (prefix 가 없는 카메라는 저장소 전체를 훑으므로).
+  const list = async ({ prefix, startAfter, continuationToken, maxKeys } = {}) => {
+    const target = resolve(prefix || '');
+    if (!target) {
+      throw new HttpError(400, 'prefix 는 "<카메라 id>/" 로 시작해야 하며 빈 경로, ".", ".." 는 쓸 수 없습니다.');
+    }
+    const { camera, backend, key } = target;
+    const page = await backend.list({
+      prefix: key,
+      startAfter: startAfter ? resolveOrThrow(startAfter).key : undefined,
+      continuationToken,
+      maxKeys,
+    });
+    const derived = Boolean(derivedDirOf(key));
+    return {
+      ...page,
+      items: page.items
+        .filter((item) => derived || !derivedDirOf(item.Key))
+        .map((item) => ({ ...item, Key: toAppKey(camera, item.Key) })),
+    };
+  };
+
+  const presign = async (appKey, expiresIn) => {
+    const { backend, key } = resolveOrThrow(appKey);
+    return backend.presign(key, expiresIn);
+  };
+
+  const presignVersion = async (appKey, versionId, expiresIn) => {
+    const { backend, key } = resolveOrThrow(appKey);
+    return backend.presignVersion(key, versionId, expiresIn);
+  };
+
+  const read = async (appKey) => {
+    const { backend, key } = resolveOrThrow(appKey);
+    return backend.read(key);
+  };
+
+  const remove = async (appKey) => {
+    const { backend, key } = resolveOrThrow(appKey);
+    await backend.remove(key);
+  };
+
+  const put = async (appKey, body, options) => {
+    const { backend, key } = resolveOrThrow(appKey);
+    await backend.put(key, body, options);
+  };
+
+  const putIfAbsent = async (appKey, body, options) => {
+    const { backend, key } = resolveOrThrow(appKey);
+    return backend.putIfAbsent(key, body, options);
+  };
+
+  // 키를 카메라별로 나눠 실제 저장소의 일괄 작업을 호출하고 결과 키를 앱 키로 되돌린다.
+  // run 결과: { [doneField]: string[], errors: Array<{ key, message }> }
+  const perCamera = async (appKeys, doneField, run) => {
+    const groups = new Map();
+    const errors = [];
+    for (const appKey of appKeys) {
+      const target = resolve(appKey);
+      if (!target) {
+        errors.push({ key: appKey, message: '알 수 없는 카메라이거나 사용할 수 없는 키입니다.' });
+        continue;
+      }
+      if (!groups.has(target.camera.id)) groups.set(target.camera.id, { ...target, keys: [] });
+      groups.get(target.camera.id).keys.push(target.key);
+    }
+
+    const done = [];
+    for (const { camera, backend, keys } of groups.values()) {
+      const result = await run(backend, keys);
+      done.push(...result[doneField].map((key) => toAppKey(camera, key)));
+      errors.push(...result.errors.map((e) => ({ ...e, key: toAppKey(camera, e.key) })));
+    }
+    return { [doneField]: done, errors };
+  };
+
+  const bulkRemove = (appKeys) => perCamera(appKeys, 'deleted', (backend, keys) => backend.bulkRemove(keys));
+  const restore = (appKeys) => perCamera(appKeys, 'done', (backend, keys) => backend.restore(keys));
+  const purge = (appKeys) => perCamera(appKeys, 'done', (backend, keys) => backend.purge(keys));
+
+  const supportsTrash = async () => {
+    for (const backend of backends) {
+      if (!(await backend.supportsTrash())) return false;
+    }
+    return true;
+  };
+
+  const listTrash = async () => {
+    const items = [];
+    for (const { camera, backend } of byId.values()) {
+      for (const item of await backend.listTrash(camera.prefix)) {
+        if (derivedDirOf(item.key)) continue;
+        items.push({ ...item, key: toAppKey(camera, item.key) });
+      }
+    }
+    return items;
+  };
+
+  // 변경 알림을 내는 저장소(메모리/로컬 폴더, S3 는 휴지통 복원만)의 이벤트를 앱 키로 바꿔 전달. 반환값은 구독 해제 함수
+  const subscribe = (listener) => {
+    const unsubscribes = backends
+      .filter((backend) => backend.subscribe)
+      .map((backend) =>
+        backend.subscribe((event) => {
+          const key = appKeyFor({ backend, key: event.key });
+          if (key) listener({ ...event, key });
+        })
+      );
+    return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+  };
+
+  return {
+    name: backends.map((backend) => backend.name).join('+'),
+    cameras: cameras.map(({ id, name, streamUrl, captureUrl }) => ({ id, name, streamUrl, captureUrl })),
+    list,
+    presign,
+    read,
+    remove,
+    bulkRemove,
+    put,
+    putIfAbsent,
+    supportsTrash,
+    listTrash,
+    presignVersion,
+    restore,
+    purge,
+    appKeyFor,
+    subscribe,
+    // 서버가 직접 내려주는 저장소(메모리/로컬 폴더)의 presigned URL 경로.
+    // URL 이 실제 키를 가리키므로 앱 키로 바꾸지 않고 그대로 넘긴다.
+    signedObjectRoutes: backends
+      .filter((backend) => backend.readSigned)
+      .map((backend) => ({ route: backend.objectRoute, readSigned: backend.readSigned })),
+  };
+}
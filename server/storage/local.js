@@ -0,0 +1,366 @@
+// 로컬 폴더 저장소: NAS 공유 폴더 등에 카메라가 직접 올린 jpg 를 S3 처럼 쓴다.
+// 키는 폴더 기준 상대 경로("/" 구분)이고, LastModified 는 파일 수정 시각이다.
+// presigned URL 은 이 서버의 /api/local-files/* 경로를 HMAC 서명과 함께 가리킨다.
+// 삭제는 "<폴더>/.trash/<키>~<삭제 시각(ms)>" 로 옮기고(휴지통), 복원하면 원래 자리로 되돌린다.
+// 폴더를 감시해 새로 생기거나 지워진 파일을 subscribe 한 쪽에 알린다 (S3 이벤트 알림 대용).
+
+import { mkdirSync, watch } from 'node:fs';
+import { mkdir, readdir, readFile, rename, rm, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { HttpError } from '../http.js';
+import { createUrlSigner } from './signedUrl.js';
+
+const DEFAULT_MAX_KEYS = 1000;
+const TRASH_DIR = '.trash';
+// 휴지통 파일 이름의 "~<삭제 시각>" 부분 (versionId 로 쓴다)
+const TRASH_SUFFIX_RE = /~(\d+)$/;
+// 감시 폴더의 파일은 쓰기가 끝나 알림이 잠잠해진 뒤 읽는다.
+const WATCH_SETTLE_MS = 300;
+// 복원한 파일의 감시 알림을 restored 로 알리기 위해 표시해 두는 시간 (알림이 오지 않을 때 정리용)
+const RESTORE_MARK_MS = 10000;
+
+export const LOCAL_OBJECT_ROUTE = '/api/local-files';
+
+const contentTypeOf = (key) => {
+  const k = key.toLowerCase();
+  if (k.endsWith('.jpg') || k.endsWith('.jpeg')) return 'image/jpeg';
+  if (k.endsWith('.json')) return 'application/json';
+  return 'application/octet-stream';
+};
+
+// 수정 시각 + 크기로 만든 ETag (파일이 바뀌면 달라짐)
+const etagOf = (info) => `"${Math.floor(info.mtimeMs).toString(16)}-${info.size.toString(16)}"`;
+
+const toKey = (relative) => relative.split(path.sep).join('/');
+
+export function createLocalStorage({ rootDir, publicUrl = '', signingSecret, watch: watchEnabled = true }) {
+  const root = path.resolve(rootDir);
+  const trashRoot = path.join(root, TRASH_DIR);
+  const signer = createUrlSigner({ route: LOCAL_OBJECT_ROUTE, publicUrl, secret: signingSecret });
+  const listeners = new Set();
+  let stopWatching = null;
+  // 복원 중인 키 → 표시를 지우는 타이머 (감시 알림이 오면 created 대신 restored 로 알림)
+  const restoring = new Map();
+
+  const markRestoring = (key) => {
+    if (!stopWatching) return;
+    clearTimeout(restoring.get(key));
+    const timer = setTimeout(() => restoring.delete(key), RESTORE_MARK_MS);
+    timer.unref();
+    restoring.set(key, timer);
+  };
+
+  const takeRestoring = (key) => {
+    if (!restoring.has(key)) return false;
+    clearTimeout(restoring.get(key));
+    restoring.delete(key);
+    return true;
+  };
+
+  // 키 → 파일 경로. 폴더 밖이나 휴지통을 가리키는 키는 거부
+  const fileOf = (key) => {
+    const file = path.resolve(root, ...String(key).split('/'));
+    if (!file.startsWith(root + path.sep) || file === trashRoot || file.startsWith(trashRoot + path.sep)) {
+      throw new HttpError(400, `사용할 수 없는 키입니다: ${key}`);
+    }
+    return file;
+  };
+
+  // 목록 prefix 의 폴더 부분 → 폴더 경로. fileOf 와 같이 폴더 밖이나 휴지통은 거부하고,
+  // 돌려줄 키가 prefix 그대로 이어지도록 "." / ".." / 빈 조각이 섞인 prefix 도 받지 않는다.
+  const dirOf = (baseDir) => {
+    const dir = path.resolve(root, ...baseDir.split('/'));
+    const inside = dir === root || dir.startsWith(root + path.sep);
+    const normalized = dir === root ? '' : `${toKey(path.relative(root, dir))}/`;
+    if (!inside || normalized !== baseDir || dir === trashRoot || dir.startsWith(trashRoot + path.sep)) {
+      throw new HttpError(400, `사용할 수 없는 prefix 입니다: ${baseDir}`);
+    }
+    return dir;
+  };
+
+  const trashFileOf = (key, versionId) => `${path.join(trashRoot, ...key.split('/'))}~${versionId}`;
+
+  const statOrNull = async (file) => {
+    try {
+      const info = await stat(file);
+      return info.isFile() ? info : null;
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return null;
+      throw err;
+    }
+  };
+
+  // dir 아래 모든 파일의 상대 경로 (dir 이 없으면 빈 배열)
+  const walk = async (dir) => {
+    try {
+      const entries = await readdir(dir, { recursive: true, withFileTypes: true });
+      return entries
+        .filter((entry) => entry.isFile())
+        .map((entry) => path.relative(dir, path.join(entry.parentPath ?? entry.path, entry.name)));
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return [];
+      throw err;
+    }
+  };
+
+  const list = async ({ prefix = '', startAfter, continuationToken, maxKeys } = {}) => {
+    const limit = Math.min(maxKeys || DEFAULT_MAX_KEYS, DEFAULT_MAX_KEYS);
+    // continuationToken 은 "마지막으로 돌려준 키"
+    const after = continuationToken || startAfter;
+    // prefix 의 폴더 부분만 훑는다.
+    const baseDir = prefix.slice(0, prefix.lastIndexOf('/') + 1);
+    const keys = (await walk(dirOf(baseDir)))
+      .map((relative) => baseDir + toKey(relative))
+      .filter((key) => key.startsWith(prefix) && !key.startsWith(`${TRASH_DIR}/`) && (!after || key > after))
+      .sort();
+
+    const items = [];
+    let index = 0;
+    for (; index < keys.length && items.length < limit; index += 1) {
+      const info = await statOrNull(path.join(root, ...keys[index].split('/')));
+      // 훑는 사이에 지워진 파일은 건너뜀
+      if (!info) continue;
+      items.push({ Key: keys[index], ETag: etagOf(info), LastModified: info.mtime, Size: info.size });
+    }
+    return {
+      items,
+      nextContinuationToken: index < keys.length && items.length ? items[items.length - 1].Key : undefined,
+    };
+  };
+
+  const presign = async (key, expiresIn) => {
+    fileOf(key);
+    return signer.url(key, expiresIn);
+  };
+
+  const presignVersion = async (key, versionId, expiresIn) => signer.url(key, expiresIn, versionId);
+
+  // 서명 검증 후 객체 반환 (서명 불일치/만료/없음이면 null). versionId 가 있으면 휴지통의 파일
+  const readSigned = async (params) => {
+    if (!signer.verify(params)) return null;
+    const { key, versionId } = params;
+    if (versionId && !/^\d+$/.test(versionId)) return null;
+    let file;
+    try {
+      file = versionId ? trashFileOf(key, versionId) : fileOf(key);
+    } catch {
+      return null;
+    }
+    const info = await statOrNull(file);
+    if (!info) return null;
+    return {
+      body: await readFile(file),
+      contentType: contentTypeOf(key),
+      lastModified: info.mtime,
+      etag: etagOf(info),
+    };
+  };
+
+  const read = async (key) => {
+    try {
+      return await readFile(fileOf(key));
+    } catch (err) {
+      if (err.code === 'ENOENT' || err.code === 'EISDIR') return null;
+      throw err;
+    }
+  };
+
+  const put = async (key, body) => {
+    const file = fileOf(key);
+    await mkdir(path.dirname(file), { recursive: true });
+    await writeFile(file, body);
+  };
+
+  // 같은 키가 이미 있으면 덮어쓰지 않고 false
+  const putIfAbsent = async (key, body) => {
+    const file = fileOf(key);
+    await mkdir(path.dirname(file), { recursive: true });
+    try {
+      await writeFile(file, body, { flag: 'wx' });
+      return true;
+    } catch (err) {
+      if (err.code === 'EEXIST') return false;
+      throw err;
+    }
+  };
+
+  // 휴지통으로 이동 (파일 수정 시각 = 원래 LastModified 는 그대로 유지됨)
+  const remove = async (key) => {
+    const file = fileOf(key);
+    if (!(await statOrNull(file))) return;
+    const target = trashFileOf(key, String(Date.now()));
+    await mkdir(path.dirname(target), { recursive: true });
+    await rename(file, target);
+  };
+
+  const bulkRemove = async (keys) => {
+    const deleted = [];
+    const errors = [];
+    for (const key of keys) {
+      try {
+        await remove(key);
+        deleted.push(key);
+      } catch (err) {
+        errors.push({ key, code: err.code, message: err.message });
+      }
+    }
+    return { deleted, errors };
+  };
+
+  const supportsTrash = async () => true;
+
+  // 키 → 휴지통 파일 목록 (최신 삭제순). 같은 키로 다시 올라온 파일이 있으면 휴지통에 없는 것으로 본다.
+  const trashEntries = async (prefix = '') => {
+    const byKey = new Map();
+    for (const relative of await walk(trashRoot)) {
+      const name = toKey(relative);
+      const match = TRASH_SUFFIX_RE.exec(name);
+      if (!match) continue;
+      const key = name.slice(0, match.index);
+      if (!key.startsWith(prefix)) continue;
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push({ versionId: match[1], deletedAt: new Date(Number(match[1])) });
+    }
+    for (const [key, versions] of byKey) {
+      if (await statOrNull(path.join(root, ...key.split('/')))) byKey.delete(key);
+      else versions.sort((a, b) => b.deletedAt - a.deletedAt);
+    }
+    return byKey;
+  };
+
+  const listTrash = async (prefix = '') => {
+    const items = [];
+    for (const [key, [latest]] of await trashEntries(prefix)) {
+      const info = await statOrNull(trashFileOf(key, latest.versionId));
+      if (!info) continue;
+      items.push({
+        key,
+        versionId: latest.versionId,
+        deletedAt: latest.deletedAt,
+        lastModified: info.mtime,
+        size: info.size,
+        etag: etagOf(info),
+      });
+    }
+    return items;
+  };
+
+  // 결과: { done: string[], errors: Array<{ key, message }> }
+  const fromTrash = async (keys, apply) => {
+    const entries = await trashEntries();
+    const done = [];
+    const errors = [];
+    for (const key of keys) {
+      const versions = entries.get(key);
+      if (!versions) {
+        errors.push({ key, message: '휴지통에 없는 키입니다.' });
+        continue;
+      }
+      try {
+        await apply(key, versions);
+        done.push(key);
+      } catch (err) {
+        errors.push({ key, message: err.message });
+      }
+    }
+    return { done, errors };
+  };
+
+  // 가장 최근에 지운 파일을 되돌리고 더 오래된 삭제본은 영구 삭제
+  const restore = (keys) =>
+    fromTrash(keys, async (key, [latest, ...older]) => {
+      const file = fileOf(key);
+      await mkdir(path.dirname(file), { recursive: true });
+      markRestoring(key);
+      await rename(trashFileOf(key, latest.versionId), file);
+      for (const version of older) await rm(trashFileOf(key, version.versionId), { force: true });
+    });
+
+  const purge = (keys) =>
+    fromTrash(keys, async (key, versions) => {
+      for (const version of versions) await rm(trashFileOf(key, version.versionId), { force: true });
+    });
+
+  // 폴더 변경 감시 → { type: 'created' | 'restored', key, etag, size, lastModified } | { type: 'removed', key }
+  // (휴지통 이동은 원래 자리에서 사라지므로 removed, restore() 로 되돌린 파일은 restored 로 알린다.)
+  const startWatching = () => {
+    const timers = new Map();
+    const emit = (event) => {
+      for (const listener of listeners) listener(event);
+    };
+    const check = async (key) => {
+      let info;
+      try {
+        info = await stat(path.join(root, ...key.split('/')));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        emit({ type: 'removed', key });
+        return;
+      }
+      // 폴더가 생기는 알림은 무시
+      if (!info.isFile()) return;
+      const type = takeRestoring(key) ? 'restored' : 'created';
+      emit({ type, key, etag: etagOf(info), size: info.size, lastModified: info.mtime });
+    };
+    // 새로 설치한 경우처럼 폴더가 아직 없으면 만들고 감시한다. 감시할 수 없으면 알림만 끄고 계속 동작
+    let watcher;
+    try {
+      mkdirSync(root, { recursive: true });
+      watcher = watch(root, { recursive: true }, (eventType, name) => {
+        if (!name) return;
+        const key = toKey(name);
+        if (key === TRASH_DIR || key.startsWith(`${TRASH_DIR}/`)) return;
+        clearTimeout(timers.get(key));
+        timers.set(
+          key,
+          setTimeout(() => {
+            timers.delete(key);
+            check(key).catch((err) => console.error(`[local] ${key} 확인 실패:`, err.message));
+          }, WATCH_SETTLE_MS)
+        );
+      });
+      watcher.on('error', (err) => console.warn(`[local] ${root} 폴더 감시 오류:`, err.message));
+    } catch (err) {
+      console.warn(`[local] ${root} 폴더를 감시할 수 없어 새 캡처 알림을 끕니다:`, err.message);
+      return () => {};
+    }
+    return () => {
+      for (const timer of timers.values()) clearTimeout(timer);
+      for (const timer of restoring.values()) clearTimeout(timer);
+      restoring.clear();
+      watcher.close();
+    };
+  };
+
+  // 첫 구독자가 생길 때 감시를 시작한다. 반환값은 구독 해제 함수
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    if (watchEnabled && !stopWatching) stopWatching = startWatching();
+    return () => {
+      listeners.delete(listener);
+      if (!listeners.size && stopWatching) {
+        stopWatching();
+        stopWatching = null;
+      }
+    };
+  };
+
+  return {
+    name: `local (${root})`,
+    objectRoute: LOCAL_OBJECT_ROUTE,
+    list,
+    presign,
+    read,
+    remove,
+    bulkRemove,
+    put,
+    putIfAbsent,
+    supportsTrash,
+    listTrash,
+    presignVersion,
+    restore,
+    purge,
+    readSigned,
+    subscribe,
+  };
+}
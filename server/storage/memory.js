@@ -0,0 +1,222 @@
+// 인메모리 S3 대용 저장소 (오프라인 개발/테스트용)
+// presigned URL 은 이 서버의 /api/mock-s3/* 경로를 HMAC 서명과 함께 가리킨다.
+// 삭제는 S3 버전 관리처럼 휴지통(trashed)으로 옮기고, 복원 시 원래 LastModified 를 유지한다.
+// 객체가 생기거나 지워지면 subscribe 한 쪽에 알린다 (S3 이벤트 알림 대용).
+
+import { createHash, randomBytes } from 'node:crypto';
+import { watch } from 'node:fs';
+import { readdir, readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { createUrlSigner } from './signedUrl.js';
+
+const DEFAULT_MAX_KEYS = 1000;
+
+// 감시 폴더의 파일은 쓰기가 끝나 알림이 잠잠해진 뒤 읽는다.
+const WATCH_SETTLE_MS = 300;
+
+export const MOCK_OBJECT_ROUTE = '/api/mock-s3';
+
+const contentTypeOf = (key) => {
+  const k = key.toLowerCase();
+  if (k.endsWith('.jpg') || k.endsWith('.jpeg')) return 'image/jpeg';
+  if (k.endsWith('.json')) return 'application/json';
+  return 'application/octet-stream';
+};
+
+export function createMemoryStorage({ publicUrl = '', signingSecret } = {}) {
+  // key -> { body: Buffer, contentType, lastModified: Date, etag, versionId }
+  const objects = new Map();
+  // key -> 위 객체 + { deletedAt: Date }
+  const trashed = new Map();
+  const signer = createUrlSigner({ route: MOCK_OBJECT_ROUTE, publicUrl, secret: signingSecret });
+  const listeners = new Set();
+
+  const emit = (event) => {
+    for (const listener of listeners) listener(event);
+  };
+
+  const createdEvent = (key, obj, type = 'created') => ({
+    type,
+    key,
+    etag: obj.etag,
+    size: obj.body.length,
+    lastModified: obj.lastModified,
+  });
+
+  // 변경 알림 구독: { type: 'created' | 'restored', key, etag, size, lastModified } | { type: 'removed', key }
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const sortedKeys = () => [...objects.keys()].sort();
+
+  const put = (key, body, { contentType, lastModified } = {}) => {
+    const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body);
+    const obj = {
+      body: buffer,
+      contentType: contentType || contentTypeOf(key),
+      lastModified: lastModified || new Date(),
+      etag: `"${createHash('md5').update(buffer).digest('hex')}"`,
+      versionId: randomBytes(8).toString('hex'),
+    };
+    objects.set(key, obj);
+    // 같은 키로 새로 올라오면 휴지통의 이전 버전은 더 이상 "삭제된 최신본"이 아님
+    trashed.delete(key);
+    emit(createdEvent(key, obj));
+  };
+
+  const list = async ({ prefix = '', startAfter, continuationToken, maxKeys } = {}) => {
+    const limit = Math.min(maxKeys || DEFAULT_MAX_KEYS, DEFAULT_MAX_KEYS);
+    // continuationToken 은 "마지막으로 돌려준 키"
+    const after = continuationToken || startAfter;
+    const keys = sortedKeys().filter((key) => key.startsWith(prefix) && (!after || key > after));
+    const page = keys.slice(0, limit);
+    return {
+      items: page.map((key) => {
+        const obj = objects.get(key);
+        return {
+          Key: key,
+          ETag: obj.etag,
+          LastModified: obj.lastModified,
+          Size: obj.body.length,
+        };
+      }),
+      nextContinuationToken: keys.length > limit ? page[page.length - 1] : undefined,
+    };
+  };
+
+  const presignVersion = async (key, versionId, expiresIn) => signer.url(key, expiresIn, versionId);
+
+  const presign = async (key, expiresIn) => presignVersion(key, undefined, expiresIn);
+
+  // 서명 검증 후 객체 반환 (서명 불일치/만료/없음이면 null)
+  const readSigned = async (params) => {
+    if (!signer.verify(params)) return null;
+    const { key, versionId } = params;
+    const obj = objects.get(key) || trashed.get(key);
+    if (!obj || (versionId && obj.versionId !== versionId)) return null;
+    return obj;
+  };
+
+  const read = async (key) => objects.get(key)?.body || null;
+
+  const putIfAbsent = async (key, body, options) => {
+    if (objects.has(key)) return false;
+    put(key, body, options);
+    return true;
+  };
+
+  const remove = async (key) => {
+    const obj = objects.get(key);
+    if (!obj) return;
+    objects.delete(key);
+    trashed.set(key, { ...obj, deletedAt: new Date() });
+    emit({ type: 'removed', key });
+  };
+
+  const bulkRemove = async (keys) => {
+    for (const key of keys) await remove(key);
+    return { deleted: [...keys], errors: [] };
+  };
+
+  const supportsTrash = async () => true;
+
+  const listTrash = async (prefix = '') =>
+    [...trashed.entries()]
+      .filter(([key]) => key.startsWith(prefix))
+      .map(([key, obj]) => ({
+        key,
+        versionId: obj.versionId,
+        deletedAt: obj.deletedAt,
+        lastModified: obj.lastModified,
+        size: obj.body.length,
+        etag: obj.etag,
+      }));
+
+  const fromTrash = (keys, apply) => {
+    const done = [];
+    const errors = [];
+    for (const key of keys) {
+      const obj = trashed.get(key);
+      if (!obj) {
+        errors.push({ key, message: '휴지통에 없는 키입니다.' });
+        continue;
+      }
+      trashed.delete(key);
+      apply(key, obj);
+      done.push(key);
+    }
+    return { done, errors };
+  };
+
+  const restore = async (keys) =>
+    fromTrash(keys, (key, obj) => {
+      const restored = { ...obj };
+      delete restored.deletedAt;
+      objects.set(key, restored);
+      emit(createdEvent(key, restored, 'restored'));
+    });
+
+  const purge = async (keys) => fromTrash(keys, () => {});
+
+  // 로컬 폴더의 jpg 를 채워 넣음 (파일 수정 시각을 LastModified 로 사용)
+  // 하위 폴더는 키 prefix 가 된다 (예: storeroom/a.jpg → 카메라별 prefix 테스트)
+  const isJpegName = (name) => /\.jpe?g$/i.test(name);
+
+  const putFile = async (dir, name) => {
+    const file = path.join(dir, name);
+    const [body, info] = await Promise.all([readFile(file), stat(file)]);
+    put(name.split(path.sep).join('/'), body, { lastModified: info.mtime });
+  };
+
+  const seedFromDir = async (dir) => {
+    const names = (await readdir(dir, { recursive: true })).filter(isJpegName);
+    for (const name of names) await putFile(dir, name);
+    return names.length;
+  };
+
+  // 폴더에 새로 생기거나 바뀐 jpg 를 채워 넣는다 (카메라 업로드 + S3 이벤트 알림의 로컬 대용)
+  // 폴더에서 지운 파일은 저장소에서 지우지 않는다. 반환값은 감시 종료 함수
+  const watchDir = (dir) => {
+    const timers = new Map();
+    const watcher = watch(dir, { recursive: true }, (eventType, name) => {
+      if (!name || !isJpegName(name)) return;
+      clearTimeout(timers.get(name));
+      timers.set(
+        name,
+        setTimeout(() => {
+          timers.delete(name);
+          putFile(dir, name).catch((err) => {
+            if (err.code !== 'ENOENT') console.error(`[memory] ${name} 읽기 실패:`, err.message);
+          });
+        }, WATCH_SETTLE_MS)
+      );
+    });
+    return () => {
+      for (const timer of timers.values()) clearTimeout(timer);
+      watcher.close();
+    };
+  };
+
+  return {
+    name: 'memory',
+    objectRoute: MOCK_OBJECT_ROUTE,
+    list,
+    presign,
+    read,
+    remove,
+    bulkRemove,
+    putIfAbsent,
+    supportsTrash,
+    listTrash,
+    presignVersion,
+    restore,
+    purge,
+    put,
+    readSigned,
+    seedFromDir,
+    watchDir,
+    subscribe,
+  };
+}
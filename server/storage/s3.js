@@ -0,0 +1,368 @@
+// AWS S3 (또는 MinIO 등 S3 호환) 저장소
+// 휴지통은 버킷 버전 관리(delete marker)로 구현한다:
+//   삭제 = delete marker 생성, 복원 = delete marker 제거(원본 LastModified 유지),
+//   영구 삭제 = 해당 키의 모든 버전 제거
+
+import {
+  S3Client,
+  ListObjectsV2Command,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  GetObjectCommand,
+  PutObjectCommand,
+  GetBucketVersioningCommand,
+  ListObjectVersionsCommand,
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+// DeleteObjects 한 번에 보낼 수 있는 최대 키 수
+const DELETE_BATCH_SIZE = 1000;
+
+// GCS XML API 등 일부 S3 호환 저장소는 DeleteObjects(다중 삭제)를 지원하지 않는다.
+const isMultiDeleteUnsupported = (err) =>
+  ['NotImplemented', 'MethodNotAllowed'].includes(err.name) || [405, 501].includes(err.$metadata?.httpStatusCode);
+
+/**
+ * S3 이벤트 알림(Records, MinIO 도 같은 형식)을 저장소 변경 목록으로 바꾼다.
+ * 버전 관리 버킷에서 삭제는 delete marker 생성으로만 보고,
+ * 버전 하나를 지우는 알림(휴지통 복원/영구 삭제)은 현재 객체가 사라진 게 아니므로 무시한다.
+ * (복원은 버킷이 알려 주지 않으므로 restore() 가 subscribe 한 쪽에 직접 restored 로 알린다)
+ * @returns {Array<{ bucket: string, type: 'created' | 'removed', key: string, etag?: string, size?: number, lastModified?: string }>}
+ */
+export const parseS3EventRecords = (records) => {
+  const changes = [];
+  for (const record of Array.isArray(records) ? records : []) {
+    const { bucket, object } = record?.s3 || {};
+    const eventName = String(record?.eventName || '').replace(/^s3:/, '');
+    if (!bucket?.name || !object?.key) continue;
+    // 알림의 키는 URL 인코딩(공백은 +)되어 온다. 인코딩이 깨진 항목은 버린다.
+    let key;
+    try {
+      key = decodeURIComponent(String(object.key).replace(/\+/g, ' '));
+    } catch {
+      console.warn(`[events] 키 인코딩이 올바르지 않은 알림을 무시합니다: ${object.key}`);
+      continue;
+    }
+
+    if (eventName.startsWith('ObjectCreated:')) {
+      changes.push({
+        bucket: bucket.name,
+        type: 'created',
+        key,
+        // 목록 조회(ListObjectsV2)와 같은 따옴표 형태로 맞춤
+        etag: object.eTag ? `"${object.eTag.replace(/"/g, '')}"` : undefined,
+        size: object.size,
+        lastModified: record.eventTime,
+      });
+    } else if (
+      eventName === 'ObjectRemoved:DeleteMarkerCreated' ||
+      (eventName === 'ObjectRemoved:Delete' && !object.versionId)
+    ) {
+      changes.push({ bucket: bucket.name, type: 'removed', key });
+    }
+  }
+  return changes;
+};
+
+export function createS3Storage({
+  region,
+  accessKeyId,
+  secretAccessKey,
+  bucket,
+  endpoint,
+  forcePathStyle,
+}) {
+  if (!bucket) {
+    throw new Error('AWS_BUCKET_NAME 이 설정되지 않았습니다.');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials:
+      accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined,
+  });
+
+  // 첫 DeleteObjects 가 미지원으로 실패하면 false 로 바뀌고 이후로는 키마다 삭제한다.
+  let multiDeleteSupported = true;
+  const listeners = new Set();
+
+  // 변경 알림 구독: 휴지통 복원만 { type: 'restored', key, etag, size, lastModified } 로 알린다.
+  // 새 캡처/삭제는 버킷 이벤트 알림(POST /api/events/s3)으로 들어온다.
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  const list = async ({ prefix, startAfter, continuationToken, maxKeys } = {}) => {
+    const response = await client.send(
+      new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: prefix,
+        // ContinuationToken 이 있으면 StartAfter 는 무시됨
+        StartAfter: continuationToken ? undefined : startAfter,
+        ContinuationToken: continuationToken,
+        MaxKeys: maxKeys,
+      })
+    );
+    return {
+      items: (response.Contents || []).map((item) => ({
+        Key: item.Key,
+        ETag: item.ETag,
+        LastModified: item.LastModified,
+        Size: item.Size,
+      })),
+      nextContinuationToken: response.IsTruncated ? response.NextContinuationToken : undefined,
+    };
+  };
+
+  const presign = async (key, expiresIn) =>
+    getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+
+  const remove = async (key) => {
+    await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+  };
+
+  // 객체 내용 (썸네일 생성용), 없으면 null
+  const read = async (key) => {
+    try {
+      const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return Buffer.from(await response.Body.transformToByteArray());
+    } catch (err) {
+      if (err.name === 'NoSuchKey') return null;
+      throw err;
+    }
+  };
+
+  // 같은 키가 이미 있으면 덮어쓰지 않고 false (S3 조건부 쓰기 If-None-Match)
+  const putIfAbsent = async (key, body, { contentType } = {}) => {
+    try {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ContentType: contentType,
+          IfNoneMatch: '*',
+        })
+      );
+      return true;
+    } catch (err) {
+      if (err.$metadata?.httpStatusCode === 412) return false;
+      throw err;
+    }
+  };
+
+  // 덮어쓰기 저장 (캡처 메타데이터 사이드카 등)
+  const put = async (key, body, { contentType } = {}) => {
+    await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+  };
+
+  // 키마다 DeleteObject (DeleteObjects 를 지원하지 않는 S3 호환 저장소용)
+  const removeEach = async (keys) => {
+    const deleted = [];
+    const errors = [];
+    for (const key of keys) {
+      try {
+        await remove(key);
+        deleted.push(key);
+      } catch (err) {
+        errors.push({ key, code: err.name, message: err.message || '삭제 실패' });
+      }
+    }
+    return { deleted, errors };
+  };
+
+  // 키 DELETE_BATCH_SIZE 개 이하를 DeleteObjects 한 번으로 삭제
+  const removeBatch = async (batch) => {
+    if (multiDeleteSupported) {
+      try {
+        const response = await client.send(
+          new DeleteObjectsCommand({
+            Bucket: bucket,
+            Delete: { Objects: batch.map((Key) => ({ Key })), Quiet: false },
+          })
+        );
+        return {
+          deleted: (response.Deleted || []).map((item) => item.Key),
+          errors: (response.Errors || []).map((item) => ({
+            key: item.Key,
+            code: item.Code,
+            message: item.Message || item.Code || '삭제 실패',
+          })),
+        };
+      } catch (err) {
+        if (!isMultiDeleteUnsupported(err)) throw err;
+        console.warn(`[s3] ${bucket}: DeleteObjects 를 지원하지 않아 키마다 삭제합니다.`);
+        multiDeleteSupported = false;
+      }
+    }
+    return removeEach(batch);
+  };
+
+  // 결과: { deleted: string[], errors: Array<{ key, code?, message }> }
+  // code 는 S3 오류 코드 (SlowDown 등) — 브라우저가 다시 시도할지 정하는 데 쓴다.
+  const bulkRemove = async (keys) => {
+    const deleted = [];
+    const errors = [];
+    for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+      const result = await removeBatch(keys.slice(i, i + DELETE_BATCH_SIZE));
+      deleted.push(...result.deleted);
+      errors.push(...result.errors);
+    }
+    return { deleted, errors };
+  };
+
+  // 버전 관리가 켜져 있어야 삭제가 휴지통 이동이 된다.
+  const supportsTrash = async () => {
+    const response = await client.send(new GetBucketVersioningCommand({ Bucket: bucket }));
+    return response.Status === 'Enabled';
+  };
+
+  // prefix 아래의 모든 버전/삭제 마커 (키 → { versions, markers }, 각각 최신순)
+  const listVersions = async (prefix) => {
+    const byKey = new Map();
+    const entryOf = (key) => {
+      if (!byKey.has(key)) byKey.set(key, { versions: [], markers: [] });
+      return byKey.get(key);
+    };
+
+    let KeyMarker;
+    let VersionIdMarker;
+    do {
+      const response = await client.send(
+        new ListObjectVersionsCommand({ Bucket: bucket, Prefix: prefix, KeyMarker, VersionIdMarker })
+      );
+      for (const v of response.Versions || []) entryOf(v.Key).versions.push(v);
+      for (const m of response.DeleteMarkers || []) entryOf(m.Key).markers.push(m);
+      KeyMarker = response.IsTruncated ? response.NextKeyMarker : undefined;
+      VersionIdMarker = response.IsTruncated ? response.NextVersionIdMarker : undefined;
+    } while (KeyMarker);
+
+    for (const entry of byKey.values()) {
+      entry.versions.sort((a, b) => b.LastModified - a.LastModified);
+      entry.markers.sort((a, b) => b.LastModified - a.LastModified);
+    }
+    return byKey;
+  };
+
+  const versionsOfKey = async (key) =>
+    (await listVersions(key)).get(key) || { versions: [], markers: [] };
+
+  // 최신 항목이 삭제 마커인 키 = 휴지통에 있는 캡처
+  const toTrashItem = (key, { versions, markers }) => {
+    const latestMarker = markers.find((m) => m.IsLatest);
+    const original = versions[0];
+    if (!latestMarker || !original) return null;
+    return {
+      key,
+      versionId: original.VersionId,
+      deletedAt: latestMarker.LastModified,
+      lastModified: original.LastModified,
+      size: original.Size,
+      etag: original.ETag,
+    };
+  };
+
+  const listTrash = async (prefix) => {
+    const items = [];
+    for (const [key, entry] of await listVersions(prefix || undefined)) {
+      const item = toTrashItem(key, entry);
+      if (item) items.push(item);
+    }
+    return items;
+  };
+
+  const presignVersion = async (key, versionId, expiresIn) =>
+    getSignedUrl(client, new GetObjectCommand({ Bucket: bucket, Key: key, VersionId: versionId }), {
+      expiresIn,
+    });
+
+  const deleteVersions = async (objects) => {
+    const errors = [];
+    for (let i = 0; i < objects.length; i += DELETE_BATCH_SIZE) {
+      const response = await client.send(
+        new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: { Objects: objects.slice(i, i + DELETE_BATCH_SIZE), Quiet: true },
+        })
+      );
+      for (const item of response.Errors || []) {
+        errors.push({ key: item.Key, message: item.Message || item.Code || '삭제 실패' });
+      }
+    }
+    return errors;
+  };
+
+  // 결과: { done: string[], errors: Array<{ key, message }> }
+  const restore = async (keys) => {
+    const done = [];
+    const errors = [];
+    for (const key of keys) {
+      const entry = await versionsOfKey(key);
+      if (!toTrashItem(key, entry)) {
+        errors.push({ key, message: '휴지통에 없는 키입니다.' });
+        continue;
+      }
+      // 마지막 실제 버전보다 새로운 삭제 마커를 모두 제거하면 그 버전이 다시 최신이 된다.
+      const newest = entry.versions[0].LastModified;
+      const markers = entry.markers
+        .filter((m) => m.LastModified >= newest)
+        .map((m) => ({ Key: key, VersionId: m.VersionId }));
+      const failed = await deleteVersions(markers);
+      if (failed.length) {
+        errors.push({ key, message: failed[0].message });
+        continue;
+      }
+      done.push(key);
+      const original = entry.versions[0];
+      const event = {
+        type: 'restored',
+        key,
+        etag: original.ETag,
+        size: original.Size,
+        lastModified: original.LastModified,
+      };
+      for (const listener of listeners) listener(event);
+    }
+    return { done, errors };
+  };
+
+  const purge = async (keys) => {
+    const done = [];
+    const errors = [];
+    for (const key of keys) {
+      const entry = await versionsOfKey(key);
+      if (!toTrashItem(key, entry)) {
+        errors.push({ key, message: '휴지통에 없는 키입니다.' });
+        continue;
+      }
+      const objects = [...entry.versions, ...entry.markers].map((v) => ({
+        Key: key,
+        VersionId: v.VersionId,
+      }));
+      const failed = await deleteVersions(objects);
+      if (failed.length) errors.push({ key, message: failed[0].message });
+      else done.push(key);
+    }
+    return { done, errors };
+  };
+
+  return {
+    name: endpoint ? `s3-compatible (${endpoint})` : 's3',
+    list,
+    presign,
+    read,
+    remove,
+    bulkRemove,
+    put,
+    putIfAbsent,
+    supportsTrash,
+    listTrash,
+    presignVersion,
+    restore,
+    purge,
+    subscribe,
+  };
+}
@@ -0,0 +1,38 @@
+// S3 presigned URL 대용: 이 서버의 경로를 HMAC 서명/만료 시각과 함께 가리키는 URL
+// 메모리 저장소와 로컬 폴더 저장소가 객체를 브라우저에 직접 내려줄 때 쓴다.
+
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+
+/**
+ * @param {object} options
+ * @param {string} options.route 객체를 내려주는 경로 (예: /api/mock-s3)
+ * @param {string} [options.publicUrl] 서버가 외부에서 보이는 주소 (비우면 상대 URL)
+ * @param {string} [options.secret] 서명 키 (미지정 시 프로세스마다 랜덤)
+ */
+export function createUrlSigner({ route, publicUrl = '', secret }) {
+  const key = secret || randomBytes(32).toString('hex');
+
+  const sign = (objectKey, expires, versionId = '') =>
+    createHmac('sha256', key).update(`${objectKey}\n${expires}\n${versionId}`).digest('hex');
+
+  const url = (objectKey, expiresIn, versionId) => {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const query = new URLSearchParams({
+      expires: String(expires),
+      signature: sign(objectKey, expires, versionId || ''),
+    });
+    if (versionId) query.set('versionId', versionId);
+    return `${publicUrl}${route}/${encodeURIComponent(objectKey)}?${query}`;
+  };
+
+  // 서명이 맞고 만료 전이면 true
+  const verify = ({ key: objectKey, versionId, expires, signature }) => {
+    const expiresAt = Number(expires);
+    if (!Number.isFinite(expiresAt) || expiresAt * 1000 < Date.now()) return false;
+    const expected = Buffer.from(sign(objectKey, expiresAt, versionId || ''));
+    const actual = Buffer.from(String(signature || ''));
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+  };
+
+  return { route, url, verify };
+}
@@ -0,0 +1,71 @@
+// 캡처 메타데이터 사이드카: 캡처를 지우기/복원/영구 삭제할 때 함께 움직이는지
+
+import assert from 'node:assert/strict';
+import { beforeEach, describe, test } from 'node:test';
+import { createCaptureMeta } from '../captureMeta.js';
+import { createCameraStorage } from '../storage/cameras.js';
+import { createMemoryStorage } from '../storage/memory.js';
+
+const KEY = 'f1/a.jpg';
+
+describe('사이드카 정리', () => {
+  let storage;
+  let captureMeta;
+
+  beforeEach(async () => {
+    const memory = createMemoryStorage({ signingSecret: 'test' });
+    storage = createCameraStorage({
+      cameras: [{ id: 'f1', name: 'f1', prefix: 'fridge1/' }],
+      backendFor: () => memory,
+    });
+    captureMeta = createCaptureMeta({ storage });
+    await storage.put(KEY, 'jpeg');
+    await captureMeta.update(KEY, { starred: true, tags: ['우유'], note: '범인' });
+  });
+
+  // 서버 재시작 뒤처럼 사이드카를 저장소에서 다시 읽는다.
+  const reloaded = () => createCaptureMeta({ storage });
+
+  test('지우면 메타데이터와 보존 키에서 빠지고, 같은 키로 새로 올린 캡처에 붙지 않는다', async () => {
+    await storage.remove(KEY);
+    await captureMeta.remove([KEY]);
+    assert.deepEqual(await captureMeta.listAll(), {});
+    assert.deepEqual([...(await captureMeta.keptKeys('f1'))], []);
+
+    await storage.put(KEY, 'new jpeg');
+    assert.deepEqual(await reloaded().listAll(), {});
+  });
+
+  test('복원하면 메타데이터도 돌아온다', async () => {
+    await storage.remove(KEY);
+    await captureMeta.remove([KEY]);
+    await storage.restore([KEY]);
+    await captureMeta.restore([KEY]);
+    const expected = { [KEY]: { starred: true, tags: ['우유'], note: '범인' } };
+    assert.deepEqual(await captureMeta.listAll(), expected);
+    assert.deepEqual(await reloaded().listAll(), expected);
+  });
+
+  test('영구 삭제하면 휴지통의 사이드카도 지워진다', async () => {
+    await storage.remove(KEY);
+    await captureMeta.remove([KEY]);
+    await storage.purge([KEY]);
+    await captureMeta.purge([KEY]);
+    const { errors } = await storage.restore(['f1/.meta/a.jpg.json']);
+    assert.equal(errors.length, 1);
+  });
+});
+
+describe('별표 확인', () => {
+  test('알 수 없는 카메라의 키가 섞여 있어도 예외 없이 별표한 키만 돌려준다', async () => {
+    const memory = createMemoryStorage({ signingSecret: 'test' });
+    const storage = createCameraStorage({
+      cameras: [{ id: 'f1', name: 'f1', prefix: '' }],
+      backendFor: () => memory,
+    });
+    const captureMeta = createCaptureMeta({ storage });
+    await storage.put(KEY, 'jpeg');
+    await captureMeta.update(KEY, { starred: true });
+    assert.deepEqual(await captureMeta.starredAmong(['nope/a.jpg', 'nokey', KEY, 'f1/b.jpg']), [KEY]);
+  });
+});
@@ -0,0 +1,38 @@
+// 조용한 시간: 웹훅 알림(server/alerts.js)과 데스크톱 알림(src/lib/notify.js)이 같이 쓰는 판단
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { isQuietTime } from '../../src/lib/quietHours.js';
+
+const at = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return new Date(2026, 0, 1, h, m);
+};
+
+describe('isQuietTime', () => {
+  test('설정이 없으면 항상 false', () => {
+    assert.equal(isQuietTime(at('03:00'), null), false);
+  });
+
+  test('같은 날 안의 구간: start 포함, end 제외', () => {
+    const quietHours = { start: '12:00', end: '13:30' };
+    assert.equal(isQuietTime(at('11:59'), quietHours), false);
+    assert.equal(isQuietTime(at('12:00'), quietHours), true);
+    assert.equal(isQuietTime(at('13:29'), quietHours), true);
+    assert.equal(isQuietTime(at('13:30'), quietHours), false);
+  });
+
+  test('자정을 넘는 구간', () => {
+    const quietHours = { start: '23:00', end: '07:00' };
+    assert.equal(isQuietTime(at('22:59'), quietHours), false);
+    assert.equal(isQuietTime(at('23:00'), quietHours), true);
+    assert.equal(isQuietTime(at('00:00'), quietHours), true);
+    assert.equal(isQuietTime(at('06:59'), quietHours), true);
+    assert.equal(isQuietTime(at('07:00'), quietHours), false);
+    assert.equal(isQuietTime(at('12:00'), quietHours), false);
+  });
+
+  test('start 와 end 가 같으면 조용한 시간 없음', () => {
+    assert.equal(isQuietTime(at('09:00'), { start: '09:00', end: '09:00' }), false);
+  });
+});
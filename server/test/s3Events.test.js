@@ -0,0 +1,40 @@
+// S3 이벤트 알림(Records) 해석
+
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { parseS3EventRecords } from '../storage/s3.js';
+
+const record = (eventName, key, extra = {}) => ({
+  eventName,
+  eventTime: '2026-01-01T00:00:00.000Z',
+  s3: { bucket: { name: 'caps' }, object: { key, size: 10, eTag: 'abc', ...extra } },
+});
+
+describe('parseS3EventRecords', () => {
+  test('URL 인코딩된 키를 풀어 created / removed 로 바꾼다', () => {
+    const changes = parseS3EventRecords([
+      record('s3:ObjectCreated:Put', 'fridge1/a+b%2B.jpg'),
+      record('ObjectRemoved:DeleteMarkerCreated', 'fridge1/c.jpg'),
+      record('ObjectRemoved:Delete', 'fridge1/d.jpg', { versionId: 'v1' }),
+    ]);
+    assert.deepEqual(
+      changes.map(({ type, key }) => [type, key]),
+      [
+        ['created', 'fridge1/a b+.jpg'],
+        ['removed', 'fridge1/c.jpg'],
+      ]
+    );
+  });
+
+  test('키 인코딩이 깨진 항목은 버리고 나머지는 처리한다', () => {
+    const changes = parseS3EventRecords([
+      record('ObjectCreated:Put', 'fridge1/%E0%A4%A.jpg'),
+      record('ObjectCreated:Put', 'fridge1/100%.jpg'),
+      record('ObjectCreated:Put', 'fridge1/ok.jpg'),
+    ]);
+    assert.deepEqual(
+      changes.map((change) => change.key),
+      ['fridge1/ok.jpg']
+    );
+  });
+});
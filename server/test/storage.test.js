@@ -0,0 +1,94 @@
+// 카메라 저장소 + 로컬 폴더 저장소: 키/prefix 가 카메라 prefix 나 저장소 폴더 밖으로 나가지 못하는지
+
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { after, before, describe, test } from 'node:test';
+import { createCameraStorage, isCaptureKey } from '../storage/cameras.js';
+import { createLocalStorage } from '../storage/local.js';
+
+const rejects400 = (promise) => assert.rejects(promise, (err) => err.status === 400);
+
+describe('경로 조작 키/prefix 거부', () => {
+  let dir;
+  let local;
+  let storage;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'cam-storage-'));
+    // 저장소 폴더 바깥의 파일 (새어 나가면 안 됨)
+    await writeFile(path.join(dir, 'secret.json'), '{}');
+    const root = path.join(dir, 'captures');
+    await mkdir(path.join(root, 'cam2'), { recursive: true });
+    await writeFile(path.join(root, 'a.jpg'), 'a');
+    await writeFile(path.join(root, 'cam2', 'b.jpg'), 'b');
+    local = createLocalStorage({ rootDir: root, signingSecret: 'test', watch: false });
+    storage = createCameraStorage({
+      cameras: [
+        { id: 'main', name: 'main', prefix: '' },
+        { id: 'cam2', name: 'cam2', prefix: 'cam2/' },
+      ],
+      backendFor: () => local,
+    });
+  });
+
+  after(() => rm(dir, { recursive: true, force: true }));
+
+  test('정상 prefix 는 목록을 돌려준다', async () => {
+    const keys = (await storage.list({ prefix: 'cam2/' })).items.map((item) => item.Key);
+    assert.deepEqual(keys, ['cam2/b.jpg']);
+  });
+
+  test('list: "..", ".", 빈 조각, 역슬래시가 든 prefix 는 400', async () => {
+    for (const prefix of [
+      'main/../',
+      'main/../../../../etc/pass',
+      'main/../secret',
+      'main/./',
+      'main//',
+      'main/..\\secret',
+      'cam2/../',
+    ]) {
+      await rejects400(storage.list({ prefix }));
+    }
+  });
+
+  test('list: startAfter 도 같은 규칙으로 거부', async () => {
+    await rejects400(storage.list({ prefix: 'main/', startAfter: 'main/../../x' }));
+  });
+
+  test('presign: 다른 카메라 prefix 나 폴더 밖을 가리키는 키는 400', async () => {
+    for (const key of ['main/../cam2/b.jpg', 'main/../../secret.json', 'cam2/../a.jpg', 'main/./a.jpg']) {
+      await rejects400(storage.presign(key, 60));
+    }
+    assert.ok(await storage.presign('cam2/b.jpg', 60));
+  });
+
+  test('remove: 경로 조작 키는 400, bulkRemove 는 키마다 오류로 보고', async () => {
+    await rejects400(storage.remove('main/../../secret.json'));
+    const { deleted, errors } = await storage.bulkRemove(['main/../cam2/b.jpg', 'main/a.jpg']);
+    assert.deepEqual(deleted, ['main/a.jpg']);
+    assert.deepEqual(
+      errors.map((e) => e.key),
+      ['main/../cam2/b.jpg']
+    );
+  });
+
+  test('로컬 저장소 list: 폴더 밖이나 휴지통 prefix 는 400', async () => {
+    for (const prefix of ['../', '../secret', 'cam2/../../', '.trash/', './a']) {
+      await rejects400(local.list({ prefix }));
+    }
+  });
+});
+
+describe('캡처 키 판별', () => {
+  test('카메라의 jpg 만 캡처이고 썸네일, 사이드카, 다른 파일은 아니다', () => {
+    for (const key of ['f1/a.jpg', 'f1/2025/12/23/b.JPEG', 'f1/thumbs/c.jpg']) {
+      assert.equal(isCaptureKey(key), true, key);
+    }
+    for (const key of ['f1/.thumbs/a.jpg', 'f1/.meta/a.jpg.json', 'f1/notes.txt', 'f1/a.jpg.json']) {
+      assert.equal(isCaptureKey(key), false, key);
+    }
+  });
+});
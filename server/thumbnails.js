@@ -0,0 +1,189 @@
+// 썸네일: 그리드 카드용 작은 JPEG 를 앱 키 "<카메라 id>/.thumbs/<원본 키>" 에 만들어 둔다.
+// 업로드 알림(이벤트 허브)을 받으면 바로, 알림이 없으면 처음 요청될 때 만든다.
+// 캡처를 지우거나 복원하거나 영구 삭제하면 썸네일도 함께 옮긴다 (remove / restore / purge).
+// 실제로는 원본과 같은 저장소의 ".thumbs/<원본 실제 키>" 에 있어 캡처 목록에는 나오지 않는다 (storage/cameras.js).
+
+import sharp from 'sharp';
+import { readJson } from './http.js';
+import { presignExpiresIn, requireKeys } from './routes/images.js';
+
+export const THUMB_DIR = '.thumbs/';
+
+const JPEG_KEY_RE = /\.jpe?g$/i;
+
+const splitKey = (key) => {
+  const slash = key.indexOf('/');
+  return [key.slice(0, slash), key.slice(slash + 1)];
+};
+
+export const thumbnailKeyFor = (key) => {
+  const [cameraId, rest] = splitKey(key);
+  return `${cameraId}/${THUMB_DIR}${rest}`;
+};
+
+export function createThumbnailer({ storage, config }) {
+  const { width, quality, concurrency } = config.thumbnails;
+  // 카메라 id → 이미 있는 썸네일 키 → 크기(bytes) Map 의 Promise (처음 필요할 때 목록 조회로 채움)
+  const known = new Map();
+  // 만드는 중인 썸네일 키 → Promise<number | false> (만든 크기, 같은 키를 두 번 만들지 않도록)
+  const inflight = new Map();
+  // 변환할 수 없는 원본(깨진 JPEG 등) → 프로세스가 도는 동안 다시 시도하지 않음
+  const failed = new Set();
+  let active = 0;
+  const waiting = [];
+
+  // 원본 다운로드 + 변환은 무거우므로 동시에 concurrency 개까지만
+  const limit = async (task) => {
+    if (active >= concurrency) await new Promise((resolve) => waiting.push(resolve));
+    active += 1;
+    try {
+      return await task();
+    } finally {
+      active -= 1;
+      waiting.shift()?.();
+    }
+  };
+
+  const knownFor = (cameraId) => {
+    if (!known.has(cameraId)) {
+      const loading = (async () => {
+        const keys = new Map();
+        let continuationToken;
+        do {
+          const page = await storage.list({ prefix: `${cameraId}/${THUMB_DIR}`, continuationToken });
+          for (const item of page.items) keys.set(item.Key, item.Size);
+          continuationToken = page.nextContinuationToken;
+        } while (continuationToken);
+        return keys;
+      })();
+      // 목록 조회에 실패하면 다음 요청 때 다시 시도
+      loading.catch(() => known.delete(cameraId));
+      known.set(cameraId, loading);
+    }
+    return known.get(cameraId);
+  };
+
+  const generate = async (key, thumbKey) => {
+    const original = await storage.read(key);
+    if (!original) return false;
+    let body;
+    try {
+      body = await sharp(original)
+        .rotate()
+        .resize({ width, withoutEnlargement: true })
+        .jpeg({ quality, mozjpeg: true })
+        .toBuffer();
+    } catch (err) {
+      failed.add(key);
+      console.error(`[thumbs] ${key} 변환 실패:`, err.message);
+      return false;
+    }
+    // 다른 요청이 먼저 만들었으면 그대로 둔다.
+    await storage.putIfAbsent(thumbKey, body, { contentType: 'image/jpeg' });
+    return body.length;
+  };
+
+  // 캡처의 썸네일 키 (없으면 만든다). 원본이 없거나 변환할 수 없으면 null, 저장소 오류는 예외
+  const ensure = async (key) => {
+    const thumbKey = thumbnailKeyFor(key);
+    const keys = await knownFor(splitKey(key)[0]);
+    if (keys.has(thumbKey)) return thumbKey;
+    if (failed.has(key)) return null;
+    if (!inflight.has(thumbKey)) {
+      const job = limit(() => generate(key, thumbKey))
+        .then((size) => {
+          if (size) keys.set(thumbKey, size);
+          return size;
+        })
+        .finally(() => inflight.delete(thumbKey));
+      inflight.set(thumbKey, job);
+    }
+    return (await inflight.get(thumbKey)) ? thumbKey : null;
+  };
+
+  // 이벤트 허브 구독자: 업로드되자마자 만들어 두면 첫 화면이 기다리지 않는다.
+  const handleEvent = (event) => {
+    if (event.type !== 'created' || !JPEG_KEY_RE.test(event.key)) return;
+    ensure(event.key).catch((err) => console.error(`[thumbs] ${event.key} 썸네일 생성 실패:`, err.message));
+  };
+
+  // 캡처 키 중 썸네일이 있는 것: [{ key(썸네일 키), size }]
+  const existing = async (keys) => {
+    const thumbs = [];
+    for (const key of keys) {
+      const thumbKey = thumbnailKeyFor(key);
+      const sizes = await knownFor(splitKey(key)[0]);
+      if (sizes.has(thumbKey)) thumbs.push({ key: thumbKey, size: sizes.get(thumbKey) });
+    }
+    return thumbs;
+  };
+
+  // 캡처들의 썸네일 용량 합 (보관 정책 미리보기)
+  const bytesOf = async (keys) => (await existing(keys)).reduce((sum, thumb) => sum + thumb.size, 0);
+
+  // 지운 캡처의 썸네일도 휴지통으로 옮기고(휴지통이 꺼져 있으면 삭제) 옮긴 용량 합을 돌려준다.
+  // 썸네일 정리에 실패해도 캡처 삭제 결과는 바꾸지 않고 로그만 남긴다.
+  const remove = async (keys) => {
+    try {
+      const thumbs = await existing(keys);
+      if (!thumbs.length) return 0;
+      const sizes = new Map(thumbs.map((thumb) => [thumb.key, thumb.size]));
+      const { deleted, errors } = await storage.bulkRemove([...sizes.keys()]);
+      for (const { key, message } of errors) console.error(`[thumbs] ${key} 삭제 실패:`, message);
+      let freed = 0;
+      for (const thumbKey of deleted) {
+        freed += sizes.get(thumbKey) || 0;
+        (await knownFor(splitKey(thumbKey)[0])).delete(thumbKey);
+      }
+      return freed;
+    } catch (err) {
+      console.error('[thumbs] 썸네일 삭제 실패:', err.message);
+      return 0;
+    }
+  };
+
+  // 복원한 캡처의 썸네일도 되돌린다. 휴지통에 없는 썸네일은 다음에 필요할 때 새로 만든다.
+  const restore = async (keys) => {
+    if (!keys.length) return;
+    try {
+      const { done } = await storage.restore(keys.map(thumbnailKeyFor));
+      // 되돌린 썸네일의 크기는 목록을 다시 읽어 채운다.
+      for (const cameraId of new Set(done.map((thumbKey) => splitKey(thumbKey)[0]))) known.delete(cameraId);
+    } catch (err) {
+      console.error('[thumbs] 썸네일 복원 실패:', err.message);
+    }
+  };
+
+  // 영구 삭제한 캡처의 썸네일도 휴지통에서 지운다 (썸네일이 없던 캡처는 건너뜀).
+  const purge = async (keys) => {
+    if (!keys.length) return;
+    try {
+      await storage.purge(keys.map(thumbnailKeyFor));
+    } catch (err) {
+      console.error('[thumbs] 썸네일 영구 삭제 실패:', err.message);
+    }
+  };
+
+  return { ensure, handleEvent, bytesOf, remove, restore, purge };
+}
+
+export function registerThumbnailRoutes(router, { thumbnails, storage, auth, config }) {
+  // 캡처 키 → 썸네일 presigned URL. 만들 수 없는 키는 빠지며 앱은 원본 URL 을 쓴다.
+  router.post('/api/images/thumbnails', auth.guard('viewer', async ({ req }) => {
+    const body = await readJson(req);
+    const keys = requireKeys(body.keys, config.maxKeysPerRequest);
+    const expiresIn = presignExpiresIn(body.expiresIn, config);
+    const entries = await Promise.all(
+      keys.map(async (key) => {
+        try {
+          const thumbKey = await thumbnails.ensure(key);
+          return thumbKey && [key, await storage.presign(thumbKey, expiresIn)];
+        } catch (err) {
+          console.error(`[thumbs] ${key} 썸네일 생성 실패:`, err.message);
+          return null;
+        }
+      })
+    );
+    return { expiresIn, urls: Object.fromEntries(entries.filter(Boolean)) };
+  }));
+}
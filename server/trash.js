@@ -0,0 +1,158 @@
+// 휴지통: 삭제된 캡처 목록 / 복원 / 영구 삭제 / 자동 비우기
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { HttpError, readJson } from './http.js';
+import { requireKeys } from './routes/images.js';
+
+const TRASH_URL_EXPIRES_SEC = 3600;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 자동 비우기 등 서버가 직접 수행한 작업의 감사 로그 주체
+export const SYSTEM_USER = { username: 'system', role: 'system' };
+
+export function createTrash({ storage, config }) {
+  const { settingsFile } = config.trash;
+  let settings = { autoPurgeDays: config.trash.autoPurgeDays };
+  let softDeleteChecked = false;
+
+  const loadSettings = async () => {
+    try {
+      settings = { ...settings, ...JSON.parse(await readFile(settingsFile, 'utf8')) };
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    return settings;
+  };
+
+  const saveSettings = async (next) => {
+    settings = { ...settings, ...next };
+    await mkdir(path.dirname(settingsFile), { recursive: true });
+    await writeFile(settingsFile, JSON.stringify(settings, null, 2) + '\n', 'utf8');
+    return settings;
+  };
+
+  // 삭제 전 확인: 휴지통을 쓸 수 없는 저장소에서 삭제하면 되돌릴 수 없으므로 거부
+  // (TRASH_ENABLED=false 로 명시적으로 끈 경우에만 영구 삭제 허용)
+  const assertSoftDelete = async () => {
+    if (!config.trash.enabled || softDeleteChecked) return;
+    if (!(await storage.supportsTrash())) {
+      throw new HttpError(
+        409,
+        '버킷 버전 관리가 꺼져 있어 휴지통을 사용할 수 없습니다. 버전 관리를 켜거나 TRASH_ENABLED=false 로 설정하세요.'
+      );
+    }
+    softDeleteChecked = true;
+  };
+
+  const list = async () => {
+    const items = await storage.listTrash();
+    items.sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+    return Promise.all(
+      items.map(async (item) => ({
+        ...item,
+        url: await storage.presignVersion(item.key, item.versionId, TRASH_URL_EXPIRES_SEC),
+      }))
+    );
+  };
+
+  // 보관 기간이 지난 항목의 키
+  const expiredKeys = async () => {
+    if (!settings.autoPurgeDays) return [];
+    const cutoff = Date.now() - settings.autoPurgeDays * DAY_MS;
+    return (await storage.listTrash())
+      .filter((item) => new Date(item.deletedAt).getTime() < cutoff)
+      .map((item) => item.key);
+  };
+
+  return {
+    loadSettings,
+    saveSettings,
+    getSettings: () => settings,
+    assertSoftDelete,
+    list,
+    expiredKeys,
+  };
+}
+
+// 주기적으로 보관 기간이 지난 휴지통 항목을 (썸네일, 메타데이터 사이드카와 함께) 영구 삭제
+export function startTrashAutoPurge({ trash, storage, thumbnails, captureMeta, audit, intervalMs }) {
+  const run = async () => {
+    try {
+      const keys = await trash.expiredKeys();
+      if (!keys.length) return;
+      const { done, errors } = await storage.purge(keys);
+      await thumbnails.purge(done);
+      await captureMeta.purge(done);
+      await audit.record({
+        user: SYSTEM_USER,
+        action: 'auto-purge',
+        keys,
+        failedKeys: errors.map((e) => e.key),
+      });
+      console.log(`[trash] 자동 비우기: ${done.length}개 영구 삭제, ${errors.length}개 실패`);
+    } catch (err) {
+      console.error('[trash] 자동 비우기 실패:', err);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+export function registerTrashRoutes(router, { trash, storage, thumbnails, captureMeta, audit, auth, config }) {
+  router.get(
+    '/api/trash',
+    auth.guard('admin', async () => ({ items: await trash.list(), settings: trash.getSettings() }))
+  );
+
+  // 복원/영구 삭제 모두 감사 로그에 기록
+  const trashAction = (action, run) =>
+    auth.guard('admin', async ({ req, user }) => {
+      const body = await readJson(req);
+      const keys = requireKeys(body.keys, config.maxKeysPerRequest);
+      let result;
+      try {
+        result = await run(keys);
+      } catch (err) {
+        await audit.record({ user, action, keys, failedKeys: keys, error: err.message });
+        throw err;
+      }
+      await audit.record({ user, action, keys, failedKeys: result.errors.map((e) => e.key) });
+      return result;
+    });
+
+  // 캡처의 썸네일과 메타데이터 사이드카도 함께 복원/영구 삭제
+  router.post(
+    '/api/trash/restore',
+    trashAction('restore', async (keys) => {
+      const result = await storage.restore(keys);
+      await thumbnails.restore(result.done);
+      await captureMeta.restore(result.done);
+      return result;
+    })
+  );
+  router.post(
+    '/api/trash/purge',
+    trashAction('purge', async (keys) => {
+      const result = await storage.purge(keys);
+      await thumbnails.purge(result.done);
+      await captureMeta.purge(result.done);
+      return result;
+    })
+  );
+
+  router.put(
+    '/api/trash/settings',
+    auth.guard('admin', async ({ req }) => {
+      const body = await readJson(req);
+      const days = Number(body.autoPurgeDays);
+      if (!Number.isInteger(days) || days < 0 || days > 3650) {
+        throw new HttpError(400, 'autoPurgeDays 는 0~3650 사이의 정수여야 합니다. (0 = 자동 비우기 끔)');
+      }
+      return trash.saveSettings({ autoPurgeDays: days });
+    })
+  );
+}
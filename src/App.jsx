@@ -1,43 +1,134 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import {
   RefreshCw,
-  Download,
   Trash2,
   Calendar,
   Clock,
   AlertTriangle,
   Shield,
-  Settings,
   Zap,
+  LogOut,
+  ScrollText,
+  Film,
+  Activity,
+  Camera,
+  Video,
+  Pause,
+  Play,
+  Bell,
+  Archive,
+  Star,
+  Tag,
+  BarChart3,
+  FileDown,
+  Link2,
 } from 'lucide-react';
 import {
-  S3Client,
-  ListObjectsV2Command,
-  DeleteObjectCommand,
-  DeleteObjectsCommand,
-  GetObjectCommand,
-} from '@aws-sdk/client-s3';
-import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
-
-// 파일 크기 포맷팅 함수
-const formatFileSize = (bytes) => {
-  if (bytes < 1024) return bytes + ' B';
-  if (bytes < 1024 * 1024) return (bytes / 1024).toFixed(1) + ' KB';
-  return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+  listImages,
+  presignImages,
+  presignThumbnails,
+  deleteImage,
+  bulkDeleteImages,
+  hasAuthToken,
+  fetchCurrentUser,
+  fetchCameras,
+  subscribeCaptureEvents,
+  fetchCaptureMeta,
+  updateCaptureMeta,
+  logout,
+  setUnauthorizedHandler,
+} from './lib/api';
+import LoginScreen from './components/LoginScreen';
+import AuditLogView from './components/AuditLogView';
+import TrashView from './components/TrashView';
+import LivePanel from './components/LivePanel';
+import AlertSettingsView from './components/AlertSettingsView';
+import RetentionView from './components/RetentionView';
+import AnalyticsView from './components/AnalyticsView';
+import DateRangeFilter from './components/DateRangeFilter';
+import CaptureCalendar from './components/CaptureCalendar';
+import ImageCard from './components/ImageCard';
+import EventCard from './components/EventCard';
+import ImageModal from './components/ImageModal';
+import ExportDialog from './components/ExportDialog';
+import MetadataExportDialog from './components/MetadataExportDialog';
+import ShareDialog from './components/ShareDialog';
+import SharesView from './components/SharesView';
+import SelectionBar from './components/SelectionBar';
+import BulkProgressDialog from './components/BulkProgressDialog';
+import VirtualGrid from './components/VirtualGrid';
+import { buildZip, deleteInBatches, deleteReportTable } from './lib/bulk';
+import { groupIntoEvents, sortEvents } from './lib/events';
+import { fileTimestamp, saveBlob } from './lib/download';
+import { csvBlob } from './lib/csv';
+import { formatTimestamp } from './lib/format';
+import { MAX_EXPORT_FRAMES } from './lib/frameExport';
+import { addDays } from './lib/dates';
+import { dayLayout } from './lib/keyLayout';
+import { createMultiCameraSync, cameraIdOf } from './lib/cameraSync';
+import { createUrlCache } from './lib/urlCache';
+import { createMotionScorer, loadReferenceFrames, saveReferenceFrame, clearReferenceFrames } from './lib/motion';
+import { ALERT_THRESHOLDS, DEFAULT_ALERT_THRESHOLD, isAlertScore } from './lib/alerts';
+import { createCaptureNotifier, loadNotifySettings, saveNotifySettings } from './lib/notify';
+
+// 최근 1시간 / 오늘 / 전체 통계
+const computeStats = (imageList) => {
+  const now = Date.now();
+  const oneHourAgo = now - 60 * 60 * 1000;
+  const todayStart = new Date().setHours(0, 0, 0, 0);
+
+  return {
+    lastHour: imageList.filter((img) => img.timestamp.getTime() > oneHourAgo).length,
+    today: imageList.filter((img) => img.timestamp.getTime() > todayStart).length,
+    total: imageList.length,
+  };
 };
 
-// 타임스탬프 포맷팅 함수
-const formatTimestamp = (timestamp) => {
-  return timestamp.toLocaleString('ko-KR', {
-    year: 'numeric',
-    month: 'short',
-    day: 'numeric',
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit',
-  });
+// 카메라별 통계와 전체 합계: { all, [cameraId]: stats }
+const computeCameraStats = (imageList, cameras) => {
+  const byCamera = Object.fromEntries(cameras.map((camera) => [camera.id, []]));
+  for (const img of imageList) byCamera[cameraIdOf(img.key)]?.push(img);
+  return {
+    all: computeStats(imageList),
+    ...Object.fromEntries(Object.entries(byCamera).map(([id, list]) => [id, computeStats(list)])),
+  };
 };
 
+// 실시간 모드의 폴링 간격(초): push 가 끊겼을 때 / push 연결 중 누락분 확인용
+const POLL_INTERVAL_SEC = 30;
+const PUSH_RECONCILE_INTERVAL_SEC = 300;
+// 연속 촬영은 거의 동시에 여러 장이 올라오므로 push 알림을 잠시 모아 한 번에 반영
+const PUSH_BATCH_MS = 300;
+// 사진 전체 삭제는 한 요청에 많이 보낸다 (서버가 DeleteObjects 최대 1000개씩 처리, 진행률은 요청 단위)
+const DELETE_ALL_BATCH_SIZE = 500;
+
+// 모달에 열린 캡처를 남기는 주소창 파라미터 (공유 링크)
+const CAPTURE_PARAM = 'capture';
+
+// 태그 없는 캡처 / 아직 받지 못한 기간 조회 목록 (렌더링마다 새 배열을 만들지 않도록)
+const NO_TAGS = [];
+const NO_IMAGES = [];
+
+// 헤더의 업데이트 상태 표시
+const LIVE_STATUS = {
+  open: { label: '실시간', dot: 'bg-green-500', title: '새 캡처가 올라오는 즉시 표시됩니다.' },
+  connecting: { label: '연결 중', dot: 'bg-yellow-400 animate-pulse', title: 'push 채널에 연결하는 중입니다.' },
+  closed: {
+    label: `${POLL_INTERVAL_SEC}초 확인`,
+    dot: 'bg-yellow-500',
+    title: `push 연결이 끊겨 ${POLL_INTERVAL_SEC}초마다 확인합니다. 자동으로 다시 연결합니다.`,
+  },
+  paused: { label: '일시정지', dot: 'bg-gray-400', title: '새 캡처를 반영하지 않습니다. 새로고침은 계속 쓸 수 있습니다.' },
+};
+
+// push 알림(created) → 목록 조회 결과와 같은 모양
+const toListItem = (event) => ({
+  Key: event.key,
+  ETag: event.etag,
+  LastModified: event.lastModified,
+  Size: event.size,
+});
+
 // ✅ 전체 화면 로딩 오버레이 (클릭 차단)
 function FullScreenLoading({ message = '모니터링 데이터 확인중...' }) {
   return (
@@ -51,109 +142,314 @@ function FullScreenLoading({ message = '모니터링 데이터 확인중...' })
   );
 }
 
-export default function S3ImageViewer() {
+// 상단 탭 (adminOnly 는 admin 에게만 표시)
+const VIEWS = [
+  { id: 'captures', label: '캡처 기록', icon: Shield },
+  { id: 'live', label: '실시간', icon: Video },
+  { id: 'analytics', label: '분석', icon: BarChart3 },
+  { id: 'alerts', label: '알림', icon: Bell },
+  { id: 'trash', label: '휴지통', icon: Trash2, adminOnly: true },
+  { id: 'retention', label: '보관 정책', icon: Archive, adminOnly: true },
+  { id: 'audit', label: '감사 로그', icon: ScrollText, adminOnly: true },
+  { id: 'shares', label: '공유 링크', icon: Link2, adminOnly: true },
+];
+
+// 세션 확인 후 로그인 화면 또는 뷰어 표시
+export default function App() {
+  const [user, setUser] = useState(null);
+  const [isCheckingSession, setIsCheckingSession] = useState(hasAuthToken);
+  const [loginNotice, setLoginNotice] = useState(null);
+  // 로그인한 사용자가 볼 수 있는 카메라 목록 (불러오기 실패 시 cameraError)
+  const [cameras, setCameras] = useState(null);
+  const [cameraError, setCameraError] = useState(null);
+  const [cameraReloadToken, setCameraReloadToken] = useState(0);
+
+  useEffect(() => {
+    setUnauthorizedHandler(() => {
+      setUser(null);
+      setCameras(null);
+      setLoginNotice('세션이 만료되었습니다. 다시 로그인하세요.');
+    });
+
+    if (!hasAuthToken()) return () => setUnauthorizedHandler(null);
+
+    fetchCurrentUser()
+      .then(setUser)
+      .catch((err) => console.error('세션 확인 오류:', err))
+      .finally(() => setIsCheckingSession(false));
+
+    return () => setUnauthorizedHandler(null);
+  }, []);
+
+  useEffect(() => {
+    if (!user) return undefined;
+    let cancelled = false;
+    fetchCameras()
+      .then((list) => {
+        if (cancelled) return;
+        setCameras(list);
+        setCameraError(null);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('카메라 목록 로딩 에러:', err);
+        setCameraError('카메라 목록을 불러오지 못했습니다. 백엔드 서버를 확인하세요.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [user, cameraReloadToken]);
+
+  const handleLogout = () => {
+    logout();
+    setLoginNotice(null);
+    setUser(null);
+    setCameras(null);
+  };
+
+  if (isCheckingSession) {
+    return <FullScreenLoading message="세션 확인 중..." />;
+  }
+
+  if (!user) {
+    return <LoginScreen onLogin={setUser} notice={loginNotice} />;
+  }
+
+  if (cameraError) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4 w-full">
+        <div className="bg-white border border-red-300 rounded shadow-lg p-8 max-w-md w-full">
+          <AlertTriangle className="w-16 h-16 text-red-500 mx-auto mb-4" />
+          <p className="text-gray-600 text-center mb-4">{cameraError}</p>
+          <button
+            onClick={() => {
+              setCameraError(null);
+              setCameraReloadToken((n) => n + 1);
+            }}
+            className="w-full bg-red-500 text-white py-2 rounded hover:bg-red-600 transition-colors font-medium"
+          >
+            재연결 시도
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!cameras) {
+    return <FullScreenLoading message="카메라 목록 확인 중..." />;
+  }
+
+  return <S3ImageViewer key={user.username} user={user} cameras={cameras} onLogout={handleLogout} />;
+}
+
+function S3ImageViewer({ user, cameras, onLogout }) {
+  const isAdmin = user.role === 'admin';
+  // 삭제/전체 삭제는 admin 만 (서버에서도 동일하게 검사)
+  const canDelete = isAdmin;
   const [images, setImages] = useState([]);
+  // 'all' 이면 모든 카메라 합쳐 보기
+  const [selectedCameraId, setSelectedCameraId] = useState('all');
+  // 마지막 동기화에서 목록을 못 가져온 카메라 id
+  const [failedCameras, setFailedCameras] = useState([]);
   const [selectedImage, setSelectedImage] = useState(null);
+  // 모달 비교 모드의 두 번째 캡처 키 (null = 비교 안 함)
+  const [compareKey, setCompareKey] = useState(null);
+  // 링크(?capture=)로 들어왔을 때 아직 열지 않은 캡처 키
+  const linkedCaptureKeyRef = useRef(new URLSearchParams(window.location.search).get(CAPTURE_PARAM));
+  // 모달에서 프레임을 넘겨 볼 이벤트 (첫 프레임 키)
+  const [selectedEventId, setSelectedEventId] = useState(null);
+  // 연속 촬영을 이벤트 하나로 묶어 표시 / 묶는 간격(초)
+  const [groupByEvent, setGroupByEvent] = useState(true);
+  const [eventGapSec, setEventGapSec] = useState(30);
+  // 애니메이션 내보내기 대상 { frames(오래된순), title }
+  const [exportTarget, setExportTarget] = useState(null);
+  // 목록(CSV/JSON) 내보내기 대화상자
+  const [showMetadataExport, setShowMetadataExport] = useState(false);
+  // 공유 링크를 만들 캡처 { images, title }
+  const [shareTarget, setShareTarget] = useState(null);
+  // 다중 선택된 캡처 키 / Shift 범위 선택 기준 카드 위치
+  const [checkedKeys, setCheckedKeys] = useState(() => new Set());
+  const lastCheckedIndexRef = useRef(null);
+  // 일괄 작업 진행 상황 { title, progress, result, abort }
+  const [bulkJob, setBulkJob] = useState(null);
+  // 변화 점수 (캡처 키 → 바뀐 픽셀 %) / 비교 대상 / ALERT 기준 / 변화 있는 것만 보기
+  const [motionScores, setMotionScores] = useState(() => new Map());
+  // 카메라별 기준 프레임 { [cameraId]: { key, etag, signature } }
+  const [referenceFrames, setReferenceFrames] = useState(loadReferenceFrames);
+  const [compareTo, setCompareTo] = useState(() =>
+    Object.keys(loadReferenceFrames()).length ? 'reference' : 'previous'
+  );
+  const [alertThreshold, setAlertThreshold] = useState(DEFAULT_ALERT_THRESHOLD);
+  const [onlyAlerts, setOnlyAlerts] = useState(false);
+  // 별표한 것만 / 태그 ('' = 전체)
+  const [onlyStarred, setOnlyStarred] = useState(false);
+  const [tagFilter, setTagFilter] = useState('');
   const [sortBy, setSortBy] = useState('newest');
   const [filterDate, setFilterDate] = useState('all');
+  // filterDate === 'range' 일 때의 기간 { start, end } (end 미포함)
+  const [dateRange, setDateRange] = useState(null);
+  const [showCalendar, setShowCalendar] = useState(false);
+  // 날짜별 prefix 기간 조회 결과 { sync, images }
+  const [rangeResult, setRangeResult] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
-  const [isDeletingAll, setIsDeletingAll] = useState(false);
+  // 전체 목록을 페이지 단위로 받는 중이면 지금까지 받은 캡처 수 (통계는 다 받은 뒤에 정확해짐)
+  const [listingCount, setListingCount] = useState(null);
+  // presigned URL 을 새로 받으면 다시 그리기 위한 값
+  const [, setUrlVersion] = useState(0);
+  // 삭제 작업(선택 삭제 / 사진 전체 삭제)이 진행 중이면 자동 새로고침과 다른 삭제를 막는다.
+  const isDeleting = Boolean(bulkJob?.deleting && !bulkJob.result);
   const [error, setError] = useState(null);
-  const [refreshIntervalSec, setRefreshIntervalSec] = useState(30);
-  const [stats, setStats] = useState({
-    lastHour: 0,
-    today: 0,
-    total: 0,
-  });
-
-  // S3 클라이언트 설정
-  const s3Client = useMemo(
+  // 실시간: 새 캡처를 push 로 바로 반영(끊기면 폴링) / 일시정지: 수동 새로고침만
+  const [isLive, setIsLive] = useState(true);
+  const [pushStatus, setPushStatus] = useState('connecting');
+  // 이 브라우저의 새 캡처 데스크톱 알림 설정
+  const [notifySettings, setNotifySettings] = useState(loadNotifySettings);
+  // push/폴링 콜백은 이전 렌더의 applyImages 를 잡고 있으므로 최신 설정은 ref 로 읽는다.
+  const notifySettingsRef = useRef(notifySettings);
+  // 지금까지 한 번이라도 본 캡처 키 (첫 동기화 전에는 null → 첫 목록은 알리지 않음)
+  const seenKeysRef = useRef(null);
+  // 첫 목록의 가장 최근 촬영 시각(ms): 이보다 먼저 찍힌 캡처(휴지통에서 복원한 캡처 등)는 새 캡처로 알리지 않는다.
+  // (브라우저 시계 대신 저장소 시각끼리 비교)
+  const notifySinceRef = useRef(0);
+  const [activeView, setActiveView] = useState('captures');
+  // 캡처 메타데이터 { [key]: { flagged, starred, tags, note } } (보존 표시/별표한 캡처는 보관 정책이 지우지 않음)
+  const [captureMeta, setCaptureMeta] = useState({});
+  const isFlagged = (img) => Boolean(captureMeta[img.key]?.flagged);
+  const isStarred = (img) => Boolean(captureMeta[img.key]?.starred);
+  const tagsOf = (img) => captureMeta[img.key]?.tags || NO_TAGS;
+  // 태그 필터/자동 완성 목록 (가나다순)
+  const allTags = useMemo(
+    () => [...new Set(Object.values(captureMeta).flatMap((meta) => meta.tags || []))].sort((a, b) => a.localeCompare(b)),
+    [captureMeta]
+  );
+  const cameraNames = useMemo(
+    () => Object.fromEntries(cameras.map((camera) => [camera.id, camera.name])),
+    [cameras]
+  );
+  const hasManyCameras = cameras.length > 1;
+  const selectedCameraIds = useMemo(
+    () => (selectedCameraId === 'all' ? cameras.map((camera) => camera.id) : [selectedCameraId]),
+    [cameras, selectedCameraId]
+  );
+
+  // 증분 동기화 엔진 (카메라별): 새 객체만 조회하고 목록(메타데이터)만 유지
+  // 통계와 "전체 카메라" 보기를 위해 선택과 관계없이 모든 카메라를 동기화한다.
+  // (S3 접근은 모두 백엔드 프록시를 거침)
+  const imageSync = useMemo(
     () =>
-      new S3Client({
-        region: import.meta.env.VITE_AWS_REGION,
-        credentials: {
-          accessKeyId: import.meta.env.VITE_AWS_ACCESS_KEY_ID,
-          secretAccessKey: import.meta.env.VITE_AWS_SECRET_ACCESS_KEY,
-        },
+      createMultiCameraSync({
+        cameraIds: cameras.map((camera) => camera.id),
+        listPage: listImages,
+      }),
+    [cameras]
+  );
+
+  // presigned URL 은 화면에 보이는 카드와 실제로 여는/받는 캡처만 발급
+  const urlCache = useMemo(
+    () =>
+      createUrlCache({
+        presign: presignImages,
+        presignThumbnails,
+        onChange: () => setUrlVersion((n) => n + 1),
       }),
     []
   );
+  // 지금 그리드에 그려진 카드의 캡처 (동기화할 때 만료가 가까운 URL 을 다시 발급)
+  const visibleImagesRef = useRef([]);
 
-  const bucketName = import.meta.env.VITE_AWS_BUCKET_NAME;
+  // 날짜별 키 레이아웃이면 기간 조회는 선택한 카메라의 해당 날짜 prefix 만 나열
+  const rangeSync = useMemo(() => {
+    if (filterDate !== 'range' || !dateRange || !dayLayout) return null;
+    const prefixes = dayLayout.prefixesForRange(dateRange.start, dateRange.end);
+    if (!prefixes) return null;
+    return createMultiCameraSync({
+      cameraIds: selectedCameraIds,
+      prefixesFor: (id) => prefixes.map((prefix) => `${id}/${prefix}`),
+      listPage: listImages,
+    });
+  }, [filterDate, dateRange, selectedCameraIds]);
 
-  // S3에서 이미지 목록 가져오기 (페이지네이션 포함)
-  const loadImagesFromS3 = async () => {
-    setError(null);
+  const stats = useMemo(() => computeCameraStats(images, cameras), [images, cameras]);
+  const selectedStats = stats[selectedCameraId] || stats.all;
+  const cameraImages = useMemo(
+    () =>
+      selectedCameraId === 'all'
+        ? images
+        : images.filter((img) => cameraIdOf(img.key) === selectedCameraId),
+    [images, selectedCameraId]
+  );
+
+  const motionScorer = useMemo(() => createMotionScorer(), []);
+  const captureNotifier = useMemo(() => createCaptureNotifier(), []);
 
+  const syncRange = async (full = false) => {
+    if (!rangeSync) return;
     try {
-      let ContinuationToken = undefined;
-      const allItems = [];
-
-      do {
-        const command = new ListObjectsV2Command({
-          Bucket: bucketName,
-          ContinuationToken,
-        });
-        const response = await s3Client.send(command);
-
-        if (response.Contents?.length) {
-          allItems.push(...response.Contents);
-        }
+      const { images: rangeImages } = await rangeSync.sync({ full });
+      setRangeResult({ sync: rangeSync, images: rangeImages });
+    } catch (err) {
+      console.error('기간 조회 에러:', err);
+      setRangeResult({ sync: rangeSync, images: [], failed: true });
+    }
+  };
 
-        ContinuationToken = response.IsTruncated
-          ? response.NextContinuationToken
-          : undefined;
-      } while (ContinuationToken);
+  useEffect(() => {
+    syncRange(true);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [rangeSync]);
 
-      if (!allItems.length) {
-        setImages([]);
-        setStats({ lastHour: 0, today: 0, total: 0 });
-        return;
+  // 처음 보는 새 캡처만 데스크톱 알림. 복원된 캡처는 이미 본 키이거나 첫 목록보다 먼저 찍혔으므로 알리지 않는다.
+  // 첫 전체 목록을 다 받기 전(seen 이 null)에는 알리지 않는다.
+  const applyImages = (imageList) => {
+    const seen = seenKeysRef.current;
+    if (seen) {
+      const unseen = imageList.filter((img) => !seen.has(img.key));
+      unseen.forEach((img) => seen.add(img.key));
+      const fresh = unseen.filter((img) => img.timestamp.getTime() >= notifySinceRef.current);
+      const settings = notifySettingsRef.current;
+      if (fresh.length && settings.enabled) {
+        urlCache
+          .resolve(fresh)
+          .then((list) => captureNotifier.notify(list, { settings, cameraNames }))
+          .catch((err) => console.error('알림 썸네일 URL 발급 실패:', err));
       }
+    }
+    setImages(imageList);
+  };
 
-      const imagePromises = allItems
-        .filter((item) => {
-          const key = (item.Key || '').toLowerCase();
-          return key.endsWith('.jpg') || key.endsWith('.jpeg');
-        })
-        .map(async (item) => {
-          const getCommand = new GetObjectCommand({
-            Bucket: bucketName,
-            Key: item.Key,
-          });
-          const url = await getSignedUrl(s3Client, getCommand, {
-            expiresIn: 3600,
-          });
-
-          return {
-            id: item.Key,
-            key: item.Key,
-            url,
-            name: item.Key.split('/').pop(),
-            timestamp: item.LastModified,
-            size: formatFileSize(item.Size),
-          };
-        });
-
-      const imageList = await Promise.all(imagePromises);
-      imageList.sort((a, b) => b.timestamp - a.timestamp);
-      setImages(imageList);
+  const changeNotifySettings = (settings) => {
+    notifySettingsRef.current = saveNotifySettings(settings);
+    setNotifySettings(settings);
+  };
 
-      const now = Date.now();
-      const oneHourAgo = now - 60 * 60 * 1000;
-      const todayStart = new Date().setHours(0, 0, 0, 0);
+  // S3에서 이미지 목록 동기화 (변경분만 반영)
+  // 목록은 페이지를 받을 때마다 화면에 반영하고, 첫 페이지가 오면 로딩 화면을 닫는다.
+  const loadImagesFromS3 = async ({ full = false } = {}) => {
+    setError(null);
 
-      setStats({
-        lastHour: imageList.filter((img) => img.timestamp.getTime() > oneHourAgo)
-          .length,
-        today: imageList.filter((img) => img.timestamp.getTime() > todayStart)
-          .length,
-        total: imageList.length,
-      });
+    const handlePage = (imageList) => {
+      setImages(imageList);
+      setListingCount(imageList.length);
+      setIsLoading(false);
+    };
+
+    try {
+      const [{ images: imageList, failedCameras: failed }] = await Promise.all([
+        imageSync.sync({ full, onPage: handlePage }),
+        syncRange(full),
+      ]);
+      if (!seenKeysRef.current) {
+        seenKeysRef.current = new Set(imageList.map((img) => img.key));
+        notifySinceRef.current = imageList.reduce((max, img) => Math.max(max, img.timestamp.getTime()), 0);
+      }
+      applyImages(imageList);
+      setFailedCameras(failed);
+      urlCache.ensure(visibleImagesRef.current).catch((err) => console.error('URL 갱신 실패:', err));
     } catch (err) {
       console.error('S3 로딩 에러:', err);
-      setError('S3에서 이미지를 불러오는데 실패했습니다. AWS 설정 확인 필요.');
+      setError('S3에서 이미지를 불러오는데 실패했습니다. 백엔드 서버와 AWS 설정 확인 필요.');
     } finally {
+      setListingCount(null);
       setIsLoading(false);
     }
   };
@@ -161,101 +457,133 @@ export default function S3ImageViewer() {
   // ⭐ 강제 다운로드 핸들러 (Blob 방식)
   const handleDownload = async (img) => {
     try {
-      const response = await fetch(img.url);
-      const blob = await response.blob();
-
-      const url = window.URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = img.name;
-
-      document.body.appendChild(link);
-      link.click();
-
-      document.body.removeChild(link);
-      window.URL.revokeObjectURL(url);
+      const [{ url }] = await urlCache.resolve([img], { thumbnails: false });
+      const response = await fetch(url);
+      saveBlob(await response.blob(), img.name);
     } catch (err) {
       console.error('다운로드 오류:', err);
       alert('다운로드에 실패했습니다. 네트워크 상태를 확인하세요.');
     }
   };
 
+  // 별표한 캡처(증거)는 일괄 삭제에서 빼고, 사용자가 확인한 경우에만 같이 지운다.
+  // (서버도 override 없이는 별표한 캡처를 지우지 않으므로, 남은 대상에 별표가 있으면 override 를 보낸다)
+  const excludeStarred = (targets) => {
+    const starredCount = targets.filter(isStarred).length;
+    if (!starredCount) return targets;
+    if (
+      confirm(
+        `별표한 캡처 ${starredCount}장이 포함되어 있습니다.\n별표한 캡처까지 삭제하려면 [확인], 남겨 두려면 [취소]를 누르세요.`
+      )
+    ) {
+      return targets;
+    }
+    return targets.filter((img) => !isStarred(img));
+  };
+
   // 삭제 핸들러 (단일)
   const handleDelete = async (img) => {
-    if (isLoading || isDeletingAll) return;
+    if (!canDelete || isLoading || isDeleting) return;
 
-    if (!confirm(`정말로 "${img.name}" 파일을 삭제하시겠습니까?`)) {
+    const message = isStarred(img)
+      ? `"${img.name}" 은(는) 별표한 캡처입니다.\n별표를 무시하고 휴지통으로 이동하시겠습니까?`
+      : `"${img.name}" 파일을 휴지통으로 이동하시겠습니까?`;
+    if (!confirm(message)) {
       return;
     }
 
     try {
       setIsLoading(true);
-      const deleteCommand = new DeleteObjectCommand({
-        Bucket: bucketName,
-        Key: img.key,
-      });
-      await s3Client.send(deleteCommand);
-      alert(`파일 "${img.name}"이(가) 성공적으로 삭제되었습니다.`);
-      setSelectedImage(null);
+      await deleteImage(img.key, { override: isStarred(img) });
+      applyImages(imageSync.forget([img.key]));
+      rangeSync?.forget([img.key]);
+      alert(`파일 "${img.name}"을(를) 휴지통으로 이동했습니다.`);
+      closeModal();
       await loadImagesFromS3();
     } catch (e) {
       console.error('삭제 오류:', e);
-      alert('파일 삭제에 실패했습니다. 권한을 확인하세요.');
+      alert(e.message || '파일 삭제에 실패했습니다. 권한을 확인하세요.');
     } finally {
       setIsLoading(false);
     }
   };
 
-  // ✅ 사진 전체 삭제: CORS(POST ?delete) 문제 회피를 위해 DeleteObject 반복
-  // (개별 삭제가 되는 환경이면 이 방식이 가장 확실히 동작)
-  const deleteAllImages = async () => {
-    if (isLoading) return;
+  // 이벤트 전체 다운로드: 프레임을 순서대로 저장 (URL 은 한 번에 발급)
+  const handleDownloadEvent = async (event) => {
+    await urlCache.ensure(event.frames, { thumbnails: false }).catch(() => {});
+    for (const frame of event.frames) {
+      await handleDownload(frame);
+    }
+  };
 
-    if (
-      !confirm(
-        '정말로 S3의 사진(jpg/jpeg)을 전체 삭제하시겠습니까?\n이 작업은 되돌릴 수 없습니다.'
-      )
-    ) {
+  // 이벤트 삭제: 모든 프레임을 한 번에 휴지통으로
+  const handleDeleteEvent = async (event) => {
+    if (!canDelete || isLoading || isDeleting) return;
+
+    if (!confirm(`이 이벤트의 사진 ${event.count}장을 모두 휴지통으로 이동하시겠습니까?`)) {
       return;
     }
+    const frames = excludeStarred(event.frames);
+    if (!frames.length) return;
 
     try {
-      setIsDeletingAll(true);
       setIsLoading(true);
+      const { deleted, errors } = await bulkDeleteImages(
+        frames.map((f) => f.key),
+        { action: 'delete-event', override: frames.some(isStarred) }
+      );
+      applyImages(imageSync.forget(deleted));
+      rangeSync?.forget(deleted);
 
-      const targets = images.filter((img) => {
-        const k = (img.key || '').toLowerCase();
-        return k.endsWith('.jpg') || k.endsWith('.jpeg');
-      });
-
-      let deleted = 0;
-
-      // 과도한 동시 요청 방지: 5개씩 병렬 처리
-      const chunkSize = 5;
-      for (let i = 0; i < targets.length; i += chunkSize) {
-        const chunk = targets.slice(i, i + chunkSize);
-        await Promise.all(
-          chunk.map(async (img) => {
-            await s3Client.send(
-              new DeleteObjectCommand({ Bucket: bucketName, Key: img.key })
-            );
-            deleted += 1;
-          })
-        );
+      if (errors.length) {
+        console.error('이벤트 삭제 일부 실패:', errors);
+        alert(`이벤트 삭제: ${deleted.length}장 이동, ${errors.length}장 실패`);
+      } else {
+        alert(`이벤트 사진 ${deleted.length}장을 휴지통으로 이동했습니다.`);
       }
-
-      alert(`사진 전체 삭제 완료: ${deleted}개 삭제`);
-      setSelectedImage(null);
+      closeModal();
       await loadImagesFromS3();
     } catch (e) {
-      console.error('전체 삭제 오류:', e);
-      alert('전체 삭제에 실패했습니다. 권한/설정/네트워크를 확인하세요.');
+      console.error('이벤트 삭제 오류:', e);
+      alert(e.message || '이벤트 삭제에 실패했습니다. 권한을 확인하세요.');
     } finally {
-      setIsDeletingAll(false);
       setIsLoading(false);
     }
   };
 
+  // ✅ 사진 전체 삭제: 백엔드가 DeleteObjects 로 일괄 삭제 (진행률 대화상자, 재시도, 취소)
+  const deleteAllImages = async () => {
+    if (!canDelete || isLoading || isBulkBusy) return;
+
+    // 카메라를 고른 상태면 그 카메라의 사진만
+    const scope = selectedCameraId === 'all' ? 'S3' : `"${cameraNames[selectedCameraId]}" 카메라`;
+    if (
+      !confirm(
+        `정말로 ${scope}의 사진(jpg/jpeg)을 전체 삭제하시겠습니까?\n삭제한 사진은 휴지통에서 복원할 수 있습니다.`
+      )
+    ) {
+      return;
+    }
+    const targets = excludeStarred(
+      cameraImages.filter((img) => {
+        const k = (img.key || '').toLowerCase();
+        return k.endsWith('.jpg') || k.endsWith('.jpeg');
+      })
+    );
+    if (!targets.length) {
+      alert('삭제할 사진이 없습니다.');
+      return;
+    }
+
+    await runDeleteJob({
+      title: '사진 전체 삭제',
+      keys: targets.map((img) => img.key),
+      action: 'delete-all',
+      override: targets.some(isStarred),
+      batchSize: DELETE_ALL_BATCH_SIZE,
+    });
+  };
+
   // 정렬/필터/StatClick 로직
   const sortImages = (imgs) => {
     const sorted = [...imgs];
@@ -269,6 +597,9 @@ export default function S3ImageViewer() {
       case 'name':
         sorted.sort((a, b) => a.name.localeCompare(b.name));
         break;
+      case 'score':
+        sorted.sort((a, b) => (scoreOf(b) ?? -1) - (scoreOf(a) ?? -1));
+        break;
       default:
         break;
     }
@@ -285,41 +616,471 @@ export default function S3ImageViewer() {
         return imgs.filter((img) => img.timestamp.getTime() > oneHourAgo);
       case 'today':
         return imgs.filter((img) => img.timestamp.getTime() > todayStart);
+      case 'range':
+        return dateRange
+          ? imgs.filter((img) => img.timestamp >= dateRange.start && img.timestamp < dateRange.end)
+          : imgs;
       case 'all':
       default:
         return imgs;
     }
   };
 
-  const displayImages = sortImages(filterImages(images));
+  // 기간 조회를 prefix 로 따로 했으면 그 결과를, 아니면 전체 목록을 거른다.
+  const rangeImages = rangeResult?.sync === rangeSync ? rangeResult.images : null;
+  const isRangeLoading = Boolean(rangeSync) && !rangeImages;
+  const sourceImages = rangeSync ? rangeImages || NO_IMAGES : cameraImages;
+
+  // 변화 분석: 기간 조회 결과 또는 전체 카메라 목록에서 카메라마다 최근 캡처 중 캐시되지 않은 것만 백그라운드로
+  // "이전 캡처"와 기준 프레임은 카메라마다 따로
+  const analysisImages = rangeImages || images;
+  const motionOptions = useMemo(
+    () => ({
+      groupOf: (img) => cameraIdOf(img.key),
+      referenceFor: (cameraId) => (compareTo === 'reference' ? referenceFrames[cameraId] : null),
+    }),
+    [compareTo, referenceFrames]
+  );
+  useEffect(() => {
+    const controller = new AbortController();
+    motionScorer
+      .analyze(analysisImages, {
+        ...motionOptions,
+        withUrls: urlCache.resolve,
+        signal: controller.signal,
+        onScores: setMotionScores,
+      })
+      .catch((err) => console.error('변화 분석 오류:', err));
+    return () => controller.abort();
+  }, [motionScorer, urlCache, analysisImages, motionOptions]);
+
+  const selectedReferences = selectedCameraIds.map((id) => referenceFrames[id]).filter(Boolean);
+  const scoreOf = (img) => motionScores.get(img.key);
+  const isAlertImage = (img) => isAlertScore(scoreOf(img), alertThreshold);
+  // 이벤트 점수는 가장 많이 바뀐 프레임 기준
+  const eventScore = (event) => {
+    const frameScores = event.frames.map(scoreOf).filter((score) => score != null);
+    return frameScores.length ? Math.max(...frameScores) : undefined;
+  };
+  const analysisProgress = motionScorer.progress(analysisImages, motionOptions);
+
+  const dateFilteredImages = filterImages(sourceImages);
+  const matchesMeta = (img) => (!onlyStarred || isStarred(img)) && (!tagFilter || tagsOf(img).includes(tagFilter));
+  const displayImages = sortImages(
+    dateFilteredImages.filter((img) => (!onlyAlerts || isAlertImage(img)) && matchesMeta(img))
+  );
+  // 이벤트는 카메라별로, 변화 없는 프레임까지 묶은 뒤 변화 프레임이 하나라도 있는 이벤트만 남김
+  const displayEvents = groupByEvent
+    ? sortEvents(
+        selectedCameraIds
+          .flatMap((id) =>
+            groupIntoEvents(
+              dateFilteredImages.filter((img) => cameraIdOf(img.key) === id),
+              eventGapSec
+            )
+          )
+          .filter(
+            (event) => (!onlyAlerts || event.frames.some(isAlertImage)) && event.frames.some(matchesMeta)
+          ),
+        sortBy,
+        eventScore
+      )
+    : null;
+  const selectedEvent = displayEvents?.find((event) => event.id === selectedEventId) || null;
+
+  // 모달의 캡처(원본)와 이벤트 프레임(썸네일) URL
+  useEffect(() => {
+    if (!selectedImage) return;
+    urlCache.ensure([selectedImage]).catch((err) => console.error('URL 발급 오류:', err));
+  }, [urlCache, selectedImage]);
+  const selectedFrames = selectedEvent?.frames;
+  useEffect(() => {
+    if (!selectedFrames) return;
+    urlCache.ensure(selectedFrames).catch((err) => console.error('URL 발급 오류:', err));
+  }, [urlCache, selectedFrames]);
+
+  // 비교 후보: 모달 캡처와 같은 카메라의 캡처 (시간순). 두 번째 캡처도 원본 presigned URL 로 보여 준다.
+  const modalCameraId = selectedImage ? cameraIdOf(selectedImage.key) : null;
+  const compareCandidates = useMemo(
+    () =>
+      modalCameraId
+        ? sourceImages
+            .filter((img) => cameraIdOf(img.key) === modalCameraId)
+            .sort((a, b) => a.timestamp - b.timestamp)
+        : [],
+    [sourceImages, modalCameraId]
+  );
+  const compareImage = compareKey ? compareCandidates.find((img) => img.key === compareKey) || null : null;
+  useEffect(() => {
+    if (!compareImage) return;
+    urlCache.ensure([compareImage], { thumbnails: false }).catch((err) => console.error('URL 발급 오류:', err));
+  }, [urlCache, compareImage]);
+
+  // 그리드에 그려진 카드만 URL 발급 (이벤트는 대표 프레임)
+  const handleGridRange = (start, end) => {
+    const visible = displayEvents
+      ? displayEvents.slice(start, end).map((event) => event.cover)
+      : displayImages.slice(start, end);
+    visibleImagesRef.current = visible;
+    urlCache.ensure(visible).catch((err) => console.error('URL 발급 오류:', err));
+  };
+
+  const openImage = (img) => {
+    setSelectedEventId(null);
+    setSelectedImage(img);
+  };
+
+  // 모달의 ←/→: 지금 정렬 순서대로 앞뒤 캡처 (이벤트 프레임은 모달이 직접 넘김)
+  const modalIndex = selectedImage ? displayImages.findIndex((img) => img.key === selectedImage.key) : -1;
+  const modalNeighbour = (delta) => {
+    const img = modalIndex < 0 ? null : displayImages[modalIndex + delta];
+    return img ? () => openImage(img) : null;
+  };
+
+  // 주소창 ?capture=<키> 에 모달의 캡처를 남겨 링크로 공유한다. 링크로 들어오면 첫 목록을 다 받은 뒤 연다.
+  useEffect(() => {
+    const key = linkedCaptureKeyRef.current;
+    if (!key || isLoading || listingCount !== null || error) return;
+    linkedCaptureKeyRef.current = null;
+    const img = images.find((i) => i.key === key);
+    if (!img) {
+      alert('링크의 캡처를 찾을 수 없습니다. 삭제되었을 수 있습니다.');
+      return;
+    }
+    const cameraId = cameraIdOf(key);
+    if (selectedCameraId !== 'all' && selectedCameraId !== cameraId) setSelectedCameraId(cameraId);
+    openImage(img);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [images, isLoading, listingCount, error]);
+
+  useEffect(() => {
+    if (linkedCaptureKeyRef.current) return;
+    const url = new URL(window.location.href);
+    if (selectedImage) url.searchParams.set(CAPTURE_PARAM, selectedImage.key);
+    else url.searchParams.delete(CAPTURE_PARAM);
+    window.history.replaceState(window.history.state, '', url);
+  }, [selectedImage]);
+
+  const openEvent = (event) => {
+    setSelectedEventId(event.id);
+    setSelectedImage(event.cover);
+  };
+
+  // 내보내기는 원본 프레임을 캔버스에 그리므로 URL 을 먼저 발급 (너무 많으면 대화상자가 안내만 함)
+  const openExport = async (frames, title) => {
+    try {
+      const resolved = frames.length > MAX_EXPORT_FRAMES ? frames : await urlCache.resolve(frames, { thumbnails: false });
+      setExportTarget({ frames: resolved, title });
+    } catch (err) {
+      console.error('내보내기 URL 발급 오류:', err);
+      alert('프레임 URL 을 발급하지 못했습니다. 네트워크 상태를 확인하세요.');
+    }
+  };
+
+  const exportEvent = (event) => openExport(event.frames, `이벤트 ${formatTimestamp(event.start)}`);
+
+  // 모달의 공유: 이벤트면 프레임 전체, 아니면 그 캡처 한 장
+  const shareFromModal = (img, event) =>
+    setShareTarget(
+      event
+        ? { images: event.frames, title: `이벤트 ${formatTimestamp(event.start)}` }
+        : { images: [img], title: formatTimestamp(img.timestamp) }
+    );
+
+  // 목록 내보내기 파일에 남길 지금 필터 설명
+  const describeFilter = () =>
+    [
+      selectedCameraId === 'all' ? '전체 카메라' : cameraNames[selectedCameraId],
+      filterDate === 'lastHour' && '최근 1시간',
+      filterDate === 'today' && '오늘',
+      filterDate === 'range' && dateRange && `${formatTimestamp(dateRange.start)} ~ ${formatTimestamp(dateRange.end)}`,
+      onlyAlerts && `변화 ${alertThreshold}% 이상`,
+      onlyStarred && '별표만',
+      tagFilter && `태그: ${tagFilter}`,
+    ]
+      .filter(Boolean)
+      .join(' · ');
+
+  // 현재 기간 필터의 캡처 전체를 시간순으로
+  const exportRange = () => {
+    const frames = [...displayImages].sort((a, b) => a.timestamp - b.timestamp);
+    if (!frames.length) return;
+    openExport(frames, `기간 ${formatTimestamp(dateRange.start)} ~ ${formatTimestamp(dateRange.end)}`);
+  };
+
+  // 다중 선택: 카드 하나(이미지 또는 이벤트 전체 프레임) 단위로 토글, Shift 는 범위 선택
+  const cardItems = displayEvents
+    ? displayEvents.map((event) => event.frames.map((f) => f.key))
+    : displayImages.map((img) => [img.key]);
+  const checkedImages = sourceImages.filter((img) => checkedKeys.has(img.key));
+  const isBulkBusy = Boolean(bulkJob && !bulkJob.result);
+
+  const toggleCheck = (index, e) => {
+    const lastIndex = lastCheckedIndexRef.current;
+    lastCheckedIndexRef.current = index;
+
+    setCheckedKeys((prev) => {
+      const next = new Set(prev);
+      if (e?.shiftKey && lastIndex !== null && lastIndex < cardItems.length) {
+        const [from, to] = lastIndex < index ? [lastIndex, index] : [index, lastIndex];
+        cardItems.slice(from, to + 1).flat().forEach((key) => next.add(key));
+        return next;
+      }
+      const keys = cardItems[index];
+      const allChecked = keys.every((key) => next.has(key));
+      keys.forEach((key) => (allChecked ? next.delete(key) : next.add(key)));
+      return next;
+    });
+  };
+
+  const checkAllInFilter = () => setCheckedKeys(new Set(displayImages.map((img) => img.key)));
+
+  const clearChecked = () => {
+    lastCheckedIndexRef.current = null;
+    setCheckedKeys(new Set());
+  };
+
+  const downloadCheckedZip = async () => {
+    if (!checkedImages.length || isBulkBusy) return;
+    const controller = new AbortController();
+    const title = `ZIP 만드는 중 (${checkedImages.length}장)`;
+    setBulkJob({ title, progress: { done: 0, total: checkedImages.length }, abort: controller });
+
+    try {
+      const targets = await urlCache.resolve(checkedImages, { thumbnails: false });
+      const { blob, failed } = await buildZip(targets, {
+        signal: controller.signal,
+        onProgress: (progress) => setBulkJob((job) => job && { ...job, progress }),
+      });
+      saveBlob(blob, `captures_${fileTimestamp(new Date())}_${checkedImages.length}.zip`);
+      setBulkJob((job) => ({
+        ...job,
+        title: 'ZIP 다운로드',
+        result: { succeeded: checkedImages.length - failed.length, failed },
+      }));
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error('ZIP 다운로드 오류:', err);
+        alert('ZIP 생성에 실패했습니다. 네트워크 상태를 확인하세요.');
+      }
+      setBulkJob(null);
+    }
+  };
+
+  // 삭제 작업 실행: 진행률 대화상자에 보여 주고, 끝나면 지운 키를 목록에서 빼고 결과를 돌려준다.
+  const runDeleteJob = async ({ title, keys, action, override, batchSize }) => {
+    const controller = new AbortController();
+    setBulkJob({
+      title: `${title} (${keys.length}장)`,
+      progress: { done: 0, total: keys.length },
+      abort: controller,
+      deleting: true,
+    });
+
+    const result = await deleteInBatches(keys, {
+      action,
+      override,
+      batchSize,
+      signal: controller.signal,
+      onProgress: ({ done, total, retry }) => setBulkJob((job) => job && { ...job, progress: { done, total, retry } }),
+    });
+
+    applyImages(imageSync.forget(result.deleted));
+    rangeSync?.forget(result.deleted);
+    setBulkJob((job) => ({
+      ...job,
+      title: controller.signal.aborted ? `${title} (취소됨)` : title,
+      result: { succeeded: result.deleted.length, failed: result.failed, cancelled: result.cancelled.length },
+      report: deleteReportTable(result),
+    }));
+    closeModal();
+    await loadImagesFromS3();
+    return result;
+  };
+
+  const deleteChecked = async () => {
+    if (!canDelete || !checkedImages.length || isBulkBusy || isLoading) return;
+    if (!confirm(`선택한 사진 ${checkedImages.length}장을 휴지통으로 이동하시겠습니까?`)) return;
+    const targets = excludeStarred(checkedImages);
+    if (!targets.length) return;
+
+    const { failed, cancelled } = await runDeleteJob({
+      title: '선택 삭제',
+      keys: targets.map((img) => img.key),
+      action: 'bulk-delete',
+      override: targets.some(isStarred),
+    });
+    // 실패하거나 취소로 남은 항목만 선택 상태로 남겨 다시 시도할 수 있게 함
+    setCheckedKeys(new Set([...failed.map((f) => f.key), ...cancelled]));
+  };
+
+  const saveDeleteReport = () =>
+    saveBlob(csvBlob(bulkJob.report.header, bulkJob.report.rows), `delete-report_${fileTimestamp(new Date())}.csv`);
+
+  // 모달의 캡처를 그 카메라의 "빈 냉장고" 기준 프레임으로 지정하고 기준 비교로 전환
+  const setReferenceFromImage = async (img) => {
+    try {
+      const [resolved] = await urlCache.resolve([img]);
+      setReferenceFrames(await saveReferenceFrame(resolved, cameraIdOf(img.key)));
+      setCompareTo('reference');
+    } catch (err) {
+      console.error('기준 프레임 지정 오류:', err);
+      alert('이미지를 캔버스로 읽을 수 없습니다. S3 버킷 CORS 설정(GET 허용)을 확인하세요.');
+    }
+  };
+
+  // 캡처 메타데이터 변경 (admin): 바꿀 필드만 보낸다. 성공하면 true
+  const saveMeta = async (img, patch) => {
+    try {
+      const { meta } = await updateCaptureMeta(img.key, patch);
+      setCaptureMeta((prev) => {
+        const next = { ...prev };
+        if (Object.keys(meta).length) next[img.key] = meta;
+        else delete next[img.key];
+        return next;
+      });
+      return true;
+    } catch (err) {
+      console.error('캡처 메타데이터 저장 오류:', err);
+      alert(err.message || '저장하지 못했습니다.');
+      return false;
+    }
+  };
+
+  const toggleFlag = (img) => saveMeta(img, { flagged: !isFlagged(img) });
+  const toggleStar = (img) => saveMeta(img, { starred: !isStarred(img) });
+
+  // 선택한 카메라(전체 보기면 모든 카메라)의 기준 프레임 해제
+  const clearReference = () => {
+    const next = clearReferenceFrames(selectedCameraId === 'all' ? undefined : [selectedCameraId]);
+    setReferenceFrames(next);
+    if (!Object.keys(next).length) setCompareTo('previous');
+  };
+
+  const closeModal = () => {
+    setSelectedImage(null);
+    setSelectedEventId(null);
+    setCompareKey(null);
+  };
+
+  const selectCamera = (id) => {
+    if (isLoading || isDeleting) return;
+    closeModal();
+    setSelectedCameraId(id);
+  };
+
   const handleStatClick = (filter) => {
-    if (isLoading || isDeletingAll) return;
+    if (isLoading || isDeleting) return;
     setFilterDate(filter);
+    setDateRange(null);
     setSortBy('newest');
   };
 
-  // 초기 로드 및 자동 새로고침 설정
+  const applyDateRange = (range) => {
+    if (isLoading || isDeleting) return;
+    setDateRange(range);
+    setFilterDate(range ? 'range' : 'all');
+  };
+
+  // 달력에서 날짜 클릭 → 그 날 하루
+  const handleSelectDay = (day) => applyDateRange({ start: day, end: addDays(day, 1) });
+
+  // 초기 로드
   useEffect(() => {
     loadImagesFromS3();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
 
-    const intervalMs = refreshIntervalSec * 1000;
-    if (intervalMs === 0) return () => {};
+  useEffect(() => {
+    let cancelled = false;
+    fetchCaptureMeta()
+      .then((items) => {
+        if (!cancelled) setCaptureMeta(items);
+      })
+      .catch((err) => console.error('캡처 메타데이터 로딩 에러:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
 
+  // 새 캡처 push: 받은 키를 목록 앞에 바로 넣는다 (목록 조회 없음, URL 은 카드가 보일 때 발급)
+  useEffect(() => {
+    if (!isLive) return undefined;
+    let pending = [];
+    let timer = null;
+    let wasClosed = false;
+
+    const flush = () => {
+      timer = null;
+      const batch = pending;
+      pending = [];
+      // 휴지통에서 복원한 캡처(restored)도 목록에는 새 캡처처럼 넣되, 본 것으로 표시해 알리지 않는다.
+      for (const event of batch) {
+        if (event.type === 'restored') seenKeysRef.current?.add(event.key);
+      }
+      const created = batch.filter((event) => event.type === 'created' || event.type === 'restored').map(toListItem);
+      const removed = batch.filter((event) => event.type === 'removed').map((event) => event.key);
+      if (removed.length) {
+        applyImages(imageSync.forget(removed));
+        rangeSync?.forget(removed);
+      }
+      if (created.length) applyImages(imageSync.ingest(created));
+      if (rangeSync) {
+        const rangeImages = created.length ? rangeSync.ingest(created) : rangeSync.getImages();
+        setRangeResult((prev) => (prev?.sync === rangeSync ? { sync: rangeSync, images: rangeImages } : prev));
+      }
+    };
+
+    const unsubscribe = subscribeCaptureEvents({
+      onEvent: (event) => {
+        pending.push(event);
+        if (!timer) timer = setTimeout(flush, PUSH_BATCH_MS);
+      },
+      onStatus: (status) => {
+        setPushStatus(status);
+        // 끊겨 있던 동안 놓친 캡처는 다시 연결되자마자 증분 동기화로 채운다.
+        if (status === 'closed') wasClosed = true;
+        if (status === 'open' && wasClosed) {
+          wasClosed = false;
+          loadImagesFromS3();
+        }
+      },
+    });
+
+    return () => {
+      unsubscribe();
+      clearTimeout(timer);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isLive, imageSync, rangeSync]);
+
+  // 폴링은 대비책: push 가 연결돼 있으면 누락분 확인용으로 드물게, 끊겨 있으면 자주
+  useEffect(() => {
+    if (!isLive) return undefined;
+    const intervalSec = pushStatus === 'open' ? PUSH_RECONCILE_INTERVAL_SEC : POLL_INTERVAL_SEC;
     const interval = setInterval(() => {
       // 삭제중이면 자동 새로고침 스킵(충돌 방지)
-      if (!isDeletingAll) {
+      if (!isDeleting) {
         loadImagesFromS3();
       }
-    }, intervalMs);
+    }, intervalSec * 1000);
 
     return () => clearInterval(interval);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [refreshIntervalSec, isDeletingAll]);
+  }, [isLive, pushStatus, isDeleting]);
+
+  // 일시정지 중에 쌓인 캡처는 재개할 때 한 번에 가져온다.
+  const toggleLive = () => {
+    if (!isLive) loadImagesFromS3();
+    setIsLive(!isLive);
+  };
+  const liveStatus = LIVE_STATUS[isLive ? pushStatus : 'paused'];
 
+  // 수동 새로고침은 전체 목록으로 삭제/변경분까지 확인
   const refreshImages = () => {
-    if (isDeletingAll) return;
+    if (isDeleting) return;
     setIsLoading(true);
-    loadImagesFromS3();
+    loadImagesFromS3({ full: true });
   };
 
   // 초기 로딩 화면: 전체화면
@@ -351,12 +1112,8 @@ export default function S3ImageViewer() {
   // 메인 화면
   return (
     <div className="min-h-screen bg-white text-gray-800 flex flex-col w-full">
-      {/* ✅ 새로고침/삭제중 오버레이: 클릭 완전 차단 */}
-      {(isLoading || isDeletingAll) && images.length > 0 && (
-        <FullScreenLoading
-          message={isDeletingAll ? '사진 전체 삭제중...' : '모니터링 데이터 확인중...'}
-        />
-      )}
+      {/* ✅ 새로고침 오버레이: 클릭 완전 차단 (삭제 작업은 진행률 대화상자로 표시) */}
+      {isLoading && images.length > 0 && <FullScreenLoading />}
 
       {/* 헤더 */}
       <header className="bg-white shadow-lg border-b border-blue-200 flex-shrink-0">
@@ -377,52 +1134,88 @@ export default function S3ImageViewer() {
             </div>
 
             <div className="flex items-center gap-4">
-              {/* 새로고침 간격 설정 드롭다운 */}
-              <div className="hidden sm:flex items-center gap-2 border border-gray-300 rounded-lg p-2 bg-white text-sm shadow-inner">
-                <Settings className="w-4 h-4 text-gray-600" />
-                <span className="text-gray-700 font-medium">자동 새로고침:</span>
-                <select
-                  value={refreshIntervalSec}
-                  onChange={(e) => setRefreshIntervalSec(Number(e.target.value))}
-                  disabled={isLoading || isDeletingAll}
-                  className="px-2 py-1 bg-white border border-gray-300 rounded-md text-sm text-gray-700 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 appearance-none cursor-pointer disabled:opacity-60"
+              {/* 실시간 / 일시정지 */}
+              <div className="hidden sm:flex items-center gap-2 border border-gray-300 rounded-lg p-1.5 pl-3 bg-white text-sm shadow-inner">
+                <span title={liveStatus.title} className="flex items-center gap-2 text-gray-700 font-medium">
+                  <span className={`w-2.5 h-2.5 rounded-full ${liveStatus.dot}`} />
+                  {liveStatus.label}
+                </span>
+                <button
+                  onClick={toggleLive}
+                  disabled={isLoading || isDeleting}
+                  title={isLive ? '새 캡처 반영 일시정지' : '실시간 반영 재개'}
+                  className="flex items-center gap-1 px-2.5 py-1 rounded-md bg-gray-100 text-gray-700 hover:bg-gray-200 transition-colors disabled:opacity-60 font-semibold"
                 >
-                  <option value={0}>정지</option>
-                  <option value={5}>5초</option>
-                  <option value={10}>10초</option>
-                  <option value={15}>15초</option>
-                  <option value={30}>30초</option>
-                  <option value={60}>1분</option>
-                  <option value={300}>5분</option>
-                </select>
+                  {isLive ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+                  {isLive ? '일시정지' : '재개'}
+                </button>
               </div>
 
-              {/* ✅ 사진 전체 삭제 */}
-              <button
-                onClick={deleteAllImages}
-                disabled={isLoading || isDeletingAll}
-                className="flex items-center gap-2 bg-red-600 text-white px-5 py-2.5 rounded-lg shadow-md hover:bg-red-700 transition-colors disabled:opacity-50 font-semibold text-sm"
-              >
-                <Trash2 className="w-4 h-4" />
-                {isDeletingAll ? '전체 삭제중...' : '사진 전체 삭제'}
-              </button>
+              {/* ✅ 사진 전체 삭제 (admin 전용) */}
+              {canDelete && (
+                <button
+                  onClick={deleteAllImages}
+                  disabled={isLoading || isDeleting}
+                  className="flex items-center gap-2 bg-red-600 text-white px-5 py-2.5 rounded-lg shadow-md hover:bg-red-700 transition-colors disabled:opacity-50 font-semibold text-sm"
+                >
+                  <Trash2 className="w-4 h-4" />
+                  {isDeleting ? '삭제중...' : '사진 전체 삭제'}
+                </button>
+              )}
 
               {/* 새로고침 */}
               <button
                 onClick={refreshImages}
-                disabled={isLoading || isDeletingAll}
+                disabled={isLoading || isDeleting}
                 className="flex items-center gap-2 bg-blue-600 text-white px-5 py-2.5 rounded-lg shadow-md hover:bg-blue-700 transition-colors disabled:opacity-50 font-semibold text-sm"
               >
                 <RefreshCw className={`w-4 h-4 ${isLoading ? 'animate-spin' : ''}`} />
                 새로고침
               </button>
+
+              {/* 로그인 사용자 / 로그아웃 */}
+              <div className="flex items-center gap-2 border-l border-gray-200 pl-4">
+                <div className="text-right leading-tight">
+                  <p className="text-sm font-semibold text-gray-800">{user.username}</p>
+                  <p className="text-xs text-gray-500 uppercase">{user.role}</p>
+                </div>
+                <button
+                  onClick={onLogout}
+                  title="로그아웃"
+                  className="p-2 rounded-lg text-gray-500 hover:text-gray-800 hover:bg-gray-100 transition-colors"
+                >
+                  <LogOut className="w-5 h-5" />
+                </button>
+              </div>
             </div>
           </div>
+
+          {/* 화면 전환 탭 */}
+          <nav className="flex gap-1 mt-4 -mb-4">
+            {VIEWS.filter((view) => !view.adminOnly || isAdmin).map((view) => {
+              const Icon = view.icon;
+              return (
+                <button
+                  key={view.id}
+                  onClick={() => setActiveView(view.id)}
+                  disabled={isDeleting}
+                  className={`flex items-center gap-2 px-4 py-2.5 text-sm font-semibold border-b-2 transition-colors disabled:opacity-50 ${
+                    activeView === view.id
+                      ? 'border-blue-600 text-blue-700'
+                      : 'border-transparent text-gray-500 hover:text-gray-800'
+                  }`}
+                >
+                  <Icon className="w-4 h-4" />
+                  {view.label}
+                </button>
+              );
+            })}
+          </nav>
         </div>
       </header>
 
       {/* 메인 컨텐츠 */}
-      <div className="p-4 sm:p-8 w-full flex-grow">
+      <div className={`p-4 sm:p-8 w-full flex-grow ${checkedImages.length ? 'pb-28 sm:pb-28' : ''}`}>
         {/* 경고 배너 */}
         <div className="bg-yellow-50 border border-yellow-300 rounded-lg p-4 mb-8 flex items-start gap-3 w-full shadow-sm">
           <AlertTriangle className="w-6 h-6 text-yellow-600 flex-shrink-0 mt-0.5" />
@@ -434,210 +1227,485 @@ export default function S3ImageViewer() {
           </div>
         </div>
 
-        {/* 통계 카드 */}
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
-          <button
-            onClick={() => handleStatClick('lastHour')}
-            disabled={isLoading || isDeletingAll}
-            className={`bg-white border rounded-xl p-6 shadow-xl text-left transition-all duration-300 ease-in-out disabled:opacity-60 ${
-              filterDate === 'lastHour'
-                ? 'border-blue-600 ring-8 ring-blue-200'
-                : 'border-gray-200 hover:shadow-lg hover:border-blue-100'
-            }`}
-          >
-            <div className="flex items-center justify-between mb-2">
-              <span className="text-gray-600 text-sm font-medium">최근 1시간 감지 (ALERT)</span>
-              <Zap className={`w-6 h-6 ${filterDate === 'lastHour' ? 'text-blue-600' : 'text-gray-400'}`} />
-            </div>
-            <div className="text-4xl font-extrabold text-blue-700 mb-1">{stats.lastHour}건</div>
-            <div className="text-gray-500 text-xs font-semibold">LAST 60 MINUTES</div>
-          </button>
+        {activeView === 'trash' && isAdmin && (
+          <TrashView onRestored={() => loadImagesFromS3({ full: true })} />
+        )}
 
-          <button
-            onClick={() => handleStatClick('today')}
-            disabled={isLoading || isDeletingAll}
-            className={`bg-white border rounded-xl p-6 shadow-xl text-left transition-all duration-300 ease-in-out disabled:opacity-60 ${
-              filterDate === 'today'
-                ? 'border-blue-600 ring-8 ring-blue-200'
-                : 'border-gray-200 hover:shadow-lg hover:border-blue-100'
-            }`}
-          >
-            <div className="flex items-center justify-between mb-2">
-              <span className="text-gray-600 text-sm font-medium">오늘 기록 (TODAY)</span>
-              <Calendar className={`w-6 h-6 ${filterDate === 'today' ? 'text-blue-600' : 'text-gray-400'}`} />
-            </div>
-            <div className="text-4xl font-extrabold text-blue-700 mb-1">{stats.today}건</div>
-            <div className="text-gray-500 text-xs font-semibold">TODAY RECORDS</div>
-          </button>
+        {activeView === 'retention' && isAdmin && (
+          <RetentionView cameras={cameras} onCleaned={() => loadImagesFromS3({ full: true })} />
+        )}
 
-          <button
-            onClick={() => handleStatClick('all')}
-            disabled={isLoading || isDeletingAll}
-            className={`bg-white border rounded-xl p-6 shadow-xl text-left transition-all duration-300 ease-in-out disabled:opacity-60 ${
-              filterDate === 'all'
-                ? 'border-blue-600 ring-8 ring-blue-200'
-                : 'border-gray-200 hover:shadow-lg hover:border-blue-100'
-            }`}
-          >
-            <div className="flex items-center justify-between mb-2">
-              <span className="text-gray-600 text-sm font-medium">전체 기록 (TOTAL)</span>
-              <Shield className={`w-6 h-6 ${filterDate === 'all' ? 'text-blue-600' : 'text-gray-400'}`} />
-            </div>
-            <div className="text-4xl font-extrabold text-blue-700 mb-1">{stats.total}건</div>
-            <div className="text-gray-500 text-xs font-semibold">ALL TIME RECORDS</div>
-          </button>
-        </div>
+        {activeView === 'audit' && isAdmin && <AuditLogView />}
 
-        {/* 정렬 옵션 및 개수 표시 */}
-        <div className="bg-white border border-gray-200 rounded-lg p-4 mb-6 flex flex-wrap gap-4 items-center shadow-sm w-full">
-          <div className="flex items-center gap-2">
-            <Clock className="w-5 h-5 text-gray-500" />
-            <span className="text-gray-700 font-medium text-sm">정렬 기준:</span>
-            <select
-              value={sortBy}
-              onChange={(e) => setSortBy(e.target.value)}
-              disabled={isLoading || isDeletingAll}
-              className="px-3 py-2 bg-gray-50 border border-gray-300 rounded-md text-sm text-gray-700 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 cursor-pointer disabled:opacity-60"
-            >
-              <option value="newest">최신순</option>
-              <option value="oldest">오래된순</option>
-              <option value="name">파일명순</option>
-            </select>
-          </div>
+        {activeView === 'shares' && isAdmin && <SharesView />}
 
-          <div className="ml-auto text-sm text-gray-500 font-semibold">
-            현재 필터 기준: <span className="text-blue-600">{displayImages.length}개</span> 기록 표시 중
-          </div>
-        </div>
+        {activeView === 'alerts' && (
+          <AlertSettingsView
+            isAdmin={isAdmin}
+            notifySettings={notifySettings}
+            onChangeNotifySettings={changeNotifySettings}
+          />
+        )}
 
-        {/* 이미지 그리드 */}
-        {displayImages.length === 0 ? (
-          <div className="bg-white border border-gray-200 rounded-lg p-16 text-center shadow-md w-full flex flex-col items-center justify-center h-full min-h-[50vh]">
-            <Shield className="w-20 h-20 text-gray-300 mx-auto mb-4" />
-            <p className="text-gray-600 text-xl font-semibold">기록된 데이터 없음</p>
-            <p className="text-gray-400 text-sm mt-2">모니터링 시스템이 가동 중입니다.</p>
-          </div>
-        ) : (
-          <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 2xl:grid-cols-6 gap-5">
-            {displayImages.map((img) => (
-              <div
-                key={img.id}
-                onClick={() => {
-                  if (isLoading || isDeletingAll) return;
-                  setSelectedImage(img);
-                }}
-                className={`bg-white border rounded-xl overflow-hidden shadow-lg transition-all duration-300 cursor-pointer group ${
-                  selectedImage?.id === img.id
-                    ? 'border-blue-600 ring-4 ring-blue-300 scale-[1.02]'
-                    : 'border-gray-200 hover:shadow-xl hover:border-blue-200'
-                }`}
-              >
-                <div className="aspect-video bg-gray-100 overflow-hidden relative">
-                  <img
-                    src={img.url}
-                    alt={img.name}
-                    className="w-full h-full object-cover opacity-95 group-hover:opacity-100 transition-opacity duration-500"
-                  />
-                  {Date.now() - img.timestamp.getTime() < 60 * 60 * 1000 && (
-                    <div className="absolute top-3 right-3 bg-red-600 text-white text-xs px-3 py-1 rounded-full font-bold shadow-md animate-pulse">
-                      ALERT
-                    </div>
-                  )}
-                </div>
+        {activeView === 'analytics' && (
+          <AnalyticsView
+            images={images}
+            cameras={cameras}
+            initialCameraId={selectedCameraId}
+            isListing={listingCount !== null}
+          />
+        )}
 
-                <div className="p-4">
-                  <p className="text-sm font-mono text-gray-800 font-semibold truncate mb-1">{img.name}</p>
-                  <div className="flex items-center justify-between text-xs text-gray-500 mb-3">
-                    <span>{formatTimestamp(img.timestamp)}</span>
-                    <span className="font-bold">{img.size}</span>
-                  </div>
+        {activeView === 'live' && (
+          <LivePanel
+            cameras={cameras}
+            initialCameraId={selectedCameraId}
+            canSnapshot={isAdmin}
+            onSnapshotSaved={() => loadImagesFromS3()}
+          />
+        )}
 
-                  <div className="flex gap-2">
-                    <button
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        if (isLoading || isDeletingAll) return;
-                        handleDownload(img);
-                      }}
-                      disabled={isLoading || isDeletingAll}
-                      className="flex-1 flex items-center justify-center gap-1 bg-gray-100 text-gray-700 px-3 py-2 rounded-lg text-xs font-medium hover:bg-gray-200 transition-colors border border-gray-300 shadow-sm disabled:opacity-50"
-                    >
-                      <Download className="w-3 h-3" />
-                      다운로드
-                    </button>
+        {activeView === 'captures' && (
+          <>
+            {failedCameras.length > 0 && (
+              <p className="bg-red-50 border border-red-300 text-red-700 text-sm rounded-md p-3 mb-6">
+                다음 카메라의 목록을 가져오지 못해 이전 목록을 표시합니다:{' '}
+                {failedCameras.map((id) => cameraNames[id] || id).join(', ')}
+              </p>
+            )}
 
+            {/* 카메라 선택 (카메라별 통계) */}
+            {hasManyCameras && (
+              <div className="flex flex-wrap gap-3 mb-6">
+                {[{ id: 'all', name: '전체 카메라' }, ...cameras].map((camera) => {
+                  const cameraStats = stats[camera.id];
+                  return (
                     <button
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        handleDelete(img);
-                      }}
-                      disabled={isLoading || isDeletingAll}
-                      className="flex items-center justify-center bg-red-500 text-white px-3 py-2 rounded-lg text-xs font-medium hover:bg-red-600 transition-colors shadow-sm disabled:opacity-50"
+                      key={camera.id}
+                      onClick={() => selectCamera(camera.id)}
+                      disabled={isLoading || isDeleting}
+                      className={`flex flex-col items-start border rounded-lg px-4 py-2.5 text-left transition-colors disabled:opacity-60 ${
+                        selectedCameraId === camera.id
+                          ? 'border-blue-600 bg-blue-50 ring-2 ring-blue-200'
+                          : 'border-gray-200 bg-white hover:border-blue-200'
+                      }`}
                     >
-                      <Trash2 className="w-3 h-3" />
+                      <span className="flex items-center gap-1.5 text-sm font-semibold text-gray-800">
+                        <Camera className="w-4 h-4 text-blue-600" />
+                        {camera.name}
+                      </span>
+                      <span className="text-xs text-gray-500">
+                        1시간 {cameraStats.lastHour} · 오늘 {cameraStats.today} · 전체 {cameraStats.total}
+                      </span>
                     </button>
-                  </div>
-                </div>
+                  );
+                })}
               </div>
-            ))}
-          </div>
-        )}
-      </div>
+            )}
 
-      {/* 이미지 상세 모달 */}
-      {selectedImage && (
-        <div
-          className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center p-4 z-50"
-          onClick={() => setSelectedImage(null)}
-        >
-          <div
-            className="bg-white border border-gray-300 rounded-xl w-full max-w-6xl max-h-[95vh] overflow-hidden shadow-2xl"
-            onClick={(e) => e.stopPropagation()}
-          >
-            <div className="p-4 border-b border-gray-200 flex items-center justify-between">
-              <div>
-                <h3 className="font-mono text-xl text-gray-800 font-bold">{selectedImage.name}</h3>
-                <p className="text-sm text-gray-500">
-                  {formatTimestamp(selectedImage.timestamp)} ·{' '}
-                  <span className="font-semibold">{selectedImage.size}</span>
-                </p>
-              </div>
+            {/* 통계 카드 */}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
               <button
-                onClick={() => setSelectedImage(null)}
-                className="text-gray-500 hover:text-gray-800 text-3xl leading-none font-light p-1"
+                onClick={() => handleStatClick('lastHour')}
+                disabled={isLoading || isDeleting}
+                className={`bg-white border rounded-xl p-6 shadow-xl text-left transition-all duration-300 ease-in-out disabled:opacity-60 ${
+                  filterDate === 'lastHour'
+                    ? 'border-blue-600 ring-8 ring-blue-200'
+                    : 'border-gray-200 hover:shadow-lg hover:border-blue-100'
+                }`}
               >
-                &times;
+                <div className="flex items-center justify-between mb-2">
+                  <span className="text-gray-600 text-sm font-medium">최근 1시간 감지 (LAST HOUR)</span>
+                  <Zap className={`w-6 h-6 ${filterDate === 'lastHour' ? 'text-blue-600' : 'text-gray-400'}`} />
+                </div>
+                <div className="text-4xl font-extrabold text-blue-700 mb-1">{selectedStats.lastHour}건</div>
+                <div className="text-gray-500 text-xs font-semibold">LAST 60 MINUTES</div>
+              </button>
+
+              <button
+                onClick={() => handleStatClick('today')}
+                disabled={isLoading || isDeleting}
+                className={`bg-white border rounded-xl p-6 shadow-xl text-left transition-all duration-300 ease-in-out disabled:opacity-60 ${
+                  filterDate === 'today'
+                    ? 'border-blue-600 ring-8 ring-blue-200'
+                    : 'border-gray-200 hover:shadow-lg hover:border-blue-100'
+                }`}
+              >
+                <div className="flex items-center justify-between mb-2">
+                  <span className="text-gray-600 text-sm font-medium">오늘 기록 (TODAY)</span>
+                  <Calendar className={`w-6 h-6 ${filterDate === 'today' ? 'text-blue-600' : 'text-gray-400'}`} />
+                </div>
+                <div className="text-4xl font-extrabold text-blue-700 mb-1">{selectedStats.today}건</div>
+                <div className="text-gray-500 text-xs font-semibold">TODAY RECORDS</div>
+              </button>
+
+              <button
+                onClick={() => handleStatClick('all')}
+                disabled={isLoading || isDeleting}
+                className={`bg-white border rounded-xl p-6 shadow-xl text-left transition-all duration-300 ease-in-out disabled:opacity-60 ${
+                  filterDate === 'all'
+                    ? 'border-blue-600 ring-8 ring-blue-200'
+                    : 'border-gray-200 hover:shadow-lg hover:border-blue-100'
+                }`}
+              >
+                <div className="flex items-center justify-between mb-2">
+                  <span className="text-gray-600 text-sm font-medium">전체 기록 (TOTAL)</span>
+                  <Shield className={`w-6 h-6 ${filterDate === 'all' ? 'text-blue-600' : 'text-gray-400'}`} />
+                </div>
+                <div className="text-4xl font-extrabold text-blue-700 mb-1">{selectedStats.total}건</div>
+                <div className="text-gray-500 text-xs font-semibold">ALL TIME RECORDS</div>
               </button>
             </div>
 
-            <div className="relative bg-gray-100">
-              <img
-                src={selectedImage.url}
-                alt={selectedImage.name}
-                className="w-full max-h-[75vh] object-contain"
+            {/* 정렬 옵션 및 개수 표시 */}
+            <div className="bg-white border border-gray-200 rounded-lg p-4 mb-6 flex flex-wrap gap-4 items-center shadow-sm w-full">
+              <div className="flex items-center gap-2">
+                <Clock className="w-5 h-5 text-gray-500" />
+                <span className="text-gray-700 font-medium text-sm">정렬 기준:</span>
+                <select
+                  value={sortBy}
+                  onChange={(e) => setSortBy(e.target.value)}
+                  disabled={isLoading || isDeleting}
+                  className="px-3 py-2 bg-gray-50 border border-gray-300 rounded-md text-sm text-gray-700 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 cursor-pointer disabled:opacity-60"
+                >
+                  <option value="newest">최신순</option>
+                  <option value="oldest">오래된순</option>
+                  <option value="name">파일명순</option>
+                  <option value="score">변화 큰 순</option>
+                </select>
+              </div>
+
+              {/* 변화 감지 */}
+              <div className="flex items-center gap-2 text-sm">
+                <Activity className="w-5 h-5 text-gray-500" />
+                <select
+                  value={compareTo}
+                  onChange={(e) => setCompareTo(e.target.value)}
+                  className="px-2 py-1.5 bg-gray-50 border border-gray-300 rounded-md text-sm text-gray-700 cursor-pointer"
+                >
+                  <option value="previous">이전 캡처와 비교</option>
+                  <option value="reference" disabled={!selectedReferences.length}>
+                    기준 프레임과 비교
+                  </option>
+                </select>
+                {selectedReferences.length > 0 && (
+                  <button
+                    onClick={clearReference}
+                    title={`기준 프레임: ${selectedReferences.map((ref) => ref.key).join(', ')}`}
+                    className="text-xs text-gray-500 hover:text-gray-800 underline"
+                  >
+                    기준 해제
+                  </button>
+                )}
+                <select
+                  value={alertThreshold}
+                  onChange={(e) => setAlertThreshold(Number(e.target.value))}
+                  title="바뀐 픽셀이 이 비율 이상이면 ALERT"
+                  className="px-2 py-1.5 bg-gray-50 border border-gray-300 rounded-md text-sm text-gray-700 cursor-pointer"
+                >
+                  {ALERT_THRESHOLDS.map((value) => (
+                    <option key={value} value={value}>
+                      변화 {value}% 이상
+                    </option>
+                  ))}
+                </select>
+                <label className="flex items-center gap-1.5 text-gray-700 font-medium cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={onlyAlerts}
+                    onChange={(e) => setOnlyAlerts(e.target.checked)}
+                    className="w-4 h-4 accent-blue-600"
+                  />
+                  변화 있는 것만
+                </label>
+                {analysisProgress.done < analysisProgress.total && (
+                  <span className="text-xs text-gray-400">
+                    분석 {analysisProgress.done}/{analysisProgress.total}
+                  </span>
+                )}
+              </div>
+
+              {/* 별표 / 태그 */}
+              <div className="flex items-center gap-2 text-sm">
+                <label className="flex items-center gap-1.5 text-gray-700 font-medium cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={onlyStarred}
+                    onChange={(e) => setOnlyStarred(e.target.checked)}
+                    className="w-4 h-4 accent-blue-600"
+                  />
+                  <Star className="w-4 h-4 text-yellow-500" />
+                  별표만
+                </label>
+                <Tag className="w-4 h-4 text-gray-500" />
+                <select
+                  value={tagFilter}
+                  onChange={(e) => setTagFilter(e.target.value)}
+                  className="px-2 py-1.5 bg-gray-50 border border-gray-300 rounded-md text-sm text-gray-700 cursor-pointer"
+                >
+                  <option value="">모든 태그</option>
+                  {(tagFilter && !allTags.includes(tagFilter) ? [...allTags, tagFilter] : allTags).map((tag) => (
+                    <option key={tag} value={tag}>
+                      {tag}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <DateRangeFilter
+                range={filterDate === 'range' ? dateRange : null}
+                onApply={applyDateRange}
+                onClear={() => applyDateRange(null)}
+                disabled={isLoading || isDeleting}
               />
-            </div>
 
-            <div className="p-4 border-t border-gray-200 flex gap-3">
               <button
-                onClick={() => handleDownload(selectedImage)}
-                disabled={isLoading || isDeletingAll}
-                className="flex-1 flex items-center justify-center gap-2 bg-blue-600 text-white px-4 py-3 rounded-lg hover:bg-blue-700 transition-colors font-semibold shadow-md disabled:opacity-50"
+                onClick={() => setShowCalendar((v) => !v)}
+                className={`flex items-center gap-1 px-3 py-1.5 rounded-md text-sm font-semibold border transition-colors ${
+                  showCalendar
+                    ? 'bg-blue-50 border-blue-300 text-blue-700'
+                    : 'border-gray-300 text-gray-600 hover:bg-gray-100'
+                }`}
               >
-                <Download className="w-5 h-5" />
-                원본 다운로드
+                <Calendar className="w-4 h-4" />
+                달력
               </button>
+
+              {filterDate === 'range' && dateRange && (
+                <button
+                  onClick={exportRange}
+                  disabled={!displayImages.length || isLoading || isDeleting}
+                  className="flex items-center gap-1 px-3 py-1.5 rounded-md text-sm font-semibold border border-gray-300 text-gray-600 hover:bg-gray-100 disabled:opacity-50"
+                >
+                  <Film className="w-4 h-4" />
+                  기간 내보내기
+                </button>
+              )}
+
               <button
-                onClick={() => handleDelete(selectedImage)}
-                disabled={isLoading || isDeletingAll}
-                className="flex items-center justify-center gap-2 bg-red-600 text-white px-4 py-3 rounded-lg hover:bg-red-700 transition-colors font-semibold shadow-md disabled:opacity-50"
+                onClick={() => setShowMetadataExport(true)}
+                disabled={!displayImages.length || isLoading || isDeleting}
+                title="지금 목록의 캡처 정보를 CSV / JSON 으로 저장"
+                className="flex items-center gap-1 px-3 py-1.5 rounded-md text-sm font-semibold border border-gray-300 text-gray-600 hover:bg-gray-100 disabled:opacity-50"
               >
-                <Trash2 className="w-5 h-5" />
-                삭제
+                <FileDown className="w-4 h-4" />
+                목록 내보내기
               </button>
+
+              {/* 이벤트 묶기 */}
+              <div className="flex items-center gap-2 text-sm">
+                <label className="flex items-center gap-1.5 text-gray-700 font-medium cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={groupByEvent}
+                    onChange={(e) => setGroupByEvent(e.target.checked)}
+                    className="w-4 h-4 accent-blue-600"
+                  />
+                  이벤트로 묶기
+                </label>
+                <select
+                  value={eventGapSec}
+                  onChange={(e) => setEventGapSec(Number(e.target.value))}
+                  disabled={!groupByEvent}
+                  className="px-2 py-1.5 bg-gray-50 border border-gray-300 rounded-md text-sm text-gray-700 cursor-pointer disabled:opacity-50"
+                >
+                  <option value={10}>10초 간격</option>
+                  <option value={30}>30초 간격</option>
+                  <option value={60}>1분 간격</option>
+                  <option value={120}>2분 간격</option>
+                  <option value={300}>5분 간격</option>
+                </select>
+              </div>
+
+              <div className="ml-auto text-sm text-gray-500 font-semibold">
+                현재 필터 기준: <span className="text-blue-600">{displayImages.length}개</span> 기록
+                {displayEvents && (
+                  <>
+                    {' '}
+                    (<span className="text-blue-600">{displayEvents.length}개</span> 이벤트)
+                  </>
+                )}{' '}
+                표시 중
+                {listingCount !== null && (
+                  <span className="ml-2 text-gray-400" title="통계와 정렬은 목록을 다 받은 뒤에 정확해집니다.">
+                    <RefreshCw className="inline w-3 h-3 mr-1 animate-spin" />
+                    목록 불러오는 중 ({listingCount}개)
+                  </span>
+                )}
+              </div>
             </div>
-          </div>
-        </div>
+
+            {showCalendar && (
+              <div className="mb-6">
+                <CaptureCalendar
+                  images={cameraImages}
+                  range={filterDate === 'range' ? dateRange : null}
+                  onSelectDay={handleSelectDay}
+                />
+              </div>
+            )}
+
+            {/* 이미지 그리드 */}
+            {displayImages.length === 0 ? (
+              <div className="bg-white border border-gray-200 rounded-lg p-16 text-center shadow-md w-full flex flex-col items-center justify-center h-full min-h-[50vh]">
+                {isRangeLoading ? (
+                  <>
+                    <RefreshCw className="w-16 h-16 text-blue-400 animate-spin mx-auto mb-4" />
+                    <p className="text-gray-600 text-xl font-semibold">기간 조회 중...</p>
+                  </>
+                ) : (
+                  <>
+                    <Shield className="w-20 h-20 text-gray-300 mx-auto mb-4" />
+                    <p className="text-gray-600 text-xl font-semibold">기록된 데이터 없음</p>
+                    <p className="text-gray-400 text-sm mt-2">모니터링 시스템이 가동 중입니다.</p>
+                  </>
+                )}
+              </div>
+            ) : (
+              <VirtualGrid
+                // 카메라/필터/정렬이 바뀌면 첫 페이지부터 다시 펼침
+                key={[
+                  selectedCameraId,
+                  filterDate,
+                  dateRange?.start?.getTime(),
+                  sortBy,
+                  onlyAlerts,
+                  onlyStarred,
+                  tagFilter,
+                  groupByEvent,
+                ].join('|')}
+                items={displayEvents || displayImages}
+                getKey={(item) => item.id}
+                onRangeChange={handleGridRange}
+                renderItem={(item, index) =>
+                  displayEvents ? (
+                    <EventCard
+                      event={{ ...item, cover: urlCache.peek(item.cover) }}
+                      score={eventScore(item)}
+                      isFlagged={item.frames.some(isFlagged)}
+                      isStarred={item.frames.some(isStarred)}
+                      cameraName={hasManyCameras ? cameraNames[cameraIdOf(item.cover.key)] : null}
+                      alertThreshold={alertThreshold}
+                      isSelected={selectedEventId === item.id}
+                      isChecked={item.frames.every((f) => checkedKeys.has(f.key))}
+                      selectionMode={checkedKeys.size > 0}
+                      onToggleCheck={(e) => toggleCheck(index, e)}
+                      disabled={isLoading || isDeleting}
+                      canDelete={canDelete}
+                      onOpen={openEvent}
+                      onDownload={handleDownloadEvent}
+                      onDelete={handleDeleteEvent}
+                    />
+                  ) : (
+                    <ImageCard
+                      img={urlCache.peek(item)}
+                      score={scoreOf(item)}
+                      isFlagged={isFlagged(item)}
+                      isStarred={isStarred(item)}
+                      tags={tagsOf(item)}
+                      cameraName={hasManyCameras ? cameraNames[cameraIdOf(item.key)] : null}
+                      alertThreshold={alertThreshold}
+                      isSelected={selectedImage?.id === item.id}
+                      isChecked={checkedKeys.has(item.key)}
+                      selectionMode={checkedKeys.size > 0}
+                      onToggleCheck={(e) => toggleCheck(index, e)}
+                      disabled={isLoading || isDeleting}
+                      canDelete={canDelete}
+                      onOpen={openImage}
+                      onDownload={handleDownload}
+                      onDelete={handleDelete}
+                    />
+                  )
+                }
+              />
+            )}
+          </>
+        )}
+      </div>
+
+      {/* 이미지 상세 모달 */}
+      {selectedImage && (
+        <ImageModal
+          image={urlCache.peek(selectedImage)}
+          event={selectedEvent && { ...selectedEvent, frames: selectedEvent.frames.map(urlCache.peek) }}
+          score={scoreOf(selectedImage)}
+          cameraName={hasManyCameras ? cameraNames[cameraIdOf(selectedImage.key)] : null}
+          isReference={referenceFrames[cameraIdOf(selectedImage.key)]?.key === selectedImage.key}
+          meta={captureMeta[selectedImage.key]}
+          allTags={allTags}
+          compareImage={compareImage && urlCache.peek(compareImage)}
+          compareCandidates={compareCandidates}
+          referenceKey={referenceFrames[modalCameraId]?.key}
+          canEditMeta={isAdmin}
+          disabled={isLoading || isDeleting}
+          canDelete={canDelete}
+          onSelectFrame={setSelectedImage}
+          onClose={closeModal}
+          onDownload={handleDownload}
+          onDelete={handleDelete}
+          onDownloadEvent={handleDownloadEvent}
+          onDeleteEvent={handleDeleteEvent}
+          onExportEvent={exportEvent}
+          onSetReference={setReferenceFromImage}
+          onToggleFlag={toggleFlag}
+          onToggleStar={toggleStar}
+          onSaveMeta={saveMeta}
+          onCompareWith={(img) => setCompareKey(img?.key ?? null)}
+          onShare={isAdmin ? shareFromModal : null}
+          onPrevious={modalNeighbour(-1)}
+          onNext={modalNeighbour(1)}
+        />
+      )}
+
+      {checkedImages.length > 0 && (
+        <SelectionBar
+          count={checkedImages.length}
+          filterCount={displayImages.length}
+          disabled={isLoading || isDeleting || isBulkBusy}
+          canDelete={canDelete}
+          onSelectAll={checkAllInFilter}
+          onClear={clearChecked}
+          onDownloadZip={downloadCheckedZip}
+          onShare={isAdmin ? () => setShareTarget({ images: checkedImages, title: '' }) : null}
+          onDelete={deleteChecked}
+        />
+      )}
+
+      {bulkJob && (
+        <BulkProgressDialog
+          title={bulkJob.title}
+          progress={bulkJob.progress}
+          result={bulkJob.result}
+          onCancel={() => bulkJob.abort?.abort()}
+          onClose={() => setBulkJob(null)}
+          onSaveReport={bulkJob.report && saveDeleteReport}
+        />
+      )}
+
+      {showMetadataExport && (
+        <MetadataExportDialog
+          images={displayImages}
+          filter={describeFilter()}
+          cameraNames={cameraNames}
+          metaOf={(img) => captureMeta[img.key]}
+          onClose={() => setShowMetadataExport(false)}
+        />
+      )}
+
+      {shareTarget && (
+        <ShareDialog
+          images={shareTarget.images}
+          defaultTitle={shareTarget.title}
+          onClose={() => setShareTarget(null)}
+        />
+      )}
+
+      {exportTarget && (
+        <ExportDialog
+          frames={exportTarget.frames}
+          title={exportTarget.title}
+          onClose={() => setExportTarget(null)}
+        />
       )}
     </div>
   );
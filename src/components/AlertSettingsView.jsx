@@ -0,0 +1,297 @@
+import React, { useEffect, useState } from 'react';
+import { Bell, BellOff, Plus, Save, Send, Trash2, Webhook } from 'lucide-react';
+import { fetchAlertSettings, updateAlertSettings, testWebhook } from '../lib/api';
+import {
+  notificationsSupported,
+  requestNotificationPermission,
+  showTestNotification,
+} from '../lib/notify';
+
+const DEFAULT_QUIET_HOURS = { start: '23:00', end: '07:00' };
+
+const inputClass =
+  'px-3 py-1.5 bg-gray-50 border border-gray-300 rounded-md text-sm text-gray-700 focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+// 조용한 시간 켜기/끄기 + 시작~끝 (null = 끔)
+function QuietHoursFields({ value, onChange }) {
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <label className="flex items-center gap-2 text-gray-700 font-medium cursor-pointer">
+        <input
+          type="checkbox"
+          checked={Boolean(value)}
+          onChange={(e) => onChange(e.target.checked ? DEFAULT_QUIET_HOURS : null)}
+        />
+        조용한 시간
+      </label>
+      {value && (
+        <>
+          <input
+            type="time"
+            value={value.start}
+            onChange={(e) => onChange({ ...value, start: e.target.value })}
+            className={inputClass}
+          />
+          <span className="text-gray-500">~</span>
+          <input
+            type="time"
+            value={value.end}
+            onChange={(e) => onChange({ ...value, end: e.target.value })}
+            className={inputClass}
+          />
+        </>
+      )}
+    </div>
+  );
+}
+
+function MaxPerHourField({ value, onChange }) {
+  return (
+    <label className="flex items-center gap-2 text-gray-700">
+      <span className="font-medium">시간당 최대</span>
+      <input
+        type="number"
+        min={0}
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className={`${inputClass} w-20`}
+      />
+      <span className="text-gray-500">회 (0 = 제한 없음)</span>
+    </label>
+  );
+}
+
+// 이 브라우저의 데스크톱 알림 (모든 사용자)
+function BrowserNotificationSettings({ settings, onChange }) {
+  const [permission, setPermission] = useState(() =>
+    notificationsSupported() ? Notification.permission : 'unsupported'
+  );
+
+  const update = (patch) => onChange({ ...settings, ...patch });
+
+  const enable = async () => {
+    const result = await requestNotificationPermission();
+    setPermission(result);
+    if (result === 'granted') update({ enabled: true });
+  };
+
+  if (permission === 'unsupported') {
+    return <p className="text-sm text-gray-500">이 브라우저는 데스크톱 알림을 지원하지 않습니다.</p>;
+  }
+
+  return (
+    <div className="space-y-4 text-sm">
+      <div className="flex flex-wrap items-center gap-3">
+        {settings.enabled && permission === 'granted' ? (
+          <button
+            onClick={() => update({ enabled: false })}
+            className="flex items-center gap-2 bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-lg shadow-sm hover:bg-gray-100 transition-colors font-semibold"
+          >
+            <BellOff className="w-4 h-4" />
+            알림 끄기
+          </button>
+        ) : (
+          <button
+            onClick={enable}
+            disabled={permission === 'denied'}
+            className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg shadow-md hover:bg-blue-700 transition-colors disabled:opacity-50 font-semibold"
+          >
+            <Bell className="w-4 h-4" />
+            알림 켜기
+          </button>
+        )}
+        <button
+          onClick={() => showTestNotification().catch((err) => alert(err.message))}
+          disabled={permission !== 'granted'}
+          className="flex items-center gap-2 bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-lg shadow-sm hover:bg-gray-100 transition-colors disabled:opacity-50 font-semibold"
+        >
+          <Send className="w-4 h-4" />
+          테스트 알림
+        </button>
+        {permission === 'denied' && (
+          <span className="text-red-600">브라우저 설정에서 이 사이트의 알림을 허용해야 합니다.</span>
+        )}
+      </div>
+
+      <QuietHoursFields value={settings.quietHours} onChange={(quietHours) => update({ quietHours })} />
+      <MaxPerHourField value={settings.maxPerHour} onChange={(maxPerHour) => update({ maxPerHour })} />
+      <label className="flex items-center gap-2 text-gray-700 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={settings.onlyWhenHidden}
+          onChange={(e) => update({ onlyWhenHidden: e.target.checked })}
+        />
+        이 탭을 보고 있을 때는 알리지 않기
+      </label>
+      <p className="text-xs text-gray-400">
+        탭이 열려 있는 동안 새로 나타난 캡처를 카메라별로 묶어 알립니다. 탭을 닫아도 받으려면 웹훅을 쓰세요.
+      </p>
+    </div>
+  );
+}
+
+// 서버가 보내는 웹훅 (admin 전용)
+function WebhookSettings() {
+  const [settings, setSettings] = useState(null);
+  const [saved, setSaved] = useState(null);
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [testingIndex, setTestingIndex] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchAlertSettings()
+      .then((data) => {
+        if (cancelled) return;
+        setSettings(data);
+        setSaved(data);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('웹훅 설정 로딩 에러:', err);
+        setError('웹훅 설정을 불러오지 못했습니다.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (error) {
+    return <p className="bg-red-50 border border-red-300 text-red-700 text-sm rounded-md p-3">{error}</p>;
+  }
+  if (!settings) return <p className="text-sm text-gray-500">불러오는 중...</p>;
+
+  const update = (patch) => setSettings((prev) => ({ ...prev, ...patch }));
+  const updateWebhook = (index, patch) =>
+    update({ webhooks: settings.webhooks.map((w, i) => (i === index ? { ...w, ...patch } : w)) });
+
+  const save = async () => {
+    setIsSaving(true);
+    try {
+      const next = await updateAlertSettings(settings);
+      setSettings(next);
+      setSaved(next);
+    } catch (err) {
+      console.error('웹훅 설정 저장 오류:', err);
+      alert(err.message || '설정 저장에 실패했습니다.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const test = async (index) => {
+    setTestingIndex(index);
+    try {
+      await testWebhook(settings.webhooks[index]);
+      alert('테스트 메시지를 보냈습니다.');
+    } catch (err) {
+      alert(err.message || '테스트 전송에 실패했습니다.');
+    } finally {
+      setTestingIndex(null);
+    }
+  };
+
+  const isDirty = JSON.stringify(settings) !== JSON.stringify(saved);
+
+  return (
+    <div className="space-y-4 text-sm">
+      {settings.webhooks.length === 0 && <p className="text-gray-500">등록된 웹훅이 없습니다.</p>}
+      {settings.webhooks.map((webhook, index) => (
+        <div key={index} className="flex flex-wrap items-center gap-2">
+          <input
+            type="checkbox"
+            checked={webhook.enabled}
+            onChange={(e) => updateWebhook(index, { enabled: e.target.checked })}
+            title="사용"
+          />
+          <input
+            value={webhook.name}
+            onChange={(e) => updateWebhook(index, { name: e.target.value })}
+            placeholder="이름"
+            className={`${inputClass} w-32`}
+          />
+          <input
+            value={webhook.url}
+            onChange={(e) => updateWebhook(index, { url: e.target.value })}
+            placeholder="https://hooks.slack.com/services/..."
+            className={`${inputClass} flex-1 min-w-[16rem] font-mono`}
+          />
+          <select
+            value={webhook.format}
+            onChange={(e) => updateWebhook(index, { format: e.target.value })}
+            className={`${inputClass} cursor-pointer`}
+          >
+            <option value="slack">Slack 호환</option>
+            <option value="json">JSON</option>
+          </select>
+          <button
+            onClick={() => test(index)}
+            disabled={!webhook.url || testingIndex !== null}
+            className="flex items-center gap-1 px-3 py-1.5 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-100 disabled:opacity-40"
+          >
+            <Send className="w-4 h-4" />
+            {testingIndex === index ? '전송 중...' : '테스트'}
+          </button>
+          <button
+            onClick={() => update({ webhooks: settings.webhooks.filter((_, i) => i !== index) })}
+            title="삭제"
+            className="p-1.5 rounded-md text-gray-500 hover:text-red-600 hover:bg-red-50"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+      <button
+        onClick={() =>
+          update({ webhooks: [...settings.webhooks, { name: '', url: '', format: 'slack', enabled: true }] })
+        }
+        className="flex items-center gap-1 px-3 py-1.5 border border-dashed border-gray-300 rounded-md text-gray-600 hover:bg-gray-50"
+      >
+        <Plus className="w-4 h-4" />
+        웹훅 추가
+      </button>
+
+      <QuietHoursFields value={settings.quietHours} onChange={(quietHours) => update({ quietHours })} />
+      <MaxPerHourField value={settings.maxPerHour} onChange={(maxPerHour) => update({ maxPerHour })} />
+      <p className="text-xs text-gray-400">
+        서버가 새 캡처 알림(버킷 이벤트 알림)을 받으면 카메라별로 몇 초 모아 보냅니다. 조용한 시간은 서버 시간 기준입니다.
+      </p>
+
+      <button
+        onClick={save}
+        disabled={!isDirty || isSaving}
+        className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg shadow-md hover:bg-blue-700 transition-colors disabled:opacity-50 font-semibold"
+      >
+        <Save className="w-4 h-4" />
+        {isSaving ? '저장 중...' : '저장'}
+      </button>
+    </div>
+  );
+}
+
+// 알림 화면: 이 브라우저의 데스크톱 알림 + (admin) 서버 웹훅
+export default function AlertSettingsView({ isAdmin, notifySettings, onChangeNotifySettings }) {
+  return (
+    <div className="w-full space-y-6">
+      <div className="flex items-center gap-2">
+        <Bell className="w-6 h-6 text-blue-600" />
+        <h2 className="text-2xl font-extrabold text-gray-800">알림</h2>
+      </div>
+
+      <section className="bg-white border border-gray-200 rounded-lg p-5 shadow-sm">
+        <h3 className="font-bold text-gray-800 mb-4">이 브라우저의 데스크톱 알림</h3>
+        <BrowserNotificationSettings settings={notifySettings} onChange={onChangeNotifySettings} />
+      </section>
+
+      {isAdmin && (
+        <section className="bg-white border border-gray-200 rounded-lg p-5 shadow-sm">
+          <h3 className="flex items-center gap-2 font-bold text-gray-800 mb-4">
+            <Webhook className="w-5 h-5 text-gray-600" />
+            웹훅 (Slack 호환 / JSON)
+          </h3>
+          <WebhookSettings />
+        </section>
+      )}
+    </div>
+  );
+}
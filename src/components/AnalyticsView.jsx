@@ -0,0 +1,255 @@
+import React, { useMemo, useState } from 'react';
+import { BarChart3, Download } from 'lucide-react';
+import {
+  computeAnalytics,
+  heatmapTable,
+  dailyTable,
+  weekdayTable,
+  storageTable,
+  WEEKDAYS,
+  WEEKDAY_LABELS,
+} from '../lib/analytics';
+import { cameraIdOf } from '../lib/cameraSync';
+import { csvBlob } from '../lib/csv';
+import { addDays, startOfDay, toDayKey } from '../lib/dates';
+import { fileTimestamp, saveBlob } from '../lib/download';
+import { formatFileSize } from '../lib/format';
+
+const PERIODS = [
+  { days: 7, label: '최근 7일' },
+  { days: 30, label: '최근 30일' },
+  { days: 90, label: '최근 90일' },
+  { days: 365, label: '최근 1년' },
+  { days: 0, label: '전체' },
+];
+
+const CHART_HEIGHT = 160;
+
+const selectClass =
+  'px-3 py-2 bg-gray-50 border border-gray-300 rounded-md text-sm text-gray-700 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 cursor-pointer';
+
+function SummaryCard({ label, value }) {
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 shadow-sm">
+      <p className="text-sm text-gray-500 font-medium">{label}</p>
+      <p className="text-2xl font-extrabold text-gray-800 mt-1">{value}</p>
+    </div>
+  );
+}
+
+// 차트 한 칸: 제목 + CSV 내보내기
+function ChartSection({ title, onExport, children }) {
+  return (
+    <section className="bg-white border border-gray-200 rounded-lg p-5 shadow-sm">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-bold text-gray-800">{title}</h3>
+        <button
+          onClick={onExport}
+          className="flex items-center gap-1 px-3 py-1.5 border border-gray-300 rounded-md text-sm text-gray-600 font-semibold hover:bg-gray-100"
+        >
+          <Download className="w-4 h-4" />
+          CSV
+        </button>
+      </div>
+      {children}
+    </section>
+  );
+}
+
+// 요일 × 시간 히트맵 (진할수록 많음)
+function Heatmap({ heatmap }) {
+  const max = Math.max(1, ...heatmap.flat());
+  return (
+    <div className="overflow-x-auto">
+      <div className="grid gap-0.5 min-w-[40rem]" style={{ gridTemplateColumns: '2rem repeat(24, minmax(0, 1fr))' }}>
+        <div />
+        {Array.from({ length: 24 }, (_, hour) => (
+          <div key={hour} className="text-[10px] text-gray-400 text-center">
+            {hour}
+          </div>
+        ))}
+        {WEEKDAYS.map((weekday) => (
+          <React.Fragment key={weekday}>
+            <div className="text-xs text-gray-500 font-semibold flex items-center">{WEEKDAY_LABELS[weekday]}</div>
+            {heatmap[weekday].map((count, hour) => (
+              <div
+                key={hour}
+                title={`${WEEKDAY_LABELS[weekday]}요일 ${hour}시: ${count}개`}
+                className="h-6 rounded-sm border border-gray-100"
+                style={{ backgroundColor: count ? `rgba(37, 99, 235, ${0.15 + 0.85 * (count / max)})` : undefined }}
+              />
+            ))}
+          </React.Fragment>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// 날짜 축 라벨 (처음 / 가운데 / 끝)
+function DayAxis({ days }) {
+  const labels = [days[0], days[Math.floor(days.length / 2)], days[days.length - 1]];
+  return (
+    <div className="flex justify-between text-xs text-gray-400 mt-1">
+      {labels.map((day, i) => (
+        <span key={i}>{toDayKey(day.date)}</span>
+      ))}
+    </div>
+  );
+}
+
+function DailyChart({ days }) {
+  const max = Math.max(1, ...days.map((day) => day.count));
+  return (
+    <div>
+      <div className="flex gap-2">
+        <span className="text-xs text-gray-400 w-10 text-right">{max}</span>
+        <svg
+          viewBox={`0 0 ${days.length} ${CHART_HEIGHT}`}
+          preserveAspectRatio="none"
+          className="flex-1 bg-gray-50 rounded"
+          style={{ height: CHART_HEIGHT }}
+        >
+          {days.map((day, i) => {
+            const height = (day.count / max) * CHART_HEIGHT;
+            return (
+              <rect key={i} x={i + 0.1} y={CHART_HEIGHT - height} width={0.8} height={height} fill="#2563eb">
+                <title>{`${toDayKey(day.date)}: ${day.count}개`}</title>
+              </rect>
+            );
+          })}
+        </svg>
+      </div>
+      <div className="ml-12">
+        <DayAxis days={days} />
+      </div>
+    </div>
+  );
+}
+
+function WeekdayChart({ weekdays }) {
+  const max = Math.max(1, ...weekdays.map((w) => w.count));
+  return (
+    <div className="space-y-1.5">
+      {weekdays.map(({ weekday, count }) => (
+        <div key={weekday} className="flex items-center gap-2 text-sm">
+          <span className="w-6 text-gray-600 font-semibold">{WEEKDAY_LABELS[weekday]}</span>
+          <div className="flex-1 bg-gray-50 rounded h-5">
+            <div className="bg-blue-600 h-5 rounded" style={{ width: `${(count / max) * 100}%` }} />
+          </div>
+          <span className="w-16 text-right text-gray-500">{count}개</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// 누적 사용 용량 (남아 있는 캡처 기준)
+function StorageChart({ days }) {
+  const max = Math.max(1, days[days.length - 1].cumulativeBytes);
+  const y = (bytes) => CHART_HEIGHT - (bytes / max) * CHART_HEIGHT;
+  const line = days.map((day, i) => `${i + 0.5},${y(day.cumulativeBytes)}`).join(' ');
+  return (
+    <div>
+      <div className="flex gap-2">
+        <span className="text-xs text-gray-400 w-16 text-right">{formatFileSize(max)}</span>
+        <svg
+          viewBox={`0 0 ${days.length} ${CHART_HEIGHT}`}
+          preserveAspectRatio="none"
+          className="flex-1 bg-gray-50 rounded"
+          style={{ height: CHART_HEIGHT }}
+        >
+          <polygon points={`0.5,${CHART_HEIGHT} ${line} ${days.length - 0.5},${CHART_HEIGHT}`} fill="#bfdbfe" />
+          <polyline points={line} fill="none" stroke="#2563eb" strokeWidth={2} vectorEffect="non-scaling-stroke" />
+        </svg>
+      </div>
+      <div className="ml-[4.5rem]">
+        <DayAxis days={days} />
+      </div>
+    </div>
+  );
+}
+
+// 분석 화면: 목록 데이터(시각/크기)로 시간대·날짜·요일별 캡처 수와 사용 용량을 보여 준다.
+export default function AnalyticsView({ images, cameras, initialCameraId, isListing }) {
+  const [cameraId, setCameraId] = useState(initialCameraId);
+  const [periodDays, setPeriodDays] = useState(30);
+
+  const analytics = useMemo(() => {
+    const targets = cameraId === 'all' ? images : images.filter((img) => cameraIdOf(img.key) === cameraId);
+    const from = periodDays ? addDays(startOfDay(new Date()), 1 - periodDays) : null;
+    return computeAnalytics(targets, { from });
+  }, [images, cameraId, periodDays]);
+
+  const exportCsv = (name, { header, rows }) => {
+    saveBlob(csvBlob(header, rows), `${name}-${cameraId}-${fileTimestamp(new Date())}.csv`);
+  };
+
+  return (
+    <div className="w-full space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div className="flex items-center gap-2">
+          <BarChart3 className="w-6 h-6 text-blue-600" />
+          <h2 className="text-2xl font-extrabold text-gray-800">분석</h2>
+        </div>
+        <div className="flex items-center gap-2">
+          {cameras.length > 1 && (
+            <select value={cameraId} onChange={(e) => setCameraId(e.target.value)} className={selectClass}>
+              {[{ id: 'all', name: '전체 카메라' }, ...cameras].map((camera) => (
+                <option key={camera.id} value={camera.id}>
+                  {camera.name}
+                </option>
+              ))}
+            </select>
+          )}
+          <select value={periodDays} onChange={(e) => setPeriodDays(Number(e.target.value))} className={selectClass}>
+            {PERIODS.map((period) => (
+              <option key={period.days} value={period.days}>
+                {period.label}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {isListing && (
+        <p className="bg-blue-50 border border-blue-200 text-blue-700 text-sm rounded-md p-3">
+          목록을 불러오는 중이라 지금까지 받은 캡처만 반영되어 있습니다.
+        </p>
+      )}
+
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+        <SummaryCard label="캡처 수" value={`${analytics.count.toLocaleString()}개`} />
+        <SummaryCard label="사용 용량" value={formatFileSize(analytics.totalBytes)} />
+        <SummaryCard label="평균 크기" value={formatFileSize(Math.round(analytics.averageBytes))} />
+        <SummaryCard label="하루 평균" value={`${analytics.averagePerDay.toFixed(1)}개`} />
+      </div>
+
+      {analytics.count === 0 ? (
+        <p className="text-center text-gray-500 py-12">이 기간에 캡처가 없습니다.</p>
+      ) : (
+        <>
+          <ChartSection title="시간대별 캡처 (요일 × 시)" onExport={() => exportCsv('hourly', heatmapTable(analytics))}>
+            <Heatmap heatmap={analytics.heatmap} />
+          </ChartSection>
+
+          <div className="grid grid-cols-1 xl:grid-cols-2 gap-6">
+            <ChartSection title="날짜별 캡처 수" onExport={() => exportCsv('daily', dailyTable(analytics))}>
+              <DailyChart days={analytics.days} />
+            </ChartSection>
+            <ChartSection title="요일별 캡처 수" onExport={() => exportCsv('weekday', weekdayTable(analytics))}>
+              <WeekdayChart weekdays={analytics.weekdays} />
+            </ChartSection>
+          </div>
+
+          <ChartSection title="사용 용량 추이 (누적)" onExport={() => exportCsv('storage', storageTable(analytics))}>
+            <StorageChart days={analytics.days} />
+            <p className="text-xs text-gray-400 mt-3">
+              지금 버킷에 남아 있는 캡처의 크기를 촬영일 기준으로 더한 값입니다. 삭제한 캡처와 썸네일은 포함되지 않습니다.
+            </p>
+          </ChartSection>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,262 @@
+import React, { useEffect, useState } from 'react';
+import { RefreshCw, ScrollText, CheckCircle2, XCircle } from 'lucide-react';
+import { fetchAuditLog } from '../lib/api';
+import { formatTimestamp } from '../lib/format';
+
+const ACTION_LABELS = {
+  delete: '단일 삭제',
+  'bulk-delete': '선택 삭제',
+  'delete-all': '전체 삭제',
+  'delete-event': '이벤트 삭제',
+  restore: '휴지통 복원',
+  purge: '영구 삭제',
+  'auto-purge': '자동 비우기',
+  snapshot: '실시간 스냅샷',
+  flag: '보존 표시',
+  unflag: '보존 해제',
+  star: '별표',
+  unstar: '별표 해제',
+  annotate: '태그/메모',
+  retention: '보관 정책 정리',
+  share: '공유 링크',
+  unshare: '공유 취소',
+};
+
+const PAGE_SIZE = 50;
+
+// <input type="date"> 값(로컬 날짜)을 하루의 시작/끝 ISO 시각으로 변환
+const dayStartIso = (value) => (value ? new Date(`${value}T00:00:00`).toISOString() : undefined);
+const dayEndIso = (value) => (value ? new Date(`${value}T23:59:59.999`).toISOString() : undefined);
+
+// 감사 로그 화면 (admin 전용)
+export default function AuditLogView() {
+  const [filters, setFilters] = useState({
+    action: '',
+    username: '',
+    success: '',
+    from: '',
+    to: '',
+    key: '',
+  });
+  const [page, setPage] = useState(0);
+  const [result, setResult] = useState({ total: 0, entries: [] });
+  const [expandedId, setExpandedId] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reloadToken, setReloadToken] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetchAuditLog({
+      action: filters.action,
+      username: filters.username.trim(),
+      success: filters.success,
+      from: dayStartIso(filters.from),
+      to: dayEndIso(filters.to),
+      key: filters.key.trim(),
+      limit: PAGE_SIZE,
+      offset: page * PAGE_SIZE,
+    })
+      .then((data) => {
+        if (cancelled) return;
+        setResult(data);
+        setError(null);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('감사 로그 로딩 에러:', err);
+        setError('감사 로그를 불러오지 못했습니다.');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [filters, page, reloadToken]);
+
+  const updateFilter = (name, value) => {
+    setIsLoading(true);
+    setPage(0);
+    setFilters((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const pageCount = Math.max(Math.ceil(result.total / PAGE_SIZE), 1);
+  const inputClass =
+    'px-3 py-2 bg-gray-50 border border-gray-300 rounded-md text-sm text-gray-700 focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+  return (
+    <div className="w-full">
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center gap-2">
+          <ScrollText className="w-6 h-6 text-blue-600" />
+          <h2 className="text-2xl font-extrabold text-gray-800">감사 로그</h2>
+          <span className="text-sm text-gray-500 font-semibold ml-2">{result.total}건</span>
+        </div>
+        <button
+          onClick={() => {
+            setIsLoading(true);
+            setReloadToken((n) => n + 1);
+          }}
+          disabled={isLoading}
+          className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg shadow-md hover:bg-blue-700 transition-colors disabled:opacity-50 font-semibold text-sm"
+        >
+          <RefreshCw className={`w-4 h-4 ${isLoading ? 'animate-spin' : ''}`} />
+          새로고침
+        </button>
+      </div>
+
+      {/* 필터 */}
+      <div className="bg-white border border-gray-200 rounded-lg p-4 mb-6 flex flex-wrap gap-3 items-center shadow-sm">
+        <select
+          value={filters.action}
+          onChange={(e) => updateFilter('action', e.target.value)}
+          className={`${inputClass} cursor-pointer`}
+        >
+          <option value="">전체 작업</option>
+          {Object.entries(ACTION_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <select
+          value={filters.success}
+          onChange={(e) => updateFilter('success', e.target.value)}
+          className={`${inputClass} cursor-pointer`}
+        >
+          <option value="">전체 결과</option>
+          <option value="true">성공</option>
+          <option value="false">실패 포함</option>
+        </select>
+        <input
+          value={filters.username}
+          onChange={(e) => updateFilter('username', e.target.value)}
+          placeholder="사용자"
+          className={`${inputClass} w-32`}
+        />
+        <input
+          value={filters.key}
+          onChange={(e) => updateFilter('key', e.target.value)}
+          placeholder="파일 키 검색"
+          className={`${inputClass} w-48`}
+        />
+        <div className="flex items-center gap-2 text-sm text-gray-600">
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => updateFilter('from', e.target.value)}
+            className={inputClass}
+          />
+          ~
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => updateFilter('to', e.target.value)}
+            className={inputClass}
+          />
+        </div>
+      </div>
+
+      {error && (
+        <p className="bg-red-50 border border-red-300 text-red-700 text-sm rounded-md p-3 mb-4">{error}</p>
+      )}
+
+      <div className="bg-white border border-gray-200 rounded-lg shadow-sm overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 text-gray-600 text-left">
+            <tr>
+              <th className="px-4 py-3 font-semibold">시각</th>
+              <th className="px-4 py-3 font-semibold">사용자</th>
+              <th className="px-4 py-3 font-semibold">작업</th>
+              <th className="px-4 py-3 font-semibold text-right">개수</th>
+              <th className="px-4 py-3 font-semibold">결과</th>
+            </tr>
+          </thead>
+          <tbody>
+            {result.entries.length === 0 ? (
+              <tr>
+                <td colSpan={5} className="px-4 py-12 text-center text-gray-400">
+                  {isLoading ? '불러오는 중...' : '기록 없음'}
+                </td>
+              </tr>
+            ) : (
+              result.entries.map((entry) => (
+                <React.Fragment key={entry.id}>
+                  <tr
+                    onClick={() => setExpandedId(expandedId === entry.id ? null : entry.id)}
+                    className="border-t border-gray-100 hover:bg-blue-50 cursor-pointer"
+                  >
+                    <td className="px-4 py-3 whitespace-nowrap">{formatTimestamp(new Date(entry.at))}</td>
+                    <td className="px-4 py-3">
+                      <span className="font-semibold text-gray-800">{entry.username}</span>
+                      <span className="text-xs text-gray-400 uppercase ml-1">{entry.role}</span>
+                    </td>
+                    <td className="px-4 py-3">{ACTION_LABELS[entry.action] || entry.action}</td>
+                    <td className="px-4 py-3 text-right font-mono">{entry.count}</td>
+                    <td className="px-4 py-3">
+                      {entry.success ? (
+                        <span className="inline-flex items-center gap-1 text-green-700 font-semibold">
+                          <CheckCircle2 className="w-4 h-4" /> 성공
+                        </span>
+                      ) : (
+                        <span className="inline-flex items-center gap-1 text-red-600 font-semibold">
+                          <XCircle className="w-4 h-4" />
+                          실패 {entry.failedKeys.length}개
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                  {expandedId === entry.id && (
+                    <tr className="bg-gray-50">
+                      <td colSpan={5} className="px-4 py-3">
+                        {entry.error && <p className="text-red-600 text-xs mb-2">오류: {entry.error}</p>}
+                        <ul className="font-mono text-xs text-gray-600 max-h-48 overflow-y-auto space-y-0.5">
+                          {entry.keys.map((key) => (
+                            <li key={key} className={entry.failedKeys.includes(key) ? 'text-red-600' : ''}>
+                              {key}
+                            </li>
+                          ))}
+                        </ul>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {pageCount > 1 && (
+        <div className="flex items-center justify-center gap-3 mt-4 text-sm">
+          <button
+            onClick={() => {
+              setIsLoading(true);
+              setPage((p) => p - 1);
+            }}
+            disabled={page === 0 || isLoading}
+            className="px-3 py-1.5 border border-gray-300 rounded-md disabled:opacity-40"
+          >
+            이전
+          </button>
+          <span className="text-gray-600">
+            {page + 1} / {pageCount}
+          </span>
+          <button
+            onClick={() => {
+              setIsLoading(true);
+              setPage((p) => p + 1);
+            }}
+            disabled={page + 1 >= pageCount || isLoading}
+            className="px-3 py-1.5 border border-gray-300 rounded-md disabled:opacity-40"
+          >
+            다음
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
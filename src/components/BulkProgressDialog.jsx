@@ -0,0 +1,103 @@
+import React from 'react';
+import { CheckCircle2, XCircle, RefreshCw, Download } from 'lucide-react';
+
+// 일괄 작업 진행률 / 결과 보고
+// progress: { done, total, retry?: { attempt, count } }
+// result: { succeeded: number, failed: [{ key, message }], cancelled?: number } | null
+// onSaveReport 가 있으면 결과에 키별 보고서 저장 버튼을 보여 준다.
+export default function BulkProgressDialog({ title, progress, result, onCancel, onClose, onSaveReport }) {
+  const percent = progress?.total ? Math.round((progress.done / progress.total) * 100) : 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center p-4 z-[60]">
+      <div className="bg-white border border-gray-300 rounded-xl w-full max-w-lg shadow-2xl">
+        <div className="p-4 border-b border-gray-200 flex items-center gap-2">
+          {result ? (
+            result.failed.length ? (
+              <XCircle className="w-5 h-5 text-red-600" />
+            ) : (
+              <CheckCircle2 className="w-5 h-5 text-green-600" />
+            )
+          ) : (
+            <RefreshCw className="w-5 h-5 text-blue-600 animate-spin" />
+          )}
+          <h3 className="text-lg font-bold text-gray-800">{title}</h3>
+        </div>
+
+        <div className="p-4 text-sm space-y-3">
+          <div>
+            <div className="flex justify-between text-xs text-gray-600 mb-1">
+              <span>
+                {result
+                  ? '완료'
+                  : progress?.retry
+                    ? `${progress.retry.count}개 다시 시도 대기 중 (${progress.retry.attempt}회차)`
+                    : '진행 중'}
+              </span>
+              <span>
+                {progress?.done ?? 0} / {progress?.total ?? 0} ({percent}%)
+              </span>
+            </div>
+            <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+              <div className="h-full bg-blue-600 transition-all" style={{ width: `${percent}%` }} />
+            </div>
+          </div>
+
+          {result && (
+            <>
+              <p className="text-gray-700">
+                성공 <span className="font-bold text-green-700">{result.succeeded}</span>건 · 실패{' '}
+                <span className="font-bold text-red-600">{result.failed.length}</span>건
+                {result.cancelled > 0 && (
+                  <>
+                    {' '}· 취소로 처리 안 함 <span className="font-bold text-gray-800">{result.cancelled}</span>건
+                  </>
+                )}
+              </p>
+              {result.failed.length > 0 && (
+                <ul className="max-h-48 overflow-y-auto border border-red-200 bg-red-50 rounded-md p-2 space-y-1 font-mono text-xs">
+                  {result.failed.map((item) => (
+                    <li key={item.key} className="text-red-700">
+                      {item.key} <span className="text-red-500">— {item.message}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          )}
+        </div>
+
+        <div className="p-4 border-t border-gray-200 flex justify-end gap-2">
+          {result ? (
+            <>
+              {onSaveReport && (
+                <button
+                  onClick={onSaveReport}
+                  className="flex items-center gap-1 bg-gray-100 border border-gray-300 text-gray-700 px-4 py-2 rounded-lg font-semibold hover:bg-gray-200"
+                >
+                  <Download className="w-4 h-4" />
+                  보고서 (CSV)
+                </button>
+              )}
+              <button
+                onClick={onClose}
+                className="bg-blue-600 text-white px-5 py-2 rounded-lg font-semibold hover:bg-blue-700"
+              >
+                닫기
+              </button>
+            </>
+          ) : (
+            onCancel && (
+              <button
+                onClick={onCancel}
+                className="bg-gray-100 border border-gray-300 text-gray-700 px-5 py-2 rounded-lg font-semibold hover:bg-gray-200"
+              >
+                취소
+              </button>
+            )
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
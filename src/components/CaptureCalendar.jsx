@@ -0,0 +1,86 @@
+import React, { useMemo, useState } from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { addDays, countByDay, startOfDay, startOfMonth, toDayKey } from '../lib/dates';
+
+const WEEKDAYS = ['일', '월', '화', '수', '목', '금', '토'];
+
+// 월 달력: 날짜별 캡처 수 표시, 날짜를 누르면 그 날로 기간 필터
+export default function CaptureCalendar({ images, range, onSelectDay }) {
+  const [month, setMonth] = useState(() => startOfMonth(range?.start || new Date()));
+  const counts = useMemo(() => countByDay(images), [images]);
+
+  // 6주(42칸) 고정 그리드, 첫 칸은 해당 월 1일이 속한 주의 일요일
+  const days = useMemo(() => {
+    const first = addDays(month, -month.getDay());
+    return Array.from({ length: 42 }, (_, i) => addDays(first, i));
+  }, [month]);
+
+  const maxCount = Math.max(1, ...days.map((d) => counts.get(toDayKey(d)) || 0));
+  const todayKey = toDayKey(new Date());
+  const isInRange = (day) => range && day >= startOfDay(range.start) && day < range.end;
+
+  const monthTotal = days
+    .filter((d) => d.getMonth() === month.getMonth())
+    .reduce((sum, d) => sum + (counts.get(toDayKey(d)) || 0), 0);
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-4 shadow-sm w-full max-w-md">
+      <div className="flex items-center justify-between mb-3">
+        <button
+          onClick={() => setMonth(new Date(month.getFullYear(), month.getMonth() - 1, 1))}
+          className="p-1.5 rounded-md text-gray-500 hover:bg-gray-100"
+        >
+          <ChevronLeft className="w-5 h-5" />
+        </button>
+        <div className="text-center">
+          <p className="font-bold text-gray-800">
+            {month.getFullYear()}년 {month.getMonth() + 1}월
+          </p>
+          <p className="text-xs text-gray-500">{monthTotal}건</p>
+        </div>
+        <button
+          onClick={() => setMonth(new Date(month.getFullYear(), month.getMonth() + 1, 1))}
+          className="p-1.5 rounded-md text-gray-500 hover:bg-gray-100"
+        >
+          <ChevronRight className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-7 gap-1 text-center text-xs">
+        {WEEKDAYS.map((w, i) => (
+          <div
+            key={w}
+            className={`font-semibold py-1 ${i === 0 ? 'text-red-500' : i === 6 ? 'text-blue-500' : 'text-gray-500'}`}
+          >
+            {w}
+          </div>
+        ))}
+
+        {days.map((day) => {
+          const key = toDayKey(day);
+          const count = counts.get(key) || 0;
+          const inMonth = day.getMonth() === month.getMonth();
+          // 캡처 수에 비례한 배경 농도
+          const intensity = count ? 0.15 + 0.6 * (count / maxCount) : 0;
+          return (
+            <button
+              key={key}
+              onClick={() => onSelectDay(startOfDay(day))}
+              style={count ? { backgroundColor: `rgba(37, 99, 235, ${intensity})` } : undefined}
+              className={`rounded-md py-1.5 flex flex-col items-center transition-all ${
+                inMonth ? 'text-gray-800' : 'text-gray-300'
+              } ${isInRange(day) ? 'ring-2 ring-blue-600' : 'hover:ring-2 hover:ring-blue-200'} ${
+                key === todayKey ? 'font-extrabold' : ''
+              }`}
+            >
+              <span>{day.getDate()}</span>
+              <span className={`text-[10px] leading-none ${count ? 'font-bold' : 'opacity-0'}`}>
+                {count || 0}
+              </span>
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { Save, Tag, X } from 'lucide-react';
+
+// 모달 아래의 태그 / 메모. 태그는 추가·삭제할 때 바로, 메모는 저장 버튼으로 저장한다 (admin).
+// 캡처가 바뀌면 입력 중인 내용을 버리도록 부모가 key 로 캡처 키를 준다.
+export default function CaptureNotes({ tags, note, allTags, canEdit, disabled, onSave }) {
+  const [tagInput, setTagInput] = useState('');
+  const [noteDraft, setNoteDraft] = useState(note);
+  const [isSaving, setIsSaving] = useState(false);
+
+  if (!canEdit && !tags.length && !note) return null;
+
+  const save = async (patch) => {
+    setIsSaving(true);
+    try {
+      return await onSave(patch);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const addTag = async () => {
+    const tag = tagInput.trim();
+    if (!tag || tags.includes(tag)) {
+      setTagInput('');
+      return;
+    }
+    if (await save({ tags: [...tags, tag] })) setTagInput('');
+  };
+
+  const busy = disabled || isSaving;
+
+  return (
+    <div className="px-4 py-3 border-t border-gray-200 space-y-2 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <Tag className="w-4 h-4 text-gray-500" />
+        {tags.map((tag) => (
+          <span
+            key={tag}
+            className="flex items-center gap-1 bg-blue-50 border border-blue-200 text-blue-700 px-2 py-0.5 rounded-full text-xs font-semibold"
+          >
+            {tag}
+            {canEdit && (
+              <button
+                onClick={() => save({ tags: tags.filter((t) => t !== tag) })}
+                disabled={busy}
+                title="태그 삭제"
+                className="hover:text-red-600 disabled:opacity-50"
+              >
+                <X className="w-3 h-3" />
+              </button>
+            )}
+          </span>
+        ))}
+        {!tags.length && !canEdit && <span className="text-gray-400">태그 없음</span>}
+        {canEdit && (
+          <>
+            <input
+              value={tagInput}
+              onChange={(e) => setTagInput(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' && !e.nativeEvent.isComposing) addTag();
+              }}
+              list="capture-tag-options"
+              placeholder="태그 추가 (Enter)"
+              disabled={busy}
+              className="px-2 py-1 bg-gray-50 border border-gray-300 rounded-md text-xs text-gray-700 w-36 disabled:opacity-50"
+            />
+            <datalist id="capture-tag-options">
+              {allTags
+                .filter((tag) => !tags.includes(tag))
+                .map((tag) => (
+                  <option key={tag} value={tag} />
+                ))}
+            </datalist>
+          </>
+        )}
+      </div>
+
+      {canEdit ? (
+        <div className="flex items-start gap-2">
+          <textarea
+            value={noteDraft}
+            onChange={(e) => setNoteDraft(e.target.value)}
+            rows={2}
+            maxLength={2000}
+            placeholder="메모"
+            disabled={busy}
+            className="flex-1 px-2 py-1.5 bg-gray-50 border border-gray-300 rounded-md text-gray-700 resize-y disabled:opacity-50"
+          />
+          <button
+            onClick={() => save({ note: noteDraft })}
+            disabled={busy || noteDraft.trim() === note}
+            className="flex items-center gap-1 px-3 py-1.5 border border-gray-300 rounded-md text-gray-700 font-semibold hover:bg-gray-100 disabled:opacity-40"
+          >
+            <Save className="w-4 h-4" />
+            메모 저장
+          </button>
+        </div>
+      ) : (
+        note && <p className="text-gray-700 whitespace-pre-wrap">{note}</p>
+      )}
+    </div>
+  );
+}
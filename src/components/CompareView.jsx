@@ -0,0 +1,186 @@
+import React, { useState } from 'react';
+import { ZoomIn, ZoomOut, Maximize2 } from 'lucide-react';
+import { formatTimestamp } from '../lib/format';
+import { nearbyCaptures, stepCapture } from '../lib/compare';
+import { IDENTITY_VIEW, zoomAt, ZOOM_STEP } from '../lib/zoom';
+import ZoomSurface from './ZoomSurface';
+
+const MODES = [
+  { id: 'side', label: '나란히' },
+  { id: 'onion', label: '겹쳐 보기' },
+  { id: 'difference', label: '차이' },
+];
+
+// 비교 대상 목록에 보여 줄 앞뒤 캡처 수
+const NEARBY_COUNT = 30;
+
+const paneImageClass = 'absolute inset-0 w-full h-full object-contain';
+
+const buttonClass =
+  'px-2.5 py-1 rounded-md border text-xs font-semibold transition-colors disabled:opacity-40 disabled:cursor-not-allowed';
+
+function PaneLabel({ label, image, className = '' }) {
+  return (
+    <span className={`absolute top-2 bg-black/60 text-white text-xs px-2 py-1 rounded pointer-events-none ${className}`}>
+      {label} · {formatTimestamp(image.timestamp)}
+    </span>
+  );
+}
+
+function Loading() {
+  return <div className="absolute inset-0 flex items-center justify-center text-sm text-gray-400">불러오는 중...</div>;
+}
+
+// 모달의 캡처(image)와 두 번째 캡처(other)를 나란히 / 겹쳐 / 차이로 비교한다. 확대·이동은 두 이미지가 함께 움직인다.
+// candidates: 같은 카메라의 캡처 (시간순), referenceKey: 그 카메라의 기준 프레임 키
+// fill 이면 (전체 화면) 남은 높이를 모두 쓴다.
+export default function CompareView({ image, other, candidates, referenceKey, fill, onSelectOther }) {
+  const [mode, setMode] = useState('side');
+  // 겹쳐 보기: 두 번째 캡처의 불투명도 / 차이: 차이 강도 (%)
+  const [mix, setMix] = useState(50);
+  const [view, setView] = useState(IDENTITY_VIEW);
+
+  const previous = stepCapture(candidates, image.key, -1);
+  const next = stepCapture(candidates, image.key, 1);
+  const reference = referenceKey && referenceKey !== image.key ? candidates.find((img) => img.key === referenceKey) : null;
+
+  const stageHeight = fill ? 'flex-1 min-h-0' : 'h-[60vh]';
+
+  const nearby = nearbyCaptures(candidates, image.key, NEARBY_COUNT);
+  // 직접 고른 캡처가 목록 범위 밖이어도 선택 상태가 보이도록
+  if (!nearby.some((img) => img.key === other.key)) nearby.unshift(other);
+
+  const quickPick = (target, label) => (
+    <button
+      onClick={() => onSelectOther(target)}
+      disabled={!target}
+      className={`${buttonClass} ${
+        target && target.key === other.key
+          ? 'bg-blue-600 border-blue-600 text-white'
+          : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'
+      }`}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div className={`bg-gray-900 min-h-0 flex flex-col ${fill ? 'flex-1' : ''}`}>
+      <div className="flex flex-wrap items-center gap-2 px-3 py-2 bg-gray-50 border-b border-gray-200 text-sm">
+        <span className="text-gray-500 font-semibold">비교 대상</span>
+        {quickPick(previous, '이전 캡처')}
+        {quickPick(next, '다음 캡처')}
+        {quickPick(reference, '기준 프레임')}
+        <select
+          value={other.key}
+          onChange={(e) => onSelectOther(candidates.find((img) => img.key === e.target.value))}
+          className="px-2 py-1 bg-white border border-gray-300 rounded-md text-xs text-gray-700 cursor-pointer max-w-[14rem]"
+        >
+          {nearby.map((img) => (
+            <option key={img.key} value={img.key}>
+              {formatTimestamp(img.timestamp)} · {img.name}
+            </option>
+          ))}
+        </select>
+
+        <div className="flex items-center gap-1 ml-auto">
+          {MODES.map(({ id, label }) => (
+            <button
+              key={id}
+              onClick={() => setMode(id)}
+              className={`${buttonClass} ${
+                mode === id ? 'bg-gray-800 border-gray-800 text-white' : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        {mode !== 'side' && (
+          <label className="flex items-center gap-2 text-xs text-gray-600">
+            {mode === 'onion' ? '불투명도' : '강도'}
+            <input
+              type="range"
+              min={0}
+              max={100}
+              value={mix}
+              onChange={(e) => setMix(Number(e.target.value))}
+              className="w-28"
+            />
+            <span className="w-8 text-right">{mix}%</span>
+          </label>
+        )}
+        <div className="flex items-center gap-1">
+          <button
+            onClick={() => setView((prev) => zoomAt(prev, 1 / ZOOM_STEP))}
+            disabled={view.scale === 1}
+            title="축소"
+            className="p-1 rounded-md text-gray-600 hover:bg-gray-200 disabled:opacity-30"
+          >
+            <ZoomOut className="w-4 h-4" />
+          </button>
+          <span className="w-10 text-center text-xs text-gray-600">{Math.round(view.scale * 100)}%</span>
+          <button
+            onClick={() => setView((prev) => zoomAt(prev, ZOOM_STEP))}
+            title="확대"
+            className="p-1 rounded-md text-gray-600 hover:bg-gray-200"
+          >
+            <ZoomIn className="w-4 h-4" />
+          </button>
+          <button
+            onClick={() => setView(IDENTITY_VIEW)}
+            disabled={view.scale === 1}
+            title="원래 크기 (더블클릭)"
+            className="p-1 rounded-md text-gray-600 hover:bg-gray-200 disabled:opacity-30"
+          >
+            <Maximize2 className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {mode === 'side' ? (
+        <div className={`flex gap-1 ${stageHeight}`}>
+          <div className="relative flex-1 min-w-0">
+            <ZoomSurface view={view} onViewChange={setView} className="h-full">
+              {image.url ? (
+                <img src={image.url} alt={image.name} draggable={false} className={paneImageClass} />
+              ) : (
+                <Loading />
+              )}
+            </ZoomSurface>
+            <PaneLabel label="현재" image={image} className="left-2" />
+          </div>
+          <div className="relative flex-1 min-w-0">
+            <ZoomSurface view={view} onViewChange={setView} className="h-full">
+              {other.url ? (
+                <img src={other.url} alt={other.name} draggable={false} className={paneImageClass} />
+              ) : (
+                <Loading />
+              )}
+            </ZoomSurface>
+            <PaneLabel label="비교" image={other} className="left-2" />
+          </div>
+        </div>
+      ) : (
+        <div className={`relative ${stageHeight}`}>
+          <ZoomSurface view={view} onViewChange={setView} className="h-full">
+            {image.url && <img src={image.url} alt={image.name} draggable={false} className={paneImageClass} />}
+            {other.url && (
+              <img
+                src={other.url}
+                alt={other.name}
+                draggable={false}
+                className={paneImageClass}
+                // 차이: 같은 픽셀은 검게, 달라진 곳만 밝게 (캔버스를 쓰지 않으므로 버킷 CORS 와 무관)
+                style={{ opacity: mix / 100, mixBlendMode: mode === 'difference' ? 'difference' : 'normal' }}
+              />
+            )}
+            {(!image.url || !other.url) && <Loading />}
+          </ZoomSurface>
+          <PaneLabel label="현재" image={image} className="left-2" />
+          <PaneLabel label="비교" image={other} className="right-2" />
+        </div>
+      )}
+    </div>
+  );
+}
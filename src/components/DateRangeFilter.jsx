@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+import { CalendarRange, X } from 'lucide-react';
+import { fromDateTimeLocalValue, toDateTimeLocalValue } from '../lib/dates';
+
+// 시작/끝 시각 직접 지정 (끝 시각은 포함하지 않음)
+export default function DateRangeFilter({ range, onApply, onClear, disabled }) {
+  const [startValue, setStartValue] = useState(toDateTimeLocalValue(range?.start));
+  const [endValue, setEndValue] = useState(toDateTimeLocalValue(range?.end));
+  const [syncedRange, setSyncedRange] = useState(range);
+
+  // 달력 클릭 등으로 바깥에서 기간이 바뀌면 입력값도 맞춰 줌
+  if (range !== syncedRange) {
+    setSyncedRange(range);
+    setStartValue(toDateTimeLocalValue(range?.start));
+    setEndValue(toDateTimeLocalValue(range?.end));
+  }
+
+  const start = fromDateTimeLocalValue(startValue);
+  const end = fromDateTimeLocalValue(endValue);
+  const isValid = start && end && start < end;
+
+  const inputClass =
+    'px-2 py-1.5 bg-gray-50 border border-gray-300 rounded-md text-sm text-gray-700 focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:opacity-60';
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <CalendarRange className="w-5 h-5 text-gray-500" />
+      <span className="text-gray-700 font-medium text-sm">기간:</span>
+      <input
+        type="datetime-local"
+        value={startValue}
+        onChange={(e) => setStartValue(e.target.value)}
+        disabled={disabled}
+        className={inputClass}
+      />
+      <span className="text-gray-500">~</span>
+      <input
+        type="datetime-local"
+        value={endValue}
+        onChange={(e) => setEndValue(e.target.value)}
+        disabled={disabled}
+        className={inputClass}
+      />
+      <button
+        onClick={() => onApply({ start, end })}
+        disabled={disabled || !isValid}
+        className="px-3 py-1.5 bg-blue-600 text-white rounded-md text-sm font-semibold hover:bg-blue-700 transition-colors disabled:opacity-50"
+      >
+        적용
+      </button>
+      {range && (
+        <button
+          onClick={onClear}
+          disabled={disabled}
+          title="기간 해제"
+          className="p-1.5 text-gray-500 hover:text-gray-800 rounded-md hover:bg-gray-100 disabled:opacity-50"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,170 @@
+import React, { useRef, useState } from 'react';
+import { Film, X } from 'lucide-react';
+import { exportFrames, MAX_EXPORT_FRAMES } from '../lib/frameExport';
+import { fileTimestamp, saveBlob } from '../lib/download';
+import { formatTimestamp } from '../lib/format';
+
+const PHASE_LABELS = {
+  load: '이미지 불러오는 중',
+  encode: '인코딩 중',
+};
+
+// 프레임 시퀀스를 GIF / WebM 으로 내보내는 대화상자
+// frames 는 재생 순서(오래된순)로 전달
+export default function ExportDialog({ frames, title, onClose }) {
+  const [format, setFormat] = useState('gif');
+  const [fps, setFps] = useState(2);
+  const [width, setWidth] = useState(640);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const abortRef = useRef(null);
+
+  const isExporting = Boolean(progress);
+  const tooMany = frames.length > MAX_EXPORT_FRAMES;
+
+  const handleExport = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setError(null);
+    setProgress({ phase: 'load', done: 0, total: frames.length });
+
+    try {
+      const blob = await exportFrames(frames, {
+        format,
+        fps,
+        width,
+        signal: controller.signal,
+        onProgress: setProgress,
+      });
+      const first = frames[0].timestamp;
+      saveBlob(blob, `capture_${fileTimestamp(first)}_${frames.length}f.${format}`);
+      onClose();
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error('내보내기 오류:', err);
+        setError(
+          err.message?.startsWith('이미지를 불러올 수 없습니다')
+            ? '이미지를 캔버스로 읽을 수 없습니다. S3 버킷 CORS 설정(GET 허용)을 확인하세요.'
+            : err.message || '내보내기에 실패했습니다.'
+        );
+      }
+    } finally {
+      abortRef.current = null;
+      setProgress(null);
+    }
+  };
+
+  const selectClass =
+    'w-full px-3 py-2 bg-gray-50 border border-gray-300 rounded-md text-sm text-gray-700 focus:ring-2 focus:ring-blue-500 disabled:opacity-60';
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center p-4 z-[60]"
+      onClick={() => !isExporting && onClose()}
+    >
+      <div
+        className="bg-white border border-gray-300 rounded-xl w-full max-w-md shadow-2xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <Film className="w-5 h-5 text-blue-600" />
+            <h3 className="text-lg font-bold text-gray-800">애니메이션 내보내기</h3>
+          </div>
+          <button
+            onClick={onClose}
+            disabled={isExporting}
+            className="text-gray-500 hover:text-gray-800 p-1 disabled:opacity-40"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4 text-sm">
+          <div className="text-gray-600">
+            <p className="font-semibold text-gray-800">{title}</p>
+            <p>
+              {frames.length}프레임 · {formatTimestamp(frames[0].timestamp)} ~{' '}
+              {formatTimestamp(frames[frames.length - 1].timestamp)}
+            </p>
+            {tooMany && (
+              <p className="text-red-600 mt-1">
+                최대 {MAX_EXPORT_FRAMES}프레임까지 내보낼 수 있습니다. 기간을 좁혀 주세요.
+              </p>
+            )}
+          </div>
+
+          <div className="grid grid-cols-3 gap-3">
+            <label className="space-y-1">
+              <span className="text-gray-700 font-medium">형식</span>
+              <select value={format} onChange={(e) => setFormat(e.target.value)} disabled={isExporting} className={selectClass}>
+                <option value="gif">GIF</option>
+                <option value="webm">WebM 영상</option>
+              </select>
+            </label>
+            <label className="space-y-1">
+              <span className="text-gray-700 font-medium">속도</span>
+              <select value={fps} onChange={(e) => setFps(Number(e.target.value))} disabled={isExporting} className={selectClass}>
+                <option value={1}>1 fps</option>
+                <option value={2}>2 fps</option>
+                <option value={5}>5 fps</option>
+                <option value={10}>10 fps</option>
+              </select>
+            </label>
+            <label className="space-y-1">
+              <span className="text-gray-700 font-medium">가로 크기</span>
+              <select value={width} onChange={(e) => setWidth(Number(e.target.value))} disabled={isExporting} className={selectClass}>
+                <option value={320}>320px</option>
+                <option value={640}>640px</option>
+                <option value={1600}>원본</option>
+              </select>
+            </label>
+          </div>
+
+          {format === 'webm' && (
+            <p className="text-xs text-gray-500">WebM 은 실시간 녹화 방식이라 영상 길이만큼 시간이 걸립니다.</p>
+          )}
+
+          {progress && (
+            <div>
+              <div className="flex justify-between text-xs text-gray-600 mb-1">
+                <span>{PHASE_LABELS[progress.phase]}</span>
+                <span>
+                  {progress.done} / {progress.total}
+                </span>
+              </div>
+              <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+                <div
+                  className="h-full bg-blue-600 transition-all"
+                  style={{ width: `${(progress.done / progress.total) * 100}%` }}
+                />
+              </div>
+            </div>
+          )}
+
+          {error && <p className="bg-red-50 border border-red-300 text-red-700 rounded-md p-2">{error}</p>}
+        </div>
+
+        <div className="p-4 border-t border-gray-200 flex gap-3">
+          {isExporting ? (
+            <button
+              onClick={() => abortRef.current?.abort()}
+              className="flex-1 bg-gray-100 border border-gray-300 text-gray-700 px-4 py-2.5 rounded-lg font-semibold hover:bg-gray-200"
+            >
+              취소
+            </button>
+          ) : (
+            <button
+              onClick={handleExport}
+              disabled={tooMany}
+              className="flex-1 flex items-center justify-center gap-2 bg-blue-600 text-white px-4 py-2.5 rounded-lg hover:bg-blue-700 transition-colors font-semibold shadow-md disabled:opacity-50"
+            >
+              <Film className="w-4 h-4" />
+              내보내기
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,144 @@
+import React from 'react';
+import { Download, Trash2, Camera, Flag, Star } from 'lucide-react';
+import { formatTimestamp } from '../lib/format';
+import { isAlertScore } from '../lib/alerts';
+
+// 그리드의 캡처 카드 한 장
+export default function ImageCard({
+  img,
+  score,
+  isFlagged,
+  isStarred,
+  tags,
+  alertThreshold,
+  cameraName,
+  isSelected,
+  isChecked,
+  selectionMode,
+  disabled,
+  canDelete,
+  onOpen,
+  onToggleCheck,
+  onDownload,
+  onDelete,
+}) {
+  return (
+    <div
+      onClick={(e) => {
+        if (disabled) return;
+        // Shift(범위) / Ctrl·⌘(토글) 클릭은 선택, 일반 클릭은 상세 보기
+        if (e.shiftKey || e.ctrlKey || e.metaKey) onToggleCheck(e);
+        else onOpen(img);
+      }}
+      className={`bg-white border rounded-xl overflow-hidden shadow-lg transition-all duration-300 cursor-pointer group ${
+        isSelected
+          ? 'border-blue-600 ring-4 ring-blue-300 scale-[1.02]'
+          : isChecked
+            ? 'border-blue-500 ring-2 ring-blue-200'
+            : 'border-gray-200 hover:shadow-xl hover:border-blue-200'
+      }`}
+    >
+      <div className="aspect-video bg-gray-100 overflow-hidden relative">
+        <label
+          onClick={(e) => e.stopPropagation()}
+          className={`absolute top-3 left-3 z-10 bg-white/90 rounded-md p-1 shadow cursor-pointer transition-opacity ${
+            isChecked || selectionMode ? 'opacity-100' : 'opacity-0 group-hover:opacity-100'
+          }`}
+        >
+          <input
+            type="checkbox"
+            checked={isChecked}
+            disabled={disabled}
+            onChange={() => {}}
+            onClick={onToggleCheck}
+            className="w-4 h-4 accent-blue-600 cursor-pointer block"
+          />
+        </label>
+        <img
+          src={img.thumbUrl}
+          alt={img.name}
+          className="w-full h-full object-cover opacity-95 group-hover:opacity-100 transition-opacity duration-500"
+        />
+        {isAlertScore(score, alertThreshold) && (
+          <div className="absolute top-3 right-3 bg-red-600 text-white text-xs px-3 py-1 rounded-full font-bold shadow-md animate-pulse">
+            ALERT {score}%
+          </div>
+        )}
+        {score != null && !isAlertScore(score, alertThreshold) && (
+          <div className="absolute top-3 right-3 bg-black/50 text-white text-xs px-2 py-0.5 rounded-full">
+            변화 {score}%
+          </div>
+        )}
+        {(isStarred || isFlagged) && (
+          <div className="absolute bottom-3 right-3 flex items-center gap-1">
+            {isStarred && (
+              <div title="별표 (증거)" className="bg-white/90 text-yellow-500 p-1 rounded-full shadow">
+                <Star className="w-3 h-3 fill-yellow-400" />
+              </div>
+            )}
+            {isFlagged && (
+              <div
+                title="보존 표시 (보관 정책이 지우지 않음)"
+                className="flex items-center gap-1 bg-amber-500 text-white text-xs px-2 py-0.5 rounded-full font-bold shadow"
+              >
+                <Flag className="w-3 h-3" />
+                보존
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      <div className="p-4">
+        {cameraName && (
+          <p className="flex items-center gap-1 text-xs font-semibold text-blue-700 mb-1">
+            <Camera className="w-3 h-3" />
+            {cameraName}
+          </p>
+        )}
+        <p className="text-sm font-mono text-gray-800 font-semibold truncate mb-1">{img.name}</p>
+        {tags.length > 0 && (
+          <div className="flex flex-wrap gap-1 mb-1">
+            {tags.map((tag) => (
+              <span key={tag} className="bg-blue-50 text-blue-700 text-[11px] px-1.5 py-0.5 rounded font-semibold">
+                {tag}
+              </span>
+            ))}
+          </div>
+        )}
+        <div className="flex items-center justify-between text-xs text-gray-500 mb-3">
+          <span>{formatTimestamp(img.timestamp)}</span>
+          <span className="font-bold">{img.size}</span>
+        </div>
+
+        <div className="flex gap-2">
+          <button
+            onClick={(e) => {
+              e.stopPropagation();
+              if (disabled) return;
+              onDownload(img);
+            }}
+            disabled={disabled}
+            className="flex-1 flex items-center justify-center gap-1 bg-gray-100 text-gray-700 px-3 py-2 rounded-lg text-xs font-medium hover:bg-gray-200 transition-colors border border-gray-300 shadow-sm disabled:opacity-50"
+          >
+            <Download className="w-3 h-3" />
+            다운로드
+          </button>
+
+          {canDelete && (
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                onDelete(img);
+              }}
+              disabled={disabled}
+              className="flex items-center justify-center bg-red-500 text-white px-3 py-2 rounded-lg text-xs font-medium hover:bg-red-600 transition-colors shadow-sm disabled:opacity-50"
+            >
+              <Trash2 className="w-3 h-3" />
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,412 @@
+import React, { useEffect, useEffectEvent, useRef, useState } from 'react';
+import {
+  Download,
+  Trash2,
+  ChevronLeft,
+  ChevronRight,
+  Play,
+  Pause,
+  Film,
+  Crosshair,
+  Flag,
+  Star,
+  Columns2,
+  Maximize,
+  Minimize,
+  Link2,
+} from 'lucide-react';
+import { formatFileSize, formatTimestamp } from '../lib/format';
+import { formatDuration } from '../lib/events';
+import { defaultCompareTarget } from '../lib/compare';
+import { IDENTITY_VIEW } from '../lib/zoom';
+import CaptureNotes from './CaptureNotes';
+import CompareView from './CompareView';
+import ZoomSurface from './ZoomSurface';
+
+const PLAYBACK_FPS = [1, 2, 5, 10];
+
+// 입력 중인 칸에서는 단축키를 쓰지 않는다 (태그/메모 입력 등)
+const isTypingTarget = (target) =>
+  target instanceof HTMLElement && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+// 캡처 상세 모달. event 가 있으면 그 이벤트의 프레임을 넘겨 보거나 재생할 수 있다.
+// compareImage 가 있으면 비교 모드: 같은 카메라의 캡처(compareCandidates, 시간순) 하나와 나란히/겹쳐 본다.
+// onPrevious/onNext 는 이벤트가 아닐 때 그리드 순서의 앞뒤 캡처로 (없으면 null).
+// 단축키: ←/→ 앞뒤 캡처(이벤트면 프레임), Delete 삭제, D 다운로드, F 전체 화면, Esc 닫기
+export default function ImageModal({
+  image,
+  event,
+  score,
+  cameraName,
+  isReference,
+  meta,
+  allTags,
+  compareImage,
+  compareCandidates,
+  referenceKey,
+  canEditMeta,
+  disabled,
+  canDelete,
+  onSelectFrame,
+  onClose,
+  onDownload,
+  onDelete,
+  onDownloadEvent,
+  onDeleteEvent,
+  onExportEvent,
+  onSetReference,
+  onToggleFlag,
+  onToggleStar,
+  onSaveMeta,
+  onCompareWith,
+  onShare,
+  onPrevious,
+  onNext,
+}) {
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [fps, setFps] = useState(2);
+  // 확대/이동은 앞뒤 캡처로 넘겨도 유지 (같은 자리를 여러 장에서 확인)
+  const [view, setView] = useState(IDENTITY_VIEW);
+  const panelRef = useRef(null);
+  const [isFullscreen, setIsFullscreen] = useState(false);
+
+  const isFlagged = Boolean(meta?.flagged);
+  const isStarred = Boolean(meta?.starred);
+  const frames = event?.frames || [];
+  const frameIndex = frames.findIndex((f) => f.key === image.key);
+  const hasFrames = frames.length > 1;
+
+  // 재생 중이면 fps 에 맞춰 다음 프레임으로 (끝나면 처음부터 반복)
+  const nextFrame = hasFrames ? frames[(frameIndex + 1) % frames.length] : null;
+  useEffect(() => {
+    if (!isPlaying || !nextFrame) return undefined;
+    const timer = setTimeout(() => onSelectFrame(nextFrame), 1000 / fps);
+    return () => clearTimeout(timer);
+  }, [isPlaying, fps, nextFrame, onSelectFrame]);
+
+  // 수동으로 넘기면 재생 멈춤
+  const stepFrame = (delta) => {
+    const next = frames[frameIndex + delta];
+    setIsPlaying(false);
+    if (next) onSelectFrame(next);
+  };
+
+  // 이벤트면 프레임, 아니면 그리드의 앞뒤 캡처
+  const goPrevious = hasFrames ? (frameIndex > 0 ? () => stepFrame(-1) : null) : onPrevious;
+  const goNext = hasFrames ? (frameIndex < frames.length - 1 ? () => stepFrame(1) : null) : onNext;
+
+  const toggleFullscreen = () => {
+    if (document.fullscreenElement) document.exitFullscreen();
+    else panelRef.current?.requestFullscreen().catch((err) => console.error('전체 화면 전환 실패:', err));
+  };
+  useEffect(() => {
+    const handleChange = () => setIsFullscreen(document.fullscreenElement === panelRef.current);
+    document.addEventListener('fullscreenchange', handleChange);
+    return () => document.removeEventListener('fullscreenchange', handleChange);
+  }, []);
+
+  const onKeyDown = useEffectEvent((e) => {
+    if (e.altKey || e.ctrlKey || e.metaKey || isTypingTarget(e.target)) return;
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    if (key === 'ArrowLeft') goPrevious?.();
+    else if (key === 'ArrowRight') goNext?.();
+    else if (key === 'Delete' && canDelete && !disabled) onDelete(image);
+    else if (key === 'd' && !disabled) onDownload(image);
+    else if (key === 'f' && document.fullscreenEnabled) toggleFullscreen();
+    // 전체 화면에서는 Esc 를 브라우저가 먼저 처리한다.
+    else if (key === 'Escape' && !document.fullscreenElement) onClose();
+    else return;
+    e.preventDefault();
+  });
+  useEffect(() => {
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center p-4 z-50"
+      onClick={onClose}
+    >
+      <div
+        ref={panelRef}
+        className={`bg-white overflow-hidden flex flex-col ${
+          isFullscreen ? 'w-full h-full' : 'border border-gray-300 rounded-xl w-full max-w-6xl max-h-[95vh] shadow-2xl'
+        }`}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+          <div>
+            <h3 className="flex items-center gap-2 font-mono text-xl text-gray-800 font-bold">
+              {image.name}
+              {(canEditMeta || isStarred) && (
+                <button
+                  onClick={() => onToggleStar(image)}
+                  disabled={!canEditMeta || disabled}
+                  title={isStarred ? '별표 (증거) 해제' : '별표 (증거) 지정: 삭제할 때 따로 확인합니다.'}
+                  className="text-gray-300 hover:text-yellow-500 disabled:hover:text-inherit"
+                >
+                  <Star className={`w-5 h-5 ${isStarred ? 'fill-yellow-400 text-yellow-500' : ''}`} />
+                </button>
+              )}
+            </h3>
+            <p className="text-sm text-gray-500">
+              {cameraName && <span className="font-semibold text-blue-700">{cameraName} · </span>}
+              {formatTimestamp(image.timestamp)} · <span className="font-semibold">{image.size}</span>
+              {score != null && <> · 변화 {score}%</>}
+              {hasFrames && (
+                <>
+                  {' '}
+                  · 이벤트 {frameIndex + 1} / {frames.length}프레임 ({formatDuration(event.end - event.start)})
+                </>
+              )}
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => onCompareWith(compareImage ? null : defaultCompareTarget(compareCandidates, image.key))}
+              disabled={compareCandidates.length < 2}
+              title="같은 카메라의 다른 캡처와 나란히 / 겹쳐 비교"
+              className={`flex items-center gap-1.5 px-3 py-1.5 rounded-md border text-sm font-semibold transition-colors disabled:opacity-40 ${
+                compareImage
+                  ? 'bg-blue-600 border-blue-600 text-white hover:bg-blue-700'
+                  : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              <Columns2 className="w-4 h-4" />
+              비교
+            </button>
+            {document.fullscreenEnabled && (
+              <button
+                onClick={toggleFullscreen}
+                title={isFullscreen ? '전체 화면 끝내기 (F)' : '전체 화면 (F)'}
+                className="p-2 rounded-md text-gray-600 hover:bg-gray-100"
+              >
+                {isFullscreen ? <Minimize className="w-5 h-5" /> : <Maximize className="w-5 h-5" />}
+              </button>
+            )}
+            <button
+              onClick={onClose}
+              title="닫기 (Esc)"
+              className="text-gray-500 hover:text-gray-800 text-3xl leading-none font-light p-1"
+            >
+              &times;
+            </button>
+          </div>
+        </div>
+
+        {compareImage ? (
+          <CompareView
+            image={image}
+            other={compareImage}
+            candidates={compareCandidates}
+            referenceKey={referenceKey}
+            fill={isFullscreen}
+            onSelectOther={onCompareWith}
+          />
+        ) : (
+          <div className={`relative bg-gray-100 ${isFullscreen ? 'flex-1 min-h-0' : ''}`}>
+            <ZoomSurface view={view} onViewChange={setView} className={isFullscreen ? 'h-full' : 'h-[65vh]'}>
+              <img
+                src={image.url}
+                alt={image.name}
+                draggable={false}
+                className="absolute inset-0 w-full h-full object-contain"
+              />
+            </ZoomSurface>
+
+            {view.scale > 1 && (
+              <button
+                onClick={() => setView(IDENTITY_VIEW)}
+                title="원래 크기 (더블클릭)"
+                className="absolute top-3 right-3 bg-black/60 text-white text-xs font-semibold px-2 py-1 rounded hover:bg-black/80"
+              >
+                {Math.round(view.scale * 100)}% · 원래 크기
+              </button>
+            )}
+
+            {(goPrevious || goNext) && (
+              <>
+                <button
+                  onClick={goPrevious}
+                  disabled={!goPrevious}
+                  title="이전 (←)"
+                  className="absolute left-3 top-1/2 -translate-y-1/2 bg-black/50 text-white p-2 rounded-full hover:bg-black/70 disabled:opacity-20"
+                >
+                  <ChevronLeft className="w-6 h-6" />
+                </button>
+                <button
+                  onClick={goNext}
+                  disabled={!goNext}
+                  title="다음 (→)"
+                  className="absolute right-3 top-1/2 -translate-y-1/2 bg-black/50 text-white p-2 rounded-full hover:bg-black/70 disabled:opacity-20"
+                >
+                  <ChevronRight className="w-6 h-6" />
+                </button>
+              </>
+            )}
+          </div>
+        )}
+
+        {/* 재생 컨트롤 */}
+        {hasFrames && (
+          <div className="flex flex-wrap items-center gap-3 px-4 py-2 border-t border-gray-200 text-sm">
+            <button
+              onClick={() => stepFrame(-1)}
+              disabled={frameIndex <= 0}
+              title="이전 프레임"
+              className="p-1.5 rounded-md text-gray-600 hover:bg-gray-100 disabled:opacity-30"
+            >
+              <ChevronLeft className="w-5 h-5" />
+            </button>
+            <button
+              onClick={() => setIsPlaying((v) => !v)}
+              className="flex items-center gap-1.5 bg-blue-600 text-white px-3 py-1.5 rounded-md font-semibold hover:bg-blue-700"
+            >
+              {isPlaying ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+              {isPlaying ? '일시정지' : '재생'}
+            </button>
+            <button
+              onClick={() => stepFrame(1)}
+              disabled={frameIndex >= frames.length - 1}
+              title="다음 프레임"
+              className="p-1.5 rounded-md text-gray-600 hover:bg-gray-100 disabled:opacity-30"
+            >
+              <ChevronRight className="w-5 h-5" />
+            </button>
+            <select
+              value={fps}
+              onChange={(e) => setFps(Number(e.target.value))}
+              className="px-2 py-1 bg-gray-50 border border-gray-300 rounded-md text-gray-700 cursor-pointer"
+            >
+              {PLAYBACK_FPS.map((value) => (
+                <option key={value} value={value}>
+                  {value} fps
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => {
+                setIsPlaying(false);
+                onExportEvent(event);
+              }}
+              className="ml-auto flex items-center gap-1.5 border border-gray-300 text-gray-700 px-3 py-1.5 rounded-md font-semibold hover:bg-gray-100"
+            >
+              <Film className="w-4 h-4" />
+              GIF / 영상 내보내기
+            </button>
+          </div>
+        )}
+
+        {/* 이벤트 프레임 목록 */}
+        {hasFrames && (
+          <div className="flex gap-2 overflow-x-auto p-3 border-t border-gray-200 bg-gray-50">
+            {frames.map((frame, i) => (
+              <button
+                key={frame.key}
+                onClick={() => {
+                  setIsPlaying(false);
+                  onSelectFrame(frame);
+                }}
+                title={formatTimestamp(frame.timestamp)}
+                className={`flex-shrink-0 w-24 aspect-video rounded-md overflow-hidden border-2 transition-all ${
+                  i === frameIndex ? 'border-blue-600' : 'border-transparent opacity-60 hover:opacity-100'
+                }`}
+              >
+                <img src={frame.thumbUrl} alt={frame.name} className="w-full h-full object-cover" />
+              </button>
+            ))}
+          </div>
+        )}
+
+        <CaptureNotes
+          key={image.key}
+          tags={meta?.tags || []}
+          note={meta?.note || ''}
+          allTags={allTags}
+          canEdit={canEditMeta}
+          disabled={disabled}
+          onSave={(patch) => onSaveMeta(image, patch)}
+        />
+
+        <div className="p-4 border-t border-gray-200 flex gap-3">
+          <button
+            onClick={() => onDownload(image)}
+            disabled={disabled}
+            title="원본 다운로드 (D)"
+            className="flex-1 flex items-center justify-center gap-2 bg-blue-600 text-white px-4 py-3 rounded-lg hover:bg-blue-700 transition-colors font-semibold shadow-md disabled:opacity-50"
+          >
+            <Download className="w-5 h-5" />
+            원본 다운로드
+          </button>
+          <button
+            onClick={() => onSetReference(image)}
+            disabled={isReference}
+            title="빈 냉장고처럼 변화가 없는 장면을 기준으로 다른 캡처의 변화를 계산"
+            className="flex items-center justify-center gap-2 bg-white border border-gray-300 text-gray-700 px-4 py-3 rounded-lg hover:bg-gray-100 transition-colors font-semibold shadow-md disabled:opacity-50"
+          >
+            <Crosshair className="w-5 h-5" />
+            {isReference ? '기준 프레임' : '기준 프레임으로 지정'}
+          </button>
+          {canEditMeta && (
+            <button
+              onClick={() => onToggleFlag(image)}
+              disabled={disabled}
+              title="보존 표시한 캡처는 보관 정책이 지우지 않습니다."
+              className={`flex items-center justify-center gap-2 px-4 py-3 rounded-lg transition-colors font-semibold shadow-md disabled:opacity-50 ${
+                isFlagged
+                  ? 'bg-amber-500 text-white hover:bg-amber-600'
+                  : 'bg-white border border-gray-300 text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              <Flag className="w-5 h-5" />
+              {isFlagged ? '보존 중' : '보존'}
+            </button>
+          )}
+          {onShare && (
+            <button
+              onClick={() => onShare(image, hasFrames ? event : null)}
+              disabled={disabled}
+              title={hasFrames ? '이벤트 프레임 전체를 읽기 전용 링크로 공유' : '이 캡처를 읽기 전용 링크로 공유'}
+              className="flex items-center justify-center gap-2 bg-white border border-gray-300 text-gray-700 px-4 py-3 rounded-lg hover:bg-gray-100 transition-colors font-semibold shadow-md disabled:opacity-50"
+            >
+              <Link2 className="w-5 h-5" />
+              공유 링크
+            </button>
+          )}
+          {hasFrames && (
+            <button
+              onClick={() => onDownloadEvent(event)}
+              disabled={disabled}
+              className="flex items-center justify-center gap-2 bg-white border border-blue-600 text-blue-700 px-4 py-3 rounded-lg hover:bg-blue-50 transition-colors font-semibold shadow-md disabled:opacity-50"
+            >
+              <Download className="w-5 h-5" />
+              이벤트 전체 ({frames.length}장, {formatFileSize(event.bytes)})
+            </button>
+          )}
+          {canDelete && (
+            <button
+              onClick={() => onDelete(image)}
+              disabled={disabled}
+              title="휴지통으로 이동 (Delete)"
+              className="flex items-center justify-center gap-2 bg-red-600 text-white px-4 py-3 rounded-lg hover:bg-red-700 transition-colors font-semibold shadow-md disabled:opacity-50"
+            >
+              <Trash2 className="w-5 h-5" />
+              삭제
+            </button>
+          )}
+          {canDelete && hasFrames && (
+            <button
+              onClick={() => onDeleteEvent(event)}
+              disabled={disabled}
+              className="flex items-center justify-center gap-2 bg-red-800 text-white px-4 py-3 rounded-lg hover:bg-red-900 transition-colors font-semibold shadow-md disabled:opacity-50"
+            >
+              <Trash2 className="w-5 h-5" />
+              이벤트 삭제
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,182 @@
+import React, { useEffect, useState } from 'react';
+import { Video, Camera, RefreshCw, Wifi, WifiOff } from 'lucide-react';
+import { uploadSnapshot } from '../lib/api';
+import { snapshotNameFor } from '../lib/keyLayout';
+import { formatFileSize } from '../lib/format';
+
+// 연결이 끊기면 이 간격으로 다시 연결
+const RETRY_DELAY_MS = 5000;
+
+const STATUS = {
+  connecting: { label: '연결 중', className: 'bg-yellow-100 text-yellow-800', icon: RefreshCw },
+  live: { label: '실시간', className: 'bg-green-100 text-green-800', icon: Wifi },
+  offline: { label: '연결 끊김', className: 'bg-red-100 text-red-700', icon: WifiOff },
+};
+
+// 실시간 보기: 브라우저가 LAN 의 ESP32-CAM MJPEG 스트림에 직접 접속한다.
+// 스냅샷은 카메라의 /capture 프레임을 받아 백엔드를 거쳐 같은 버킷/키 레이아웃으로 저장
+export default function LivePanel({ cameras, initialCameraId, canSnapshot, onSnapshotSaved }) {
+  const liveCameras = cameras.filter((camera) => camera.streamUrl);
+  const [cameraId, setCameraId] = useState(
+    () => (liveCameras.find((camera) => camera.id === initialCameraId) || liveCameras[0])?.id
+  );
+  // attempt 가 바뀌면 스트림 URL 이 달라져 새로 연결된다.
+  const [connection, setConnection] = useState({ status: 'connecting', attempt: 0 });
+  const [snapshot, setSnapshot] = useState(null);
+  const [isCapturing, setIsCapturing] = useState(false);
+
+  const camera = liveCameras.find((c) => c.id === cameraId);
+
+  useEffect(() => {
+    if (connection.status !== 'offline') return undefined;
+    const timer = setTimeout(
+      () => setConnection((prev) => ({ status: 'connecting', attempt: prev.attempt + 1 })),
+      RETRY_DELAY_MS
+    );
+    return () => clearTimeout(timer);
+  }, [connection]);
+
+  const reconnect = () => setConnection((prev) => ({ status: 'connecting', attempt: prev.attempt + 1 }));
+
+  const selectCamera = (id) => {
+    setCameraId(id);
+    setSnapshot(null);
+    reconnect();
+  };
+
+  const takeSnapshot = async () => {
+    if (!camera?.captureUrl || isCapturing) return;
+    setIsCapturing(true);
+    const capturedAt = new Date();
+    try {
+      const response = await fetch(camera.captureUrl, { cache: 'no-store' });
+      if (!response.ok) throw new Error(`카메라 응답 오류 (${response.status})`);
+      const blob = await response.blob();
+      const result = await uploadSnapshot(camera.id, snapshotNameFor(capturedAt), blob);
+      setSnapshot({ ...result, url: URL.createObjectURL(blob), capturedAt });
+      onSnapshotSaved?.(result);
+    } catch (err) {
+      console.error('스냅샷 오류:', err);
+      alert(
+        err.name === 'TypeError'
+          ? '카메라에 연결할 수 없습니다. 같은 네트워크(LAN)에 있는지 확인하세요.'
+          : err.message || '스냅샷 저장에 실패했습니다.'
+      );
+    } finally {
+      setIsCapturing(false);
+    }
+  };
+
+  // 이전 스냅샷 미리보기 URL 해제
+  useEffect(() => () => snapshot && URL.revokeObjectURL(snapshot.url), [snapshot]);
+
+  if (!liveCameras.length) {
+    return (
+      <div className="bg-white border border-gray-200 rounded-lg p-16 text-center shadow-md w-full min-h-[40vh] flex flex-col items-center justify-center">
+        <Video className="w-16 h-16 text-gray-300 mb-4" />
+        <p className="text-gray-600 text-lg font-semibold">실시간 스트림이 설정된 카메라가 없습니다</p>
+        <p className="text-gray-400 text-sm mt-2">
+          카메라 설정에 streamUrl / captureUrl 을 지정하세요. (README 의 "실시간 보기" 참고)
+        </p>
+      </div>
+    );
+  }
+
+  const status = STATUS[connection.status];
+  const StatusIcon = status.icon;
+  const separator = camera.streamUrl.includes('?') ? '&' : '?';
+
+  return (
+    <div className="w-full">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <div className="flex items-center gap-2">
+          <Video className="w-6 h-6 text-blue-600" />
+          <h2 className="text-2xl font-extrabold text-gray-800">실시간</h2>
+          <span
+            className={`ml-2 inline-flex items-center gap-1 text-xs font-bold px-2.5 py-1 rounded-full ${status.className}`}
+          >
+            <StatusIcon className={`w-3 h-3 ${connection.status === 'connecting' ? 'animate-spin' : ''}`} />
+            {status.label}
+          </span>
+        </div>
+
+        <div className="flex items-center gap-2">
+          {liveCameras.length > 1 && (
+            <select
+              value={cameraId}
+              onChange={(e) => selectCamera(e.target.value)}
+              className="px-3 py-2 bg-gray-50 border border-gray-300 rounded-md text-sm text-gray-700 cursor-pointer"
+            >
+              {liveCameras.map((c) => (
+                <option key={c.id} value={c.id}>
+                  {c.name}
+                </option>
+              ))}
+            </select>
+          )}
+          <button
+            onClick={reconnect}
+            className="flex items-center gap-2 bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-lg shadow-sm hover:bg-gray-100 transition-colors font-semibold text-sm"
+          >
+            <RefreshCw className="w-4 h-4" />
+            다시 연결
+          </button>
+          {canSnapshot && (
+            <button
+              onClick={takeSnapshot}
+              disabled={!camera.captureUrl || isCapturing}
+              title={camera.captureUrl ? undefined : 'captureUrl 이 설정되지 않았습니다.'}
+              className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg shadow-md hover:bg-blue-700 transition-colors disabled:opacity-50 font-semibold text-sm"
+            >
+              <Camera className="w-4 h-4" />
+              {isCapturing ? '저장 중...' : '스냅샷 저장'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="grid gap-6 lg:grid-cols-[1fr_280px]">
+        <div className="bg-black rounded-xl overflow-hidden shadow-lg aspect-video flex items-center justify-center relative">
+          <img
+            key={`${camera.id}-${connection.attempt}`}
+            src={`${camera.streamUrl}${separator}t=${connection.attempt}`}
+            alt={`${camera.name} 실시간`}
+            onLoad={() => setConnection((prev) => (prev.status === 'live' ? prev : { ...prev, status: 'live' }))}
+            onError={() => setConnection((prev) => ({ ...prev, status: 'offline' }))}
+            className={`w-full h-full object-contain ${connection.status === 'offline' ? 'opacity-20' : ''}`}
+          />
+          {connection.status === 'offline' && (
+            <div className="absolute inset-0 flex flex-col items-center justify-center text-white text-sm gap-1">
+              <WifiOff className="w-10 h-10 mb-2" />
+              <p className="font-semibold">스트림에 연결할 수 없습니다</p>
+              <p className="text-gray-300">{RETRY_DELAY_MS / 1000}초 후 다시 연결합니다.</p>
+            </div>
+          )}
+        </div>
+
+        <div className="bg-white border border-gray-200 rounded-xl p-4 shadow-sm text-sm space-y-3">
+          <div>
+            <p className="text-gray-500 text-xs">스트림</p>
+            <p className="font-mono text-gray-800 break-all">{camera.streamUrl}</p>
+          </div>
+          {snapshot ? (
+            <div>
+              <p className="text-gray-500 text-xs mb-1">마지막 스냅샷</p>
+              <img src={snapshot.url} alt={snapshot.key} className="w-full rounded-md border border-gray-200" />
+              <p className="font-mono text-xs text-gray-700 break-all mt-1">{snapshot.key}</p>
+              <p className="text-xs text-gray-500">
+                {snapshot.capturedAt.toLocaleString('ko-KR')} · {formatFileSize(snapshot.size)}
+              </p>
+            </div>
+          ) : (
+            <p className="text-gray-400 text-xs">
+              {canSnapshot
+                ? '스냅샷은 캡처 기록과 같은 버킷/키 레이아웃으로 저장됩니다.'
+                : '스냅샷 저장은 admin 만 할 수 있습니다.'}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import { Shield, LogIn } from 'lucide-react';
+import { login } from '../lib/api';
+
+// 로그인 화면
+export default function LoginScreen({ onLogin, notice }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSubmitting) return;
+
+    setIsSubmitting(true);
+    setError(null);
+    try {
+      const user = await login(username.trim(), password);
+      onLogin(user);
+    } catch (err) {
+      console.error('로그인 오류:', err);
+      setError(err.status === 401 ? err.message : '서버에 연결할 수 없습니다.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4 w-full">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white border border-blue-200 rounded-xl shadow-lg p-8 max-w-sm w-full"
+      >
+        <div className="flex flex-col items-center mb-6">
+          <div className="bg-blue-600 p-3 rounded-lg shadow-md mb-3">
+            <Shield className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-2xl font-extrabold text-blue-700 tracking-tight">공마고의 도둑들</h1>
+          <p className="text-xs text-gray-500 font-medium">REFRIGERATOR ACCESS LOGS MONITORING</p>
+        </div>
+
+        {notice && !error && (
+          <p className="bg-yellow-50 border border-yellow-300 text-yellow-800 text-sm rounded-md p-2 mb-4">
+            {notice}
+          </p>
+        )}
+        {error && (
+          <p className="bg-red-50 border border-red-300 text-red-700 text-sm rounded-md p-2 mb-4">
+            {error}
+          </p>
+        )}
+
+        <label className="block text-sm font-medium text-gray-700 mb-1">아이디</label>
+        <input
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          autoComplete="username"
+          autoFocus
+          className="w-full px-3 py-2 mb-4 bg-gray-50 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+        />
+
+        <label className="block text-sm font-medium text-gray-700 mb-1">비밀번호</label>
+        <input
+          type="password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete="current-password"
+          className="w-full px-3 py-2 mb-6 bg-gray-50 border border-gray-300 rounded-md text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+        />
+
+        <button
+          type="submit"
+          disabled={isSubmitting || !username || !password}
+          className="w-full flex items-center justify-center gap-2 bg-blue-600 text-white py-2.5 rounded-lg shadow-md hover:bg-blue-700 transition-colors disabled:opacity-50 font-semibold text-sm"
+        >
+          <LogIn className="w-4 h-4" />
+          {isSubmitting ? '확인 중...' : '로그인'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { FileDown, X } from 'lucide-react';
+import { presignImages } from '../lib/api';
+import { buildMetadataRows, metadataBlob, URL_EXPIRY_OPTIONS } from '../lib/metadataExport';
+import { fileTimestamp, saveBlob } from '../lib/download';
+
+// 지금 목록(정렬/필터 적용)의 캡처 정보를 CSV / JSON 으로 내보내는 대화상자
+export default function MetadataExportDialog({ images, filter, cameraNames, metaOf, onClose }) {
+  const [format, setFormat] = useState('csv');
+  const [withUrls, setWithUrls] = useState(false);
+  const [expirySec, setExpirySec] = useState(URL_EXPIRY_OPTIONS[1].sec);
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    setError(null);
+    try {
+      const exportedAt = new Date();
+      let presigned = null;
+      if (withUrls) {
+        const issuedAt = Date.now();
+        const urls = await presignImages(images.map((img) => img.key), expirySec);
+        presigned = { urls, expiresAt: new Date(issuedAt + expirySec * 1000) };
+      }
+      const rows = buildMetadataRows(images, { cameraNames, metaOf, presigned });
+      saveBlob(metadataBlob(rows, format, { exportedAt, filter }), `captures_${fileTimestamp(exportedAt)}.${format}`);
+      onClose();
+    } catch (err) {
+      console.error('목록 내보내기 오류:', err);
+      setError(err.message || '내보내기에 실패했습니다.');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const selectClass =
+    'w-full px-3 py-2 bg-gray-50 border border-gray-300 rounded-md text-sm text-gray-700 focus:ring-2 focus:ring-blue-500 disabled:opacity-60';
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center p-4 z-[60]"
+      onClick={() => !isExporting && onClose()}
+    >
+      <div
+        className="bg-white border border-gray-300 rounded-xl w-full max-w-md shadow-2xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <FileDown className="w-5 h-5 text-blue-600" />
+            <h3 className="text-lg font-bold text-gray-800">목록 내보내기</h3>
+          </div>
+          <button
+            onClick={onClose}
+            disabled={isExporting}
+            className="text-gray-500 hover:text-gray-800 p-1 disabled:opacity-40"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="p-4 space-y-4 text-sm">
+          <div className="text-gray-600">
+            <p className="font-semibold text-gray-800">캡처 {images.length}개</p>
+            <p>{filter}</p>
+            <p className="text-xs text-gray-400 mt-1">
+              key, 파일 이름, 카메라, 촬영 시각(ISO), 크기, ETag, 별표/태그/메모를 지금 목록 순서대로 저장합니다.
+            </p>
+          </div>
+
+          <label className="block space-y-1">
+            <span className="text-gray-700 font-medium">형식</span>
+            <select value={format} onChange={(e) => setFormat(e.target.value)} disabled={isExporting} className={selectClass}>
+              <option value="csv">CSV (Excel)</option>
+              <option value="json">JSON</option>
+            </select>
+          </label>
+
+          <div className="space-y-2">
+            <label className="flex items-center gap-2 text-gray-700 font-medium cursor-pointer">
+              <input
+                type="checkbox"
+                checked={withUrls}
+                onChange={(e) => setWithUrls(e.target.checked)}
+                disabled={isExporting}
+              />
+              이미지 링크(presigned URL) 포함
+            </label>
+            {withUrls && (
+              <>
+                <select
+                  value={expirySec}
+                  onChange={(e) => setExpirySec(Number(e.target.value))}
+                  disabled={isExporting}
+                  className={selectClass}
+                >
+                  {URL_EXPIRY_OPTIONS.map((option) => (
+                    <option key={option.sec} value={option.sec}>
+                      {option.label} 동안 열 수 있음
+                    </option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500">
+                  링크가 있으면 로그인하지 않아도 만료 전까지 누구나 이미지를 볼 수 있습니다. 파일을 공유할 때 주의하세요.
+                </p>
+              </>
+            )}
+          </div>
+
+          {error && <p className="bg-red-50 border border-red-300 text-red-700 rounded-md p-2">{error}</p>}
+        </div>
+
+        <div className="p-4 border-t border-gray-200 flex gap-3">
+          <button
+            onClick={handleExport}
+            disabled={isExporting || !images.length}
+            className="flex-1 flex items-center justify-center gap-2 bg-blue-600 text-white px-4 py-2.5 rounded-lg hover:bg-blue-700 transition-colors font-semibold shadow-md disabled:opacity-50"
+          >
+            <FileDown className="w-4 h-4" />
+            {isExporting ? '내보내는 중...' : '내보내기'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,317 @@
+import React, { useEffect, useState } from 'react';
+import { Archive, Eye, Play, Plus, Save, Trash2 } from 'lucide-react';
+import { fetchRetention, updateRetention, previewRetention, runRetention } from '../lib/api';
+import { formatFileSize, formatTimestamp } from '../lib/format';
+
+const inputClass =
+  'px-3 py-1.5 bg-gray-50 border border-gray-300 rounded-md text-sm text-gray-700 focus:ring-2 focus:ring-blue-500 focus:border-blue-500';
+
+const TRIGGER_LABELS = { schedule: '자동', manual: '수동' };
+
+const describeRule = (rule) =>
+  [rule.maxAgeDays && `${rule.maxAgeDays}일 지난 캡처`, rule.keepNewest && `최신 ${rule.keepNewest}장 밖`]
+    .filter(Boolean)
+    .join(' 또는 ');
+
+// 규칙 한 줄: 카메라 + 기간(일) + 최신 N장 (0 = 제한 없음)
+function RuleRow({ rule, cameraOptions, onChange, onRemove }) {
+  const update = (patch) => onChange({ ...rule, ...patch });
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <select
+        value={rule.camera}
+        onChange={(e) => update({ camera: e.target.value })}
+        className={`${inputClass} cursor-pointer`}
+      >
+        {cameraOptions.map((camera) => (
+          <option key={camera.id} value={camera.id}>
+            {camera.name}
+          </option>
+        ))}
+      </select>
+      <input
+        type="number"
+        min={0}
+        value={rule.maxAgeDays}
+        onChange={(e) => update({ maxAgeDays: Number(e.target.value) })}
+        className={`${inputClass} w-24`}
+      />
+      <span className="text-gray-500">일 보관,</span>
+      <span className="text-gray-500">최신</span>
+      <input
+        type="number"
+        min={0}
+        value={rule.keepNewest}
+        onChange={(e) => update({ keepNewest: Number(e.target.value) })}
+        className={`${inputClass} w-28`}
+      />
+      <span className="text-gray-500">장만 남김</span>
+      <button onClick={onRemove} title="삭제" className="p-1.5 rounded-md text-gray-500 hover:text-red-600 hover:bg-red-50">
+        <Trash2 className="w-4 h-4" />
+      </button>
+    </div>
+  );
+}
+
+// dry-run 결과: 카메라별 지울 캡처 수 / 용량과 오래된 것부터 일부 목록
+function PreviewResult({ preview }) {
+  if (!preview.cameras.length) return <p className="text-gray-500">규칙이 적용되는 카메라가 없습니다.</p>;
+  return (
+    <div className="space-y-3">
+      <p className="text-gray-700">
+        <span className="font-bold text-red-600">{preview.deleteCount}개</span> ({formatFileSize(preview.deleteBytes)})
+        를 휴지통으로 옮깁니다. · {formatTimestamp(new Date(preview.generatedAt))} 기준
+      </p>
+      {preview.cameras.map((camera) => (
+        <details key={camera.id} className="border border-gray-200 rounded-md">
+          <summary className="px-3 py-2 cursor-pointer text-gray-700">
+            <span className="font-semibold">{camera.name}</span> · {describeRule(camera.rule)} · 전체{' '}
+            {camera.total}개 중 <span className="font-semibold text-red-600">{camera.deleteCount}개</span> (
+            {formatFileSize(camera.deleteBytes)})
+            {camera.keptFlagged > 0 && <span className="text-amber-600"> · 보존 표시/별표 {camera.keptFlagged}개 제외</span>}
+          </summary>
+          {camera.samples.length > 0 && (
+            <ul className="px-3 pb-2 font-mono text-xs text-gray-600 space-y-0.5">
+              {camera.samples.map((sample) => (
+                <li key={sample.key} className="flex justify-between gap-4">
+                  <span className="truncate">{sample.key}</span>
+                  <span className="flex-shrink-0 text-gray-400">
+                    {formatTimestamp(new Date(sample.lastModified))} · {formatFileSize(sample.size)}
+                  </span>
+                </li>
+              ))}
+              {camera.deleteCount > camera.samples.length && (
+                <li className="text-gray-400">… 외 {camera.deleteCount - camera.samples.length}개</li>
+              )}
+            </ul>
+          )}
+        </details>
+      ))}
+    </div>
+  );
+}
+
+function ReportList({ reports }) {
+  if (!reports.length) return <p className="text-sm text-gray-500">아직 실행한 적이 없습니다.</p>;
+  return (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-left text-gray-500 border-b border-gray-200">
+          <th className="py-2 pr-4 font-semibold">시각</th>
+          <th className="py-2 pr-4 font-semibold">실행</th>
+          <th className="py-2 pr-4 font-semibold">삭제</th>
+          <th className="py-2 pr-4 font-semibold">확보 용량</th>
+          <th className="py-2 font-semibold">결과</th>
+        </tr>
+      </thead>
+      <tbody>
+        {reports.map((report) => (
+          <tr key={report.id} className="border-b border-gray-100 text-gray-700">
+            <td className="py-2 pr-4 whitespace-nowrap">{formatTimestamp(new Date(report.at))}</td>
+            <td className="py-2 pr-4">
+              {TRIGGER_LABELS[report.trigger] || report.trigger} ({report.username})
+            </td>
+            <td className="py-2 pr-4">
+              {report.deleted}개
+              {report.failed > 0 && <span className="text-red-600"> / 실패 {report.failed}개</span>}
+            </td>
+            <td className="py-2 pr-4">{formatFileSize(report.freedBytes)}</td>
+            <td className="py-2">
+              {report.error ? (
+                <span className="text-red-600">{report.error}</span>
+              ) : (
+                <span className="text-gray-500">
+                  {report.cameras.map((c) => `${c.name} ${c.deleted}`).join(', ') || '대상 없음'} ·{' '}
+                  {(report.durationMs / 1000).toFixed(1)}초
+                </span>
+              )}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// 보관 정책 화면 (admin 전용): 규칙 편집 / 미리보기(dry-run) / 지금 실행 / 실행 보고서
+export default function RetentionView({ cameras, onCleaned }) {
+  const [settings, setSettings] = useState(null);
+  const [saved, setSaved] = useState(null);
+  const [reports, setReports] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchRetention()
+      .then((data) => {
+        if (cancelled) return;
+        setSettings(data.settings);
+        setSaved(data.settings);
+        setReports(data.reports);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('보관 정책 로딩 에러:', err);
+        setError('보관 정책을 불러오지 못했습니다.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (error) {
+    return <p className="bg-red-50 border border-red-300 text-red-700 text-sm rounded-md p-3">{error}</p>;
+  }
+  if (!settings) return <p className="text-sm text-gray-500">불러오는 중...</p>;
+
+  const cameraOptions = [{ id: 'all', name: '전체 카메라 (기본)' }, ...cameras];
+  const unusedCamera = cameraOptions.find((camera) => !settings.rules.some((rule) => rule.camera === camera.id));
+
+  const update = (patch) => {
+    setSettings((prev) => ({ ...prev, ...patch }));
+    setPreview(null);
+  };
+  const updateRule = (index, rule) => update({ rules: settings.rules.map((r, i) => (i === index ? rule : r)) });
+
+  const save = async () => {
+    setBusy('save');
+    try {
+      const next = await updateRetention(settings);
+      setSettings(next);
+      setSaved(next);
+    } catch (err) {
+      console.error('보관 정책 저장 오류:', err);
+      alert(err.message || '설정 저장에 실패했습니다.');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const runPreview = async () => {
+    setBusy('preview');
+    try {
+      setPreview(await previewRetention(settings));
+    } catch (err) {
+      console.error('보관 정책 미리보기 오류:', err);
+      alert(err.message || '미리보기에 실패했습니다.');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const runNow = async () => {
+    if (!confirm('저장된 규칙대로 지금 정리하시겠습니까?\n지운 캡처는 휴지통에서 복원할 수 있습니다.')) return;
+    setBusy('run');
+    try {
+      const report = await runRetention();
+      setReports((prev) => [report, ...prev]);
+      setPreview(null);
+      if (report.error) alert(`정리에 실패했습니다: ${report.error}`);
+      if (report.deleted) onCleaned?.();
+    } catch (err) {
+      console.error('보관 정책 실행 오류:', err);
+      alert(err.message || '정리에 실패했습니다.');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const isDirty = JSON.stringify(settings) !== JSON.stringify(saved);
+
+  return (
+    <div className="w-full space-y-6">
+      <div className="flex items-center gap-2">
+        <Archive className="w-6 h-6 text-blue-600" />
+        <h2 className="text-2xl font-extrabold text-gray-800">보관 정책</h2>
+      </div>
+
+      <section className="bg-white border border-gray-200 rounded-lg p-5 shadow-sm space-y-4 text-sm">
+        <label className="flex items-center gap-2 text-gray-700 font-medium cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.enabled}
+            onChange={(e) => update({ enabled: e.target.checked })}
+          />
+          주기적으로 자동 정리
+        </label>
+        <label className="flex items-center gap-2 text-gray-700 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={settings.keepFlagged}
+            onChange={(e) => update({ keepFlagged: e.target.checked })}
+          />
+          보존 표시한 캡처는 지우지 않기 (별표한 캡처는 항상 남김)
+        </label>
+
+        <div className="space-y-2">
+          {settings.rules.length === 0 && <p className="text-gray-500">규칙이 없습니다.</p>}
+          {settings.rules.map((rule, index) => (
+            <RuleRow
+              key={index}
+              rule={rule}
+              cameraOptions={cameraOptions}
+              onChange={(next) => updateRule(index, next)}
+              onRemove={() => update({ rules: settings.rules.filter((_, i) => i !== index) })}
+            />
+          ))}
+          {unusedCamera && (
+            <button
+              onClick={() =>
+                update({ rules: [...settings.rules, { camera: unusedCamera.id, maxAgeDays: 30, keepNewest: 0 }] })
+              }
+              className="flex items-center gap-1 px-3 py-1.5 border border-dashed border-gray-300 rounded-md text-gray-600 hover:bg-gray-50"
+            >
+              <Plus className="w-4 h-4" />
+              규칙 추가
+            </button>
+          )}
+        </div>
+        <p className="text-xs text-gray-400">
+          카메라별 규칙이 전체 규칙보다 우선합니다. 기간과 장수를 둘 다 정하면 어느 한쪽이라도 넘는 캡처를 지웁니다 (0 = 제한
+          없음). 지운 캡처는 휴지통으로 옮겨지고 감사 로그에 남습니다.
+        </p>
+
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={save}
+            disabled={!isDirty || busy !== null}
+            className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg shadow-md hover:bg-blue-700 transition-colors disabled:opacity-50 font-semibold"
+          >
+            <Save className="w-4 h-4" />
+            {busy === 'save' ? '저장 중...' : '저장'}
+          </button>
+          <button
+            onClick={runPreview}
+            disabled={!settings.rules.length || busy !== null}
+            className="flex items-center gap-2 bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-lg shadow-sm hover:bg-gray-100 transition-colors disabled:opacity-50 font-semibold"
+          >
+            <Eye className="w-4 h-4" />
+            {busy === 'preview' ? '계산 중...' : '미리보기'}
+          </button>
+          <button
+            onClick={runNow}
+            disabled={isDirty || !saved.rules.length || busy !== null}
+            title={isDirty ? '먼저 저장하세요.' : undefined}
+            className="flex items-center gap-2 bg-red-600 text-white px-4 py-2 rounded-lg shadow-md hover:bg-red-700 transition-colors disabled:opacity-50 font-semibold"
+          >
+            <Play className="w-4 h-4" />
+            {busy === 'run' ? '정리 중...' : '지금 실행'}
+          </button>
+        </div>
+
+        {preview && (
+          <div className="border-t border-gray-200 pt-4">
+            <PreviewResult preview={preview} />
+          </div>
+        )}
+      </section>
+
+      <section className="bg-white border border-gray-200 rounded-lg p-5 shadow-sm">
+        <h3 className="font-bold text-gray-800 mb-4">실행 보고서</h3>
+        <ReportList reports={reports} />
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,71 @@
+import React from 'react';
+import { CheckSquare, Download, Link2, Trash2, X } from 'lucide-react';
+
+// 다중 선택 시 하단에 고정되는 일괄 작업 바
+export default function SelectionBar({
+  count,
+  filterCount,
+  disabled,
+  canDelete,
+  onSelectAll,
+  onClear,
+  onDownloadZip,
+  onShare,
+  onDelete,
+}) {
+  return (
+    <div className="fixed bottom-0 inset-x-0 z-40 bg-white border-t border-blue-200 shadow-[0_-4px_16px_rgba(0,0,0,0.08)]">
+      <div className="px-4 sm:px-8 py-3 flex flex-wrap items-center gap-3 text-sm">
+        <span className="font-bold text-blue-700">{count}장 선택됨</span>
+
+        <button
+          onClick={onSelectAll}
+          disabled={disabled || count === filterCount}
+          className="flex items-center gap-1 px-3 py-1.5 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-100 disabled:opacity-50"
+        >
+          <CheckSquare className="w-4 h-4" />
+          현재 필터 전체 선택 ({filterCount})
+        </button>
+        <button
+          onClick={onClear}
+          disabled={disabled}
+          className="flex items-center gap-1 px-3 py-1.5 text-gray-500 hover:text-gray-800 rounded-md hover:bg-gray-100 disabled:opacity-50"
+        >
+          <X className="w-4 h-4" />
+          선택 해제
+        </button>
+
+        <div className="ml-auto flex gap-2">
+          <button
+            onClick={onDownloadZip}
+            disabled={disabled}
+            className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg shadow-md hover:bg-blue-700 transition-colors disabled:opacity-50 font-semibold"
+          >
+            <Download className="w-4 h-4" />
+            ZIP 다운로드
+          </button>
+          {onShare && (
+            <button
+              onClick={onShare}
+              disabled={disabled}
+              className="flex items-center gap-2 bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-lg shadow-md hover:bg-gray-100 transition-colors disabled:opacity-50 font-semibold"
+            >
+              <Link2 className="w-4 h-4" />
+              공유 링크
+            </button>
+          )}
+          {canDelete && (
+            <button
+              onClick={onDelete}
+              disabled={disabled}
+              className="flex items-center gap-2 bg-red-600 text-white px-4 py-2 rounded-lg shadow-md hover:bg-red-700 transition-colors disabled:opacity-50 font-semibold"
+            >
+              <Trash2 className="w-4 h-4" />
+              선택 삭제
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
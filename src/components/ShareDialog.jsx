@@ -0,0 +1,147 @@
+import React, { useState } from 'react';
+import { Check, Copy, Link2, X } from 'lucide-react';
+import { createShare } from '../lib/api';
+import { formatTimestamp } from '../lib/format';
+import { MAX_SHARE_CAPTURES, SHARE_EXPIRY_OPTIONS, shareLinkOf } from '../lib/share';
+
+// 캡처(한 장 / 이벤트 프레임 / 선택한 캡처)의 공유 링크를 만드는 대화상자 (admin 전용)
+export default function ShareDialog({ images, defaultTitle, onClose }) {
+  const [title, setTitle] = useState(defaultTitle || '');
+  const [expirySec, setExpirySec] = useState(SHARE_EXPIRY_OPTIONS[2].sec);
+  const [isCreating, setIsCreating] = useState(false);
+  const [error, setError] = useState(null);
+  const [share, setShare] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const tooMany = images.length > MAX_SHARE_CAPTURES;
+  const link = share && shareLinkOf(share.id);
+
+  const handleCreate = async () => {
+    setIsCreating(true);
+    setError(null);
+    try {
+      setShare(await createShare({ keys: images.map((img) => img.key), title, expiresIn: expirySec }));
+    } catch (err) {
+      console.error('공유 링크 생성 오류:', err);
+      setError(err.message || '공유 링크를 만들지 못했습니다.');
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(link);
+      setCopied(true);
+    } catch (err) {
+      console.error('클립보드 복사 오류:', err);
+      alert('복사하지 못했습니다. 주소를 직접 선택해 복사하세요.');
+    }
+  };
+
+  const inputClass =
+    'w-full px-3 py-2 bg-gray-50 border border-gray-300 rounded-md text-sm text-gray-700 focus:ring-2 focus:ring-blue-500 disabled:opacity-60';
+
+  return (
+    <div
+      className="fixed inset-0 bg-black bg-opacity-70 flex items-center justify-center p-4 z-[60]"
+      onClick={() => !isCreating && onClose()}
+    >
+      <div
+        className="bg-white border border-gray-300 rounded-xl w-full max-w-md shadow-2xl"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="p-4 border-b border-gray-200 flex items-center justify-between">
+          <div className="flex items-center gap-2">
+            <Link2 className="w-5 h-5 text-blue-600" />
+            <h3 className="text-lg font-bold text-gray-800">공유 링크</h3>
+          </div>
+          <button
+            onClick={onClose}
+            disabled={isCreating}
+            className="text-gray-500 hover:text-gray-800 p-1 disabled:opacity-40"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {share ? (
+          <div className="p-4 space-y-3 text-sm">
+            <p className="text-gray-700">
+              캡처 {share.count}장 · <span className="font-semibold">{formatTimestamp(new Date(share.expiresAt))}</span>{' '}
+              까지 열 수 있습니다.
+            </p>
+            <div className="flex gap-2">
+              <input readOnly value={link} onFocus={(e) => e.target.select()} className={`${inputClass} font-mono text-xs`} />
+              <button
+                onClick={handleCopy}
+                className="flex items-center gap-1 px-3 py-2 rounded-md bg-blue-600 text-white hover:bg-blue-700 font-semibold flex-shrink-0"
+              >
+                {copied ? <Check className="w-4 h-4" /> : <Copy className="w-4 h-4" />}
+                {copied ? '복사됨' : '복사'}
+              </button>
+            </div>
+            <p className="text-xs text-gray-500">
+              링크를 아는 사람은 로그인 없이 이 캡처들을 볼 수 있습니다. "공유 링크" 탭에서 언제든 취소할 수 있습니다.
+            </p>
+          </div>
+        ) : (
+          <>
+            <div className="p-4 space-y-4 text-sm">
+              <p className="font-semibold text-gray-800">캡처 {images.length}장</p>
+
+              <label className="block space-y-1">
+                <span className="text-gray-700 font-medium">제목</span>
+                <input
+                  value={title}
+                  onChange={(e) => setTitle(e.target.value)}
+                  maxLength={100}
+                  disabled={isCreating}
+                  placeholder="예: 3월 12일 냉장고 도난"
+                  className={inputClass}
+                />
+              </label>
+
+              <label className="block space-y-1">
+                <span className="text-gray-700 font-medium">공유 기간</span>
+                <select
+                  value={expirySec}
+                  onChange={(e) => setExpirySec(Number(e.target.value))}
+                  disabled={isCreating}
+                  className={inputClass}
+                >
+                  {SHARE_EXPIRY_OPTIONS.map((option) => (
+                    <option key={option.sec} value={option.sec}>
+                      {option.label} 동안 열 수 있음
+                    </option>
+                  ))}
+                </select>
+              </label>
+
+              <p className="text-xs text-gray-500">
+                공유 페이지에는 이 캡처들과 촬영 시각만 보이고 삭제 등 다른 기능은 없습니다.
+              </p>
+              {tooMany && (
+                <p className="bg-yellow-50 border border-yellow-300 text-yellow-800 rounded-md p-2">
+                  링크 하나에는 최대 {MAX_SHARE_CAPTURES}장까지 담을 수 있습니다.
+                </p>
+              )}
+              {error && <p className="bg-red-50 border border-red-300 text-red-700 rounded-md p-2">{error}</p>}
+            </div>
+
+            <div className="p-4 border-t border-gray-200 flex gap-3">
+              <button
+                onClick={handleCreate}
+                disabled={isCreating || !images.length || tooMany}
+                className="flex-1 flex items-center justify-center gap-2 bg-blue-600 text-white px-4 py-2.5 rounded-lg hover:bg-blue-700 transition-colors font-semibold shadow-md disabled:opacity-50"
+              >
+                <Link2 className="w-4 h-4" />
+                {isCreating ? '만드는 중...' : '링크 만들기'}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+import React, { useEffect, useState } from 'react';
+import { AlertTriangle, Shield } from 'lucide-react';
+import { fetchSharedCaptures, sharedImageUrl } from '../lib/api';
+import { formatTimestamp } from '../lib/format';
+
+// 공유 링크로 연 읽기 전용 페이지: 로그인 없이 링크에 담긴 캡처와 촬영 시각만 보여 준다.
+export default function SharePage({ id }) {
+  const [share, setShare] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchSharedCaptures(id)
+      .then((data) => {
+        if (!cancelled) setShare(data);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('공유 링크 로딩 에러:', err);
+        setError(err.status === 404 ? '공유 링크가 만료되었거나 취소되었습니다.' : '공유된 캡처를 불러오지 못했습니다.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [id]);
+
+  return (
+    <div className="min-h-screen bg-white text-gray-800 w-full">
+      <header className="bg-white shadow-lg border-b border-blue-200">
+        <div className="px-4 sm:px-8 xl:px-12 py-4 flex items-center gap-3">
+          <div className="bg-blue-600 p-2 rounded-lg shadow-md">
+            <Shield className="w-7 h-7 text-white" />
+          </div>
+          <div>
+            <h1 className="text-2xl font-extrabold text-blue-700 tracking-tight">공마고의 도둑들</h1>
+            <p className="text-sm text-gray-500 font-medium">공유된 캡처 (읽기 전용)</p>
+          </div>
+        </div>
+      </header>
+
+      <main className="p-4 sm:p-8 w-full space-y-6">
+        {error && (
+          <div className="bg-white border border-red-300 rounded shadow-lg p-8 max-w-md mx-auto">
+            <AlertTriangle className="w-16 h-16 text-red-500 mx-auto mb-4" />
+            <p className="text-gray-600 text-center">{error}</p>
+          </div>
+        )}
+        {!error && !share && <p className="text-sm text-gray-500">불러오는 중...</p>}
+
+        {share && (
+          <>
+            <div>
+              {share.title && <h2 className="text-2xl font-extrabold text-gray-800">{share.title}</h2>}
+              <p className="text-sm text-gray-500">
+                캡처 {share.items.length}장 · {formatTimestamp(new Date(share.expiresAt))} 까지 볼 수 있습니다.
+              </p>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
+              {share.items.map((item) => {
+                const src = sharedImageUrl(id, item.index);
+                return (
+                  <figure key={item.index} className="bg-white border border-gray-200 rounded-lg shadow-sm overflow-hidden">
+                    <a href={src} target="_blank" rel="noreferrer" title="원본 크기로 보기">
+                      <img src={src} alt={item.name} loading="lazy" className="w-full aspect-[4/3] object-contain bg-gray-900" />
+                    </a>
+                    <figcaption className="px-3 py-2 text-sm">
+                      <p className="font-semibold text-gray-800">{formatTimestamp(new Date(item.lastModified))}</p>
+                      <p className="text-xs text-gray-500 truncate">
+                        {item.camera ? `${item.camera} · ` : ''}
+                        {item.name}
+                      </p>
+                    </figcaption>
+                  </figure>
+                );
+              })}
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+import React, { useEffect, useState } from 'react';
+import { Copy, ExternalLink, Link2, RefreshCw, XCircle } from 'lucide-react';
+import { fetchShares, revokeShare } from '../lib/api';
+import { formatTimestamp } from '../lib/format';
+import { shareLinkOf } from '../lib/share';
+
+// 공유 링크 화면 (admin 전용): 만료 전인 링크 목록 / 링크 복사 / 취소
+export default function SharesView() {
+  const [shares, setShares] = useState(null);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [reloadToken, setReloadToken] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchShares()
+      .then((items) => {
+        if (cancelled) return;
+        setShares(items);
+        setError(null);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('공유 링크 로딩 에러:', err);
+        setError('공유 링크 목록을 불러오지 못했습니다.');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [reloadToken]);
+
+  const copyLink = async (share) => {
+    try {
+      await navigator.clipboard.writeText(shareLinkOf(share.id));
+    } catch (err) {
+      console.error('클립보드 복사 오류:', err);
+      alert('복사하지 못했습니다.');
+    }
+  };
+
+  const revoke = async (share) => {
+    if (!confirm(`"${share.title || `캡처 ${share.count}장`}" 공유 링크를 취소하시겠습니까?\n링크로 더 이상 볼 수 없게 됩니다.`)) {
+      return;
+    }
+    setBusyId(share.id);
+    try {
+      await revokeShare(share.id);
+      setShares((prev) => prev.filter((s) => s.id !== share.id));
+    } catch (err) {
+      console.error('공유 링크 취소 오류:', err);
+      alert(err.message || '공유 링크를 취소하지 못했습니다.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="w-full space-y-6">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <Link2 className="w-6 h-6 text-blue-600" />
+          <h2 className="text-2xl font-extrabold text-gray-800">공유 링크</h2>
+        </div>
+        <button
+          onClick={() => setReloadToken((n) => n + 1)}
+          className="flex items-center gap-2 px-3 py-1.5 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-100"
+        >
+          <RefreshCw className="w-4 h-4" />
+          새로고침
+        </button>
+      </div>
+
+      {error && <p className="bg-red-50 border border-red-300 text-red-700 text-sm rounded-md p-3">{error}</p>}
+      {!error && !shares && <p className="text-sm text-gray-500">불러오는 중...</p>}
+      {shares && shares.length === 0 && (
+        <p className="text-sm text-gray-500">
+          만료 전인 공유 링크가 없습니다. 캡처 상세 화면이나 다중 선택에서 "공유 링크"로 만들 수 있습니다.
+        </p>
+      )}
+
+      {shares && shares.length > 0 && (
+        <div className="bg-white border border-gray-200 rounded-lg shadow-sm overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b border-gray-200 bg-gray-50">
+                <th className="px-4 py-3 font-semibold">제목</th>
+                <th className="px-4 py-3 font-semibold">캡처</th>
+                <th className="px-4 py-3 font-semibold">만든 사람</th>
+                <th className="px-4 py-3 font-semibold">만든 시각</th>
+                <th className="px-4 py-3 font-semibold">만료</th>
+                <th className="px-4 py-3" />
+              </tr>
+            </thead>
+            <tbody>
+              {shares.map((share) => (
+                <tr key={share.id} className="border-b border-gray-100 text-gray-700">
+                  <td className="px-4 py-3 font-medium">{share.title || <span className="text-gray-400">(제목 없음)</span>}</td>
+                  <td className="px-4 py-3">{share.count}장</td>
+                  <td className="px-4 py-3">{share.createdBy}</td>
+                  <td className="px-4 py-3 whitespace-nowrap">{formatTimestamp(new Date(share.createdAt))}</td>
+                  <td className="px-4 py-3 whitespace-nowrap">{formatTimestamp(new Date(share.expiresAt))}</td>
+                  <td className="px-4 py-3">
+                    <div className="flex justify-end gap-1">
+                      <a
+                        href={shareLinkOf(share.id)}
+                        target="_blank"
+                        rel="noreferrer"
+                        title="공유 페이지 열기"
+                        className="p-1.5 rounded-md text-gray-500 hover:text-gray-800 hover:bg-gray-100"
+                      >
+                        <ExternalLink className="w-4 h-4" />
+                      </a>
+                      <button
+                        onClick={() => copyLink(share)}
+                        title="링크 복사"
+                        className="p-1.5 rounded-md text-gray-500 hover:text-gray-800 hover:bg-gray-100"
+                      >
+                        <Copy className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => revoke(share)}
+                        disabled={busyId === share.id}
+                        className="flex items-center gap-1 px-2 py-1 rounded-md text-red-600 hover:bg-red-50 font-semibold disabled:opacity-50"
+                      >
+                        <XCircle className="w-4 h-4" />
+                        취소
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
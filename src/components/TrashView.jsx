@@ -0,0 +1,219 @@
+import React, { useEffect, useState } from 'react';
+import { RefreshCw, Trash2, RotateCcw, Save } from 'lucide-react';
+import { fetchTrash, restoreFromTrash, purgeFromTrash, updateTrashSettings } from '../lib/api';
+import { formatFileSize, formatTimestamp } from '../lib/format';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 휴지통 화면 (admin 전용): 복원 / 영구 삭제 / 자동 비우기 기간 설정
+export default function TrashView({ onRestored }) {
+  const [items, setItems] = useState([]);
+  const [autoPurgeDays, setAutoPurgeDays] = useState(null);
+  const [daysInput, setDaysInput] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyKeys, setBusyKeys] = useState(() => new Set());
+  const [error, setError] = useState(null);
+  const [reloadToken, setReloadToken] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    fetchTrash()
+      .then((data) => {
+        if (cancelled) return;
+        setItems(data.items);
+        setAutoPurgeDays(data.settings.autoPurgeDays);
+        setDaysInput(String(data.settings.autoPurgeDays));
+        setError(null);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('휴지통 로딩 에러:', err);
+        setError('휴지통을 불러오지 못했습니다.');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [reloadToken]);
+
+  const reload = () => {
+    setIsLoading(true);
+    setReloadToken((n) => n + 1);
+  };
+
+  const runAction = async (keys, action, label) => {
+    setBusyKeys(new Set(keys));
+    try {
+      const { done, errors } = await action(keys);
+      const doneSet = new Set(done);
+      setItems((prev) => prev.filter((item) => !doneSet.has(item.key)));
+      if (errors.length) {
+        console.error(`${label} 일부 실패:`, errors);
+        alert(`${label}: ${done.length}개 완료, ${errors.length}개 실패`);
+      }
+      return done;
+    } catch (err) {
+      console.error(`${label} 오류:`, err);
+      alert(`${label}에 실패했습니다. 권한/네트워크를 확인하세요.`);
+      return [];
+    } finally {
+      setBusyKeys(new Set());
+    }
+  };
+
+  const handleRestore = async (keys) => {
+    const done = await runAction(keys, restoreFromTrash, '복원');
+    if (done.length) onRestored?.(done);
+  };
+
+  const handlePurge = async (keys) => {
+    const message =
+      keys.length === 1
+        ? `"${keys[0].split('/').pop()}" 파일을 영구 삭제하시겠습니까?\n이 작업은 되돌릴 수 없습니다.`
+        : `휴지통의 ${keys.length}개 파일을 영구 삭제하시겠습니까?\n이 작업은 되돌릴 수 없습니다.`;
+    if (!confirm(message)) return;
+    await runAction(keys, purgeFromTrash, '영구 삭제');
+  };
+
+  const handleSaveSettings = async () => {
+    const days = Number(daysInput);
+    if (!Number.isInteger(days) || days < 0) {
+      alert('보관 기간은 0 이상의 정수(일)로 입력하세요. 0 이면 자동 비우기를 끕니다.');
+      return;
+    }
+    try {
+      const settings = await updateTrashSettings({ autoPurgeDays: days });
+      setAutoPurgeDays(settings.autoPurgeDays);
+    } catch (err) {
+      console.error('휴지통 설정 저장 오류:', err);
+      alert(err.message || '설정 저장에 실패했습니다.');
+    }
+  };
+
+  const isBusy = busyKeys.size > 0;
+  const allKeys = items.map((item) => item.key);
+
+  return (
+    <div className="w-full">
+      <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+        <div className="flex items-center gap-2">
+          <Trash2 className="w-6 h-6 text-blue-600" />
+          <h2 className="text-2xl font-extrabold text-gray-800">휴지통</h2>
+          <span className="text-sm text-gray-500 font-semibold ml-2">{items.length}건</span>
+        </div>
+
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => handleRestore(allKeys)}
+            disabled={isBusy || isLoading || !items.length}
+            className="flex items-center gap-2 bg-white border border-gray-300 text-gray-700 px-4 py-2 rounded-lg shadow-sm hover:bg-gray-100 transition-colors disabled:opacity-50 font-semibold text-sm"
+          >
+            <RotateCcw className="w-4 h-4" />
+            전체 복원
+          </button>
+          <button
+            onClick={() => handlePurge(allKeys)}
+            disabled={isBusy || isLoading || !items.length}
+            className="flex items-center gap-2 bg-red-600 text-white px-4 py-2 rounded-lg shadow-md hover:bg-red-700 transition-colors disabled:opacity-50 font-semibold text-sm"
+          >
+            <Trash2 className="w-4 h-4" />
+            휴지통 비우기
+          </button>
+          <button
+            onClick={reload}
+            disabled={isLoading || isBusy}
+            className="flex items-center gap-2 bg-blue-600 text-white px-4 py-2 rounded-lg shadow-md hover:bg-blue-700 transition-colors disabled:opacity-50 font-semibold text-sm"
+          >
+            <RefreshCw className={`w-4 h-4 ${isLoading ? 'animate-spin' : ''}`} />
+            새로고침
+          </button>
+        </div>
+      </div>
+
+      {/* 자동 비우기 설정 */}
+      <div className="bg-white border border-gray-200 rounded-lg p-4 mb-6 flex flex-wrap gap-3 items-center shadow-sm text-sm">
+        <span className="text-gray-700 font-medium">자동 비우기:</span>
+        <input
+          type="number"
+          min={0}
+          value={daysInput}
+          onChange={(e) => setDaysInput(e.target.value)}
+          className="w-20 px-3 py-1.5 bg-gray-50 border border-gray-300 rounded-md text-sm text-gray-700 focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+        />
+        <span className="text-gray-600">일 지난 항목 영구 삭제 (0 = 끔)</span>
+        <button
+          onClick={handleSaveSettings}
+          disabled={daysInput === String(autoPurgeDays)}
+          className="flex items-center gap-1 px-3 py-1.5 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-100 disabled:opacity-40"
+        >
+          <Save className="w-4 h-4" />
+          저장
+        </button>
+      </div>
+
+      {error && (
+        <p className="bg-red-50 border border-red-300 text-red-700 text-sm rounded-md p-3 mb-4">{error}</p>
+      )}
+
+      {items.length === 0 ? (
+        <div className="bg-white border border-gray-200 rounded-lg p-16 text-center shadow-md w-full min-h-[40vh] flex flex-col items-center justify-center">
+          <Trash2 className="w-16 h-16 text-gray-300 mb-4" />
+          <p className="text-gray-600 text-lg font-semibold">
+            {isLoading ? '불러오는 중...' : '휴지통이 비어 있습니다'}
+          </p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 2xl:grid-cols-6 gap-5">
+          {items.map((item) => {
+            const deletedAt = new Date(item.deletedAt);
+            const purgeAt = autoPurgeDays ? new Date(deletedAt.getTime() + autoPurgeDays * DAY_MS) : null;
+            const busy = busyKeys.has(item.key);
+            return (
+              <div
+                key={item.key}
+                className={`bg-white border border-gray-200 rounded-xl overflow-hidden shadow-lg ${busy ? 'opacity-50' : ''}`}
+              >
+                <div className="aspect-video bg-gray-100 overflow-hidden">
+                  <img src={item.url} alt={item.key} className="w-full h-full object-cover grayscale" />
+                </div>
+                <div className="p-4">
+                  <p className="text-sm font-mono text-gray-800 font-semibold truncate mb-1">
+                    {item.key.split('/').pop()}
+                  </p>
+                  <div className="text-xs text-gray-500 mb-3 space-y-0.5">
+                    <p>촬영: {formatTimestamp(new Date(item.lastModified))}</p>
+                    <p>삭제: {formatTimestamp(deletedAt)}</p>
+                    {purgeAt && <p className="text-red-500">자동 삭제 예정: {formatTimestamp(purgeAt)}</p>}
+                    <p className="font-bold">{formatFileSize(item.size)}</p>
+                  </div>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => handleRestore([item.key])}
+                      disabled={isBusy}
+                      className="flex-1 flex items-center justify-center gap-1 bg-gray-100 text-gray-700 px-3 py-2 rounded-lg text-xs font-medium hover:bg-gray-200 transition-colors border border-gray-300 shadow-sm disabled:opacity-50"
+                    >
+                      <RotateCcw className="w-3 h-3" />
+                      복원
+                    </button>
+                    <button
+                      onClick={() => handlePurge([item.key])}
+                      disabled={isBusy}
+                      title="영구 삭제"
+                      className="flex items-center justify-center bg-red-500 text-white px-3 py-2 rounded-lg text-xs font-medium hover:bg-red-600 transition-colors shadow-sm disabled:opacity-50"
+                    >
+                      <Trash2 className="w-3 h-3" />
+                    </button>
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
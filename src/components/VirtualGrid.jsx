@@ -0,0 +1,111 @@
+import React, { useEffect, useEffectEvent, useRef, useState } from 'react';
+
+// 캡처 그리드: 화면에 보이는 줄(과 위아래 몇 줄)의 카드만 그리고, 끝까지 스크롤하면 pageSize 개씩 더 펼친다.
+// 스크롤은 페이지(window) 기준. 열 수는 아래 grid-cols-* 클래스와 같은 breakpoint 로 계산
+const GRID_CLASS = 'grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 2xl:grid-cols-6 gap-5';
+const BREAKPOINT_COLUMNS = [
+  [1536, 6],
+  [1280, 5],
+  [1024, 4],
+  [640, 3],
+  [0, 2],
+];
+// gap-5
+const GAP_PX = 20;
+// 카드를 그리기 전 줄 높이 추정값 (그린 뒤에는 실제 높이로 계산)
+const ESTIMATED_ROW_HEIGHT_PX = 300;
+const OVERSCAN_ROWS = 2;
+
+const columnsFor = (width) => BREAKPOINT_COLUMNS.find(([minWidth]) => width >= minWidth)[1];
+
+/**
+ * @param {object} props
+ * @param {object[]} props.items 전체 카드 항목 (정렬/필터 적용 후)
+ * @param {(item: object) => string} props.getKey
+ * @param {(item: object, index: number) => React.ReactNode} props.renderItem index 는 items 안의 위치
+ * @param {(start: number, end: number) => void} [props.onRangeChange] 그려진 카드 범위 [start, end) 가 바뀔 때
+ * @param {number} [props.pageSize] 처음/더 펼칠 때 늘어나는 카드 수
+ */
+export default function VirtualGrid({ items, getKey, renderItem, onRangeChange, pageSize = 120 }) {
+  const containerRef = useRef(null);
+  const gridRef = useRef(null);
+  const [columns, setColumns] = useState(() => columnsFor(window.innerWidth));
+  const [rowHeight, setRowHeight] = useState(ESTIMATED_ROW_HEIGHT_PX);
+  const [rows, setRows] = useState({ start: 0, end: 0 });
+  const [limit, setLimit] = useState(pageSize);
+
+  const shownCount = Math.min(items.length, limit);
+  const rowCount = Math.ceil(shownCount / columns);
+  const stride = rowHeight + GAP_PX;
+
+  // 컨테이너 위치와 창 높이로 보이는 줄 범위 계산 (줄 경계를 넘을 때만 다시 그림)
+  const measure = useEffectEvent(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    const top = container.getBoundingClientRect().top;
+    const start = Math.max(0, Math.floor(-top / stride) - OVERSCAN_ROWS);
+    const end = Math.min(rowCount, Math.ceil((window.innerHeight - top) / stride) + OVERSCAN_ROWS);
+    setRows((prev) => (prev.start === start && prev.end === end ? prev : { start, end }));
+    // 펼친 마지막 줄이 보이면 다음 페이지
+    if (end >= rowCount && shownCount < items.length) setLimit((n) => n + pageSize);
+  });
+
+  useEffect(() => {
+    const handleScroll = () => measure();
+    const handleResize = () => {
+      setColumns(columnsFor(window.innerWidth));
+      measure();
+    };
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    window.addEventListener('resize', handleResize);
+    return () => {
+      window.removeEventListener('scroll', handleScroll);
+      window.removeEventListener('resize', handleResize);
+    };
+  }, []);
+
+  useEffect(() => {
+    measure();
+  }, [rowCount, stride]);
+
+  // 실제로 그려진 줄들의 평균 높이 (카드 높이는 이름/카메라 표시 여부에 따라 다름)
+  useEffect(() => {
+    const grid = gridRef.current;
+    if (!grid) return undefined;
+    const observer = new ResizeObserver(() => {
+      const renderedRows = Math.ceil(grid.childElementCount / columns);
+      if (!renderedRows) return;
+      setRowHeight(Math.max(1, (grid.offsetHeight + GAP_PX) / renderedRows - GAP_PX));
+    });
+    observer.observe(grid);
+    return () => observer.disconnect();
+  }, [columns]);
+
+  const startIndex = rows.start * columns;
+  const endIndex = Math.min(shownCount, rows.end * columns);
+  const reportRange = useEffectEvent(() => onRangeChange?.(startIndex, endIndex));
+  useEffect(() => {
+    reportRange();
+  }, [startIndex, endIndex, items]);
+
+  return (
+    <div
+      ref={containerRef}
+      style={{
+        paddingTop: rows.start * stride,
+        paddingBottom: Math.max(0, rowCount - rows.end) * stride,
+      }}
+    >
+      <div ref={gridRef} className={GRID_CLASS}>
+        {items.slice(startIndex, endIndex).map((item, i) => (
+          <React.Fragment key={getKey(item)}>{renderItem(item, startIndex + i)}</React.Fragment>
+        ))}
+      </div>
+      {shownCount < items.length && (
+        <p className="text-center text-sm text-gray-400 mt-6">
+          {shownCount} / {items.length}개 표시 중 · 스크롤하면 더 불러옵니다.
+        </p>
+      )}
+    </div>
+  );
+}
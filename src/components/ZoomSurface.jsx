@@ -0,0 +1,77 @@
+import React, { useEffect, useEffectEvent, useRef } from 'react';
+import { IDENTITY_VIEW, panBy, viewTransform, zoomAt, ZOOM_STEP } from '../lib/zoom';
+
+// 휠·핀치로 확대(커서/손가락 위치 기준), 끌어서 이동, 더블클릭으로 원래 크기.
+// view 는 부모가 가진다 (onViewChange 에 갱신 함수를 넘김) → 같은 view 를 준 틀끼리 함께 움직인다.
+export default function ZoomSurface({ view, onViewChange, className = '', children }) {
+  const ref = useRef(null);
+  // 화면을 누르고 있는 포인터 id → 마지막 위치 (두 개면 핀치 확대)
+  const pointersRef = useRef(new Map());
+
+  // React 의 onWheel 은 passive 라 페이지 스크롤을 막을 수 없어 직접 등록한다.
+  const onWheel = useEffectEvent((e) => {
+    e.preventDefault();
+    const rect = ref.current.getBoundingClientRect();
+    const factor = e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP;
+    onViewChange((prev) =>
+      zoomAt(prev, factor, (e.clientX - rect.left) / rect.width, (e.clientY - rect.top) / rect.height)
+    );
+  });
+  useEffect(() => {
+    const el = ref.current;
+    el.addEventListener('wheel', onWheel, { passive: false });
+    return () => el.removeEventListener('wheel', onWheel);
+  }, []);
+
+  const handlePointerDown = (e) => {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    pointersRef.current.set(e.pointerId, { x: e.clientX, y: e.clientY });
+  };
+
+  const handlePointerMove = (e) => {
+    const pointers = pointersRef.current;
+    const last = pointers.get(e.pointerId);
+    if (!last) return;
+    const rect = ref.current.getBoundingClientRect();
+    const toFraction = ({ x, y }) => ({ x: (x - rect.left) / rect.width, y: (y - rect.top) / rect.height });
+
+    const before = [...pointers.values()].map(toFraction);
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    const after = [...pointers.values()].map(toFraction);
+
+    if (after.length >= 2) {
+      // 두 손가락 사이 거리 비율만큼 확대하고 가운데 점이 움직인 만큼 옮긴다.
+      const [a0, b0] = before;
+      const [a1, b1] = after;
+      const factor = Math.hypot(a1.x - b1.x, a1.y - b1.y) / (Math.hypot(a0.x - b0.x, a0.y - b0.y) || 1);
+      const mid0 = { x: (a0.x + b0.x) / 2, y: (a0.y + b0.y) / 2 };
+      const mid1 = { x: (a1.x + b1.x) / 2, y: (a1.y + b1.y) / 2 };
+      onViewChange((prev) => panBy(zoomAt(prev, factor, mid0.x, mid0.y), mid1.x - mid0.x, mid1.y - mid0.y));
+    } else if (view.scale > 1) {
+      onViewChange((prev) => panBy(prev, (e.clientX - last.x) / rect.width, (e.clientY - last.y) / rect.height));
+    }
+  };
+
+  const endPointer = (e) => {
+    pointersRef.current.delete(e.pointerId);
+  };
+
+  return (
+    <div
+      ref={ref}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={endPointer}
+      onPointerCancel={endPointer}
+      onDoubleClick={() => onViewChange(IDENTITY_VIEW)}
+      className={`relative overflow-hidden touch-none select-none ${
+        view.scale > 1 ? 'cursor-grab active:cursor-grabbing' : ''
+      } ${className}`}
+    >
+      <div className="absolute inset-0 isolate origin-top-left" style={{ transform: viewTransform(view) }}>
+        {children}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,8 @@
+// ALERT 배지 판단: 프레임 차분 변화 점수(바뀐 픽셀 %)가 기준 이상인 캡처
+
+// 감지 민감도 선택지 (%)
+export const ALERT_THRESHOLDS = [2, 5, 10, 20];
+export const DEFAULT_ALERT_THRESHOLD = 5;
+
+// 아직 분석되지 않은 캡처(score 없음)는 배지 없음
+export const isAlertScore = (score, threshold) => score != null && score >= threshold;
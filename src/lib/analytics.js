@@ -0,0 +1,88 @@
+// 분석 화면용 집계: 목록(키/크기/시각)만으로 계산한다 (모두 브라우저 로컬 시간 기준).
+// 지금 버킷에 남아 있는 캡처만 세므로, 삭제한 캡처는 과거 용량/추이에서도 빠진다.
+// 누적 용량은 기간 앞의 캡처까지 더한 값이다 (그 날짜에 쓰고 있던 용량).
+
+import { addDays, startOfDay, toDayKey } from './dates';
+
+// 월요일부터 (Date.getDay() 는 일요일 = 0)
+export const WEEKDAYS = [1, 2, 3, 4, 5, 6, 0];
+export const WEEKDAY_LABELS = ['일', '월', '화', '수', '목', '금', '토'];
+
+/**
+ * @param {Array<{ timestamp: Date, bytes: number }>} images
+ * @param {{ from?: Date | null }} [options] from 이후 캡처만 (null = 전체)
+ */
+export function computeAnalytics(images, { from = null } = {}) {
+  const targets = from ? images.filter((img) => img.timestamp >= from) : images;
+  const bytesBefore = from
+    ? images.reduce((sum, img) => (img.timestamp < from ? sum + img.bytes : sum), 0)
+    : 0;
+
+  // heatmap[요일][시] (요일은 getDay() 기준)
+  const heatmap = Array.from({ length: 7 }, () => new Array(24).fill(0));
+  const byDay = new Map();
+  let totalBytes = 0;
+  let first = null;
+  let last = null;
+
+  for (const img of targets) {
+    const t = img.timestamp;
+    heatmap[t.getDay()][t.getHours()] += 1;
+    const key = toDayKey(t);
+    const day = byDay.get(key) || { count: 0, bytes: 0 };
+    day.count += 1;
+    day.bytes += img.bytes;
+    byDay.set(key, day);
+    totalBytes += img.bytes;
+    if (!first || t < first) first = t;
+    if (!last || t > last) last = t;
+  }
+
+  // 캡처가 없는 날도 0 으로 채운 날짜별 추이 + 누적 용량 (기간을 정하면 그 시작부터 오늘까지)
+  const days = [];
+  if (first) {
+    let cumulativeBytes = bytesBefore;
+    const end = from ? new Date() : last;
+    for (let d = startOfDay(from || first); d <= end; d = addDays(d, 1)) {
+      const { count, bytes } = byDay.get(toDayKey(d)) || { count: 0, bytes: 0 };
+      cumulativeBytes += bytes;
+      days.push({ date: d, count, bytes, cumulativeBytes });
+    }
+  }
+
+  const weekdays = WEEKDAYS.map((weekday) => ({
+    weekday,
+    count: heatmap[weekday].reduce((sum, n) => sum + n, 0),
+  }));
+
+  return {
+    count: targets.length,
+    totalBytes,
+    averageBytes: targets.length ? totalBytes / targets.length : 0,
+    averagePerDay: days.length ? targets.length / days.length : 0,
+    heatmap,
+    days,
+    weekdays,
+  };
+}
+
+// CSV 내보내기용 표: { header, rows }
+export const heatmapTable = ({ heatmap }) => ({
+  header: ['요일', ...Array.from({ length: 24 }, (_, hour) => `${hour}시`)],
+  rows: WEEKDAYS.map((weekday) => [WEEKDAY_LABELS[weekday], ...heatmap[weekday]]),
+});
+
+export const dailyTable = ({ days }) => ({
+  header: ['날짜', '캡처 수'],
+  rows: days.map((day) => [toDayKey(day.date), day.count]),
+});
+
+export const storageTable = ({ days }) => ({
+  header: ['날짜', '그날 캡처 용량(bytes)', '누적 용량(bytes)'],
+  rows: days.map((day) => [toDayKey(day.date), day.bytes, day.cumulativeBytes]),
+});
+
+export const weekdayTable = ({ weekdays }) => ({
+  header: ['요일', '캡처 수'],
+  rows: weekdays.map(({ weekday, count }) => [WEEKDAY_LABELS[weekday], count]),
+});
@@ -0,0 +1,279 @@
+// 백엔드 프록시 API 클라이언트
+// AWS 자격 증명은 서버에만 있고, 브라우저는 이 API 만 호출한다.
+
+const API_BASE = (import.meta.env.VITE_API_BASE_URL || '').replace(/\/$/, '');
+
+// 서버가 한 요청에서 받는 최대 키 수
+const MAX_KEYS_PER_REQUEST = 1000;
+
+const TOKEN_STORAGE_KEY = 'esp32cam.authToken';
+
+let authToken = localStorage.getItem(TOKEN_STORAGE_KEY);
+let unauthorizedHandler = null;
+
+export const setAuthToken = (token) => {
+  authToken = token;
+  if (token) localStorage.setItem(TOKEN_STORAGE_KEY, token);
+  else localStorage.removeItem(TOKEN_STORAGE_KEY);
+};
+
+export const hasAuthToken = () => Boolean(authToken);
+
+// 세션 만료(401) 시 호출할 콜백 (로그인 화면으로 되돌리기)
+export const setUnauthorizedHandler = (handler) => {
+  unauthorizedHandler = handler;
+};
+
+export class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+  }
+}
+
+const request = async (path, { method = 'GET', query, body } = {}) => {
+  const search = query
+    ? new URLSearchParams(
+        Object.entries(query).filter(([, v]) => v !== undefined && v !== null && v !== '')
+      ).toString()
+    : '';
+  // Blob(이미지 등)은 그대로, 나머지는 JSON 으로 보냄
+  const isBlob = body instanceof Blob;
+  const headers = {};
+  if (body) headers['Content-Type'] = isBlob ? body.type || 'application/octet-stream' : 'application/json';
+  if (authToken) headers.Authorization = `Bearer ${authToken}`;
+
+  const response = await fetch(`${API_BASE}${path}${search ? `?${search}` : ''}`, {
+    method,
+    headers,
+    body: body && !isBlob ? JSON.stringify(body) : body,
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (response.status === 401 && authToken) {
+    setAuthToken(null);
+    unauthorizedHandler?.();
+  }
+  if (!response.ok) {
+    throw new ApiError(response.status, data.error || `요청 실패 (${response.status})`);
+  }
+  return data;
+};
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+};
+
+// { token, user: { username, role } }
+export const login = async (username, password) => {
+  const result = await request('/api/auth/login', {
+    method: 'POST',
+    body: { username, password },
+  });
+  setAuthToken(result.token);
+  return result.user;
+};
+
+export const logout = () => setAuthToken(null);
+
+// 저장된 토큰으로 현재 사용자 확인
+export const fetchCurrentUser = async () => (await request('/api/auth/me')).user;
+
+// 설정된 카메라 목록: [{ id, name, streamUrl?, captureUrl? }]
+export const fetchCameras = async () => (await request('/api/cameras')).cameras;
+
+// 실시간 보기 스냅샷 저장: name 은 카메라 안의 상대 키 → { key, size }
+export const uploadSnapshot = (cameraId, name, blob) =>
+  request(`/api/cameras/${encodeURIComponent(cameraId)}/snapshot`, {
+    method: 'POST',
+    query: { name },
+    body: blob,
+  });
+
+// 목록 한 페이지: { items: [{ Key, ETag, LastModified, Size }], nextContinuationToken }
+export const listImages = ({ prefix, startAfter, continuationToken, maxKeys } = {}) =>
+  request('/api/images', { query: { prefix, startAfter, continuationToken, maxKeys } });
+
+// { [key]: url }
+export const presignImages = async (keys, expiresIn) => {
+  const results = await Promise.all(
+    chunk(keys, MAX_KEYS_PER_REQUEST).map((part) =>
+      request('/api/images/presign', { method: 'POST', body: { keys: part, expiresIn } })
+    )
+  );
+  return Object.assign({}, ...results.map((r) => r.urls));
+};
+
+// { [key]: 썸네일 url } — 서버가 썸네일을 처음 요청될 때 만들기도 하므로 원본 presign 보다 느릴 수 있음
+export const presignThumbnails = async (keys, expiresIn) => {
+  const results = await Promise.all(
+    chunk(keys, MAX_KEYS_PER_REQUEST).map((part) =>
+      request('/api/images/thumbnails', { method: 'POST', body: { keys: part, expiresIn } })
+    )
+  );
+  return Object.assign({}, ...results.map((r) => r.urls));
+};
+
+// push 채널이 끊기면 이 간격으로 다시 연결
+const EVENTS_RECONNECT_DELAY_MS = 5000;
+
+const wait = (ms, signal) =>
+  new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+  });
+
+// SSE 스트림을 읽어 "data:" 블록마다 onEvent 호출 (연결이 끝나면 반환)
+const readEventStream = async (response, onEvent) => {
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buffer += value;
+    let end;
+    while ((end = buffer.indexOf('\n\n')) >= 0) {
+      const data = buffer
+        .slice(0, end)
+        .split('\n')
+        .filter((line) => line.startsWith('data:'))
+        .map((line) => line.slice(5).trimStart())
+        .join('\n');
+      buffer = buffer.slice(end + 2);
+      if (data) onEvent(JSON.parse(data));
+    }
+  }
+};
+
+/**
+ * 새 캡처 push 채널 (Server-Sent Events). 끊기면 스스로 다시 연결한다.
+ * EventSource 는 Authorization 헤더를 보낼 수 없어 fetch 스트림으로 읽는다.
+ * @param {object} handlers
+ * @param {(event: { type: 'created' | 'restored' | 'removed', key: string, etag?: string, size?: number, lastModified?: string }) => void} handlers.onEvent
+ * @param {(status: 'connecting' | 'open' | 'closed') => void} [handlers.onStatus]
+ * @returns {() => void} 구독 종료
+ */
+export const subscribeCaptureEvents = ({ onEvent, onStatus }) => {
+  const controller = new AbortController();
+  const { signal } = controller;
+
+  const run = async () => {
+    while (!signal.aborted) {
+      onStatus?.('connecting');
+      try {
+        const response = await fetch(`${API_BASE}/api/events`, {
+          headers: authToken ? { Authorization: `Bearer ${authToken}` } : {},
+          signal,
+        });
+        if (response.status === 401 && authToken) {
+          setAuthToken(null);
+          unauthorizedHandler?.();
+          return;
+        }
+        if (!response.ok) throw new ApiError(response.status, `push 연결 실패 (${response.status})`);
+        onStatus?.('open');
+        await readEventStream(response, onEvent);
+      } catch (err) {
+        if (signal.aborted) return;
+        console.error('push 연결 오류:', err);
+      }
+      if (signal.aborted) return;
+      onStatus?.('closed');
+      await wait(EVENTS_RECONNECT_DELAY_MS, signal);
+    }
+  };
+
+  run();
+  return () => controller.abort();
+};
+
+// override: 별표한 캡처도 지운다 (없으면 서버가 409 로 거부)
+export const deleteImage = (key, { override = false } = {}) =>
+  request('/api/images', { method: 'DELETE', query: { key }, body: override ? { override } : undefined });
+
+// { deleted: string[], errors: Array<{ key, message }> }
+// action 은 감사 로그에 남길 작업 이름 ("bulk-delete" | "delete-all" | "delete-event")
+export const bulkDeleteImages = async (keys, { action = 'bulk-delete', override = false } = {}) => {
+  const deleted = [];
+  const errors = [];
+  for (const part of chunk(keys, MAX_KEYS_PER_REQUEST)) {
+    const result = await request('/api/images/bulk-delete', {
+      method: 'POST',
+      body: { keys: part, action, override },
+    });
+    deleted.push(...result.deleted);
+    errors.push(...result.errors);
+  }
+  return { deleted, errors };
+};
+
+// 감사 로그 조회: { total, entries: [{ id, at, username, role, action, keys, count, failedKeys, success, error? }] }
+export const fetchAuditLog = ({ action, username, success, from, to, key, limit, offset } = {}) =>
+  request('/api/audit', { query: { action, username, success, from, to, key, limit, offset } });
+
+// 휴지통: { items: [{ key, versionId, deletedAt, lastModified, size, etag, url }], settings: { autoPurgeDays } }
+export const fetchTrash = () => request('/api/trash');
+
+const trashAction = async (path, keys) => {
+  const done = [];
+  const errors = [];
+  for (const part of chunk(keys, MAX_KEYS_PER_REQUEST)) {
+    const result = await request(path, { method: 'POST', body: { keys: part } });
+    done.push(...result.done);
+    errors.push(...result.errors);
+  }
+  return { done, errors };
+};
+
+// { done: string[], errors: Array<{ key, message }> }
+export const restoreFromTrash = (keys) => trashAction('/api/trash/restore', keys);
+
+export const purgeFromTrash = (keys) => trashAction('/api/trash/purge', keys);
+
+export const updateTrashSettings = (settings) =>
+  request('/api/trash/settings', { method: 'PUT', body: settings });
+
+// 웹훅 알림 설정 (admin): { webhooks: [{ name, url, format: 'slack' | 'json', enabled }], quietHours: { start, end } | null, maxPerHour }
+export const fetchAlertSettings = () => request('/api/alerts');
+
+export const updateAlertSettings = (settings) => request('/api/alerts', { method: 'PUT', body: settings });
+
+// 저장 전 웹훅 하나로 테스트 메시지 전송
+export const testWebhook = (webhook) => request('/api/alerts/test', { method: 'POST', body: webhook });
+
+// 캡처 메타데이터가 있는 캡처 전체: { [key]: { flagged, starred, tags, note } }
+export const fetchCaptureMeta = async () => (await request('/api/meta')).items;
+
+// 캡처 메타데이터 변경 (admin): 바꿀 필드만 보냄 (보존 표시, 별표, 태그, 메모) → { key, meta }
+export const updateCaptureMeta = (key, meta) => request('/api/meta', { method: 'PUT', query: { key }, body: meta });
+
+// 보관 정책 (admin): { settings: { enabled, keepFlagged, rules: [{ camera, maxAgeDays, keepNewest }] }, running, reports }
+export const fetchRetention = () => request('/api/retention');
+
+export const updateRetention = (settings) => request('/api/retention', { method: 'PUT', body: settings });
+
+// 저장하지 않은 규칙으로 dry-run: { cameras: [{ id, name, total, deleteCount, deleteBytes, keptFlagged, samples }], deleteCount, deleteBytes }
+export const previewRetention = (settings) => request('/api/retention/preview', { method: 'POST', body: settings });
+
+// 지금 정리하고 보고서를 받는다.
+export const runRetention = () => request('/api/retention/run', { method: 'POST' });
+
+// 공유 링크 (admin): [{ id, title, createdBy, createdAt, expiresAt, count }] — 살아 있는 링크만
+export const fetchShares = async () => (await request('/api/shares')).items;
+
+// expiresIn: 초 (1시간 ~ 7일)
+export const createShare = ({ keys, title, expiresIn }) =>
+  request('/api/shares', { method: 'POST', body: { keys, title, expiresIn } });
+
+export const revokeShare = (id) => request(`/api/shares/${encodeURIComponent(id)}`, { method: 'DELETE' });
+
+// 공유 페이지 (로그인 없이): { title, createdAt, expiresAt, items: [{ index, camera, name, lastModified }] }
+export const fetchSharedCaptures = (id) => request(`/api/shares/${encodeURIComponent(id)}/view`);
+
+export const sharedImageUrl = (id, index) => `${API_BASE}/api/shares/${encodeURIComponent(id)}/images/${index}`;
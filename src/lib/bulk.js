@@ -0,0 +1,146 @@
+// 선택 항목 일괄 작업: ZIP 다운로드 / 묶음 삭제 (진행률 보고, 재시도, 취소)
+
+import { Zip, ZipPassThrough } from 'fflate';
+import { ApiError, bulkDeleteImages } from './api';
+import { fileTimestamp } from './download';
+
+const abortError = () => new DOMException('작업이 취소되었습니다.', 'AbortError');
+
+// ZIP 안의 파일 이름: "20251223-140001_원본이름.jpg" (같은 이름은 번호를 붙임)
+const zipEntryName = (img, used) => {
+  const base = `${fileTimestamp(img.timestamp)}_${img.name}`;
+  let name = base;
+  for (let n = 2; used.has(name); n += 1) {
+    name = base.replace(/(\.[^.]+)?$/, `_${n}$1`);
+  }
+  used.add(name);
+  return name;
+};
+
+/**
+ * presigned URL 로 원본을 받아 ZIP 하나로 묶는다. JPEG 는 이미 압축되어 있어 무압축 저장.
+ * @returns {Promise<{ blob: Blob, failed: Array<{ key, message }> }>}
+ */
+export const buildZip = async (images, { onProgress, signal } = {}) => {
+  const parts = [];
+  const failed = [];
+  const used = new Set();
+
+  const zip = new Zip((err, chunk) => {
+    if (err) throw err;
+    parts.push(chunk);
+  });
+
+  const sorted = [...images].sort((a, b) => a.timestamp - b.timestamp);
+  for (let i = 0; i < sorted.length; i += 1) {
+    if (signal?.aborted) throw abortError();
+    const img = sorted[i];
+    try {
+      const response = await fetch(img.url, { signal });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const data = new Uint8Array(await response.arrayBuffer());
+      const entry = new ZipPassThrough(zipEntryName(img, used));
+      entry.mtime = img.timestamp;
+      zip.add(entry);
+      entry.push(data, true);
+    } catch (err) {
+      if (err.name === 'AbortError') throw err;
+      failed.push({ key: img.key, message: err.message || '다운로드 실패' });
+    }
+    onProgress?.({ done: i + 1, total: sorted.length });
+  }
+
+  zip.end();
+  return { blob: new Blob(parts, { type: 'application/zip' }), failed };
+};
+
+// 다시 시도하면 될 수 있는 키별 오류 (S3 오류 코드 / 로컬 폴더 저장소의 파일 잠김)
+const RETRYABLE_CODES = new Set([
+  'SlowDown',
+  'Throttling',
+  'ThrottlingException',
+  'RequestTimeout',
+  'InternalError',
+  'ServiceUnavailable',
+  'EBUSY',
+  'EAGAIN',
+]);
+
+// 묶음 요청 자체의 실패: 네트워크 오류, 429, 5xx 는 다시 시도 (권한·설정 오류 4xx 는 그대로 실패)
+const isRetryableRequestError = (err) => !(err instanceof ApiError) || err.status === 429 || err.status >= 500;
+
+// 취소하면 바로 깨어나는 대기
+const wait = (ms, signal) =>
+  new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done, { once: true });
+  });
+
+// n 번째 재시도 전 대기 시간: 1초, 2초, 4초 … (최대 30초) + 무작위 지연
+const retryDelayMs = (retry) => Math.min(1000 * 2 ** (retry - 1), 30000) * (0.75 + Math.random() * 0.5);
+
+/**
+ * 삭제 작업: 키를 batchSize 개씩 서버에 보내 휴지통으로 옮긴다 (서버는 DeleteObjects 로 한 번에 처리).
+ * 조절(SlowDown)·일시 오류로 실패한 키는 대기 시간을 늘려 가며 maxAttempts 번까지 다시 시도하고,
+ * 한 묶음이 끝날 때마다 진행률을 알린다. 취소하면 남은 키는 cancelled 로 돌려준다.
+ * onProgress: { done, total, deleted, failed, retry?: { attempt, count } }
+ * @returns {Promise<{ deleted: string[], failed: Array<{ key, message }>, cancelled: string[] }>}
+ */
+export const deleteInBatches = async (
+  keys,
+  { batchSize = 50, action = 'bulk-delete', override = false, maxAttempts = 4, onProgress, signal } = {}
+) => {
+  const deleted = [];
+  const failed = [];
+  let pending = keys;
+
+  const report = (retry) =>
+    onProgress?.({ done: deleted.length + failed.length, total: keys.length, deleted, failed, retry });
+
+  for (let attempt = 1; pending.length && attempt <= maxAttempts; attempt += 1) {
+    if (attempt > 1) {
+      report({ attempt, count: pending.length });
+      await wait(retryDelayMs(attempt - 1), signal);
+    }
+    const lastAttempt = attempt === maxAttempts;
+    const retry = [];
+    let index = 0;
+    for (; index < pending.length && !signal?.aborted; index += batchSize) {
+      const batch = pending.slice(index, index + batchSize);
+      try {
+        const result = await bulkDeleteImages(batch, { action, override });
+        deleted.push(...result.deleted);
+        for (const error of result.errors) {
+          if (!lastAttempt && RETRYABLE_CODES.has(error.code)) retry.push(error.key);
+          else failed.push({ key: error.key, message: error.message });
+        }
+      } catch (err) {
+        const message = err.message || '요청 실패';
+        if (!lastAttempt && isRetryableRequestError(err)) retry.push(...batch);
+        else failed.push(...batch.map((key) => ({ key, message })));
+      }
+      report();
+    }
+    if (signal?.aborted) {
+      return { deleted, failed, cancelled: [...retry, ...pending.slice(index)] };
+    }
+    pending = retry;
+  }
+
+  return { deleted, failed, cancelled: [] };
+};
+
+// 삭제 작업 결과를 키마다 한 줄로 (CSV 보고서용)
+export const deleteReportTable = ({ deleted, failed, cancelled }) => ({
+  header: ['key', 'status', 'message'],
+  rows: [
+    ...deleted.map((key) => [key, 'deleted', '']),
+    ...failed.map(({ key, message }) => [key, 'failed', message]),
+    ...cancelled.map((key) => [key, 'cancelled', '']),
+  ],
+});
@@ -0,0 +1,61 @@
+// 카메라마다 증분 동기화 엔진을 따로 두고 결과를 합친다.
+// 서버가 돌려주는 키는 "<카메라 id>/..." 형태라서 키만으로 카메라를 알 수 있다.
+// (카메라별로 나누는 이유: StartAfter 기준 키와 "시간순 키" 판단이 카메라마다 다름)
+
+import { createImageSync } from './imageSync';
+
+export const cameraIdOf = (key) => key.slice(0, key.indexOf('/'));
+
+/**
+ * @param {object} options
+ * @param {string[]} options.cameraIds 동기화할 카메라 id
+ * @param {(cameraId: string) => string[]} [options.prefixesFor] 카메라별 조회 prefix (기본: 카메라 전체)
+ * 나머지 옵션은 createImageSync 로 그대로 전달
+ * @returns {{ sync: Function, ingest: Function, forget: Function, getImages: Function }} createImageSync 와 같은 모양
+ *   sync 결과의 failedCameras 에 조회에 실패한 카메라 id (이전 목록 유지)
+ */
+export function createMultiCameraSync({ cameraIds, prefixesFor = (id) => [`${id}/`], ...syncOptions }) {
+  const syncs = new Map(
+    cameraIds.map((id) => [id, createImageSync({ ...syncOptions, prefixes: prefixesFor(id) })])
+  );
+  let snapshot = [];
+
+  const merge = () => {
+    snapshot = [...syncs.values()]
+      .flatMap((s) => s.getImages())
+      .sort((a, b) => b.timestamp - a.timestamp);
+    return snapshot;
+  };
+
+  // 일부 카메라만 실패하면 나머지 결과로 계속 진행, 전부 실패하면 첫 오류를 던짐
+  // onPage 는 어느 카메라든 목록 한 페이지를 반영할 때마다 모든 카메라를 합친 목록으로 호출
+  const sync = async ({ full = false, onPage } = {}) => {
+    const entries = [...syncs];
+    const handlePage = onPage && (() => onPage(merge()));
+    const results = await Promise.allSettled(entries.map(([, s]) => s.sync({ full, onPage: handlePage })));
+    const failedCameras = entries.filter((_, i) => results[i].status === 'rejected').map(([id]) => id);
+    if (entries.length && failedCameras.length === entries.length) throw results[0].reason;
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') console.error(`카메라 ${entries[i][0]} 동기화 실패:`, result.reason);
+    });
+    return { images: merge(), failedCameras };
+  };
+
+  // 설정되지 않은 카메라의 키는 무시
+  const ingest = (items) => {
+    for (const [id, s] of syncs) {
+      const own = items.filter((item) => cameraIdOf(item.Key) === id);
+      if (own.length) s.ingest(own);
+    }
+    return merge();
+  };
+
+  const forget = (keys) => {
+    for (const [id, s] of syncs) {
+      s.forget(keys.filter((key) => cameraIdOf(key) === id));
+    }
+    return merge();
+  };
+
+  return { sync, ingest, forget, getImages: () => snapshot };
+}
@@ -0,0 +1,17 @@
+// 모달 비교 모드: 같은 카메라의 캡처(시간순) 중 두 번째 캡처 고르기
+
+// 시간순 후보 중 key 의 앞(-1)/뒤(+1) 캡처
+export const stepCapture = (candidates, key, delta) => {
+  const index = candidates.findIndex((img) => img.key === key);
+  return index < 0 ? null : candidates[index + delta] || null;
+};
+
+// 비교를 켤 때 기본 대상: 바로 앞 캡처 (없으면 바로 뒤)
+export const defaultCompareTarget = (candidates, key) =>
+  stepCapture(candidates, key, -1) || stepCapture(candidates, key, 1);
+
+// key 앞뒤로 count 개씩 (key 자신은 빼고)
+export const nearbyCaptures = (candidates, key, count) => {
+  const index = candidates.findIndex((img) => img.key === key);
+  return candidates.slice(Math.max(0, index - count), index + count + 1).filter((img) => img.key !== key);
+};
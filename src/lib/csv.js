@@ -0,0 +1,20 @@
+// CSV 만들기 (RFC 4180). Excel 에서 한글이 깨지지 않도록 Blob 은 UTF-8 BOM 으로 시작한다.
+// 메모/태그 같은 사용자 입력이 스프레드시트에서 수식으로 실행되지 않도록 수식 문자로 시작하는 문자열 앞에 ' 를 붙인다.
+
+const FORMULA_START_RE = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_START_RE.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {string[]} header
+ * @param {unknown[][]} rows
+ */
+export const toCsv = (header, rows) =>
+  [header, ...rows].map((row) => row.map(escapeCell).join(',')).join('\r\n') + '\r\n';
+
+export const csvBlob = (header, rows) => new Blob(['\uFEFF', toCsv(header, rows)], { type: 'text/csv;charset=utf-8' });
@@ -0,0 +1,41 @@
+// 날짜 계산 유틸 (모두 브라우저 로컬 시간 기준)
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+export const addDays = (date, days) => {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+};
+
+export const startOfMonth = (date) => new Date(date.getFullYear(), date.getMonth(), 1);
+
+// "2025-12-23" 형태의 날짜 키
+export const toDayKey = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+// <input type="datetime-local"> 값 변환
+export const toDateTimeLocalValue = (date) =>
+  date ? `${toDayKey(date)}T${pad(date.getHours())}:${pad(date.getMinutes())}` : '';
+
+export const fromDateTimeLocalValue = (value) => {
+  if (!value) return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+// 날짜 키별 캡처 수
+export const countByDay = (images) => {
+  const counts = new Map();
+  for (const img of images) {
+    const key = toDayKey(img.timestamp);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+};
@@ -0,0 +1,64 @@
+// 연속 촬영 묶기: 이웃한 캡처의 시간 간격이 gapSec 이하이면 같은 이벤트
+
+/**
+ * @param {Array<{ key: string, timestamp: Date, bytes: number }>} images
+ * @param {number} gapSec
+ * @returns {Array<{ id: string, frames: object[], cover: object, start: Date, end: Date, count: number, bytes: number }>}
+ *   frames 는 오래된순
+ */
+export const groupIntoEvents = (images, gapSec) => {
+  const sorted = [...images].sort((a, b) => a.timestamp - b.timestamp);
+  const gapMs = gapSec * 1000;
+  const groups = [];
+
+  for (const img of sorted) {
+    const current = groups[groups.length - 1];
+    if (current && img.timestamp - current[current.length - 1].timestamp <= gapMs) {
+      current.push(img);
+    } else {
+      groups.push([img]);
+    }
+  }
+
+  return groups.map((frames) => ({
+    // 첫 프레임 키가 바뀌지 않는 한 같은 이벤트로 취급
+    id: frames[0].key,
+    frames,
+    // 문을 여는 순간보다 가운데 프레임에 사람이 찍혀 있을 가능성이 높음
+    cover: frames[Math.floor((frames.length - 1) / 2)],
+    start: frames[0].timestamp,
+    end: frames[frames.length - 1].timestamp,
+    count: frames.length,
+    bytes: frames.reduce((sum, f) => sum + (f.bytes || 0), 0),
+  }));
+};
+
+// scoreOf(event) 는 'score'(변화 큰 순) 정렬에 사용
+export const sortEvents = (events, sortBy, scoreOf) => {
+  const sorted = [...events];
+  switch (sortBy) {
+    case 'oldest':
+      sorted.sort((a, b) => a.start - b.start);
+      break;
+    case 'name':
+      sorted.sort((a, b) => a.cover.name.localeCompare(b.cover.name));
+      break;
+    case 'score':
+      sorted.sort((a, b) => (scoreOf(b) ?? -1) - (scoreOf(a) ?? -1));
+      break;
+    case 'newest':
+    default:
+      sorted.sort((a, b) => b.end - a.end);
+      break;
+  }
+  return sorted;
+};
+
+// "8초", "2분 5초" 형태의 지속 시간
+export const formatDuration = (ms) => {
+  const totalSec = Math.round(ms / 1000);
+  if (totalSec < 60) return `${totalSec}초`;
+  const min = Math.floor(totalSec / 60);
+  const sec = totalSec % 60;
+  return sec ? `${min}분 ${sec}초` : `${min}분`;
+};
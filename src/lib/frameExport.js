@@ -0,0 +1,126 @@
+// 프레임 시퀀스를 브라우저에서 애니메이션 GIF / WebM 으로 내보내기
+// 이미지는 presigned URL 로 받아 캔버스에 그리므로 버킷 CORS 에서 GET 을 허용해야 한다.
+
+import { GIFEncoder, quantize, applyPalette } from 'gifenc';
+
+// 한 번에 내보낼 수 있는 최대 프레임 수 (브라우저 메모리 보호)
+export const MAX_EXPORT_FRAMES = 600;
+
+const loadImage = (url) =>
+  new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`이미지를 불러올 수 없습니다: ${url}`));
+    img.src = url;
+  });
+
+// 첫 프레임 비율에 맞춘 캔버스 (짝수 크기: 일부 인코더 요구사항)
+const createCanvas = (first, width) => {
+  const scale = Math.min(1, width / first.naturalWidth);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(2, Math.round((first.naturalWidth * scale) / 2) * 2);
+  canvas.height = Math.max(2, Math.round((first.naturalHeight * scale) / 2) * 2);
+  return canvas;
+};
+
+// 프레임 위에 촬영 시각을 찍어 증거 영상에서도 시각을 알 수 있게 함
+const drawFrame = (ctx, img, timestamp) => {
+  const { width, height } = ctx.canvas;
+  ctx.drawImage(img, 0, 0, width, height);
+  if (!timestamp) return;
+
+  const label = timestamp.toLocaleString('ko-KR');
+  const fontSize = Math.max(10, Math.round(height / 24));
+  ctx.font = `bold ${fontSize}px sans-serif`;
+  const pad = Math.round(fontSize / 2);
+  const textWidth = ctx.measureText(label).width;
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(0, height - fontSize - pad * 2, textWidth + pad * 2, fontSize + pad * 2);
+  ctx.fillStyle = '#fff';
+  ctx.textBaseline = 'bottom';
+  ctx.fillText(label, pad, height - pad);
+};
+
+const loadFrames = async (frames, onProgress) => {
+  const loaded = [];
+  for (const frame of frames) {
+    loaded.push({ img: await loadImage(frame.url), timestamp: frame.timestamp });
+    onProgress?.({ phase: 'load', done: loaded.length, total: frames.length });
+  }
+  return loaded;
+};
+
+const exportGif = async (frames, { fps, width, onProgress, signal }) => {
+  const loaded = await loadFrames(frames, onProgress);
+  const canvas = createCanvas(loaded[0].img, width);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  const gif = GIFEncoder();
+  const delay = Math.round(1000 / fps);
+
+  for (let i = 0; i < loaded.length; i += 1) {
+    if (signal?.aborted) throw new DOMException('내보내기가 취소되었습니다.', 'AbortError');
+    drawFrame(ctx, loaded[i].img, loaded[i].timestamp);
+    const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const palette = quantize(data, 256);
+    gif.writeFrame(applyPalette(data, palette), canvas.width, canvas.height, { palette, delay });
+    onProgress?.({ phase: 'encode', done: i + 1, total: loaded.length });
+    // 긴 인코딩 중에도 화면이 멈추지 않도록 양보
+    await new Promise((r) => setTimeout(r, 0));
+  }
+
+  gif.finish();
+  return new Blob([gif.bytes()], { type: 'image/gif' });
+};
+
+const pickWebmType = () =>
+  ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find((type) =>
+    MediaRecorder.isTypeSupported(type)
+  );
+
+// MediaRecorder 는 실시간으로 녹화하므로 영상 길이만큼 시간이 걸린다.
+const exportWebm = async (frames, { fps, width, onProgress, signal }) => {
+  const mimeType = typeof MediaRecorder !== 'undefined' ? pickWebmType() : null;
+  if (!mimeType) throw new Error('이 브라우저는 WebM 녹화를 지원하지 않습니다.');
+
+  const loaded = await loadFrames(frames, onProgress);
+  const canvas = createCanvas(loaded[0].img, width);
+  const ctx = canvas.getContext('2d');
+  const stream = canvas.captureStream(fps);
+  const recorder = new MediaRecorder(stream, { mimeType });
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data.size) chunks.push(e.data);
+  };
+  const stopped = new Promise((resolve) => {
+    recorder.onstop = resolve;
+  });
+
+  drawFrame(ctx, loaded[0].img, loaded[0].timestamp);
+  recorder.start();
+  try {
+    for (let i = 0; i < loaded.length; i += 1) {
+      if (signal?.aborted) throw new DOMException('내보내기가 취소되었습니다.', 'AbortError');
+      drawFrame(ctx, loaded[i].img, loaded[i].timestamp);
+      onProgress?.({ phase: 'encode', done: i + 1, total: loaded.length });
+      await new Promise((r) => setTimeout(r, 1000 / fps));
+    }
+  } finally {
+    recorder.stop();
+    stream.getTracks().forEach((track) => track.stop());
+  }
+  await stopped;
+  return new Blob(chunks, { type: 'video/webm' });
+};
+
+/**
+ * @param {Array<{ url: string, timestamp: Date }>} frames 재생 순서대로
+ * @param {{ format: 'gif' | 'webm', fps: number, width: number, onProgress?: Function, signal?: AbortSignal }} options
+ */
+export const exportFrames = async (frames, { format, ...options }) => {
+  if (!frames.length) throw new Error('내보낼 프레임이 없습니다.');
+  if (frames.length > MAX_EXPORT_FRAMES) {
+    throw new Error(`한 번에 최대 ${MAX_EXPORT_FRAMES}프레임까지 내보낼 수 있습니다.`);
+  }
+  return format === 'webm' ? exportWebm(frames, options) : exportGif(frames, options);
+};
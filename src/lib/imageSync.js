@@ -0,0 +1,220 @@
+// 증분 동기화 엔진
+// - 알려진 키의 ETag / LastModified 를 로컬 인덱스로 유지
+// - 평소에는 StartAfter 로 "마지막 키 이후" 새 객체만 조회
+// - 주기적으로 전체 목록을 훑어 삭제/변경된 키를 반영
+// - 목록은 한 페이지씩 받아 바로 반영 (onPage) → 캡처가 수만 장이어도 첫 페이지부터 화면에 표시
+// - prefixes 를 주면 그 prefix 들만 조회 (날짜별 키 레이아웃의 기간 조회)
+// - push 로 알려진 새 객체는 목록 조회 없이 바로 반영 (ingest)
+// 메타데이터(키/크기/시각)만 다루고 presigned URL 은 화면에 필요한 캡처만 urlCache 가 발급한다.
+
+import { formatFileSize } from './format';
+
+const DEFAULT_FULL_SCAN_INTERVAL_MS = 5 * 60 * 1000;
+
+// 키 순서와 업로드 시각이 이 정도 어긋나는 것은 "시간순 키"로 인정
+const TIME_ORDER_TOLERANCE_MS = 60 * 1000;
+
+// 서버가 만든 썸네일/메타데이터는 카메라 prefix 밖에 있어 목록에 오지 않는다.
+export const isImageKey = (key) => {
+  const k = (key || '').toLowerCase();
+  return k.endsWith('.jpg') || k.endsWith('.jpeg');
+};
+
+// 키 사전순으로 정렬했을 때 LastModified 도 (거의) 오름차순인지 확인
+const detectTimeOrderedKeys = (items) => {
+  const sorted = [...items].sort((a, b) => (a.Key < b.Key ? -1 : a.Key > b.Key ? 1 : 0));
+  let latest = -Infinity;
+  for (const item of sorted) {
+    const t = new Date(item.LastModified).getTime();
+    if (t + TIME_ORDER_TOLERANCE_MS < latest) return false;
+    latest = Math.max(latest, t);
+  }
+  return true;
+};
+
+const toImage = (entry) => ({
+  id: entry.key,
+  key: entry.key,
+  name: entry.key.split('/').pop(),
+  timestamp: entry.lastModified,
+  size: formatFileSize(entry.bytes),
+  bytes: entry.bytes,
+  etag: entry.etag,
+});
+
+/**
+ * @param {object} options
+ * @param {(params: { prefix?: string, startAfter?: string, continuationToken?: string }) => Promise<{ items: Array<{ Key: string, ETag?: string, LastModified: Date, Size: number }>, nextContinuationToken?: string }>} options.listPage
+ *   목록 한 페이지 조회 (S3 ListObjectsV2 결과 형태)
+ * @param {string[]} [options.prefixes] 조회할 prefix 목록 (생략 시 버킷 전체)
+ */
+export function createImageSync({
+  listPage,
+  prefixes,
+  fullScanIntervalMs = DEFAULT_FULL_SCAN_INTERVAL_MS,
+}) {
+  // key -> { key, etag, lastModified, bytes, image }
+  const index = new Map();
+  let lastKey = undefined;
+  let keysTimeOrdered = false;
+  let lastFullScanAt = 0;
+  let snapshot = [];
+
+  // 페이지마다 handlePage(이미지 항목들) 를 부르고, 전체 이미지 항목을 돌려준다.
+  const listAll = async (startAfter, handlePage) => {
+    const items = [];
+    for (const prefix of prefixes || [undefined]) {
+      let continuationToken = undefined;
+      do {
+        const page = await listPage({ prefix, startAfter, continuationToken });
+        const images = (page.items || []).filter((item) => isImageKey(item.Key));
+        items.push(...images);
+        handlePage(images);
+        continuationToken = page.nextContinuationToken;
+      } while (continuationToken);
+    }
+    return items;
+  };
+
+  const upsert = (item) => {
+    const prev = index.get(item.Key);
+    const lastModified = new Date(item.LastModified);
+    if (
+      prev &&
+      prev.etag === item.ETag &&
+      prev.lastModified.getTime() === lastModified.getTime()
+    ) {
+      return false;
+    }
+    index.set(item.Key, {
+      key: item.Key,
+      etag: item.ETag,
+      lastModified,
+      bytes: item.Size,
+      image: null,
+    });
+    return true;
+  };
+
+  const rebuildSnapshot = () => {
+    snapshot = [...index.values()]
+      .map((entry) => {
+        // 바뀌지 않은 항목은 같은 객체를 재사용 (React 재렌더링 최소화)
+        if (!entry.image) entry.image = toImage(entry);
+        return entry.image;
+      })
+      .sort((a, b) => b.timestamp - a.timestamp);
+    return snapshot;
+  };
+
+  const updateLastKey = () => {
+    lastKey = undefined;
+    for (const key of index.keys()) {
+      if (lastKey === undefined || key > lastKey) lastKey = key;
+    }
+  };
+
+  /**
+   * 한 번 동기화한다.
+   * @param {{ full?: boolean, onPage?: (images: object[]) => void }} [opts]
+   *   full 이면 전체 목록으로 삭제까지 반영 (삭제는 마지막 페이지를 받은 뒤에)
+   *   onPage 는 목록 한 페이지로 바뀐 것이 있을 때마다 그때까지의 전체 목록으로 호출
+   */
+  const sync = async ({ full = false, onPage } = {}) => {
+    const needFullScan =
+      full ||
+      !keysTimeOrdered ||
+      lastFullScanAt === 0 ||
+      Date.now() - lastFullScanAt >= fullScanIntervalMs;
+
+    let added = 0;
+    let changed = 0;
+    let removed = 0;
+
+    if (needFullScan) {
+      const seen = new Set();
+      const items = await listAll(undefined, (page) => {
+        let pageChanged = false;
+        for (const item of page) {
+          seen.add(item.Key);
+          const existed = index.has(item.Key);
+          if (!upsert(item)) continue;
+          pageChanged = true;
+          if (existed) changed += 1;
+          else added += 1;
+        }
+        if (pageChanged && onPage) onPage(rebuildSnapshot());
+      });
+      for (const key of [...index.keys()]) {
+        if (!seen.has(key)) {
+          index.delete(key);
+          removed += 1;
+        }
+      }
+      keysTimeOrdered = detectTimeOrderedKeys(items);
+      lastFullScanAt = Date.now();
+    } else {
+      await listAll(lastKey, (page) => {
+        let pageAdded = 0;
+        for (const item of page) {
+          if (upsert(item)) pageAdded += 1;
+        }
+        added += pageAdded;
+        if (pageAdded && onPage) onPage(rebuildSnapshot());
+      });
+    }
+
+    updateLastKey();
+    if (added || changed || removed || needFullScan) {
+      rebuildSnapshot();
+    }
+
+    return { images: snapshot, added, changed, removed };
+  };
+
+  /**
+   * push 로 받은 새/바뀐 객체를 목록 조회 없이 반영한다.
+   * prefixes 밖의 키와 이미지가 아닌 키는 무시
+   * @param {Array<{ Key: string, ETag?: string, LastModified: Date | string, Size: number }>} items
+   */
+  const ingest = (items) => {
+    let added = 0;
+    for (const item of items) {
+      if (!isImageKey(item.Key)) continue;
+      if (prefixes && !prefixes.some((prefix) => item.Key.startsWith(prefix))) continue;
+      if (upsert(item)) added += 1;
+    }
+    if (!added) return snapshot;
+    updateLastKey();
+    return rebuildSnapshot();
+  };
+
+  // 삭제에 성공한 키를 다음 전체 스캔을 기다리지 않고 인덱스에서 제거
+  const forget = (keys) => {
+    let removed = 0;
+    for (const key of keys) {
+      if (index.delete(key)) removed += 1;
+    }
+    if (removed) {
+      updateLastKey();
+      rebuildSnapshot();
+    }
+    return snapshot;
+  };
+
+  const reset = () => {
+    index.clear();
+    lastKey = undefined;
+    keysTimeOrdered = false;
+    lastFullScanAt = 0;
+    snapshot = [];
+  };
+
+  return {
+    sync,
+    ingest,
+    forget,
+    reset,
+    getImages: () => snapshot,
+  };
+}
@@ -0,0 +1,48 @@
+// 날짜별로 나뉜 키 레이아웃 (예: "YYYY/MM/DD/" → "2025/12/23/14-00-01.jpg")
+// VITE_KEY_DAY_LAYOUT 이 설정되어 있으면 기간 조회 시 해당 날짜 prefix 만 조회한다.
+// 날짜는 브라우저 로컬 시간 기준이므로 카메라도 같은 시간대로 키를 만들어야 한다.
+
+import { addDays, startOfDay } from './dates';
+
+const TOKEN_RE = /YYYY|MM|DD/g;
+
+// 이보다 긴 기간은 prefix 를 하나씩 나열하는 것보다 전체 목록이 낫다.
+const MAX_RANGE_DAYS = 400;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export function createDayLayout(template) {
+  if (!template || !/YYYY/.test(template) || !/MM/.test(template) || !/DD/.test(template)) {
+    return null;
+  }
+
+  const prefixForDay = (date) =>
+    template.replace(TOKEN_RE, (token) => {
+      if (token === 'YYYY') return String(date.getFullYear());
+      if (token === 'MM') return pad(date.getMonth() + 1);
+      return pad(date.getDate());
+    });
+
+  // [start, end) 기간에 걸치는 날짜 prefix 목록 (너무 길면 null)
+  const prefixesForRange = (start, end) => {
+    const prefixes = [];
+    for (let day = startOfDay(start); day < end; day = addDays(day, 1)) {
+      if (prefixes.length >= MAX_RANGE_DAYS) return null;
+      prefixes.push(prefixForDay(day));
+    }
+    return prefixes;
+  };
+
+  return { template, prefixForDay, prefixesForRange };
+}
+
+export const dayLayout = createDayLayout(import.meta.env.VITE_KEY_DAY_LAYOUT);
+
+// 실시간 보기 스냅샷 키: 날짜 레이아웃이 있으면 그 날짜 prefix 아래 "HH-MM-SS-snapshot.jpg",
+// 없으면 "YYYYMMDD-HHMMSS-snapshot.jpg" (카메라가 올린 캡처와 섞여도 시간순 정렬 유지)
+export const snapshotNameFor = (date) => {
+  const time = [date.getHours(), date.getMinutes(), date.getSeconds()].map(pad);
+  if (dayLayout) return `${dayLayout.prefixForDay(date)}${time.join('-')}-snapshot.jpg`;
+  const day = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+  return `${day}-${time.join('')}-snapshot.jpg`;
+};
@@ -0,0 +1,83 @@
+// 캡처 목록(메타데이터) CSV / JSON 내보내기: 사고 보고서나 스프레드시트용
+// 이미지는 넣지 않고, 원하면 정한 기간 동안 열 수 있는 presigned URL 을 붙인다.
+// (로컬 저장소의 "/api/local-files/..." 같은 상대 주소는 파일 밖에서도 열리도록 지금 앱 주소 기준 절대 주소로 바꾼다)
+
+import { cameraIdOf } from './cameraSync';
+import { csvBlob } from './csv';
+
+// URL 유효 기간 (서버 최대 7일)
+export const URL_EXPIRY_OPTIONS = [
+  { sec: 60 * 60, label: '1시간' },
+  { sec: 24 * 60 * 60, label: '24시간' },
+  { sec: 7 * 24 * 60 * 60, label: '7일' },
+];
+
+const CSV_COLUMNS = [
+  ['key', 'key'],
+  ['name', '파일 이름'],
+  ['camera', '카메라'],
+  ['timestamp', '촬영 시각(ISO)'],
+  ['bytes', '크기(bytes)'],
+  ['etag', 'ETag'],
+  ['starred', '별표'],
+  ['tags', '태그'],
+  ['note', '메모'],
+];
+const URL_COLUMNS = [
+  ['url', 'URL'],
+  ['urlExpiresAt', 'URL 만료(ISO)'],
+];
+
+/**
+ * 내보낼 행: 목록 순서(정렬/필터 적용 결과) 그대로
+ * @param {object[]} images 캡처 (key, name, timestamp, bytes, etag)
+ * @param {object} options
+ * @param {Record<string, string>} options.cameraNames
+ * @param {(img: object) => { starred?: boolean, tags?: string[], note?: string } | undefined} options.metaOf
+ * @param {{ urls: Record<string, string>, expiresAt: Date } | null} [options.presigned]
+ */
+export const buildMetadataRows = (images, { cameraNames, metaOf, presigned = null }) =>
+  images.map((img) => {
+    const meta = metaOf(img) || {};
+    const row = {
+      key: img.key,
+      name: img.name,
+      camera: cameraNames[cameraIdOf(img.key)] || cameraIdOf(img.key),
+      timestamp: img.timestamp.toISOString(),
+      bytes: img.bytes,
+      etag: (img.etag || '').replace(/"/g, ''),
+      starred: Boolean(meta.starred),
+      tags: meta.tags || [],
+      note: meta.note || '',
+    };
+    if (presigned) {
+      const url = presigned.urls[img.key];
+      row.url = url ? new URL(url, window.location.origin).toString() : null;
+      row.urlExpiresAt = presigned.expiresAt.toISOString();
+    }
+    return row;
+  });
+
+/**
+ * @param {object[]} rows buildMetadataRows 결과
+ * @param {'csv' | 'json'} format
+ * @param {{ exportedAt: Date, filter: string }} info JSON 머리말 (CSV 에는 넣지 않음)
+ * @returns {Blob}
+ */
+export const metadataBlob = (rows, format, { exportedAt, filter }) => {
+  if (format === 'json') {
+    const body = { exportedAt: exportedAt.toISOString(), filter, count: rows.length, items: rows };
+    return new Blob([JSON.stringify(body, null, 2)], { type: 'application/json' });
+  }
+  const columns = rows[0] && 'url' in rows[0] ? [...CSV_COLUMNS, ...URL_COLUMNS] : CSV_COLUMNS;
+  return csvBlob(
+    columns.map(([, label]) => label),
+    rows.map((row) =>
+      columns.map(([field]) => {
+        if (field === 'tags') return row.tags.join(', ');
+        if (field === 'starred') return row.starred ? 'Y' : '';
+        return row[field];
+      })
+    )
+  );
+};
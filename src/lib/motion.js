@@ -0,0 +1,241 @@
+// 캔버스 프레임 차분으로 캡처마다 변화 점수(0~100, 바뀐 픽셀 %) 계산
+// 이미지는 presigned URL 로 받아 캔버스에 그리므로 버킷 CORS 에서 GET 을 허용해야 한다.
+
+const SAMPLE_WIDTH = 64;
+const SAMPLE_HEIGHT = 48;
+// 밝기 차이가 이 값보다 큰 픽셀을 "바뀐 픽셀"로 셈 (0~255)
+const PIXEL_THRESHOLD = 25;
+
+const SCORE_STORAGE_KEY = 'esp32cam.motionScores';
+const REFERENCE_STORAGE_KEY = 'esp32cam.motionReferences';
+const MAX_CACHED_SCORES = 5000;
+const MAX_CACHED_SIGNATURES = 300;
+// withUrls 로 한 번에 URL 을 발급받는 비교 쌍 수
+const URL_BATCH_SIZE = 50;
+// 그룹(카메라)마다 분석하는 최근 비교 쌍 수. 목록 전체를 분석하면 캡처마다 URL 발급과 썸네일 다운로드
+// (서버 캐시가 비어 있으면 썸네일 생성까지) 가 일어나므로, 이보다 오래된 캡처는 캐시된 점수만 쓴다.
+const MAX_ANALYZED_PAIRS_PER_GROUP = 200;
+
+const loadImage = (url) =>
+  new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`이미지를 불러올 수 없습니다: ${url}`));
+    img.src = url;
+  });
+
+// 작게 줄인 흑백 픽셀 배열 (비교용 서명)
+export const loadSignature = async (url) => {
+  const img = await loadImage(url);
+  const canvas = document.createElement('canvas');
+  canvas.width = SAMPLE_WIDTH;
+  canvas.height = SAMPLE_HEIGHT;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(img, 0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT);
+  const { data } = ctx.getImageData(0, 0, SAMPLE_WIDTH, SAMPLE_HEIGHT);
+
+  const gray = new Uint8Array(SAMPLE_WIDTH * SAMPLE_HEIGHT);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = Math.round(data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114);
+  }
+  return gray;
+};
+
+const mean = (pixels) => pixels.reduce((sum, v) => sum + v, 0) / pixels.length;
+
+// 바뀐 픽셀 비율(%). 카메라 자동 노출로 전체 밝기만 달라진 경우는 평균 차이를 빼서 무시
+export const changeScore = (a, b) => {
+  const offset = mean(a) - mean(b);
+  let changed = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (Math.abs(a[i] - b[i] - offset) > PIXEL_THRESHOLD) changed++;
+  }
+  return Math.round((changed / a.length) * 1000) / 10;
+};
+
+const encodeSignature = (pixels) => btoa(String.fromCharCode(...pixels));
+const decodeSignature = (text) => Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+
+const readJson = (storageKey, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey)) ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const writeJson = (storageKey, value) => {
+  try {
+    localStorage.setItem(storageKey, JSON.stringify(value));
+  } catch (err) {
+    // 저장 공간 부족 등: 캐시는 없어도 동작하므로 무시
+    console.warn('변화 점수 캐시 저장 실패:', err);
+  }
+};
+
+// 기준 프레임("빈 냉장고")은 카메라마다 하나: { [group]: { key, etag, signature } }
+// 원본이 지워져도 쓸 수 있게 서명째 저장
+export const loadReferenceFrames = () =>
+  Object.fromEntries(
+    Object.entries(readJson(REFERENCE_STORAGE_KEY, {})).map(([group, saved]) => [
+      group,
+      { ...saved, signature: decodeSignature(saved.signature) },
+    ])
+  );
+
+const writeReferenceFrames = (references) => {
+  writeJson(
+    REFERENCE_STORAGE_KEY,
+    Object.fromEntries(
+      Object.entries(references).map(([group, ref]) => [group, { ...ref, signature: encodeSignature(ref.signature) }])
+    )
+  );
+  return references;
+};
+
+// 64×48 로 줄여 비교하므로 썸네일로 충분 (원본을 받지 않음)
+export const saveReferenceFrame = async (image, group) => {
+  const signature = await loadSignature(image.thumbUrl || image.url);
+  return writeReferenceFrames({
+    ...loadReferenceFrames(),
+    [group]: { key: image.key, etag: image.etag, signature },
+  });
+};
+
+// groups 를 생략하면 전부 해제
+export const clearReferenceFrames = (groups) => {
+  if (!groups) return writeReferenceFrames({});
+  const references = loadReferenceFrames();
+  for (const group of groups) delete references[group];
+  return writeReferenceFrames(references);
+};
+
+/**
+ * 변화 점수 계산기. 점수는 (캡처 ETag, 비교 대상) 쌍으로 localStorage 에 캐시되어
+ * 새로고침해도 이미 본 캡처의 픽셀은 다시 분석하지 않는다.
+ *
+ * 비교 옵션 { groupOf, referenceFor }:
+ *   groupOf(image)      같은 그룹(카메라) 안에서만 "이전 캡처"를 찾음
+ *   referenceFor(group) 그 그룹의 기준 프레임 (없으면 이전 캡처와 비교)
+ *
+ * 분석은 그룹마다 최근 MAX_ANALYZED_PAIRS_PER_GROUP 쌍만 한다 (progress 도 그 범위 기준).
+ *
+ * @returns {{
+ *   analyze: (images: object[], options: { groupOf?: Function, referenceFor?: Function, withUrls?: Function, signal?: AbortSignal, onScores?: Function }) => Promise<Map<string, number>>,
+ *   scoresFor: (images: object[], options?: { groupOf?: Function, referenceFor?: Function }) => Map<string, number>,
+ *   progress: (images: object[], options?: { groupOf?: Function, referenceFor?: Function }) => { done: number, total: number },
+ * }}
+ */
+export const createMotionScorer = () => {
+  const scores = new Map(Object.entries(readJson(SCORE_STORAGE_KEY, {})));
+  const signatures = new Map();
+  // 불러오지 못한 캡처는 이번 세션 동안 다시 시도하지 않음
+  const failed = new Set();
+
+  const persist = () => {
+    // 오래된 항목부터 버려 용량 제한 (Map 은 삽입 순서 유지)
+    const entries = [...scores].slice(-MAX_CACHED_SCORES);
+    writeJson(SCORE_STORAGE_KEY, Object.fromEntries(entries));
+  };
+
+  const signatureOf = async (image) => {
+    if (signatures.has(image.etag)) return signatures.get(image.etag);
+    const signature = await loadSignature(image.thumbUrl || image.url);
+    signatures.set(image.etag, signature);
+    if (signatures.size > MAX_CACHED_SIGNATURES) {
+      signatures.delete(signatures.keys().next().value);
+    }
+    return signature;
+  };
+
+  // 비교 쌍: 기준 프레임이 있으면 그것과, 없으면 같은 그룹의 바로 이전 캡처와 비교 (첫 캡처는 대상 없음)
+  const pairsFor = (images, { groupOf = () => '', referenceFor = () => null } = {}) => {
+    const sorted = [...images].sort((a, b) => a.timestamp - b.timestamp);
+    const previousByGroup = new Map();
+    const pairs = [];
+    for (const image of sorted) {
+      const group = groupOf(image);
+      const reference = referenceFor(group);
+      const previous = previousByGroup.get(group);
+      previousByGroup.set(group, image);
+      if (reference) {
+        pairs.push({ image, group, reference, cacheKey: `${image.etag}|ref:${reference.etag}` });
+      } else if (previous) {
+        pairs.push({ image, group, base: previous, cacheKey: `${image.etag}|${previous.etag}` });
+      }
+    }
+    return pairs;
+  };
+
+  // 분석할 쌍: 그룹마다 최근 MAX_ANALYZED_PAIRS_PER_GROUP 쌍 (최신순)
+  const recentPairsFor = (images, options) => {
+    const countByGroup = new Map();
+    return pairsFor(images, options)
+      .reverse()
+      .filter(({ group }) => {
+        const count = countByGroup.get(group) || 0;
+        countByGroup.set(group, count + 1);
+        return count < MAX_ANALYZED_PAIRS_PER_GROUP;
+      });
+  };
+
+  const scoresFor = (images, options) => {
+    const result = new Map();
+    for (const { image, cacheKey } of pairsFor(images, options)) {
+      if (scores.has(cacheKey)) result.set(image.key, scores.get(cacheKey));
+    }
+    return result;
+  };
+
+  // 최근 쌍 중 캐시에 없는 것만 최신 캡처부터 분석. onScores 로 중간 결과를 알린다.
+  // 목록의 캡처에 URL 이 없으면 withUrls(images) 로 URL_BATCH_SIZE 쌍씩 발급받는다.
+  const analyze = async (images, { signal, onScores, withUrls, ...options } = {}) => {
+    const pending = recentPairsFor(images, options).filter(
+      ({ cacheKey }) => !scores.has(cacheKey) && !failed.has(cacheKey)
+    );
+    let sinceReport = 0;
+    let resolved = new Map();
+
+    for (const [i, { image, base, reference, cacheKey }] of pending.entries()) {
+      if (signal?.aborted) break;
+      if (withUrls && i % URL_BATCH_SIZE === 0) {
+        const batch = pending.slice(i, i + URL_BATCH_SIZE).flatMap((pair) => [pair.image, pair.base].filter(Boolean));
+        try {
+          resolved = new Map((await withUrls(batch)).map((img) => [img.key, img]));
+        } catch (err) {
+          console.warn('변화 분석용 URL 발급 실패:', err);
+          break;
+        }
+      }
+      const withUrl = (img) => resolved.get(img.key) || img;
+      try {
+        const current = await signatureOf(withUrl(image));
+        const previous = reference ? reference.signature : await signatureOf(withUrl(base));
+        scores.set(cacheKey, changeScore(current, previous));
+      } catch (err) {
+        console.warn('변화 분석 실패:', image.key, err);
+        failed.add(cacheKey);
+        continue;
+      }
+      if (++sinceReport >= 10 && !signal?.aborted) {
+        sinceReport = 0;
+        persist();
+        onScores?.(scoresFor(images, options));
+      }
+    }
+
+    persist();
+    const result = scoresFor(images, options);
+    if (!signal?.aborted) onScores?.(result);
+    return result;
+  };
+
+  // 분석 진행률: 분석 대상(최근 쌍) 중 점수가 있는 수
+  const progress = (images, options) => {
+    const pairs = recentPairsFor(images, options);
+    return { done: pairs.filter(({ cacheKey }) => scores.has(cacheKey)).length, total: pairs.length };
+  };
+
+  return { analyze, scoresFor, progress };
+};
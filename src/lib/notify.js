@@ -0,0 +1,120 @@
+// 새 캡처 데스크톱 알림 (Notification API + service worker)
+// 설정은 브라우저마다 localStorage 에 저장한다. 웹훅 알림(서버)과는 따로 동작
+
+import { cameraIdOf } from './cameraSync';
+import { formatTimestamp } from './format';
+import { isQuietTime } from './quietHours';
+
+const SETTINGS_STORAGE_KEY = 'esp32cam.notifications';
+const HOUR_MS = 60 * 60 * 1000;
+
+export const DEFAULT_NOTIFY_SETTINGS = {
+  enabled: false,
+  // { start: 'HH:MM', end: 'HH:MM' } | null (브라우저 로컬 시간)
+  quietHours: null,
+  // 시간당 최대 알림 수 (0 = 제한 없음)
+  maxPerHour: 10,
+  // 이 탭을 보고 있을 때는 알리지 않음
+  onlyWhenHidden: true,
+};
+
+export const notificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+export const loadNotifySettings = () => {
+  try {
+    return { ...DEFAULT_NOTIFY_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}') };
+  } catch {
+    return { ...DEFAULT_NOTIFY_SETTINGS };
+  }
+};
+
+export const saveNotifySettings = (settings) => {
+  localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  return settings;
+};
+
+// 알림 클릭 시 앱 탭으로 돌아오게 하는 service worker (public/sw.js)
+const registerServiceWorker = () =>
+  'serviceWorker' in navigator
+    ? navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch((err) => {
+        console.error('service worker 등록 실패:', err);
+        return null;
+      })
+    : Promise.resolve(null);
+
+// 권한 요청 (사용자 클릭에서 호출해야 함) → 'granted' | 'denied' | 'default'
+export const requestNotificationPermission = async () => {
+  const permission = await Notification.requestPermission();
+  if (permission === 'granted') await registerServiceWorker();
+  return permission;
+};
+
+const show = async (title, options) => {
+  const registration = await registerServiceWorker();
+  if (registration) {
+    await registration.showNotification(title, options);
+  } else {
+    new Notification(title, options);
+  }
+};
+
+export const showTestNotification = () =>
+  show('알림 테스트', { body: '새 캡처가 올라오면 이렇게 알려 드립니다.', icon: '/icon.svg' });
+
+/**
+ * 처음 보는 캡처를 카메라별로 묶어 알린다. 조용한 시간 / 시간당 최대 수를 넘은 캡처는 버리고
+ * 다음 알림 본문에 생략된 개수만 덧붙인다.
+ */
+export function createCaptureNotifier() {
+  let sentAt = [];
+  let suppressed = 0;
+
+  const allow = (settings, now) => {
+    if (isQuietTime(now, settings.quietHours)) return false;
+    sentAt = sentAt.filter((t) => now.getTime() - t < HOUR_MS);
+    if (settings.maxPerHour && sentAt.length >= settings.maxPerHour) return false;
+    sentAt.push(now.getTime());
+    return true;
+  };
+
+  /**
+   * @param {Array<{ key: string, thumbUrl: string, timestamp: Date }>} images 새로 나타난 캡처
+   * @param {{ settings: object, cameraNames: Record<string, string> }} options
+   */
+  const notify = (images, { settings, cameraNames }) => {
+    if (!settings.enabled || !images.length || !notificationsSupported()) return;
+    if (Notification.permission !== 'granted') return;
+    if (settings.onlyWhenHidden && document.visibilityState === 'visible' && document.hasFocus()) return;
+
+    const byCamera = new Map();
+    for (const img of images) {
+      const cameraId = cameraIdOf(img.key);
+      if (!byCamera.has(cameraId)) byCamera.set(cameraId, []);
+      byCamera.get(cameraId).push(img);
+    }
+
+    for (const [cameraId, list] of byCamera) {
+      if (!allow(settings, new Date())) {
+        suppressed += list.length;
+        continue;
+      }
+      const latest = list.reduce((a, b) => (b.timestamp > a.timestamp ? b : a));
+      const lines = [formatTimestamp(latest.timestamp)];
+      if (list.length > 1) lines.push(`외 ${list.length - 1}장`);
+      if (suppressed) lines.push(`(생략된 캡처 ${suppressed}장)`);
+      suppressed = 0;
+      show(`${cameraNames[cameraId] || cameraId} 새 캡처`, {
+        body: lines.join(' · '),
+        icon: latest.thumbUrl,
+        image: latest.thumbUrl,
+        // 같은 카메라 알림은 하나로 바꿔 쌓이지 않게
+        tag: `capture-${cameraId}`,
+        renotify: true,
+        timestamp: latest.timestamp.getTime(),
+        data: { key: latest.key },
+      }).catch((err) => console.error('알림 표시 실패:', err));
+    }
+  };
+
+  return { notify };
+}
@@ -0,0 +1,16 @@
+// 조용한 시간: 서버 웹훅 알림(server/alerts.js, 서버 로컬 시간)과 데스크톱 알림(notify.js, 브라우저 로컬 시간)이 함께 쓴다.
+// 서버도 그대로 import 하므로 다른 모듈에 기대지 않는다.
+
+const minutesOf = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+};
+
+// { start: '23:00', end: '07:00' } 처럼 자정을 넘는 구간도 지원 (start 포함, end 제외)
+export const isQuietTime = (date, quietHours) => {
+  if (!quietHours) return false;
+  const now = date.getHours() * 60 + date.getMinutes();
+  const start = minutesOf(quietHours.start);
+  const end = minutesOf(quietHours.end);
+  return start <= end ? now >= start && now < end : now >= start || now < end;
+};
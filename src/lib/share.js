@@ -0,0 +1,25 @@
+// 공유 링크: 로그인 없이 캡처 몇 장을 볼 수 있는 읽기 전용 페이지 (?share=<토큰>)
+
+export const SHARE_PARAM = 'share';
+
+// 서버가 링크 하나에 받는 최대 캡처 수
+export const MAX_SHARE_CAPTURES = 200;
+
+// 공유 기간 (서버는 1시간 ~ 7일)
+export const SHARE_EXPIRY_OPTIONS = [
+  { sec: 60 * 60, label: '1시간' },
+  { sec: 6 * 60 * 60, label: '6시간' },
+  { sec: 24 * 60 * 60, label: '24시간' },
+  { sec: 3 * 24 * 60 * 60, label: '3일' },
+  { sec: 7 * 24 * 60 * 60, label: '7일' },
+];
+
+// 지금 앱 주소 기준의 공유 페이지 주소
+export const shareLinkOf = (id) => {
+  const url = new URL(window.location.pathname, window.location.origin);
+  url.searchParams.set(SHARE_PARAM, id);
+  return url.toString();
+};
+
+// 주소창의 공유 토큰 (없으면 null)
+export const sharedLinkId = () => new URLSearchParams(window.location.search).get(SHARE_PARAM);
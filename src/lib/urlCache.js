@@ -0,0 +1,122 @@
+// presigned URL 캐시
+// 목록(imageSync)은 메타데이터만 가지므로 URL 은 실제로 쓰는 캡처(화면에 보이는 카드, 모달,
+// 다운로드/내보내기 등)만 발급하고 만료 직전까지 재사용한다. 기간 조회 목록과도 같이 쓴다.
+
+const DEFAULT_URL_TTL_SEC = 3600;
+const DEFAULT_URL_REFRESH_MARGIN_SEC = 5 * 60;
+
+/**
+ * @param {object} options
+ * @param {(keys: string[], expiresIn: number) => Promise<Record<string, string>>} options.presign
+ *   키 목록에 대한 presigned URL 발급
+ * @param {(keys: string[], expiresIn: number) => Promise<Record<string, string>>} [options.presignThumbnails]
+ *   캡처 키 목록에 대한 썸네일 presigned URL 발급 (빠진 키와 실패는 원본 URL 로 표시)
+ * @param {() => void} [options.onChange] 새 URL 을 받았을 때 (화면 갱신용)
+ */
+export function createUrlCache({
+  presign,
+  presignThumbnails,
+  onChange,
+  urlTtlSec = DEFAULT_URL_TTL_SEC,
+  urlRefreshMarginSec = DEFAULT_URL_REFRESH_MARGIN_SEC,
+}) {
+  // key -> { etag, url, urlExpiresAt, thumbUrl(null = 썸네일 없음), thumbExpiresAt }
+  // 항목은 바꾸지 않고 새 객체로 교체한다 (peek 의 결과 재사용 판단용).
+  const entries = new Map();
+  // "url:<key>" / "thumb:<key>" -> 발급 중인 Promise
+  const pending = new Map();
+  // 캡처 객체 -> { entry, image } (같은 URL 이면 같은 객체를 돌려줘 재렌더링 최소화)
+  const peeked = new WeakMap();
+
+  const entryOf = (image) => {
+    const entry = entries.get(image.key);
+    return entry && entry.etag === image.etag ? entry : null;
+  };
+
+  const update = (image, fields) => {
+    entries.set(image.key, { ...(entryOf(image) || { etag: image.etag }), ...fields });
+  };
+
+  const issue = (kind, images, request, apply) => {
+    const keys = images.map((img) => img.key);
+    const job = (async () => {
+      const issuedAt = Date.now();
+      const urls = await request(keys, urlTtlSec);
+      const expiresAt = issuedAt + urlTtlSec * 1000;
+      for (const img of images) apply(img, urls[img.key] || null, expiresAt);
+    })();
+    for (const key of keys) pending.set(`${kind}:${key}`, job);
+    job.finally(() => keys.forEach((key) => pending.delete(`${kind}:${key}`))).catch(() => {});
+    return job;
+  };
+
+  /**
+   * 만료가 가깝거나 아직 없는 URL 만 발급한다.
+   * @param {object[]} images 캡처 (key, etag)
+   * @param {{ thumbnails?: boolean }} [options] thumbnails 가 false 면 원본 URL 만 (다운로드 등)
+   */
+  const ensure = async (images, { thumbnails = true } = {}) => {
+    const threshold = Date.now() + urlRefreshMarginSec * 1000;
+    const unique = [...new Map(images.map((img) => [img.key, img])).values()];
+    const needUrl = [];
+    const needThumb = [];
+    const waiting = new Set();
+
+    for (const img of unique) {
+      const entry = entryOf(img);
+      if (pending.has(`url:${img.key}`)) waiting.add(pending.get(`url:${img.key}`));
+      else if (!entry?.url || entry.urlExpiresAt <= threshold) needUrl.push(img);
+
+      if (!thumbnails || !presignThumbnails) continue;
+      if (pending.has(`thumb:${img.key}`)) waiting.add(pending.get(`thumb:${img.key}`));
+      else if (entry?.thumbUrl === undefined || entry.thumbExpiresAt <= threshold) needThumb.push(img);
+    }
+
+    const jobs = [...waiting];
+    if (needUrl.length) {
+      jobs.push(
+        issue('url', needUrl, presign, (img, url, urlExpiresAt) => {
+          if (url) update(img, { url, urlExpiresAt });
+        })
+      );
+    }
+    if (needThumb.length) {
+      jobs.push(
+        issue(
+          'thumb',
+          needThumb,
+          (keys, expiresIn) =>
+            presignThumbnails(keys, expiresIn).catch((err) => {
+              console.error('썸네일 URL 발급 실패:', err);
+              return {};
+            }),
+          (img, thumbUrl, thumbExpiresAt) => update(img, { thumbUrl, thumbExpiresAt })
+        )
+      );
+    }
+    if (!needUrl.length && !needThumb.length && !waiting.size) return;
+
+    await Promise.all(jobs);
+    if (needUrl.length || needThumb.length) onChange?.();
+  };
+
+  // 지금 가진 URL 을 붙인 캡처 (아직 없으면 url/thumbUrl 이 비어 있음)
+  const peek = (image) => {
+    const entry = entryOf(image);
+    if (!entry?.url) return image;
+    const cached = peeked.get(image);
+    if (cached?.entry === entry) return cached.image;
+    // 썸네일이 없으면(생성 실패 등) 원본
+    const withUrls = { ...image, url: entry.url, thumbUrl: entry.thumbUrl || entry.url };
+    peeked.set(image, { entry, image: withUrls });
+    return withUrls;
+  };
+
+  // URL 을 발급받은 뒤 붙여서 돌려준다. 발급에 실패한 캡처는 url 이 비어 있다.
+  const resolve = async (images, options) => {
+    await ensure(images, options);
+    return images.map(peek);
+  };
+
+  return { ensure, peek, resolve };
+}
@@ -0,0 +1,26 @@
+// 이미지 확대/이동 상태 계산
+// view: { scale, x, y } — scale 은 배율(1 = 맞춤), x/y 는 틀 크기 대비 이동량(비율)이라서
+// 크기가 같은 여러 틀(나란히 비교)에 같은 값을 주면 똑같이 확대·이동된다.
+
+export const MAX_SCALE = 8;
+export const ZOOM_STEP = 1.25;
+export const IDENTITY_VIEW = { scale: 1, x: 0, y: 0 };
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// 배율은 1~MAX_SCALE, 이동은 이미지가 틀 밖으로 빠지지 않는 범위로
+export const clampView = ({ scale, x, y }) => {
+  const s = clamp(scale, 1, MAX_SCALE);
+  return { scale: s, x: clamp(x, 1 - s, 0), y: clamp(y, 1 - s, 0) };
+};
+
+// 틀 안의 점 (cx, cy)(비율)을 고정한 채 배율을 factor 배
+export const zoomAt = (view, factor, cx = 0.5, cy = 0.5) => {
+  const scale = clamp(view.scale * factor, 1, MAX_SCALE);
+  const ratio = scale / view.scale;
+  return clampView({ scale, x: cx - (cx - view.x) * ratio, y: cy - (cy - view.y) * ratio });
+};
+
+export const panBy = (view, dx, dy) => clampView({ ...view, x: view.x + dx, y: view.y + dy });
+
+export const viewTransform = ({ scale, x, y }) => `translate(${x * 100}%, ${y * 100}%) scale(${scale})`;
@@ -2,9 +2,14 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import SharePage from './components/SharePage.jsx'
+import { sharedLinkId } from './lib/share'
+
+// ?share=<토큰> 으로 열면 로그인 없이 공유 페이지만 보여 준다.
+const shareId = sharedLinkId()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {shareId ? <SharePage id={shareId} /> : <App />}
   </StrictMode>,
 )
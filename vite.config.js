@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // 개발 중에는 /api 요청을 백엔드 프록시 서버로 전달
+    proxy: {
+      '/api': `http://127.0.0.1:${process.env.PORT || 8787}`,
+    },
+  },
 })